@@ -0,0 +1,4 @@
+// eslint-disable-next-line import/prefer-default-export
+export function updateConsent(actionContext, consent) {
+  actionContext.dispatch('ConsentUpdated', consent);
+}
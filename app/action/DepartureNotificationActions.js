@@ -0,0 +1,106 @@
+import get from 'lodash/get';
+import moment from 'moment';
+
+import {
+  getDueNotification,
+  getNotification,
+  isWatchExpired,
+  requestNotificationPermission,
+  showNotification,
+  updateWatch,
+} from '../util/notificationUtils';
+
+const STOPTIMES_QUERY = `
+  query WatchedDepartureQuery($id: String!, $serviceDate: String) {
+    trip(id: $id) {
+      stoptimesForDate(serviceDate: $serviceDate) {
+        realtimeState
+        realtimeDeparture
+        serviceDay
+        stop {
+          gtfsId
+        }
+      }
+    }
+  }
+`;
+
+const fetchStoptimes = (config, watch) =>
+  fetch(`${config.URL.OTP}index/graphql`, {
+    method: 'POST',
+    body: JSON.stringify({
+      query: STOPTIMES_QUERY,
+      variables: { id: watch.tripId, serviceDate: watch.serviceDate },
+    }),
+    headers: { 'Content-Type': 'application/json' },
+  })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`${config.URL.OTP}: ${response.statusText}`);
+      }
+      return response.json();
+    })
+    .then(result => get(result, 'data.trip.stoptimesForDate'));
+
+/**
+ * Starts watching the departure after the user has allowed notifications.
+ * Resolves to false if the permission was not granted.
+ */
+export function watchDeparture(actionContext, watch) {
+  return requestNotificationPermission().then(granted => {
+    if (granted) {
+      actionContext.dispatch('DepartureWatched', watch);
+    }
+    return granted;
+  });
+}
+
+export function unwatchDeparture(actionContext, id) {
+  actionContext.dispatch('DepartureUnwatched', id);
+}
+
+/**
+ * Re-times the watched departures from the realtime estimates, shows the
+ * notifications that are due and forgets the departures that have already
+ * left. A departure that cannot be checked keeps its previous estimate.
+ */
+export function checkWatchedDepartures(actionContext) {
+  const { config } = actionContext;
+  const watches = actionContext.getStore('WatchedDepartureStore').getWatches();
+  if (watches.length === 0) {
+    return Promise.resolve();
+  }
+  const now = moment().unix();
+  const { notifyBefore } = config.departureNotifications;
+  const language = actionContext.getStore('PreferencesStore').getLanguage();
+
+  const expired = watches
+    .filter(watch => isWatchExpired(watch, now))
+    .map(watch => watch.id);
+
+  return Promise.all(
+    watches
+      .filter(watch => !expired.includes(watch.id))
+      .map(watch =>
+        fetchStoptimes(config, watch).then(
+          stoptimes => updateWatch(watch, stoptimes),
+          () => watch,
+        ),
+      )
+      .map(promise =>
+        promise.then(watch => {
+          const type = getDueNotification(watch, now, notifyBefore);
+          if (!type) {
+            return watch;
+          }
+          const { title, options } = getNotification(watch, type, language);
+          return showNotification(title, options).then(
+            () => ({ ...watch, notified: [...watch.notified, type] }),
+            () => watch,
+          );
+        }),
+      ),
+  ).then(updated =>
+    actionContext.dispatch('WatchedDeparturesUpdated', { updated, expired }),
+  );
+}
@@ -21,3 +21,11 @@ export function addFavouriteStop(actionContext, stop) {
 export function toggleFavouriteCityBikeStation(actionContext, stationId) {
   actionContext.dispatch('ToggleFavouriteCityBikeStation', stationId);
 }
+
+export function addCommuteProfile(actionContext, profile) {
+  actionContext.dispatch('AddCommuteProfile', profile);
+}
+
+export function deleteCommuteProfile(actionContext, profile) {
+  actionContext.dispatch('DeleteCommuteProfile', profile);
+}
@@ -0,0 +1,7 @@
+export function offlineDataServed(actionContext, savedAt) {
+  actionContext.dispatch('OfflineDataServed', savedAt);
+}
+
+export function onlineDataReceived(actionContext) {
+  actionContext.dispatch('OnlineDataReceived');
+}
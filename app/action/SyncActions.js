@@ -0,0 +1,152 @@
+import get from 'lodash/get';
+
+import {
+  getSyncState,
+  getSyncedCollection,
+  setSyncState,
+  setSyncedCollection,
+} from '../store/localStorage';
+import { SyncStatus } from '../store/SyncStore';
+import { SyncedCollections, mergeCollection } from '../util/syncUtils';
+
+/*
+ * The favourites, the customized settings and the search history are
+ * synchronised through the REST backend configured in config.sync.url. The
+ * backend must implement the following endpoints:
+ *
+ *  POST {url}/accounts
+ *    creates a new account and responds with { id, token }
+ *  GET {url}/accounts/{id}/data
+ *    responds with the stored { collections }, or 404 if nothing is stored
+ *  PUT {url}/accounts/{id}/data
+ *    stores the given { collections }
+ *
+ * The data endpoints are authorised with "Authorization: Bearer {token}".
+ * The collections are keyed by their localStorage key and contain the value
+ * and the change state ({ modified, items, deleted }) of each collection.
+ */
+
+const getHeaders = (config, account) => ({
+  'Content-Type': 'application/json',
+  ...get(config, 'sync.headers'),
+  ...(account && { Authorization: `Bearer ${account.token}` }),
+});
+
+const request = (url, options, allowNotFound = false) =>
+  fetch(url, options).then(response => {
+    if (!response.ok && !(allowNotFound && response.status === 404)) {
+      throw new Error(`${url}: ${response.statusText}`);
+    }
+    return response;
+  });
+
+const isOffline = () =>
+  typeof navigator !== 'undefined' && navigator.onLine === false;
+
+/**
+ * Pulls the user data from the sync backend, merges it with the local data
+ * and pushes the result back. Nothing is done if there is no account, and
+ * the local changes are kept for the next sync if the backend cannot be
+ * reached.
+ */
+export function syncUserData(actionContext) {
+  const { config } = actionContext;
+  const { account } = getSyncState();
+  if (!account || !get(config, 'sync.url')) {
+    return Promise.resolve();
+  }
+  if (isOffline()) {
+    actionContext.dispatch('SyncStatusChanged', SyncStatus.Offline);
+    return Promise.resolve();
+  }
+
+  actionContext.dispatch('SyncStatusChanged', SyncStatus.Syncing);
+  const url = `${config.sync.url}/accounts/${encodeURIComponent(
+    account.id,
+  )}/data`;
+  const headers = getHeaders(config, account);
+
+  return request(url, { headers }, true)
+    .then(response => (response.status === 404 ? {} : response.json()))
+    .then(remote => {
+      const now = Date.now();
+      const syncState = getSyncState();
+      const collections = {};
+      Object.keys(SyncedCollections).forEach(key => {
+        const merged = mergeCollection(
+          key,
+          {
+            value: getSyncedCollection(key),
+            state: get(syncState, ['collections', key]),
+          },
+          get(remote, ['collections', key]),
+          now,
+        );
+        if (merged.value !== undefined) {
+          setSyncedCollection(key, merged.value);
+        }
+        collections[key] = merged;
+      });
+
+      // changes made after this are recorded as new local changes
+      setSyncState({
+        ...syncState,
+        dirty: false,
+        lastSync: now,
+        collections: Object.keys(collections).reduce(
+          (result, key) => ({ ...result, [key]: collections[key].state }),
+          {},
+        ),
+      });
+      actionContext.dispatch('UserDataSynced', now);
+
+      return request(url, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ collections }),
+      });
+    })
+    .catch(() => {
+      setSyncState({ ...getSyncState(), dirty: true });
+      actionContext.dispatch('SyncStatusChanged', SyncStatus.Failed);
+    });
+}
+
+/**
+ * Starts synchronising the user data with the given account.
+ *
+ * @param {*} account the account with an id and a token.
+ */
+export function connectSyncAccount(actionContext, account) {
+  setSyncState({ ...getSyncState(), account, lastSync: undefined });
+  actionContext.dispatch('SyncAccountChanged', account);
+  return actionContext.executeAction(syncUserData);
+}
+
+/**
+ * Creates a new account in the sync backend and starts synchronising the
+ * user data with it.
+ */
+export function createSyncAccount(actionContext) {
+  const { config } = actionContext;
+  return request(`${config.sync.url}/accounts`, {
+    method: 'POST',
+    headers: getHeaders(config),
+  })
+    .then(response => response.json())
+    .then(({ id, token }) =>
+      actionContext.executeAction(connectSyncAccount, { id, token }),
+    )
+    .catch(() => {
+      actionContext.dispatch('SyncStatusChanged', SyncStatus.Failed);
+    });
+}
+
+/**
+ * Stops synchronising the user data. The local data is kept, but the
+ * recorded changes are dropped as they can no longer be synchronised.
+ */
+export function disconnectSyncAccount(actionContext) {
+  setSyncState({});
+  actionContext.dispatch('SyncAccountChanged', undefined);
+}
@@ -0,0 +1,13 @@
+/* eslint-disable import/prefer-default-export */
+import { writeUserData } from '../util/userDataUtils';
+
+/**
+ * Replaces the stored user data with the contents of the given user data
+ * document. Throws an error if the document is not valid.
+ *
+ * @param {*} document the parsed user data document.
+ */
+export function importUserData(actionContext, document) {
+  const keys = writeUserData(document);
+  actionContext.dispatch('UserDataImported', keys);
+}
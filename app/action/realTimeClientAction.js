@@ -1,7 +1,42 @@
 import { startMqttClient, changeTopics } from '../util/mqttClient';
+import {
+  changePollingTopics,
+  startGtfsRtHttpClient,
+  startSiriVmClient,
+} from '../util/pollingClient';
+import { RealTimeProviderType } from '../constants';
+
+const providers = {
+  [RealTimeProviderType.GtfsRtHttp]: {
+    start: startGtfsRtHttpClient,
+    changeTopics: changePollingTopics,
+  },
+  [RealTimeProviderType.Mqtt]: {
+    start: startMqttClient,
+    changeTopics,
+  },
+  [RealTimeProviderType.SiriVm]: {
+    start: startSiriVmClient,
+    changeTopics: changePollingTopics,
+  },
+};
+
+/**
+ * Returns the realtime provider configured for the agency, or MQTT if none
+ * has been configured.
+ *
+ * @param {*} settings the realtime settings for the agency.
+ */
+export const getProvider = settings =>
+  providers[settings.provider] || providers[RealTimeProviderType.Mqtt];
 
 export function startRealTimeClient(actionContext, settings, done) {
-  const startClient = startMqttClient;
+  // the shown data is served from the timetables saved for offline use
+  if (actionContext.getStore('OfflineStore').getSavedAt()) {
+    done();
+    return;
+  }
+  const startClient = getProvider(settings).start;
   startClient(settings, actionContext).then(data => {
     actionContext.dispatch('RealTimeClientStarted', data);
     done();
@@ -15,6 +50,6 @@ export function stopRealTimeClient(actionContext, client, done) {
 }
 
 export function changeRealTimeClientTopics(actionContext, settings, done) {
-  changeTopics(settings, actionContext);
+  getProvider(settings).changeTopics(settings, actionContext);
   done();
 }
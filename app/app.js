@@ -1,6 +1,7 @@
 import Fluxible from 'fluxible';
 
 import routes from './routes';
+import ConsentStore from './store/ConsentStore';
 import FavouriteLocationStore from './store/FavouriteLocationStore';
 import FavouriteRoutesStore from './store/FavouriteRoutesStore';
 import FavouriteStopsStore from './store/FavouriteStopsStore';
@@ -15,6 +16,10 @@ import FavouriteCityBikeStationStore from './store/FavouriteCityBikeStationStore
 import MapLayerStore from './store/MapLayerStore';
 import GeoJsonStore from './store/GeoJsonStore';
 import CanceledLegsBarStore from './store/CanceledLegsBarStore';
+import SyncStore from './store/SyncStore';
+import WatchedDepartureStore from './store/WatchedDepartureStore';
+import OfflineStore from './store/OfflineStore';
+import { createAnalytics } from './util/analytics';
 
 export default config => {
   const app = new Fluxible({
@@ -35,6 +40,10 @@ export default config => {
   app.registerStore(MapLayerStore);
   app.registerStore(GeoJsonStore);
   app.registerStore(CanceledLegsBarStore);
+  app.registerStore(SyncStore);
+  app.registerStore(WatchedDepartureStore);
+  app.registerStore(OfflineStore);
+  app.registerStore(ConsentStore);
 
   app.plug({
     name: 'extra-context-plugin',
@@ -70,5 +79,22 @@ export default config => {
     rehydrate: () => {},
   });
 
+  app.plug({
+    name: 'analytics-plugin',
+    plugContext: () => {
+      const analytics = createAnalytics(config);
+      return {
+        plugComponentContext: componentContext => {
+          // eslint-disable-next-line no-param-reassign
+          componentContext.analytics = analytics;
+        },
+        plugActionContext: actionContext => {
+          // eslint-disable-next-line no-param-reassign
+          actionContext.analytics = analytics;
+        },
+      };
+    },
+  });
+
   return app;
 };
@@ -18,6 +18,7 @@ import {
 } from 'react-relay-network-layer/lib';
 import OfflinePlugin from 'offline-plugin/runtime';
 import Helmet from 'react-helmet';
+import moment from 'moment';
 
 import Raven from './util/Raven';
 import configureMoment from './util/configure-moment';
@@ -32,6 +33,20 @@ import oldParamParser from './util/oldParamParser';
 import { ClientProvider as ClientBreakpointProvider } from './util/withBreakpoint';
 import meta from './meta';
 import { isIOSApp } from './util/browser';
+import { syncUserData } from './action/SyncActions';
+import { checkWatchedDepartures } from './action/DepartureNotificationActions';
+import {
+  isPersistedQuerySupported,
+  persistedQueryMiddleware,
+} from './util/persistedQueries';
+import {
+  isOfflineStorageSupported,
+  offlineTimetableMiddleware,
+  removeExpiredOfflineTimetables,
+} from './util/offlineTimetables';
+import { offlineDataServed, onlineDataReceived } from './action/OfflineActions';
+import { AnalyticsEvent } from './util/analytics';
+import { ConsentCategory } from './constants';
 
 const plugContext = f => () => ({
   plugComponentContext: f,
@@ -44,9 +59,10 @@ window.debug = debug; // Allow _debug.enable('*') in browser console
 // TODO: this is an ugly hack, but required due to cyclical processing in app
 const { config } = window.state.context.plugins['extra-context-plugin'];
 const app = appCreator(config);
-const raven = Raven(config.SENTRY_DSN);
+// Sentry is loaded only after the user has consented to error reporting
+let raven;
 const addRaven = c => {
-  c.raven = raven; // eslint-disable-line no-param-reassign
+  Object.defineProperty(c, 'raven', { get: () => raven });
 };
 
 const ravenPlugin = {
@@ -81,8 +97,20 @@ const callback = () =>
     }
 
     window.context = context;
-    // For Google Tag Manager
-    window.dataLayer = window.dataLayer || [];
+    const { analytics } = context.getComponentContext();
+
+    const consentStore = context.getComponentContext().getStore('ConsentStore');
+    const applyConsent = () => {
+      analytics.setConsent(consentStore.hasConsent(ConsentCategory.Analytics));
+      if (consentStore.hasConsent(ConsentCategory.ErrorReporting)) {
+        raven = raven || Raven(config.SENTRY_DSN);
+      } else if (raven) {
+        raven.uninstall();
+        raven = undefined;
+      }
+    };
+    applyConsent();
+    consentStore.addChangeListener(applyConsent);
 
     if (process.env.NODE_ENV === 'development') {
       try {
@@ -94,24 +122,47 @@ const callback = () =>
       }
     }
 
+    // the server knows the queries by their ids and passes them on to OTP
+    const usePersistedQueries =
+      config.graphQLCache.persistedQueries && isPersistedQuerySupported();
+    const graphQLUrl = usePersistedQueries
+      ? `${config.APP_PATH}/graphql`
+      : `${config.URL.OTP}index/graphql`;
+
+    // the timetables saved for offline use are served when the network is down
+    const useOfflineTimetables =
+      config.offlineTimetables.enabled && isOfflineStorageSupported();
+    if (useOfflineTimetables) {
+      removeExpiredOfflineTimetables(moment().format('YYYYMMDD'));
+    }
+
     Relay.injectNetworkLayer(
-      new RelayNetworkLayer([
-        urlMiddleware({
-          url: `${config.URL.OTP}index/graphql`,
-        }),
-        batchMiddleware({
-          batchUrl: `${config.URL.OTP}index/graphql/batch`,
-        }),
-        gqErrorsMiddleware(),
-        retryMiddleware({
-          fetchTimeout: config.OTPTimeout + 1000,
-        }),
-        next => req => {
-          // eslint-disable-next-line no-param-reassign
-          req.headers.OTPTimeout = config.OTPTimeout;
-          return next(req);
-        },
-      ]),
+      new RelayNetworkLayer(
+        [
+          urlMiddleware({
+            url: graphQLUrl,
+          }),
+          useOfflineTimetables &&
+            offlineTimetableMiddleware({
+              onOfflineData: savedAt =>
+                context.executeAction(offlineDataServed, savedAt),
+              onOnlineData: () => context.executeAction(onlineDataReceived),
+            }),
+          usePersistedQueries && persistedQueryMiddleware(),
+          batchMiddleware({
+            batchUrl: `${graphQLUrl}/batch`,
+          }),
+          gqErrorsMiddleware(),
+          retryMiddleware({
+            fetchTimeout: config.OTPTimeout + 1000,
+          }),
+          next => req => {
+            // eslint-disable-next-line no-param-reassign
+            req.headers.OTPTimeout = config.OTPTimeout;
+            return next(req);
+          },
+        ].filter(middleware => middleware),
+      ),
     );
 
     IsomorphicRelay.injectPreparedData(
@@ -147,16 +198,14 @@ const callback = () =>
     }
 
     function track() {
-      window.dataLayer.push({
-        event: 'Pageview',
-        url: this.href,
-      });
+      analytics.trackPageview(window.location.href);
     }
 
     const ContextProvider = provideContext(StoreListeningIntlProvider, {
       raven: PropTypes.object,
       config: PropTypes.object,
       headers: PropTypes.object,
+      analytics: PropTypes.object,
     });
 
     match(
@@ -228,24 +277,38 @@ const callback = () =>
       },
     );
 
+    // Synchronise the user data between devices periodically and whenever
+    // the device comes back online
+    if (config.sync && config.sync.url) {
+      const sync = () => context.executeAction(syncUserData);
+      sync();
+      setInterval(sync, config.sync.interval * 1000);
+      window.addEventListener('online', sync);
+    }
+
+    // Keep the watched departures up to date and notify the user when it is
+    // time to leave
+    if (config.departureNotifications.show) {
+      const checkDepartures = () =>
+        context.executeAction(checkWatchedDepartures);
+      checkDepartures();
+      setInterval(
+        checkDepartures,
+        config.departureNotifications.interval * 1000,
+      );
+    }
+
     // Listen for Web App Install Banner events
     window.addEventListener('beforeinstallprompt', e => {
-      window.dataLayer.push({
-        event: 'sendMatomoEvent',
-        category: 'installprompt',
-        action: 'fired',
-        name: 'fired',
-      });
+      analytics.trackEvent(AnalyticsEvent.InstallPromptFired, 'fired');
 
       // e.userChoice will return a Promise. (Only in chrome, not IE)
       if (e.userChoice) {
         e.userChoice.then(choiceResult =>
-          window.dataLayer.push({
-            event: 'sendMatomoEvent',
-            category: 'installprompt',
-            action: 'result',
-            name: choiceResult.outcome,
-          }),
+          analytics.trackEvent(
+            AnalyticsEvent.InstallPromptResult,
+            choiceResult.outcome,
+          ),
         );
       }
     });
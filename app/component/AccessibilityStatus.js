@@ -0,0 +1,39 @@
+import cx from 'classnames';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage } from 'react-intl';
+
+import Icon from './Icon';
+import { WheelchairBoarding } from '../util/accessibilityUtils';
+
+const getIcon = status => {
+  switch (status) {
+    case WheelchairBoarding.Possible:
+      return 'icon-icon_wheelchair';
+    case WheelchairBoarding.NotPossible:
+      return 'icon-icon_caution';
+    default:
+      return 'icon-icon_no-information';
+  }
+};
+
+/**
+ * Shows the wheelchair accessibility of a stop or a trip.
+ */
+const AccessibilityStatus = ({ name, status }) => {
+  const key = status.toLowerCase().replace(/_/g, '-');
+  return (
+    <li className={cx('accessibility-status', key)}>
+      <Icon img={getIcon(status)} />
+      <span className="accessibility-status-name">{name}</span>
+      <FormattedMessage id={`wheelchair-${key}`} />
+    </li>
+  );
+};
+
+AccessibilityStatus.propTypes = {
+  name: PropTypes.node.isRequired,
+  status: PropTypes.oneOf(Object.values(WheelchairBoarding)).isRequired,
+};
+
+export default AccessibilityStatus;
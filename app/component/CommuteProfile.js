@@ -0,0 +1,169 @@
+import cx from 'classnames';
+import moment from 'moment';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage, intlShape } from 'react-intl';
+import { Link } from 'react-router';
+
+import Icon from './Icon';
+import RouteNumber from './RouteNumber';
+import { getActiveLegAlertSeverityLevel } from '../util/alertUtils';
+import {
+  getItineraryAlertSeverityLevel,
+  getItineraryDelay,
+} from '../util/commuteUtils';
+import { locationToOTP } from '../util/otpStrings';
+import { getRoutePath } from '../util/path';
+
+const toLocation = ({ address, lat, lon, locationName }) => ({
+  address: address || locationName,
+  lat,
+  lon,
+});
+
+/**
+ * Renders a recurring commute between two favourite locations together with
+ * the best itinerary for its next occurrence.
+ */
+const CommuteProfile = (
+  { destination, isLoading, itinerary, nextTime, onDelete, origin, profile },
+  { intl },
+) => {
+  const weekdays = profile.weekdays
+    .map(day =>
+      moment()
+        .locale(intl.locale)
+        .isoWeekday(day)
+        .format('dd'),
+    )
+    .join(' ');
+  const transitLegs = itinerary
+    ? itinerary.legs.filter(leg => leg.transitLeg && leg.route)
+    : [];
+  const isRealTime = transitLegs.some(leg => leg.realTime);
+  const delay = getItineraryDelay(itinerary);
+  const alertSeverityLevel = getItineraryAlertSeverityLevel(itinerary);
+
+  return (
+    <div className="commute-profile">
+      <Link
+        className="commute-profile-content"
+        to={{
+          pathname: getRoutePath(
+            locationToOTP(toLocation(origin)),
+            locationToOTP(toLocation(destination)),
+          ),
+          query: nextTime ? { arriveBy: true, time: nextTime } : {},
+        }}
+      >
+        <div className="commute-profile-name">
+          {origin.locationName}
+          <Icon img="icon-icon_arrow-right" />
+          {destination.locationName}
+        </div>
+        <div className="commute-profile-schedule">
+          <FormattedMessage
+            id="commute-profile-schedule"
+            defaultMessage="{weekdays}, arrive by {time}"
+            values={{ weekdays, time: profile.arriveBy }}
+          />
+        </div>
+        {itinerary ? (
+          <div className="commute-profile-itinerary">
+            <span
+              className={cx('commute-profile-time', { realtime: isRealTime })}
+            >
+              <FormattedMessage
+                id="commute-profile-leave"
+                defaultMessage="Leave {startTime}, arrive {endTime}"
+                values={{
+                  startTime: moment(itinerary.startTime).format('HH:mm'),
+                  endTime: moment(itinerary.endTime).format('HH:mm'),
+                }}
+              />
+            </span>
+            {transitLegs.map(leg => (
+              <RouteNumber
+                key={leg.startTime}
+                alertSeverityLevel={getActiveLegAlertSeverityLevel(leg)}
+                mode={leg.mode}
+                realtime={leg.realTime}
+                text={leg.route.shortName}
+              />
+            ))}
+          </div>
+        ) : (
+          <div className="commute-profile-itinerary">
+            {isLoading ? (
+              '--:--'
+            ) : (
+              <FormattedMessage
+                id="commute-profile-no-itinerary"
+                defaultMessage="No itinerary found"
+              />
+            )}
+          </div>
+        )}
+        {delay >= 60 && (
+          <div className="commute-profile-delay">
+            <FormattedMessage
+              id="commute-profile-delay"
+              defaultMessage="Delayed by {minutes} min"
+              values={{ minutes: Math.round(delay / 60) }}
+            />
+          </div>
+        )}
+        {alertSeverityLevel && (
+          <div
+            className={cx(
+              'commute-profile-alert',
+              alertSeverityLevel.toLowerCase(),
+            )}
+          >
+            <Icon img="icon-icon_caution" />
+            <FormattedMessage
+              id="commute-profile-alert"
+              defaultMessage="There are disruptions on the route"
+            />
+          </div>
+        )}
+      </Link>
+      <button
+        type="button"
+        className="commute-profile-delete"
+        aria-label={intl.formatMessage({
+          id: 'delete',
+          defaultMessage: 'Delete',
+        })}
+        onClick={() => onDelete(profile)}
+      >
+        <Icon img="icon-icon_close" />
+      </button>
+    </div>
+  );
+};
+
+CommuteProfile.propTypes = {
+  destination: PropTypes.object.isRequired,
+  isLoading: PropTypes.bool,
+  itinerary: PropTypes.object,
+  nextTime: PropTypes.number,
+  onDelete: PropTypes.func.isRequired,
+  origin: PropTypes.object.isRequired,
+  profile: PropTypes.shape({
+    arriveBy: PropTypes.string.isRequired,
+    weekdays: PropTypes.arrayOf(PropTypes.number).isRequired,
+  }).isRequired,
+};
+
+CommuteProfile.defaultProps = {
+  isLoading: false,
+  itinerary: undefined,
+  nextTime: undefined,
+};
+
+CommuteProfile.contextTypes = {
+  intl: intlShape.isRequired,
+};
+
+export default CommuteProfile;
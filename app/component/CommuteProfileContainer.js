@@ -0,0 +1,89 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import Relay from 'react-relay/classic';
+
+import CommuteProfile from './CommuteProfile';
+import { RouteAlertsQuery, StopAlertsQuery } from '../util/alertQueries';
+
+const CommuteProfileContainer = ({ plan, ...rest }) => (
+  <CommuteProfile
+    itinerary={(plan && plan.plan && plan.plan.itineraries[0]) || undefined}
+    {...rest}
+  />
+);
+
+CommuteProfileContainer.propTypes = {
+  plan: PropTypes.object.isRequired,
+};
+
+export default Relay.createContainer(CommuteProfileContainer, {
+  fragments: {
+    plan: () => Relay.QL`
+      fragment on QueryType {
+        plan(
+          from: $from,
+          to: $to,
+          date: $date,
+          time: $time,
+          arriveBy: $arriveBy,
+          numItineraries: $numItineraries,
+          walkReluctance: $walkReluctance,
+          walkBoardCost: $walkBoardCost,
+          minTransferTime: $minTransferTime,
+          walkSpeed: $walkSpeed,
+          maxWalkDistance: $maxWalkDistance,
+          wheelchair: $wheelchair,
+          disableRemainingWeightHeuristic: $disableRemainingWeightHeuristic,
+        ) {
+          itineraries {
+            startTime
+            endTime
+            legs {
+              mode
+              startTime
+              realTime
+              realtimeState
+              transitLeg
+              departureDelay
+              arrivalDelay
+              from {
+                stop {
+                  ${StopAlertsQuery}
+                }
+              }
+              to {
+                stop {
+                  ${StopAlertsQuery}
+                }
+              }
+              route {
+                shortName
+                ${RouteAlertsQuery}
+              }
+              trip {
+                pattern {
+                  code
+                }
+              }
+            }
+          }
+        }
+      }
+    `,
+  },
+  initialVariables: {
+    from: null,
+    to: null,
+    date: null,
+    time: null,
+    arriveBy: true,
+    numItineraries: 1,
+    walkReluctance: 2.0001,
+    walkBoardCost: 600,
+    minTransferTime: 120,
+    walkSpeed: 1.2,
+    wheelchair: false,
+    maxWalkDistance: 0,
+    disableRemainingWeightHeuristic: false,
+  },
+});
@@ -0,0 +1,133 @@
+import moment from 'moment';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage, intlShape } from 'react-intl';
+
+import Checkbox from './Checkbox';
+import { isCommuteProfileValid, WORKDAYS } from '../util/commuteUtils';
+
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+
+/**
+ * A form for creating a recurring commute between two favourite locations.
+ */
+class CommuteProfileForm extends React.Component {
+  static propTypes = {
+    favouriteLocations: PropTypes.array.isRequired,
+    onCancel: PropTypes.func.isRequired,
+    onSave: PropTypes.func.isRequired,
+  };
+
+  static contextTypes = {
+    intl: intlShape.isRequired,
+  };
+
+  constructor(props) {
+    super(props);
+    const [origin, destination] = props.favouriteLocations;
+    this.state = {
+      originId: origin && origin.id,
+      destinationId: destination && destination.id,
+      weekdays: WORKDAYS,
+      arriveBy: '08:00',
+    };
+  }
+
+  onLocationChange = field => ({ target }) => {
+    this.setState({ [field]: Number(target.value) });
+  };
+
+  onWeekdayChange = day => ({ target }) => {
+    this.setState(({ weekdays }) => ({
+      weekdays: target.checked
+        ? [...weekdays, day].sort()
+        : weekdays.filter(weekday => weekday !== day),
+    }));
+  };
+
+  onArriveByChange = ({ target }) => {
+    this.setState({ arriveBy: target.value });
+  };
+
+  onSubmit = event => {
+    event.preventDefault();
+    if (isCommuteProfileValid(this.state)) {
+      this.props.onSave({ ...this.state });
+    }
+  };
+
+  renderLocationSelect(field, labelId, defaultMessage) {
+    return (
+      <label className="commute-profile-form-field" htmlFor={field}>
+        <FormattedMessage id={labelId} defaultMessage={defaultMessage} />
+        <select
+          id={field}
+          value={this.state[field]}
+          onChange={this.onLocationChange(field)}
+        >
+          {this.props.favouriteLocations.map(location => (
+            <option key={location.id} value={location.id}>
+              {location.locationName}
+            </option>
+          ))}
+        </select>
+      </label>
+    );
+  }
+
+  render() {
+    const { intl } = this.context;
+    const { arriveBy, weekdays } = this.state;
+
+    return (
+      <form className="commute-profile-form" onSubmit={this.onSubmit}>
+        {this.renderLocationSelect('originId', 'origin', 'Origin')}
+        {this.renderLocationSelect(
+          'destinationId',
+          'destination',
+          'Destination',
+        )}
+        <div className="commute-profile-form-weekdays">
+          {WEEKDAYS.map(day => (
+            <Checkbox
+              key={day}
+              checked={weekdays.includes(day)}
+              defaultMessage={moment()
+                .locale(intl.locale)
+                .isoWeekday(day)
+                .format('dd')}
+              onChange={this.onWeekdayChange(day)}
+            />
+          ))}
+        </div>
+        <label className="commute-profile-form-field" htmlFor="arriveBy">
+          <FormattedMessage id="arriving-at" defaultMessage="Arriving at" />
+          <input
+            id="arriveBy"
+            type="time"
+            value={arriveBy}
+            onChange={this.onArriveByChange}
+          />
+        </label>
+        <div className="commute-profile-form-buttons">
+          <button
+            type="button"
+            className="commute-profile-form-cancel"
+            onClick={this.props.onCancel}
+          >
+            <FormattedMessage id="cancel" defaultMessage="Cancel" />
+          </button>
+          <button
+            type="submit"
+            className="commute-profile-form-save"
+            disabled={!isCommuteProfileValid(this.state)}
+          >
+            <FormattedMessage id="save" defaultMessage="Save" />
+          </button>
+        </div>
+      </form>
+    );
+  }
+}
+
+export default CommuteProfileForm;
@@ -0,0 +1,172 @@
+import find from 'lodash/find';
+import moment from 'moment';
+import PropTypes from 'prop-types';
+import React from 'react';
+import Relay from 'react-relay/classic';
+import { FormattedMessage } from 'react-intl';
+
+import CommuteProfile from './CommuteProfile';
+import CommuteProfileContainer from './CommuteProfileContainer';
+import CommuteProfileForm from './CommuteProfileForm';
+import Icon from './Icon';
+import {
+  addCommuteProfile,
+  deleteCommuteProfile,
+} from '../action/FavouriteActions';
+import { getNextCommuteTime } from '../util/commuteUtils';
+
+/**
+ * The interval (in seconds) of refreshing the itineraries for the realtime
+ * delays and the alerts.
+ */
+const REFRESH_INTERVAL = 5 * 60;
+
+class CommuteProfileContainerRoute extends Relay.Route {
+  static queries = {
+    plan: (Component, variables) => Relay.QL`
+    query {
+      viewer {
+        ${Component.getFragment('plan', {
+          from: variables.from,
+          to: variables.to,
+          date: variables.date,
+          time: variables.time,
+          arriveBy: variables.arriveBy,
+          maxWalkDistance: variables.maxWalkDistance,
+          wheelchair: variables.wheelchair,
+          disableRemainingWeightHeuristic:
+            variables.disableRemainingWeightHeuristic,
+        })}
+      }
+    }`,
+  };
+
+  static paramDefinitions = {
+    from: { required: true },
+    to: { required: true },
+    date: { required: true },
+    time: { required: true },
+  };
+
+  static routeName = 'CommuteProfileContainerRoute';
+}
+
+/**
+ * Lists the commute profiles of the user with the best next itinerary of
+ * each and allows creating new ones from the favourite locations.
+ */
+class CommuteProfiles extends React.Component {
+  static propTypes = {
+    commuteProfiles: PropTypes.array.isRequired,
+    currentTime: PropTypes.number.isRequired,
+    favouriteLocations: PropTypes.array.isRequired,
+  };
+
+  static contextTypes = {
+    config: PropTypes.object.isRequired,
+    executeAction: PropTypes.func.isRequired,
+  };
+
+  state = { isEditing: false };
+
+  onAdd = () => {
+    this.setState({ isEditing: true });
+  };
+
+  onCancel = () => {
+    this.setState({ isEditing: false });
+  };
+
+  onSave = profile => {
+    this.context.executeAction(addCommuteProfile, profile);
+    this.setState({ isEditing: false });
+  };
+
+  onDelete = profile => {
+    this.context.executeAction(deleteCommuteProfile, profile);
+  };
+
+  renderProfile(profile) {
+    const { currentTime, favouriteLocations } = this.props;
+    const origin = find(favouriteLocations, { id: profile.originId });
+    const destination = find(favouriteLocations, {
+      id: profile.destinationId,
+    });
+    if (!origin || !destination) {
+      return null;
+    }
+
+    const nextTime = getNextCommuteTime(profile, currentTime);
+    const props = {
+      destination,
+      nextTime,
+      onDelete: this.onDelete,
+      origin,
+      profile,
+    };
+    if (!nextTime) {
+      return <CommuteProfile key={profile.id} {...props} />;
+    }
+
+    const time = moment.unix(nextTime);
+    return (
+      <Relay.RootContainer
+        Component={CommuteProfileContainer}
+        forceFetch
+        // remounting refetches the itinerary with up-to-date realtime data
+        key={`${profile.id}_${Math.floor(currentTime / REFRESH_INTERVAL)}`}
+        route={
+          new CommuteProfileContainerRoute({
+            from: { lat: origin.lat, lon: origin.lon },
+            to: { lat: destination.lat, lon: destination.lon },
+            date: time.format('YYYY-MM-DD'),
+            time: time.format('HH:mm:ss'),
+            arriveBy: true,
+            maxWalkDistance: this.context.config.maxWalkDistance + 0.1,
+            wheelchair: false,
+            disableRemainingWeightHeuristic: false,
+          })
+        }
+        renderLoading={() => <CommuteProfile isLoading {...props} />}
+        renderFetched={data => <CommuteProfileContainer {...props} {...data} />}
+      />
+    );
+  }
+
+  render() {
+    const { commuteProfiles, favouriteLocations } = this.props;
+    if (favouriteLocations.length < 2) {
+      return null;
+    }
+
+    return (
+      <div className="commute-profiles border-bottom">
+        <h3 className="commute-profiles-header">
+          <FormattedMessage id="commute-profiles" defaultMessage="Commutes" />
+        </h3>
+        {commuteProfiles.map(profile => this.renderProfile(profile))}
+        {this.state.isEditing ? (
+          <CommuteProfileForm
+            favouriteLocations={favouriteLocations}
+            onCancel={this.onCancel}
+            onSave={this.onSave}
+          />
+        ) : (
+          <button
+            type="button"
+            className="commute-profiles-add"
+            onClick={this.onAdd}
+          >
+            <Icon img="icon-icon_plus" />
+            <FormattedMessage
+              id="commute-profile-add"
+              defaultMessage="Add a commute"
+            />
+          </button>
+        )}
+      </div>
+    );
+  }
+}
+
+export default CommuteProfiles;
@@ -0,0 +1,82 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage } from 'react-intl';
+
+import { Component as ConsentSettings } from './ConsentSettings';
+import { updateConsent } from '../action/ConsentActions';
+import { ConsentCategory } from '../constants';
+
+const getConsent = isGiven =>
+  Object.values(ConsentCategory).reduce(
+    (consent, category) => ({ ...consent, [category]: isGiven }),
+    {},
+  );
+
+/**
+ * Asks the user which third-party services may be loaded. Nothing is
+ * consented to before the user has chosen.
+ */
+class ConsentBanner extends React.Component {
+  static contextTypes = {
+    executeAction: PropTypes.func.isRequired,
+  };
+
+  state = {
+    consent: getConsent(false),
+  };
+
+  onChange = (category, checked) => {
+    this.setState(({ consent }) => ({
+      consent: { ...consent, [category]: checked },
+    }));
+  };
+
+  acceptAll = () => {
+    this.context.executeAction(updateConsent, getConsent(true));
+  };
+
+  saveSelection = () => {
+    this.context.executeAction(updateConsent, this.state.consent);
+  };
+
+  render() {
+    return (
+      <div className="consent-banner">
+        <p className="consent-banner-text">
+          <FormattedMessage
+            id="consent-banner-text"
+            defaultMessage="We would like to use third-party services to improve the service. They are loaded only with your consent, which you can change later in the menu."
+          />
+        </p>
+        <ConsentSettings
+          consent={this.state.consent}
+          onChange={this.onChange}
+        />
+        <div className="consent-banner-buttons">
+          <button
+            className="consent-banner-save"
+            onClick={this.saveSelection}
+            type="button"
+          >
+            <FormattedMessage
+              id="consent-save-selection"
+              defaultMessage="Save selection"
+            />
+          </button>
+          <button
+            className="consent-banner-accept"
+            onClick={this.acceptAll}
+            type="button"
+          >
+            <FormattedMessage
+              id="consent-accept-all"
+              defaultMessage="Accept all"
+            />
+          </button>
+        </div>
+      </div>
+    );
+  }
+}
+
+export default ConsentBanner;
@@ -0,0 +1,50 @@
+import connectToStores from 'fluxible-addons-react/connectToStores';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage } from 'react-intl';
+
+import Checkbox from './Checkbox';
+import { updateConsent } from '../action/ConsentActions';
+import { ConsentCategory } from '../constants';
+
+const CategoryLabels = {
+  [ConsentCategory.Analytics]: 'consent-analytics',
+  [ConsentCategory.ErrorReporting]: 'consent-error-reporting',
+  [ConsentCategory.FeedbackSurveys]: 'consent-feedback-surveys',
+};
+
+/**
+ * The choices of the third-party services the user consents to.
+ */
+const ConsentSettings = ({ consent, onChange }) => (
+  <div className="consent-settings">
+    <h3 className="consent-settings-header">
+      <FormattedMessage id="consent-settings" defaultMessage="Privacy" />
+    </h3>
+    {Object.values(ConsentCategory).map(category => (
+      <Checkbox
+        key={category}
+        checked={consent[category] === true}
+        labelId={CategoryLabels[category]}
+        onChange={({ target }) => onChange(category, target.checked)}
+      />
+    ))}
+  </div>
+);
+
+ConsentSettings.propTypes = {
+  consent: PropTypes.objectOf(PropTypes.bool).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+const connectedComponent = connectToStores(
+  ConsentSettings,
+  ['ConsentStore'],
+  context => ({
+    consent: context.getStore('ConsentStore').getConsent(),
+    onChange: (category, checked) =>
+      context.executeAction(updateConsent, { [category]: checked }),
+  }),
+);
+
+export { connectedComponent as default, ConsentSettings as Component };
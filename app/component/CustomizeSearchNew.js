@@ -1,3 +1,4 @@
+import get from 'lodash/get';
 import PropTypes from 'prop-types';
 import React from 'react';
 import { intlShape } from 'react-intl';
@@ -11,10 +12,11 @@ import ResetCustomizedSettingsButton from './ResetCustomizedSettingsButton';
 import SaveCustomizedSettingsButton from './SaveCustomizedSettingsButton';
 import LoadCustomizedSettingsButton from './LoadCustomizedSettingsButton';
 import StreetModeSelectorPanel from './StreetModeSelectorPanel';
+import UserDataButtons from './UserDataButtons';
+import AccessibilityOptionsSection from './customizesearch/AccessibilityOptionsSection';
 import BikeTransportOptionsSection from './customizesearch/BikeTransportOptionsSection';
 import BikingOptionsSection from './customizesearch/BikingOptionsSection';
 import RoutePreferencesSection from './customizesearch/RoutePreferencesSection';
-import SelectOptionContainer from './customizesearch/SelectOptionContainer';
 import TransferOptionsSection from './customizesearch/TransferOptionsSection';
 import TransportModesSection from './customizesearch/TransportModesSection';
 import WalkingOptionsSection from './customizesearch/WalkingOptionsSection';
@@ -75,9 +77,6 @@ class CustomizeSearch extends React.Component {
       intl,
       router,
     } = this.context;
-    const {
-      config: { accessibilityOptions },
-    } = this.context;
     const { onToggleClick } = this.props;
     const currentSettings = getCurrentSettings(config, query);
     const isUsingBicycle = currentSettings.modes.includes(StreetMode.Bicycle);
@@ -203,19 +202,10 @@ class CustomizeSearch extends React.Component {
           />
         </div>
         <div className="settings-option-container">
-          <SelectOptionContainer
-            currentSelection={currentSettings.accessibilityOption}
-            defaultValue={this.defaultSettings.accessibilityOption}
-            options={accessibilityOptions.map((o, i) => ({
-              title: accessibilityOptions[i].messageId,
-              value: accessibilityOptions[i].value,
-            }))}
-            onOptionSelected={value =>
-              replaceQueryParams(router, {
-                accessibilityOption: value,
-              })
-            }
-            title="accessibility"
+          <AccessibilityOptionsSection
+            currentSettings={currentSettings}
+            defaultSettings={this.defaultSettings}
+            maxSlopeOptions={get(config, 'accessibility.maxSlopeOptions', [0])}
           />
         </div>
         <div className="settings-option-container save-controls-container">
@@ -230,6 +220,7 @@ class CustomizeSearch extends React.Component {
           <div>
             <ResetCustomizedSettingsButton onReset={this.resetParameters} />
           </div>
+          <UserDataButtons />
         </div>
       </div>
     );
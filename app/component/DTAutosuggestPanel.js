@@ -10,6 +10,7 @@ import Select from './Select';
 import { isIe, isKeyboardSelectionEvent } from '../util/browser';
 import { navigateTo, PREFIX_ITINERARY_SUMMARY } from '../util/path';
 import { dtLocationShape } from '../util/shapes';
+import { durationToString } from '../util/timeUtils';
 import withBreakpoint from '../util/withBreakpoint';
 
 export const getEmptyViaPointPlaceHolder = () => ({});
@@ -24,6 +25,9 @@ const isViaPointEmpty = viaPoint => {
   );
 };
 
+const getViaPointsKey = viaPoints =>
+  viaPoints.map(viaPoint => `${viaPoint.lat},${viaPoint.lon}`).join('|');
+
 const ItinerarySearchControl = ({
   children,
   className,
@@ -69,6 +73,7 @@ class DTAutosuggestPanel extends React.Component {
     initialViaPoints: PropTypes.arrayOf(dtLocationShape),
     tab: PropTypes.string,
     updateViaPoints: PropTypes.func,
+    optimizeViaPoints: PropTypes.func,
     breakpoint: PropTypes.string.isRequired,
     swapOrder: PropTypes.func,
   };
@@ -81,6 +86,7 @@ class DTAutosuggestPanel extends React.Component {
     searchType: 'endpoint',
     swapOrder: undefined,
     updateViaPoints: () => {},
+    optimizeViaPoints: undefined,
   };
 
   constructor(props) {
@@ -88,6 +94,8 @@ class DTAutosuggestPanel extends React.Component {
     this.draggableViaPoints = [];
     this.state = {
       activeSlackInputs: [],
+      isOptimizing: false,
+      optimization: undefined,
       showDarkOverlay: false,
       viaPoints: this.props.initialViaPoints.map(vp => ({ ...vp })),
     };
@@ -201,6 +209,32 @@ class DTAutosuggestPanel extends React.Component {
     this.setState({ viaPoints }, () => this.props.swapOrder());
   };
 
+  handleOptimizeViaPointsClick = () => {
+    const viaPoints = this.state.viaPoints.filter(vp => !isViaPointEmpty(vp));
+    this.setState({ isOptimizing: true, optimization: undefined });
+    this.props.optimizeViaPoints(viaPoints).then(
+      result => {
+        this.setState(
+          {
+            activeSlackInputs: [],
+            isOptimizing: false,
+            optimization: {
+              key: getViaPointsKey(result.viaPoints),
+              timeSaved: result.timeSaved,
+            },
+            viaPoints: result.viaPoints.map(vp => ({ ...vp })),
+          },
+          () => this.updateViaPoints(result.viaPoints),
+        );
+      },
+      () =>
+        this.setState({
+          isOptimizing: false,
+          optimization: { key: getViaPointsKey(viaPoints), failed: true },
+        }),
+    );
+  };
+
   handleOnViaPointDragOver = (event, index) => {
     event.preventDefault();
     this.setState({ isDraggingOverIndex: index });
@@ -261,6 +295,71 @@ class DTAutosuggestPanel extends React.Component {
     event.dataTransfer.setData('text', `${isDraggingIndex}`);
   };
 
+  renderOptimization = () => {
+    const { isOptimizing, optimization, viaPoints } = this.state;
+    const filledViaPoints = viaPoints.filter(vp => !isViaPointEmpty(vp));
+    if (filledViaPoints.length < 2) {
+      return null;
+    }
+
+    let result = null;
+    if (optimization && optimization.key === getViaPointsKey(filledViaPoints)) {
+      if (optimization.failed) {
+        result = (
+          <FormattedMessage
+            id="optimize-via-points-failed"
+            defaultMessage="The order could not be optimized."
+          />
+        );
+      } else if (optimization.timeSaved === 0) {
+        result = (
+          <FormattedMessage
+            id="optimize-via-points-fastest"
+            defaultMessage="The order is already the fastest."
+          />
+        );
+      } else if (optimization.timeSaved > 0) {
+        result = (
+          <FormattedMessage
+            id="optimize-via-points-saved"
+            defaultMessage="The new order saves {duration}."
+            values={{
+              duration: durationToString(optimization.timeSaved * 1000),
+            }}
+          />
+        );
+      } else {
+        result = (
+          <FormattedMessage
+            id="optimize-via-points-done"
+            defaultMessage="The order has been optimized."
+          />
+        );
+      }
+    }
+
+    return (
+      <div className="optimize-via-points">
+        <button
+          type="button"
+          className="optimize-via-points-button"
+          disabled={isOptimizing}
+          onClick={this.handleOptimizeViaPointsClick}
+        >
+          <FormattedMessage
+            id="optimize-via-points"
+            defaultMessage="Optimize the order"
+          />
+        </button>
+        {result && (
+          <span className="optimize-via-points-result" role="status">
+            {result}
+          </span>
+        )}
+      </div>
+    );
+  };
+
   render = () => {
     const { breakpoint, isItinerary, origin } = this.props;
     const { activeSlackInputs, isDraggingOverIndex, viaPoints } = this.state;
@@ -448,6 +547,9 @@ class DTAutosuggestPanel extends React.Component {
             </div>
           ))}
         </div>
+        {isItinerary &&
+          this.props.optimizeViaPoints &&
+          this.renderOptimization()}
         {((this.props.destination && this.props.destination.set) ||
           origin.ready ||
           isItinerary) && (
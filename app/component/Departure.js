@@ -19,6 +19,7 @@ import {
 function Departure({
   alertSeverityLevel,
   canceled,
+  children,
   className,
   currentTime,
   departure,
@@ -71,6 +72,7 @@ function Departure({
       ) : (
         platformNumber
       )}
+      {children}
     </p>
   );
 }
@@ -129,6 +131,7 @@ Departure.displayName = 'Departure';
 Departure.propTypes = {
   alertSeverityLevel: PropTypes.string,
   canceled: PropTypes.bool,
+  children: PropTypes.node,
   className: PropTypes.string,
   currentTime: PropTypes.number.isRequired,
   departure: PropTypes.shape({
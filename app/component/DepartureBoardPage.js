@@ -0,0 +1,282 @@
+import cx from 'classnames';
+import get from 'lodash/get';
+import some from 'lodash/some';
+import moment from 'moment';
+import PropTypes from 'prop-types';
+import React from 'react';
+import Relay from 'react-relay/classic';
+import { FormattedMessage, intlShape } from 'react-intl';
+import connectToStores from 'fluxible-addons-react/connectToStores';
+
+import DepartureListContainer from './DepartureListContainer';
+import Icon from './Icon';
+import MapContainer from './map/MapContainer';
+import VehicleMarkerContainer from './map/VehicleMarkerContainer';
+import { StopAlertsWithContentQuery } from '../util/alertQueries';
+import { getServiceAlertsForStop, isAlertValid } from '../util/alertUtils';
+import {
+  getDepartureBoardRows,
+  showDepartureBoardMap,
+} from '../util/departureBoardUtils';
+import { PREFIX_STOPS, PREFIX_TERMINALS } from '../util/path';
+import { TIME_PATTERN } from '../util/timeUtils';
+
+const getDepartureTime = stoptime =>
+  stoptime.serviceDay + stoptime.realtimeDeparture;
+
+const renderMap = stops => {
+  const [{ lat, lon }] = stops;
+  return (
+    <div className="departure-board-map">
+      <MapContainer
+        className="full"
+        lat={lat}
+        lon={lon}
+        zoom={16}
+        showStops
+        hilightedStops={stops.map(stop => stop.gtfsId)}
+        leafletObjs={[
+          <VehicleMarkerContainer
+            key="vehicles"
+            pattern="+"
+            headsign="+"
+            tripStart="+"
+            useLargeIcon
+          />,
+        ]}
+      />
+    </div>
+  );
+};
+
+const getStopPath = stop =>
+  `/${stop.locationType === 'STATION' ? PREFIX_TERMINALS : PREFIX_STOPS}/${
+    stop.gtfsId
+  }`;
+
+/**
+ * A full-screen departure board of one or more stops and terminals for
+ * lobby screens. The departures are refreshed periodically and the
+ * disruption alerts of the stops are shown one at a time. On an embedded
+ * route the board has no map and links to the stop page in a new tab.
+ */
+class DepartureBoardPage extends React.Component {
+  static propTypes = {
+    currentTime: PropTypes.number.isRequired,
+    location: PropTypes.shape({
+      query: PropTypes.object,
+    }).isRequired,
+    relay: PropTypes.shape({
+      forceFetch: PropTypes.func.isRequired,
+    }).isRequired,
+    routes: PropTypes.arrayOf(
+      PropTypes.shape({
+        embedded: PropTypes.bool,
+      }),
+    ),
+    viewer: PropTypes.shape({
+      stations: PropTypes.array,
+      stops: PropTypes.array,
+    }).isRequired,
+  };
+
+  static defaultProps = {
+    routes: [],
+  };
+
+  static contextTypes = {
+    config: PropTypes.object.isRequired,
+    intl: intlShape.isRequired,
+  };
+
+  state = { alertIndex: 0 };
+
+  componentDidMount() {
+    const { departureBoard } = this.context.config;
+    this.refreshTimer = setInterval(
+      this.refresh,
+      get(departureBoard, 'refreshInterval', 30) * 1000,
+    );
+    this.alertTimer = setInterval(
+      this.showNextAlert,
+      get(departureBoard, 'alertInterval', 10) * 1000,
+    );
+  }
+
+  componentWillUnmount() {
+    clearInterval(this.refreshTimer);
+    clearInterval(this.alertTimer);
+  }
+
+  getStops() {
+    const { stations, stops } = this.props.viewer;
+    return [...(stops || []), ...(stations || [])].filter(stop => !!stop);
+  }
+
+  getAlerts(stops) {
+    const { currentTime } = this.props;
+    const { intl } = this.context;
+    return stops
+      .map(stop => getServiceAlertsForStop(stop, intl.locale))
+      .reduce((a, b) => a.concat(b), [])
+      .filter(alert => isAlertValid(alert, currentTime));
+  }
+
+  refresh = () => {
+    this.props.relay.forceFetch({ startTime: String(this.props.currentTime) });
+  };
+
+  showNextAlert = () => {
+    this.setState(({ alertIndex }) => ({ alertIndex: alertIndex + 1 }));
+  };
+
+  render() {
+    const { currentTime, location, routes } = this.props;
+    const { config } = this.context;
+    const embedded = some(routes, 'embedded');
+    const stops = this.getStops();
+    if (stops.length === 0) {
+      return (
+        <div
+          className={cx('departure-board', 'departure-board-empty', {
+            embedded,
+          })}
+        >
+          <FormattedMessage
+            id="departure-board-no-stops"
+            defaultMessage="The stops could not be found."
+          />
+        </div>
+      );
+    }
+
+    const stoptimes = stops
+      .map(stop => stop.stoptimes || [])
+      .reduce((a, b) => a.concat(b), [])
+      .sort((a, b) => getDepartureTime(a) - getDepartureTime(b));
+    const isTerminal = stops.every(stop => stop.locationType === 'STATION');
+    const showMap = !embedded && showDepartureBoardMap(location.query, config);
+    const alerts = this.getAlerts(stops);
+    const alert =
+      alerts.length > 0 && alerts[this.state.alertIndex % alerts.length];
+
+    return (
+      <div className={cx('departure-board', { embedded })}>
+        <div className="departure-board-header">
+          <h1 className="departure-board-title">
+            {stops.map(stop => stop.name).join(', ')}
+          </h1>
+          <span className="departure-board-clock">
+            {moment.unix(currentTime).format(TIME_PATTERN)}
+          </span>
+        </div>
+        <div className="departure-board-content">
+          {stoptimes.length === 0 ? (
+            <div className="departure-board-list stop-no-departures-container">
+              <Icon img="icon-icon_station" />
+              <FormattedMessage
+                id="no-departures"
+                defaultMessage="No departures"
+              />
+            </div>
+          ) : (
+            <DepartureListContainer
+              stoptimes={stoptimes}
+              className="departure-board-list"
+              rowClasses="padding-normal border-bottom"
+              currentTime={currentTime}
+              limit={getDepartureBoardRows(location.query, config)}
+              isTerminal={isTerminal}
+              showStops={stops.length > 1}
+              showPlatformCodes
+              trackVehicles={showMap}
+            />
+          )}
+          {showMap && renderMap(stops)}
+        </div>
+        {alert && (
+          <div className="departure-board-alert" key={alert.hash}>
+            <Icon img="icon-icon_caution" className="caution" />
+            <span className="departure-board-alert-text">
+              {alert.header}
+              {alert.description &&
+                alert.description !== alert.header &&
+                ` ${alert.description}`}
+            </span>
+          </div>
+        )}
+        {embedded && (
+          <div className="embed-footer">
+            <a
+              href={`${config.APP_PATH}${getStopPath(stops[0])}`}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              <FormattedMessage
+                id="embed-powered-by"
+                defaultMessage="Journey planner {title}"
+                values={{ title: config.title }}
+              />
+            </a>
+          </div>
+        )}
+      </div>
+    );
+  }
+}
+
+const connectedComponent = connectToStores(
+  DepartureBoardPage,
+  ['TimeStore'],
+  ({ getStore }) => ({
+    currentTime: getStore('TimeStore')
+      .getCurrentTime()
+      .unix(),
+  }),
+);
+
+const stopFragment = Relay.QL`
+  fragment on Stop {
+    gtfsId
+    name
+    lat
+    lon
+    locationType
+    ${StopAlertsWithContentQuery}
+    stoptimes: stoptimesWithoutPatterns(
+      startTime: $startTime,
+      timeRange: $timeRange,
+      numberOfDepartures: $numberOfDepartures,
+      omitCanceled: false
+    ) {
+      serviceDay
+      realtimeDeparture
+      ${DepartureListContainer.getFragment('stoptimes')}
+    }
+  }
+`;
+
+const containerComponent = Relay.createContainer(connectedComponent, {
+  fragments: {
+    viewer: () => Relay.QL`
+      fragment on QueryType {
+        stops(ids: $stopIds) {
+          ${stopFragment}
+        }
+        stations(ids: $stationIds) {
+          ${stopFragment}
+        }
+      }
+    `,
+  },
+
+  initialVariables: {
+    stopIds: [],
+    stationIds: [],
+    startTime: String(0),
+    timeRange: 3600 * 12,
+    numberOfDepartures: 50,
+  },
+});
+
+export { containerComponent as default, DepartureBoardPage as Component };
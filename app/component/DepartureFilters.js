@@ -0,0 +1,177 @@
+import cx from 'classnames';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage, intlShape } from 'react-intl';
+import { locationShape, routerShape } from 'react-router';
+
+import Checkbox from './Checkbox';
+import Icon from './Icon';
+import {
+  DepartureFilterType,
+  getDepartureFilterQuery,
+  hasDepartureFilters,
+} from '../util/departureFilterUtils';
+
+const FilterTitles = {
+  [DepartureFilterType.Headsigns]: {
+    id: 'departure-filter-headsigns',
+    defaultMessage: 'Destinations',
+  },
+  [DepartureFilterType.Platforms]: {
+    id: 'departure-filter-platforms',
+    defaultMessage: 'Platforms',
+  },
+  [DepartureFilterType.Routes]: {
+    id: 'departure-filter-routes',
+    defaultMessage: 'Routes',
+  },
+};
+
+/**
+ * Filters the departures of the stop by their routes, platforms and
+ * headsigns. The filters are kept in the query of the current location.
+ */
+class DepartureFilters extends React.Component {
+  static propTypes = {
+    filters: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+    options: PropTypes.shape({
+      headsigns: PropTypes.arrayOf(PropTypes.string).isRequired,
+      platforms: PropTypes.arrayOf(PropTypes.string).isRequired,
+      routes: PropTypes.arrayOf(
+        PropTypes.shape({
+          gtfsId: PropTypes.string.isRequired,
+          longName: PropTypes.string,
+          shortName: PropTypes.string,
+        }),
+      ).isRequired,
+    }).isRequired,
+  };
+
+  static contextTypes = {
+    intl: intlShape.isRequired,
+    location: locationShape.isRequired,
+    router: routerShape.isRequired,
+  };
+
+  state = {
+    isOpen: false,
+  };
+
+  getLabel(type, value) {
+    const { intl } = this.context;
+    switch (type) {
+      case DepartureFilterType.Platforms:
+        return intl.formatMessage(
+          { id: 'platform-num', defaultMessage: 'Platform {platformCode}' },
+          { platformCode: value },
+        );
+      case DepartureFilterType.Routes:
+        return value.shortName || value.longName;
+      default:
+        return value;
+    }
+  }
+
+  setFilters = filters => {
+    const { location, router } = this.context;
+    router.replace({
+      ...location,
+      query: getDepartureFilterQuery(location.query, filters),
+    });
+  };
+
+  toggleFilter = (type, value) => ({ target }) => {
+    const { filters } = this.props;
+    const values = filters[type].filter(filterValue => filterValue !== value);
+    this.setFilters({
+      ...filters,
+      [type]: target.checked ? [...values, value] : values,
+    });
+  };
+
+  toggleOpen = () => {
+    this.setState(({ isOpen }) => ({ isOpen: !isOpen }));
+  };
+
+  renderFilter(type) {
+    const { filters, options } = this.props;
+    if (options[type].length < 2 && filters[type].length === 0) {
+      return null;
+    }
+    return (
+      <div key={type} className="departure-filter">
+        <h4>
+          <FormattedMessage {...FilterTitles[type]} />
+        </h4>
+        <div className="departure-filter-options">
+          {options[type].map(option => {
+            const value =
+              type === DepartureFilterType.Routes ? option.gtfsId : option;
+            return (
+              <Checkbox
+                key={value}
+                checked={filters[type].includes(value)}
+                defaultMessage={this.getLabel(type, option)}
+                onChange={this.toggleFilter(type, value)}
+              />
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  render() {
+    const { filters } = this.props;
+    const { isOpen } = this.state;
+    const filterElements = Object.values(DepartureFilterType)
+      .map(type => this.renderFilter(type))
+      .filter(element => element);
+    if (filterElements.length === 0) {
+      return null;
+    }
+
+    const isFiltered = hasDepartureFilters(filters);
+    return (
+      <div className="departure-filters">
+        <div className="departure-filters-bar">
+          <button
+            aria-expanded={isOpen}
+            className={cx('departure-filters-toggle', { active: isFiltered })}
+            onClick={this.toggleOpen}
+            type="button"
+          >
+            <Icon
+              img={
+                isFiltered
+                  ? 'icon-icon_settings-adjusted'
+                  : 'icon-icon_settings'
+              }
+            />
+            <FormattedMessage
+              id="departure-filters"
+              defaultMessage="Filter departures"
+            />
+          </button>
+          {isFiltered && (
+            <button
+              className="departure-filters-clear"
+              onClick={() => this.setFilters({})}
+              type="button"
+            >
+              <FormattedMessage
+                id="departure-filters-clear"
+                defaultMessage="Show all"
+              />
+            </button>
+          )}
+        </div>
+        {isOpen && (
+          <div className="departure-filters-options">{filterElements}</div>
+        )}
+      </div>
+    );
+  }
+}
+
+export default DepartureFilters;
@@ -7,12 +7,17 @@ import Relay from 'react-relay/classic';
 import { Link } from 'react-router';
 
 import Departure from './Departure';
+import Icon from './Icon';
+import WatchDepartureButton from './WatchDepartureButton';
+import { WheelchairBoarding } from '../util/accessibilityUtils';
 import { RouteAlertsQuery } from '../util/alertQueries';
 import {
   getActiveAlertSeverityLevel,
   patternIdPredicate,
 } from '../util/alertUtils';
 import { isBrowser } from '../util/browser';
+import { filterStoptimes } from '../util/departureFilterUtils';
+import { getDepartureWatch } from '../util/notificationUtils';
 import { PREFIX_ROUTES } from '../util/path';
 import {
   stopRealTimeClient,
@@ -53,6 +58,7 @@ const asDepartures = stoptimes =>
           isArrival,
           isLastStop,
           stoptime: stoptimeTime,
+          serviceDay: stoptime.serviceDay,
           stop: stoptime.stop,
           realtime: stoptime.realtime,
           pattern,
@@ -67,6 +73,7 @@ class DepartureListContainer extends Component {
     rowClasses: PropTypes.string.isRequired,
     stoptimes: PropTypes.array.isRequired,
     currentTime: PropTypes.number.isRequired,
+    filters: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)),
     limit: PropTypes.number,
     infiniteScroll: PropTypes.bool,
     showStops: PropTypes.bool,
@@ -75,10 +82,13 @@ class DepartureListContainer extends Component {
     isTerminal: PropTypes.bool,
     showPlatformCodes: PropTypes.bool,
     isStopPage: PropTypes.bool,
+    trackVehicles: PropTypes.bool,
   };
 
   static defaultProps = {
+    filters: undefined,
     showPlatformCodes: false,
+    trackVehicles: false,
   };
 
   constructor(props) {
@@ -88,7 +98,7 @@ class DepartureListContainer extends Component {
   }
 
   componentDidMount() {
-    if (this.context.config.showVehiclesOnStopPage && this.props.isStopPage) {
+    if (this.shouldTrackVehicles()) {
       const departures = asDepartures(this.props.stoptimes)
         .filter(departure => !(this.props.isTerminal && departure.isArrival))
         .filter(departure => this.props.currentTime < departure.stoptime);
@@ -97,7 +107,7 @@ class DepartureListContainer extends Component {
   }
 
   componentDidUpdate() {
-    if (this.context.config.showVehiclesOnStopPage && this.props.isStopPage) {
+    if (this.shouldTrackVehicles()) {
       const departures = asDepartures(this.props.stoptimes)
         .filter(departure => !(this.props.isTerminal && departure.isArrival))
         .filter(departure => this.props.currentTime < departure.stoptime)
@@ -108,7 +118,7 @@ class DepartureListContainer extends Component {
   }
 
   componentWillUnmount() {
-    if (this.context.config.showVehiclesOnStopPage && this.props.isStopPage) {
+    if (this.shouldTrackVehicles()) {
       const { client } = this.context.getStore('RealTimeInformationStore');
       if (client) {
         this.context.executeAction(stopRealTimeClient, client);
@@ -184,9 +194,20 @@ class DepartureListContainer extends Component {
     return null;
   };
 
+  shouldTrackVehicles() {
+    return (
+      this.props.trackVehicles ||
+      (this.context.config.showVehiclesOnStopPage && this.props.isStopPage)
+    );
+  }
+
   render() {
     const departureObjs = [];
-    const { currentTime, limit, isTerminal, stoptimes } = this.props;
+    const { currentTime, filters, limit, isTerminal, stoptimes } = this.props;
+    const { config } = this.context;
+    const showWatchButton =
+      this.props.isStopPage && config.departureNotifications.show;
+    const showAccessibility = this.props.isStopPage && !!config.accessibility;
 
     let currentDate = moment
       .unix(currentTime)
@@ -198,7 +219,7 @@ class DepartureListContainer extends Component {
       .startOf('day')
       .unix();
 
-    const departures = asDepartures(stoptimes)
+    const departures = asDepartures(filterStoptimes(stoptimes, filters))
       .filter(departure => !(isTerminal && departure.isArrival))
       .filter(departure => currentTime < departure.stoptime)
       .slice(0, limit);
@@ -243,22 +264,45 @@ class DepartureListContainer extends Component {
           isArrival={departure.isArrival}
           isLastStop={departure.isLastStop}
           showPlatformCode={this.props.showPlatformCodes}
-        />
+        >
+          {showAccessibility &&
+            departure.trip.wheelchairAccessible ===
+              WheelchairBoarding.Possible && (
+              <Icon
+                className="wheelchair-accessible-icon"
+                img="icon-icon_wheelchair"
+              />
+            )}
+        </Departure>
+      );
+
+      const departureRow = this.props.routeLinks ? (
+        <Link
+          to={`/${PREFIX_ROUTES}/${departure.pattern.route.gtfsId}/pysakit/${
+            departure.pattern.code
+          }`}
+          key={id}
+        >
+          {departureObj}
+        </Link>
+      ) : (
+        departureObj
       );
 
-      if (this.props.routeLinks) {
+      // the button is rendered next to the departure as it cannot be inside
+      // the paragraph or the link of the departure
+      if (showWatchButton && !departure.isArrival) {
         departureObjs.push(
-          <Link
-            to={`/${PREFIX_ROUTES}/${departure.pattern.route.gtfsId}/pysakit/${
-              departure.pattern.code
-            }`}
-            key={id}
-          >
-            {departureObj}
-          </Link>,
+          <div className="departure-watch-row" key={id}>
+            {departureRow}
+            <WatchDepartureButton
+              compact
+              watch={getDepartureWatch(departure)}
+            />
+          </div>,
         );
       } else {
-        departureObjs.push(departureObj);
+        departureObjs.push(departureRow);
       }
     });
 
@@ -294,6 +338,7 @@ const containerComponent = Relay.createContainer(DepartureListContainer, {
           stopHeadsign
           stop {
             id
+            gtfsId
             code
             platformCode
           }
@@ -301,6 +346,7 @@ const containerComponent = Relay.createContainer(DepartureListContainer, {
             gtfsId
             directionId
             tripHeadsign
+            wheelchairAccessible
             stops {
               id
             }
@@ -0,0 +1,300 @@
+import get from 'lodash/get';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage, intlShape } from 'react-intl';
+
+import DTEndpointAutosuggest from './DTEndpointAutosuggest';
+import Icon from './Icon';
+import { isBrowser } from '../util/browser';
+import {
+  DEFAULT_EMBED_HEIGHT,
+  DEFAULT_EMBED_WIDTH,
+  EmbedType,
+  getEmbedDeparturesPath,
+  getEmbedSearchPath,
+  getEmbedSnippet,
+} from '../util/embedUtils';
+import { isTerminal } from '../util/suggestionUtils';
+
+const toNumber = (value, defaultValue) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : defaultValue;
+};
+
+/**
+ * Generates the iframe snippets of the embeddable search form and
+ * departure list widgets, with a preview of the widget.
+ */
+class EmbedBuilderPage extends React.Component {
+  static contextTypes = {
+    config: PropTypes.object.isRequired,
+    intl: intlShape.isRequired,
+  };
+
+  constructor(props, context) {
+    super(props, context);
+    this.state = {
+      height: DEFAULT_EMBED_HEIGHT,
+      lang: context.intl.locale,
+      origin: undefined,
+      rows: get(context.config, 'departureBoard.rows', 10),
+      stops: [],
+      type: EmbedType.Search,
+      width: DEFAULT_EMBED_WIDTH,
+    };
+  }
+
+  onTypeChange = ({ target }) => {
+    this.setState({ type: target.value });
+  };
+
+  onOriginSelected = location => {
+    this.setState({ origin: { ...location, set: true } });
+  };
+
+  onStopSelected = location => {
+    if (!location.id) {
+      return;
+    }
+    this.setState(({ stops }) => ({
+      stops: stops.some(stop => stop.id === location.id)
+        ? stops
+        : [...stops, location],
+    }));
+  };
+
+  onRemoveStop = id => {
+    this.setState(({ stops }) => ({
+      stops: stops.filter(stop => stop.id !== id),
+    }));
+  };
+
+  onRowsChange = ({ target }) => {
+    this.setState({ rows: toNumber(target.value, 1) });
+  };
+
+  onLanguageChange = ({ target }) => {
+    this.setState({ lang: target.value });
+  };
+
+  onWidthChange = ({ target }) => {
+    this.setState({ width: toNumber(target.value, DEFAULT_EMBED_WIDTH) });
+  };
+
+  onHeightChange = ({ target }) => {
+    this.setState({ height: toNumber(target.value, DEFAULT_EMBED_HEIGHT) });
+  };
+
+  getPath() {
+    const { lang, origin, rows, stops, type } = this.state;
+    if (type === EmbedType.Departures) {
+      if (stops.length === 0) {
+        return undefined;
+      }
+      return getEmbedDeparturesPath(
+        stops.filter(stop => !isTerminal(stop)).map(stop => stop.id),
+        stops.filter(isTerminal).map(stop => stop.id),
+        rows,
+        lang,
+      );
+    }
+    return getEmbedSearchPath(origin, lang);
+  }
+
+  renderSearchOptions() {
+    const { origin } = this.state;
+    return (
+      <div className="embed-builder-field search-form">
+        <h4>
+          <FormattedMessage
+            id="embed-builder-origin"
+            defaultMessage="Origin (optional)"
+          />
+        </h4>
+        <DTEndpointAutosuggest
+          id="origin"
+          refPoint={origin || { lat: 0, lon: 0 }}
+          searchType="endpoint"
+          placeholder="give-origin"
+          value={(origin && origin.address) || ''}
+          onLocationSelected={this.onOriginSelected}
+        />
+      </div>
+    );
+  }
+
+  renderDepartureOptions() {
+    const { intl } = this.context;
+    const { rows, stops } = this.state;
+    return (
+      <React.Fragment>
+        <div className="embed-builder-field search-form">
+          <h4>
+            <FormattedMessage id="embed-builder-stops" defaultMessage="Stops" />
+          </h4>
+          <DTEndpointAutosuggest
+            id="stop"
+            refPoint={{ lat: 0, lon: 0 }}
+            searchType="endpoint"
+            placeholder="embed-builder-search-stop"
+            value=""
+            layers={['Stops', 'FavouriteStop']}
+            onLocationSelected={this.onStopSelected}
+          />
+          <ul className="embed-builder-stops">
+            {stops.map(stop => (
+              <li key={stop.id}>
+                {stop.address}
+                <button
+                  type="button"
+                  className="noborder cursor-pointer"
+                  onClick={() => this.onRemoveStop(stop.id)}
+                  aria-label={intl.formatMessage({ id: 'delete' })}
+                >
+                  <Icon img="icon-icon_close" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+        <div className="embed-builder-field">
+          <label htmlFor="embed-rows">
+            <FormattedMessage
+              id="embed-builder-rows"
+              defaultMessage="Number of departures"
+            />
+            <input
+              id="embed-rows"
+              type="number"
+              min={1}
+              max={get(this.context.config, 'departureBoard.maxRows')}
+              value={rows}
+              onChange={this.onRowsChange}
+            />
+          </label>
+        </div>
+      </React.Fragment>
+    );
+  }
+
+  render() {
+    const { config, intl } = this.context;
+    const { height, lang, type, width } = this.state;
+    const path = this.getPath();
+    const src =
+      path &&
+      `${isBrowser ? window.location.origin : ''}${config.APP_PATH}${path}`;
+    const title = intl.formatMessage(
+      { id: 'embed-powered-by', defaultMessage: 'Journey planner {title}' },
+      { title: config.title },
+    );
+
+    return (
+      <div className="embed-builder fullscreen momentum-scroll">
+        <h1>
+          <FormattedMessage
+            id="embed-builder-title"
+            defaultMessage="Add a widget to your website"
+          />
+        </h1>
+        <p>
+          <FormattedMessage
+            id="embed-builder-instructions"
+            defaultMessage="Choose the widget and copy the code to your website."
+          />
+        </p>
+        <div className="embed-builder-field">
+          <label htmlFor="embed-type">
+            <FormattedMessage id="embed-builder-type" defaultMessage="Widget" />
+            <select id="embed-type" value={type} onChange={this.onTypeChange}>
+              <option value={EmbedType.Search}>
+                {intl.formatMessage({
+                  id: 'embed-builder-type-search',
+                  defaultMessage: 'Itinerary search',
+                })}
+              </option>
+              <option value={EmbedType.Departures}>
+                {intl.formatMessage({
+                  id: 'embed-builder-type-departures',
+                  defaultMessage: 'Departures',
+                })}
+              </option>
+            </select>
+          </label>
+        </div>
+        {type === EmbedType.Departures
+          ? this.renderDepartureOptions()
+          : this.renderSearchOptions()}
+        <div className="embed-builder-field">
+          <label htmlFor="embed-lang">
+            <FormattedMessage
+              id="embed-builder-language"
+              defaultMessage="Language"
+            />
+            <select
+              id="embed-lang"
+              value={lang}
+              onChange={this.onLanguageChange}
+            >
+              {config.availableLanguages.map(language => (
+                <option key={language} value={language}>
+                  {language.toUpperCase()}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <div className="embed-builder-field embed-builder-size">
+          <label htmlFor="embed-width">
+            <FormattedMessage id="embed-builder-size" defaultMessage="Size" />
+            <input
+              id="embed-width"
+              type="number"
+              min={1}
+              value={width}
+              onChange={this.onWidthChange}
+            />
+            {' x '}
+            <input
+              type="number"
+              min={1}
+              value={height}
+              onChange={this.onHeightChange}
+              aria-label={intl.formatMessage({
+                id: 'embed-builder-height',
+                defaultMessage: 'Height',
+              })}
+            />
+          </label>
+        </div>
+        {src ? (
+          <React.Fragment>
+            <textarea
+              className="embed-builder-snippet"
+              readOnly
+              value={getEmbedSnippet(src, { width, height, title })}
+              onFocus={e => e.target.select()}
+            />
+            <iframe
+              className="embed-builder-preview"
+              src={src}
+              width={width}
+              height={height}
+              title={title}
+              frameBorder="0"
+            />
+          </React.Fragment>
+        ) : (
+          <p className="embed-builder-instructions">
+            <FormattedMessage
+              id="embed-builder-choose-stops"
+              defaultMessage="Choose at least one stop."
+            />
+          </p>
+        )}
+      </div>
+    );
+  }
+}
+
+export default EmbedBuilderPage;
@@ -0,0 +1,119 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage } from 'react-intl';
+
+import DTEndpointAutosuggest from './DTEndpointAutosuggest';
+import { getEmbedHandOffPath } from '../util/embedUtils';
+import { otpToLocation } from '../util/otpStrings';
+
+const isSet = location => !!(location && location.lat && location.lon);
+
+const getInitialOrigin = query => {
+  const origin = query.from ? otpToLocation(query.from) : {};
+  return isSet(origin) ? { ...origin, set: true } : undefined;
+};
+
+/**
+ * A minimal itinerary search form for other websites to embed. The search
+ * is opened in the main user interface in a new tab.
+ */
+class EmbedSearchPage extends React.Component {
+  static propTypes = {
+    location: PropTypes.shape({
+      query: PropTypes.object,
+    }).isRequired,
+  };
+
+  static contextTypes = {
+    config: PropTypes.object.isRequired,
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      origin: getInitialOrigin(props.location.query),
+      destination: undefined,
+    };
+  }
+
+  onOriginSelected = location => {
+    this.setState({ origin: { ...location, set: true } });
+  };
+
+  onDestinationSelected = location => {
+    this.setState({ destination: { ...location, set: true } });
+  };
+
+  render() {
+    const { config } = this.context;
+    const { origin, destination } = this.state;
+    const canSearch = isSet(origin) && isSet(destination);
+    const color = config.colors.primary;
+
+    return (
+      <div className="embed embed-search">
+        <div className="embed-header" style={{ backgroundColor: color }}>
+          <FormattedMessage id="embed-search-title" defaultMessage="Get here" />
+        </div>
+        <div className="embed-search-form search-form">
+          <DTEndpointAutosuggest
+            id="origin"
+            refPoint={origin || { lat: 0, lon: 0 }}
+            searchType="endpoint"
+            placeholder="give-origin"
+            value={(origin && origin.address) || ''}
+            onLocationSelected={this.onOriginSelected}
+            showSpinner
+          />
+          <DTEndpointAutosuggest
+            id="destination"
+            refPoint={origin || { lat: 0, lon: 0 }}
+            searchType="endpoint"
+            placeholder="give-destination"
+            value={(destination && destination.address) || ''}
+            onLocationSelected={this.onDestinationSelected}
+          />
+          {canSearch ? (
+            <a
+              className="embed-button"
+              style={{ backgroundColor: color }}
+              href={`${config.APP_PATH}${getEmbedHandOffPath(
+                origin,
+                destination,
+              )}`}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              <FormattedMessage
+                id="embed-search-button"
+                defaultMessage="Search routes"
+              />
+            </a>
+          ) : (
+            <span className="embed-button disabled">
+              <FormattedMessage
+                id="embed-search-button"
+                defaultMessage="Search routes"
+              />
+            </span>
+          )}
+        </div>
+        <div className="embed-footer">
+          <a
+            href={`${config.APP_PATH}/`}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            <FormattedMessage
+              id="embed-powered-by"
+              defaultMessage="Journey planner {title}"
+              values={{ title: config.title }}
+            />
+          </a>
+        </div>
+      </div>
+    );
+  }
+}
+
+export default EmbedSearchPage;
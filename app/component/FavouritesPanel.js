@@ -5,6 +5,7 @@ import connectToStores from 'fluxible-addons-react/connectToStores';
 import shouldUpdate from 'recompose/shouldUpdate';
 import isEqual from 'lodash/isEqual';
 
+import CommuteProfiles from './CommuteProfiles';
 import FavouriteRouteListContainer from './FavouriteRouteListContainer';
 import FavouriteLocationsContainer from './FavouriteLocationsContainer';
 import NextDeparturesListHeader from './NextDeparturesListHeader';
@@ -57,6 +58,7 @@ const FavouritesPanel = ({
   origin,
   routes,
   currentTime,
+  commuteProfiles,
   favouriteLocations,
   favouriteStops,
   breakpoint,
@@ -68,6 +70,11 @@ const FavouritesPanel = ({
         currentTime={currentTime}
         favourites={[...favouriteLocations, ...favouriteStops]}
       />
+      <CommuteProfiles
+        commuteProfiles={commuteProfiles}
+        currentTime={currentTime}
+        favouriteLocations={favouriteLocations}
+      />
       <div
         className={`nearby-table-container ${breakpoint !== 'large' &&
           `mobile`}`}
@@ -92,6 +99,7 @@ FavouritesPanel.propTypes = {
   routes: PropTypes.array.isRequired,
   origin: dtLocationShape.isRequired, // eslint-disable-line react/no-typos
   currentTime: PropTypes.number.isRequired,
+  commuteProfiles: PropTypes.array,
   favouriteLocations: PropTypes.array,
   favouriteStops: PropTypes.array,
   breakpoint: PropTypes.string.isRequired,
@@ -101,6 +109,7 @@ const FilteredFavouritesPanel = shouldUpdate(
   (props, nextProps) =>
     nextProps.currentTime !== props.currentTime ||
     !isEqual(nextProps.routes, props.routes) ||
+    !isEqual(nextProps.commuteProfiles, props.commuteProfiles) ||
     !isEqual(nextProps.favouriteLocations, props.favouriteLocations) ||
     !isEqual(nextProps.favouriteStops, props.favouriteStops) ||
     nextProps.origin.gps !== props.origin.gps ||
@@ -131,6 +140,9 @@ export default connectToStores(
     favouriteLocations: context
       .getStore('FavouriteLocationStore')
       .getLocations(),
+    commuteProfiles: context
+      .getStore('FavouriteLocationStore')
+      .getCommuteProfiles(),
     favouriteStops: context.getStore('FavouriteStopsStore').getStops(),
   }),
 );
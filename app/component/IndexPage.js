@@ -37,11 +37,13 @@ import events from '../util/events';
 import * as ModeUtils from '../util/modeUtils';
 import withBreakpoint from '../util/withBreakpoint';
 import ComponentUsageExample from './ComponentUsageExample';
+import { AnalyticsEvent, analyticsShape } from '../util/analytics';
 
 const debug = d('IndexPage.js');
 
 class IndexPage extends React.Component {
   static contextTypes = {
+    analytics: analyticsShape.isRequired,
     location: locationShape.isRequired,
     router: routerShape.isRequired,
     config: PropTypes.object.isRequired,
@@ -131,22 +133,18 @@ class IndexPage extends React.Component {
 
   clickNearby = () => {
     this.openTab(TAB_NEARBY);
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'Front page tabs',
-      action: 'Nearby',
-      name: 'open',
-    });
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.FrontPageNearbyTab,
+      'open',
+    );
   };
 
   clickFavourites = () => {
     this.openTab(TAB_FAVOURITES);
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'Front page tabs',
-      action: 'Favourites',
-      name: 'open',
-    });
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.FrontPageFavouritesTab,
+      'open',
+    );
   };
 
   openTab = tab => {
@@ -0,0 +1,138 @@
+import get from 'lodash/get';
+import round from 'lodash/round';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage, intlShape } from 'react-intl';
+import { locationShape } from 'react-router';
+
+import AccessibilityStatus from './AccessibilityStatus';
+import Icon from './Icon';
+import {
+  getAccessibilityProfile,
+  getItineraryAccessibility,
+  hasAccessibilityIssues,
+  isAccessibilityProfileActive,
+} from '../util/accessibilityUtils';
+import { getCurrentSettings } from '../util/planParamUtil';
+
+const ProfileOptions = ['stepFree', 'avoidStairs', 'lowFloorOnly'];
+
+const toMessageId = option =>
+  `accessibility-${option.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+
+/**
+ * Explains how the user's accessibility settings were applied to the
+ * itinerary and shows the accessibility of its stops and trips.
+ */
+const ItineraryAccessibility = ({ itinerary }, { config, intl, location }) => {
+  if (!itinerary.legs.some(leg => leg.transitLeg)) {
+    return null;
+  }
+  const profile = getAccessibilityProfile(
+    getCurrentSettings(config, location.query),
+  );
+  const accessibility = getItineraryAccessibility(
+    itinerary,
+    profile,
+    get(config, 'accessibility.alertKeywords'),
+    intl.locale,
+  );
+  const options = [
+    ...ProfileOptions.filter(option => profile[option]).map(option =>
+      intl.formatMessage({ id: toMessageId(option) }),
+    ),
+    ...(profile.maxSlope > 0
+      ? [
+          intl.formatMessage(
+            { id: 'accessibility-max-slope-value' },
+            { slope: profile.maxSlope },
+          ),
+        ]
+      : []),
+  ];
+
+  return (
+    <div className="itinerary-accessibility">
+      <h3 className="itinerary-accessibility-header">
+        <Icon img="icon-icon_wheelchair" />
+        <FormattedMessage id="accessibility" />
+      </h3>
+      <p className="itinerary-accessibility-profile">
+        {isAccessibilityProfileActive(profile) ? (
+          <FormattedMessage
+            id="accessibility-profile-in-use"
+            values={{ options: options.join(', ') }}
+          />
+        ) : (
+          <FormattedMessage id="accessibility-profile-not-in-use" />
+        )}
+      </p>
+      {hasAccessibilityIssues(accessibility, profile) && (
+        <p className="itinerary-accessibility-issues">
+          <Icon img="icon-icon_caution" />
+          <FormattedMessage id="accessibility-issues" />
+        </p>
+      )}
+      <ul className="itinerary-accessibility-list">
+        {accessibility.stops.map(stop => (
+          <AccessibilityStatus
+            key={stop.gtfsId}
+            name={stop.name}
+            status={stop.wheelchairBoarding}
+          />
+        ))}
+        {accessibility.trips.map((trip, i) => (
+          <AccessibilityStatus
+            // eslint-disable-next-line react/no-array-index-key
+            key={`trip-${i}`}
+            name={`${intl.formatMessage({
+              id: trip.mode.toLowerCase(),
+            })} ${trip.route || ''}`}
+            status={trip.wheelchairAccessible}
+          />
+        ))}
+      </ul>
+      {accessibility.slopes.map(({ leg, slope }) => (
+        <p className="itinerary-accessibility-slope" key={leg.startTime}>
+          <Icon img="icon-icon_caution" />
+          <FormattedMessage
+            id="accessibility-steep-slope"
+            values={{ place: leg.to.name, slope: round(slope) }}
+          />
+        </p>
+      ))}
+      {accessibility.alerts.map(alert => (
+        <div
+          className="itinerary-accessibility-alert"
+          key={alert.hash || alert.header}
+        >
+          <Icon img="icon-icon_caution" />
+          <div>
+            <div className="itinerary-accessibility-alert-header">
+              {`${alert.stop}: ${alert.header}`}
+            </div>
+            {alert.description && <div>{alert.description}</div>}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+ItineraryAccessibility.propTypes = {
+  itinerary: PropTypes.shape({
+    legs: PropTypes.arrayOf(
+      PropTypes.shape({
+        transitLeg: PropTypes.bool,
+      }),
+    ).isRequired,
+  }).isRequired,
+};
+
+ItineraryAccessibility.contextTypes = {
+  config: PropTypes.object.isRequired,
+  intl: intlShape.isRequired,
+  location: locationShape.isRequired,
+};
+
+export default ItineraryAccessibility;
@@ -0,0 +1,206 @@
+import ceil from 'lodash/ceil';
+import cx from 'classnames';
+import moment from 'moment';
+import PropTypes from 'prop-types';
+import React from 'react';
+import Relay from 'react-relay/classic';
+import { FormattedMessage, intlShape } from 'react-intl';
+
+import Checkbox from './Checkbox';
+import Icon from './Icon';
+import RelativeDuration from './RelativeDuration';
+import { getFares } from '../util/fareUtils';
+import { displayDistance } from '../util/geo-utils';
+import {
+  MAX_COMPARED_ITINERARIES,
+  MIN_COMPARED_ITINERARIES,
+  compareItineraries,
+} from '../util/itineraryComparisonUtils';
+import { getRoutes } from '../util/legUtils';
+import { TIME_PATTERN } from '../util/timeUtils';
+
+const formatTimeRange = itinerary =>
+  `${moment(itinerary.startTime).format(TIME_PATTERN)} - ${moment(
+    itinerary.endTime,
+  ).format(TIME_PATTERN)}`;
+
+const formatFare = (itinerary, cents, config) => {
+  if (cents === null) {
+    return '-';
+  }
+  if (config.showTicketPrice) {
+    return `${(cents / 100).toFixed(2)} €`;
+  }
+  return getFares(itinerary.fares, getRoutes(itinerary.legs), config)
+    .map(fare => fare.ticketName)
+    .join(', ');
+};
+
+const renderValue = (id, value, itinerary, config) => {
+  switch (id) {
+    case 'duration':
+      return <RelativeDuration duration={value} />;
+    case 'walking-distance':
+    case 'biking-distance':
+      return displayDistance(value, config);
+    case 'fare':
+      return formatFare(itinerary, value, config);
+    case 'elevation-gained':
+      return value === null ? '-' : `${ceil(value, 0)} m`;
+    case 'departure':
+    case 'arrival':
+      return moment(value).format(TIME_PATTERN);
+    default:
+      return value;
+  }
+};
+
+/**
+ * Shows the selected itineraries side by side and highlights the best value
+ * of each compared criterion.
+ */
+function ItineraryComparison(
+  { itineraries, onClose, onToggle, selected },
+  { config, intl },
+) {
+  const compared = selected.map(index => itineraries[index]);
+  const comparison =
+    compared.length >= MIN_COMPARED_ITINERARIES
+      ? compareItineraries(compared, config)
+      : [];
+
+  return (
+    <div className="itinerary-comparison">
+      <div className="itinerary-comparison-header">
+        <h2>
+          <FormattedMessage id="compare-itineraries" />
+        </h2>
+        <button
+          type="button"
+          className="itinerary-comparison-close noborder"
+          onClick={onClose}
+          aria-label={intl.formatMessage({ id: 'close' })}
+        >
+          <Icon img="icon-icon_close" />
+        </button>
+      </div>
+      <div className="itinerary-comparison-selection">
+        {itineraries.map((itinerary, i) => {
+          const checked = selected.includes(i);
+          return (
+            <Checkbox
+              key={i} // eslint-disable-line react/no-array-index-key
+              checked={checked}
+              defaultMessage={`${i + 1}. ${formatTimeRange(itinerary)}`}
+              disabled={!checked && selected.length >= MAX_COMPARED_ITINERARIES}
+              onChange={() => onToggle(i)}
+            />
+          );
+        })}
+      </div>
+      {comparison.length === 0 ? (
+        <p className="itinerary-comparison-instructions">
+          <FormattedMessage
+            id="compare-itineraries-instructions"
+            values={{
+              min: MIN_COMPARED_ITINERARIES,
+              max: MAX_COMPARED_ITINERARIES,
+            }}
+          />
+        </p>
+      ) : (
+        <table className="itinerary-comparison-table">
+          <thead>
+            <tr>
+              <td />
+              {selected.map(index => (
+                <th key={index} scope="col">
+                  {`${index + 1}. ${formatTimeRange(itineraries[index])}`}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {comparison.map(({ id, values, best }) => (
+              <tr key={id}>
+                <th scope="row">
+                  <FormattedMessage id={`comparison-${id}`} />
+                </th>
+                {values.map((value, i) => (
+                  <td
+                    key={selected[i]}
+                    className={cx({ best: best.includes(i) })}
+                  >
+                    {renderValue(id, value, compared[i], config)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+ItineraryComparison.propTypes = {
+  itineraries: PropTypes.arrayOf(
+    PropTypes.shape({
+      endTime: PropTypes.number.isRequired,
+      startTime: PropTypes.number.isRequired,
+    }),
+  ).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onToggle: PropTypes.func.isRequired,
+  selected: PropTypes.arrayOf(PropTypes.number).isRequired,
+};
+
+ItineraryComparison.contextTypes = {
+  config: PropTypes.object.isRequired,
+  intl: intlShape.isRequired,
+};
+
+const containerComponent = Relay.createContainer(ItineraryComparison, {
+  fragments: {
+    itineraries: () => Relay.QL`
+      fragment on Itinerary @relay(plural: true) {
+        startTime
+        endTime
+        elevationGained
+        fares {
+          cents
+          components {
+            cents
+            fareId
+            routes {
+              agency {
+                gtfsId
+                fareUrl
+                name
+              }
+              gtfsId
+            }
+          }
+          type
+        }
+        legs {
+          mode
+          distance
+          transitLeg
+          rentedBike
+          route {
+            gtfsId
+            longName
+            agency {
+              gtfsId
+              fareUrl
+              name
+            }
+          }
+        }
+      }
+    `,
+  },
+});
+
+export { containerComponent as default, ItineraryComparison as Component };
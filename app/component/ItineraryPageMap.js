@@ -1,3 +1,4 @@
+import connectToStores from 'fluxible-addons-react/connectToStores';
 import PropTypes from 'prop-types';
 import React from 'react';
 import get from 'lodash/get';
@@ -11,6 +12,7 @@ import MapContainer from './map/MapContainer';
 import { otpToLocation } from '../util/otpStrings';
 import { isBrowser } from '../util/browser';
 import { dtLocationShape } from '../util/shapes';
+import { getCurrentLegIndex } from '../util/journeyUtils';
 
 let L;
 
@@ -21,10 +23,28 @@ if (isBrowser) {
 
 let timeout;
 
+const LIVE_MODE_ZOOM = 17;
+
+const isLiveMode = ({ itinerary, routes }) =>
+  !!itinerary && some(routes.map(route => route.liveMode));
+
 function ItineraryPageMap(
-  { itinerary, params, from, to, routes, center, breakpoint },
+  {
+    itinerary,
+    params,
+    from,
+    to,
+    routes,
+    center,
+    breakpoint,
+    currentTime,
+    position,
+  },
   { router, location },
 ) {
+  const liveMode = isLiveMode({ itinerary, routes });
+  const followPosition = liveMode && position && position.hasLocation;
+
   const leafletObjs = [
     <LocationMarker
       key="fromMarker"
@@ -61,7 +81,25 @@ function ItineraryPageMap(
     }
   }
 
-  if (itinerary) {
+  if (liveMode) {
+    // highlight the leg the user is on
+    const currentLeg =
+      itinerary.legs[
+        getCurrentLegIndex(
+          itinerary,
+          currentTime,
+          followPosition ? position : undefined,
+        )
+      ];
+    leafletObjs.push(
+      <ItineraryLine key="line" legs={itinerary.legs} passive />,
+      <ItineraryLine
+        key="currentLeg"
+        legs={[currentLeg]}
+        showIntermediateStops
+      />,
+    );
+  } else if (itinerary) {
     leafletObjs.push(
       <ItineraryLine
         key="line"
@@ -90,7 +128,12 @@ function ItineraryPageMap(
 
   let bounds;
 
-  if (!center && itinerary && !itinerary.legs[0].transitLeg) {
+  if (
+    !center &&
+    !followPosition &&
+    itinerary &&
+    !itinerary.legs[0].transitLeg
+  ) {
     bounds = polyline.decode(itinerary.legs[0].legGeometry.points);
   }
 
@@ -128,13 +171,20 @@ function ItineraryPageMap(
     }
   };
 
+  let mapCenter = center || from;
+  let zoom = bounds ? undefined : 16;
+  if (followPosition && !center) {
+    mapCenter = position;
+    zoom = LIVE_MODE_ZOOM;
+  }
+
   return (
     <MapContainer
       className="full itinerary"
       leafletObjs={leafletObjs}
-      lat={center ? center.lat : from.lat}
-      lon={center ? center.lon : from.lon}
-      zoom={bounds ? undefined : 16}
+      lat={mapCenter.lat}
+      lon={mapCenter.lon}
+      zoom={zoom}
       bounds={bounds}
       fitBounds={Boolean(bounds)}
       boundsOptions={{ maxZoom: 16 }}
@@ -162,6 +212,12 @@ ItineraryPageMap.propTypes = {
     }).isRequired,
   ).isRequired,
   breakpoint: PropTypes.string.isRequired,
+  currentTime: PropTypes.number,
+  position: PropTypes.shape({
+    hasLocation: PropTypes.bool.isRequired,
+    lat: PropTypes.number,
+    lon: PropTypes.number,
+  }),
 };
 
 ItineraryPageMap.contextTypes = {
@@ -169,4 +225,28 @@ ItineraryPageMap.contextTypes = {
   router: routerShape.isRequired,
 };
 
-export default ItineraryPageMap;
+// follows the time and the position of the user only in the live mode
+const LiveItineraryPageMap = connectToStores(
+  ItineraryPageMap,
+  ['PositionStore', 'TimeStore'],
+  context => ({
+    currentTime: context
+      .getStore('TimeStore')
+      .getCurrentTime()
+      .valueOf(),
+    position: context.getStore('PositionStore').getLocationState(),
+  }),
+);
+
+// SummaryPage calls this directly to keep the same map instance
+function ItineraryPageMapContainer(props, context) {
+  if (isLiveMode(props)) {
+    return <LiveItineraryPageMap {...props} />;
+  }
+  return ItineraryPageMap(props, context);
+}
+
+ItineraryPageMapContainer.propTypes = ItineraryPageMap.propTypes;
+ItineraryPageMapContainer.contextTypes = ItineraryPageMap.contextTypes;
+
+export { ItineraryPageMapContainer as default, ItineraryPageMap as Component };
@@ -4,11 +4,16 @@ import PropTypes from 'prop-types';
 import React from 'react';
 import { intlShape } from 'react-intl';
 
+import { formatEmissions, getItineraryEmissions } from '../util/emissionUtils';
 import { displayDistance } from '../util/geo-utils';
 import { getTotalDistance, containsBiking } from '../util/legUtils';
 
-const ItineraryProfile = ({ itinerary, small }, { config, intl }) => {
+const ItineraryProfile = (
+  { carItinerary, itinerary, small },
+  { config, intl },
+) => {
   const { elevationGained, elevationLost } = itinerary;
+  const emissions = getItineraryEmissions(itinerary, config, carItinerary);
   return (
     <div className={cx('itinerary-profile-container', { small })}>
       {containsBiking(itinerary) &&
@@ -50,17 +55,55 @@ const ItineraryProfile = ({ itinerary, small }, { config, intl }) => {
           {displayDistance(getTotalDistance(itinerary), config)}
         </div>
       </div>
+      {emissions && (
+        <div className="itinerary-profile-item">
+          <div className="itinerary-profile-item-title">
+            {`${intl.formatMessage({
+              id: 'co2-emissions',
+              defaultMessage: 'CO2 emissions',
+            })}:`}
+          </div>
+          <div className="itinerary-profile-item-value">
+            {formatEmissions(emissions.total)}
+          </div>
+        </div>
+      )}
+      {emissions &&
+        emissions.saved > 0 && (
+          <div className="itinerary-profile-item">
+            <div className="itinerary-profile-item-title">
+              {`${intl.formatMessage({
+                id: 'co2-saved-versus-car',
+                defaultMessage: 'Saved versus driving',
+              })}:`}
+            </div>
+            <div className="itinerary-profile-item-value">
+              {formatEmissions(emissions.saved)}
+            </div>
+          </div>
+        )}
     </div>
   );
 };
 
+const itineraryShape = PropTypes.shape({
+  legs: PropTypes.arrayOf(
+    PropTypes.shape({
+      distance: PropTypes.number,
+      mode: PropTypes.string,
+    }),
+  ).isRequired,
+});
+
 ItineraryProfile.propTypes = {
+  carItinerary: itineraryShape,
   itinerary: PropTypes.shape({
     elevationGained: PropTypes.number,
     elevationLost: PropTypes.number,
     legs: PropTypes.arrayOf(
       PropTypes.shape({
         distance: PropTypes.number,
+        mode: PropTypes.string,
       }),
     ).isRequired,
   }).isRequired,
@@ -68,6 +111,7 @@ ItineraryProfile.propTypes = {
 };
 
 ItineraryProfile.defaultProps = {
+  carItinerary: undefined,
   small: false,
 };
 
@@ -4,9 +4,11 @@ import React from 'react';
 import Relay from 'react-relay/classic';
 import cx from 'classnames';
 import { routerShape, locationShape } from 'react-router';
-import { FormattedMessage } from 'react-intl';
+import { FormattedMessage, intlShape } from 'react-intl';
 
 import Icon from './Icon';
+import ItineraryAccessibility from './ItineraryAccessibility';
+import JourneyLiveView from './JourneyLiveView';
 import TicketInformation from './TicketInformation';
 import RouteInformation from './RouteInformation';
 import ItineraryProfile from './ItineraryProfile';
@@ -17,26 +19,58 @@ import ItineraryLegs from './ItineraryLegs';
 import LegAgencyInfo from './LegAgencyInfo';
 import CityBikeMarker from './map/non-tile-layer/CityBikeMarker';
 import SecondaryButton from './SecondaryButton';
-import { RouteAlertsQuery, StopAlertsQuery } from '../util/alertQueries';
+import WatchDepartureButton from './WatchDepartureButton';
+import {
+  RouteAlertsQuery,
+  StopAlertsQuery,
+  StopAlertsWithContentQuery,
+} from '../util/alertQueries';
 import { getRoutes, getZones } from '../util/legUtils';
 import { BreakpointConsumer } from '../util/withBreakpoint';
 import ComponentUsageExample from './ComponentUsageExample';
 
 import exampleData from './data/ItineraryTab.exampleData.json';
 import { getFares } from '../util/fareUtils';
+import { LIVE_MODE_PATH } from '../util/path';
+import {
+  createItineraryCalendar,
+  downloadCalendar,
+} from '../util/calendarUtils';
+import { getItineraryWatch } from '../util/notificationUtils';
+import { AnalyticsEvent, analyticsShape } from '../util/analytics';
 
 class ItineraryTab extends React.Component {
   static propTypes = {
+    carItinerary: PropTypes.object,
     searchTime: PropTypes.number.isRequired,
     itinerary: PropTypes.object.isRequired,
     location: PropTypes.object,
     focus: PropTypes.func.isRequired,
+    params: PropTypes.shape({
+      to: PropTypes.string,
+    }),
+    routes: PropTypes.arrayOf(
+      PropTypes.shape({
+        liveMode: PropTypes.bool,
+      }),
+    ),
+    // false for the itineraries that are mounted but not shown on mobile
+    selected: PropTypes.bool,
+  };
+
+  static defaultProps = {
+    carItinerary: undefined,
+    params: {},
+    routes: [],
+    selected: true,
   };
 
   static contextTypes = {
+    analytics: analyticsShape.isRequired,
     config: PropTypes.object.isRequired,
     router: routerShape.isRequired,
     location: locationShape.isRequired,
+    intl: intlShape.isRequired,
   };
 
   state = {
@@ -61,12 +95,10 @@ class ItineraryTab extends React.Component {
   printItinerary = e => {
     e.stopPropagation();
 
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'ItinerarySettings',
-      action: 'ItineraryPrintButton',
-      name: 'PrintItinerary',
-    });
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.ItineraryPrint,
+      'PrintItinerary',
+    );
 
     const printPath = `${this.props.location.pathname}/tulosta`;
     this.context.router.push({
@@ -75,11 +107,57 @@ class ItineraryTab extends React.Component {
     });
   };
 
+  startJourney = e => {
+    e.stopPropagation();
+
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.ItineraryStartJourney,
+      'StartJourney',
+    );
+
+    this.context.router.push({
+      ...this.props.location,
+      pathname: `${this.props.location.pathname}/${LIVE_MODE_PATH}`,
+    });
+  };
+
+  exportToCalendar = e => {
+    e.stopPropagation();
+
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.ItineraryCalendar,
+      'ExportItineraryToCalendar',
+    );
+
+    const { config, intl } = this.context;
+    const { itinerary } = this.props;
+    downloadCalendar(
+      createItineraryCalendar(
+        itinerary,
+        config,
+        intl.formatMessage,
+        get(config, 'itinerary.calendar'),
+      ),
+    );
+  };
+
   render() {
-    const { itinerary, searchTime } = this.props;
+    const {
+      carItinerary,
+      itinerary,
+      params,
+      routes,
+      searchTime,
+      selected,
+    } = this.props;
     const { config } = this.context;
+    const showLiveMode = get(config, 'liveMode.show');
+    const isLive = showLiveMode && routes.some(route => route.liveMode);
 
     const fares = getFares(itinerary.fares, getRoutes(itinerary.legs), config);
+    const watch =
+      get(config, 'departureNotifications.show') &&
+      getItineraryWatch(itinerary);
 
     return (
       <div className="itinerary-tab">
@@ -124,15 +202,26 @@ class ItineraryTab extends React.Component {
                       </div>
                     </div>
                   )}
+                {isLive &&
+                  selected && (
+                    <JourneyLiveView
+                      destination={params.to}
+                      itinerary={itinerary}
+                    />
+                  )}
                 <ItineraryLegs
                   fares={fares}
                   itinerary={itinerary}
                   focusMap={this.handleFocus}
                 />
                 <ItineraryProfile
+                  carItinerary={carItinerary}
                   itinerary={itinerary}
                   small={breakpoint !== 'large'}
                 />
+                {config.accessibility && (
+                  <ItineraryAccessibility itinerary={itinerary} />
+                )}
                 {config.showTicketInformation && (
                   <TicketInformation
                     fares={fares}
@@ -148,6 +237,22 @@ class ItineraryTab extends React.Component {
                   buttonClickAction={e => this.printItinerary(e)}
                   buttonIcon="icon-icon_print"
                 />
+                <SecondaryButton
+                  ariaLabel="add-to-calendar"
+                  buttonName="add-to-calendar"
+                  buttonClickAction={e => this.exportToCalendar(e)}
+                  buttonIcon="icon-icon_time"
+                />
+                {watch && <WatchDepartureButton watch={watch} />}
+                {showLiveMode &&
+                  !isLive && (
+                    <SecondaryButton
+                      ariaLabel="start-journey"
+                      buttonName="start-journey"
+                      buttonClickAction={e => this.startJourney(e)}
+                      buttonIcon="icon-icon_location-with-user"
+                    />
+                  )}
               </div>
               {config.showDisclaimer && (
                 <div className="itinerary-disclaimer">
@@ -224,9 +329,12 @@ const withRelay = Relay.createContainer(ItineraryTab, {
             stop {
               gtfsId
               code
+              name
               platformCode
+              wheelchairBoarding
               zoneId
               ${StopAlertsQuery}
+              ${StopAlertsWithContentQuery}
             }
           }
           to {
@@ -240,15 +348,24 @@ const withRelay = Relay.createContainer(ItineraryTab, {
             stop {
               gtfsId
               code
+              name
               platformCode
+              wheelchairBoarding
               zoneId
               ${StopAlertsQuery}
+              ${StopAlertsWithContentQuery}
             }
           }
           legGeometry {
             length
             points
           }
+          steps {
+            elevationProfile {
+              distance
+              elevation
+            }
+          }
           intermediatePlaces {
             arrivalTime
             stop {
@@ -268,6 +385,7 @@ const withRelay = Relay.createContainer(ItineraryTab, {
           rentedBike
           startTime
           endTime
+          serviceDate
           mode
           distance
           duration
@@ -288,13 +406,16 @@ const withRelay = Relay.createContainer(ItineraryTab, {
           }
           trip {
             gtfsId
+            directionId
             tripHeadsign
+            wheelchairAccessible
             pattern {
               code
             }
             stoptimes {
               pickupType
               realtimeState
+              scheduledDeparture
               stop {
                 gtfsId
               }
@@ -0,0 +1,245 @@
+import cx from 'classnames';
+import connectToStores from 'fluxible-addons-react/connectToStores';
+import get from 'lodash/get';
+import omit from 'lodash/omit';
+import moment from 'moment';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage } from 'react-intl';
+import { locationShape, routerShape } from 'react-router';
+
+import Icon from './Icon';
+import { startLocationWatch } from '../action/PositionActions';
+import {
+  startRealTimeClient,
+  stopRealTimeClient,
+} from '../action/realTimeClientAction';
+import {
+  getCurrentLegIndex,
+  getLegVehicle,
+  getRemainingStops,
+  isOffRoute,
+} from '../util/journeyUtils';
+import { LIVE_MODE_PATH, getRoutePath } from '../util/path';
+import { getStartTime } from '../util/timeUtils';
+import { AnalyticsEvent, analyticsShape } from '../util/analytics';
+
+const getFeedId = leg => leg.route.gtfsId.split(':')[0];
+
+class JourneyLiveView extends React.Component {
+  static propTypes = {
+    currentTime: PropTypes.number.isRequired,
+    destination: PropTypes.string.isRequired,
+    itinerary: PropTypes.shape({
+      endTime: PropTypes.number.isRequired,
+      legs: PropTypes.array.isRequired,
+    }).isRequired,
+    position: PropTypes.shape({
+      hasLocation: PropTypes.bool.isRequired,
+      lat: PropTypes.number,
+      lon: PropTypes.number,
+    }).isRequired,
+    vehicles: PropTypes.object,
+  };
+
+  static defaultProps = {
+    vehicles: {},
+  };
+
+  static contextTypes = {
+    analytics: analyticsShape.isRequired,
+    config: PropTypes.object.isRequired,
+    executeAction: PropTypes.func.isRequired,
+    getStore: PropTypes.func.isRequired,
+    location: locationShape.isRequired,
+    router: routerShape.isRequired,
+  };
+
+  componentDidMount() {
+    const { executeAction } = this.context;
+    executeAction(startLocationWatch);
+    this.startClient();
+  }
+
+  componentWillUnmount() {
+    const { client } = this.context.getStore('RealTimeInformationStore');
+    if (client) {
+      this.context.executeAction(stopRealTimeClient, client);
+    }
+  }
+
+  replan = () => {
+    const { destination } = this.props;
+    const { location, router } = this.context;
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.JourneyReplan,
+      'ReplanFromCurrentPosition',
+    );
+    router.push({
+      pathname: getRoutePath('POS', destination),
+      // depart from here now
+      query: omit(location.query, ['time', 'arriveBy']),
+    });
+  };
+
+  endJourney = () => {
+    const { location, router } = this.context;
+    router.push({
+      ...location,
+      pathname: location.pathname.replace(
+        new RegExp(`/${LIVE_MODE_PATH}(/.*)?$`),
+        '',
+      ),
+    });
+  };
+
+  // follows the vehicles of the transit legs from the first realtime feed
+  startClient = () => {
+    const { config, executeAction } = this.context;
+    const legs = this.props.itinerary.legs.filter(
+      leg => leg.transitLeg && leg.realTime && leg.route && leg.trip,
+    );
+    if (legs.length === 0 || !config.realTime) {
+      return;
+    }
+    const agency = getFeedId(legs[0]);
+    const source = config.realTime[agency];
+    if (!source || !source.active) {
+      return;
+    }
+    executeAction(startRealTimeClient, {
+      ...source,
+      agency,
+      options: legs.filter(leg => getFeedId(leg) === agency).map(leg => {
+        const startTime = get(leg, 'trip.stoptimes[0].scheduledDeparture');
+        return {
+          route: source.routeSelector({ route: leg.route }),
+          mode: leg.mode.toLowerCase(),
+          direction: get(leg, 'trip.directionId'),
+          tripStartTime:
+            startTime !== undefined ? getStartTime(startTime) : undefined,
+          tripId: leg.trip.gtfsId.split(':')[1],
+          headsign: leg.trip.tripHeadsign,
+        };
+      }),
+    });
+  };
+
+  renderInstructions(leg) {
+    const { currentTime, position, vehicles } = this.props;
+    if (!leg.transitLeg) {
+      return (
+        <FormattedMessage
+          id={leg.mode === 'WALK' ? 'journey-walk-to' : 'journey-go-to'}
+          values={{ place: leg.to.name }}
+        />
+      );
+    }
+    if (currentTime < leg.startTime) {
+      return (
+        <FormattedMessage
+          id="journey-board"
+          values={{
+            route: get(leg, 'route.shortName', ''),
+            stop: leg.from.name,
+            time: moment(leg.startTime).format('HH:mm'),
+          }}
+        />
+      );
+    }
+    const vehicle = getLegVehicle(leg, vehicles);
+    let location;
+    if (vehicle) {
+      location = { lat: vehicle.lat, lon: vehicle.long };
+    } else if (position.hasLocation) {
+      location = position;
+    }
+    return (
+      <FormattedMessage
+        id="journey-get-off"
+        values={{
+          count: getRemainingStops(leg, currentTime, location),
+          stop: leg.to.name,
+        }}
+      />
+    );
+  }
+
+  render() {
+    const { currentTime, itinerary, position } = this.props;
+    const { config } = this.context;
+
+    const arrived = currentTime >= itinerary.endTime;
+    const leg =
+      itinerary.legs[
+        getCurrentLegIndex(
+          itinerary,
+          currentTime,
+          position.hasLocation ? position : undefined,
+        )
+      ];
+    const mode = leg.mode.toLowerCase();
+    const offRoute =
+      !arrived &&
+      position.hasLocation &&
+      isOffRoute(leg, position, get(config, 'liveMode.offRouteDistance', 50));
+
+    return (
+      <div className="journey-live-view">
+        <div className={cx('journey-live-leg', mode)}>
+          <Icon
+            img={arrived ? 'icon-icon_mapMarker-to' : `icon-icon_${mode}`}
+            className={mode}
+          />
+          <div className="journey-live-instructions">
+            {arrived ? (
+              <FormattedMessage id="journey-arrived" />
+            ) : (
+              this.renderInstructions(leg)
+            )}
+          </div>
+        </div>
+        {!position.hasLocation && (
+          <p className="journey-live-status">
+            <FormattedMessage id="journey-locating" />
+          </p>
+        )}
+        {offRoute && (
+          <div className="journey-live-warning">
+            <Icon img="icon-icon_caution" />
+            <FormattedMessage id="journey-off-route" />
+            <button
+              type="button"
+              className="journey-live-replan cursor-pointer"
+              onClick={this.replan}
+            >
+              <FormattedMessage id="journey-replan" />
+            </button>
+          </div>
+        )}
+        <button
+          type="button"
+          className="journey-live-end cursor-pointer"
+          onClick={this.endJourney}
+        >
+          <FormattedMessage id="end-journey" />
+        </button>
+      </div>
+    );
+  }
+}
+
+const connectedComponent = connectToStores(
+  JourneyLiveView,
+  ['PositionStore', 'RealTimeInformationStore', 'TimeStore'],
+  context => ({
+    currentTime: context
+      .getStore('TimeStore')
+      .getCurrentTime()
+      .valueOf(),
+    position: context.getStore('PositionStore').getLocationState(),
+    vehicles: context.getStore('RealTimeInformationStore').vehicles,
+  }),
+);
+
+export { connectedComponent as default, JourneyLiveView as Component };
@@ -11,6 +11,7 @@ import { getCustomizedSettings } from '../store/localStorage';
 import { getDefaultSettings } from '../util/planParamUtil';
 import { getDrawerWidth } from '../util/browser';
 import SecondaryButton from './SecondaryButton';
+import { AnalyticsEvent, analyticsShape } from '../util/analytics';
 
 class LoadCustomizedSettingsButton extends React.Component {
   static propTypes = {
@@ -18,6 +19,7 @@ class LoadCustomizedSettingsButton extends React.Component {
   };
 
   static contextTypes = {
+    analytics: analyticsShape.isRequired,
     config: PropTypes.object.isRequired,
     router: routerShape.isRequired,
   };
@@ -31,12 +33,10 @@ class LoadCustomizedSettingsButton extends React.Component {
   }
 
   loadSettingsData = () => {
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'ItinerarySettings',
-      action: 'SettingsPanelloadSettingsButton',
-      name: 'LoadSettings',
-    });
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.LoadSettings,
+      'LoadSettings',
+    );
 
     // const querySettings = getQuerySettings(this.context.location.query);
     const defaultSettings = getDefaultSettings(this.context.config);
@@ -3,10 +3,12 @@ import React from 'react';
 import { FormattedMessage, intlShape } from 'react-intl';
 import { Link } from 'react-router';
 
+import ConsentSettings from './ConsentSettings';
 import DisruptionInfoButtonContainer from './DisruptionInfoButtonContainer';
 import Icon from './Icon';
 import LangSelect from './LangSelect';
 import MainMenuLinks from './MainMenuLinks';
+import SyncAccount from './SyncAccount';
 
 function MainMenu(props, { config, intl }) {
   /* eslint-disable jsx-a11y/click-events-have-key-events, jsx-a11y/no-static-element-interactions */
@@ -36,6 +38,18 @@ function MainMenu(props, { config, intl }) {
             <DisruptionInfoButtonContainer />
           </div>
         )}
+      {config.mainMenu.showLoginCreateAccount &&
+        config.sync &&
+        config.sync.url && (
+          <div className="offcanvas-section">
+            <SyncAccount />
+          </div>
+        )}
+      {config.requireConsent && (
+        <div className="offcanvas-section">
+          <ConsentSettings />
+        </div>
+      )}
       <MainMenuLinks
         content={(
           [config.appBarLink].concat(config.footer && config.footer.content) ||
@@ -6,9 +6,11 @@ import { routerShape } from 'react-router';
 import ComponentUsageExample from './ComponentUsageExample';
 import Icon from './Icon';
 import LazilyLoad, { importLazy } from './LazilyLoad';
+import { AnalyticsEvent, analyticsShape } from '../util/analytics';
 
 class MainMenuContainer extends Component {
   static contextTypes = {
+    analytics: analyticsShape.isRequired,
     executeAction: PropTypes.func.isRequired,
     location: PropTypes.object.isRequired,
     router: routerShape.isRequired,
@@ -46,12 +48,10 @@ class MainMenuContainer extends Component {
   toggleOffcanvas = () => this.internalSetOffcanvas(!this.getOffcanvasState());
 
   internalSetOffcanvas = newState => {
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'ItinerarySettings',
-      action: 'ExtraSettingsPanelClick',
-      name: newState ? 'ExtraSettingsPanelOpen' : 'ExtraSettingsPanelClose',
-    });
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.ExtraSettingsPanel,
+      newState ? 'ExtraSettingsPanelOpen' : 'ExtraSettingsPanelClose',
+    );
 
     if (newState) {
       this.context.router.push({
@@ -8,6 +8,7 @@ import { intlShape } from 'react-intl';
 import Relay from 'react-relay/classic';
 import SwipeableViews from 'react-swipeable-views';
 
+import ConsentBanner from './ConsentBanner';
 import Icon from './Icon';
 import MessageBarMessage from './MessageBarMessage';
 import { AlertSeverityLevelType } from '../constants';
@@ -107,10 +108,12 @@ class MessageBar extends Component {
     getServiceAlertsAsync: PropTypes.func,
     lang: PropTypes.string.isRequired,
     messages: PropTypes.array.isRequired,
+    showConsentBanner: PropTypes.bool,
   };
 
   static defaultProps = {
     getServiceAlertsAsync: fetchServiceAlerts,
+    showConsentBanner: false,
   };
 
   state = {
@@ -245,6 +248,22 @@ class MessageBar extends Component {
       return null;
     }
 
+    // the consent is asked before showing any other messages
+    if (this.props.showConsentBanner) {
+      return (
+        <section
+          id="messageBar"
+          role="banner"
+          className="message-bar flex-horizontal"
+        >
+          <div className="banner-container">
+            <Icon img="icon-icon_info" className="message-icon" />
+            <ConsentBanner />
+          </div>
+        </section>
+      );
+    }
+
     const messages = this.validMessages();
     if (messages.length === 0) {
       return null;
@@ -323,7 +342,7 @@ class MessageBar extends Component {
 
 const connectedComponent = connectToStores(
   MessageBar,
-  ['MessageStore', 'PreferencesStore', 'TimeStore'],
+  ['ConsentStore', 'MessageStore', 'PreferencesStore', 'TimeStore'],
   context => ({
     lang: context.getStore('PreferencesStore').getLanguage(),
     messages: context.getStore('MessageStore').getMessages(),
@@ -331,6 +350,7 @@ const connectedComponent = connectToStores(
       .getStore('TimeStore')
       .getCurrentTime()
       .unix(),
+    showConsentBanner: !context.getStore('ConsentStore').isAnswered(),
   }),
 );
 
@@ -9,6 +9,7 @@ import SwipeableViews from 'react-swipeable-views';
 import Icon from './Icon';
 import { isBrowser } from '../util/browser';
 import { getRoutePath } from '../util/path';
+import { AnalyticsEvent, analyticsShape } from '../util/analytics';
 
 export default class MobileItineraryWrapper extends React.Component {
   static propTypes = {
@@ -23,6 +24,7 @@ export default class MobileItineraryWrapper extends React.Component {
   };
 
   static contextTypes = {
+    analytics: analyticsShape.isRequired,
     router: routerShape.isRequired,
     location: PropTypes.object.isRequired,
     intl: intlShape.isRequired,
@@ -70,12 +72,10 @@ export default class MobileItineraryWrapper extends React.Component {
   focusMap = (lat, lon) => this.props.focus(lat, lon);
 
   switchSlide = index => {
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'ItinerarySettings',
-      action: 'ItineraryDetailsClick',
-      name: 'ItineraryDetailsExpand',
-    });
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.ItineraryDetails,
+      'ItineraryDetailsExpand',
+    );
 
     this.context.router.replace({
       ...this.context.location,
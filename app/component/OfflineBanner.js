@@ -0,0 +1,41 @@
+import moment from 'moment';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage } from 'react-intl';
+import connectToStores from 'fluxible-addons-react/connectToStores';
+
+import Icon from './Icon';
+
+/**
+ * Tells the user that the network is down and the shown schedule data has
+ * been saved earlier for offline use.
+ */
+const OfflineBanner = ({ savedAt }) =>
+  savedAt ? (
+    <div className="offline-banner" role="status">
+      <Icon img="icon-icon_caution" />
+      <FormattedMessage
+        id="offline-banner"
+        defaultMessage="Offline, schedule data from {date}. Realtime information is not available."
+        values={{ date: moment(savedAt).format('D.M.YYYY HH:mm') }}
+      />
+    </div>
+  ) : null;
+
+OfflineBanner.propTypes = {
+  savedAt: PropTypes.number,
+};
+
+OfflineBanner.defaultProps = {
+  savedAt: undefined,
+};
+
+const connectedComponent = connectToStores(
+  OfflineBanner,
+  ['OfflineStore'],
+  ({ getStore }) => ({
+    savedAt: getStore('OfflineStore').getSavedAt(),
+  }),
+);
+
+export { connectedComponent as default, OfflineBanner as Component };
@@ -0,0 +1,173 @@
+import get from 'lodash/get';
+import moment from 'moment';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage, intlShape } from 'react-intl';
+
+import Icon from './Icon';
+import {
+  getDateRange,
+  getOfflineTimetableId,
+  isOfflineStorageSupported,
+  offlineStorage,
+  saveOfflineTimetable,
+} from '../util/offlineTimetables';
+
+const DATE_FORMAT = 'YYYYMMDD';
+
+const formatDate = date => moment(date, DATE_FORMAT).format('D.M.YYYY');
+
+/**
+ * Saves the timetable of a stop or a route for offline use for a chosen
+ * number of days starting from the selected date.
+ */
+class OfflineTimetableButton extends React.Component {
+  static propTypes = {
+    type: PropTypes.string.isRequired,
+    gtfsId: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    path: PropTypes.string.isRequired,
+    selectedDate: PropTypes.string.isRequired,
+    onFetchDates: PropTypes.func.isRequired,
+  };
+
+  static defaultProps = {
+    name: undefined,
+  };
+
+  static contextTypes = {
+    config: PropTypes.object.isRequired,
+    intl: intlShape.isRequired,
+  };
+
+  constructor(props, context) {
+    super(props, context);
+    this.state = {
+      days: get(context.config, 'offlineTimetables.days', [1])[0],
+      failed: false,
+      saved: undefined,
+      saving: false,
+    };
+  }
+
+  componentDidMount() {
+    if (isOfflineStorageSupported()) {
+      offlineStorage
+        .getTimetable(getOfflineTimetableId(this.props.type, this.props.gtfsId))
+        .then(saved => this.update({ saved }), () => {});
+    }
+  }
+
+  componentWillUnmount() {
+    this.unmounted = true;
+  }
+
+  onDaysChange = ({ target }) => {
+    this.setState({ days: Number(target.value) });
+  };
+
+  save = () => {
+    const { gtfsId, name, onFetchDates, path, selectedDate, type } = this.props;
+    const dates = getDateRange(selectedDate, this.state.days);
+    this.setState({ failed: false, saving: true });
+    saveOfflineTimetable({
+      type,
+      gtfsId,
+      name,
+      path: `${this.context.config.APP_PATH}${path}`,
+      startDate: dates[0],
+      endDate: dates[dates.length - 1],
+    })
+      .then(saved => onFetchDates(dates).then(() => saved))
+      .then(
+        saved => this.update({ saved, saving: false }),
+        () => this.update({ failed: true, saving: false }),
+      );
+  };
+
+  remove = () => {
+    offlineStorage
+      .removeTimetable(this.state.saved)
+      .then(() => this.update({ saved: undefined }), () => {});
+  };
+
+  update(state) {
+    if (!this.unmounted) {
+      this.setState(state);
+    }
+  }
+
+  render() {
+    if (!isOfflineStorageSupported()) {
+      return null;
+    }
+    const { config, intl } = this.context;
+    const { days, failed, saved, saving } = this.state;
+
+    if (saved) {
+      return (
+        <div className="offline-timetable">
+          <Icon img="icon-icon_schedule" />
+          <span className="offline-timetable-text">
+            <FormattedMessage
+              id="offline-timetable-saved"
+              defaultMessage="Saved for offline use {startDate} - {endDate}"
+              values={{
+                startDate: formatDate(saved.startDate),
+                endDate: formatDate(saved.endDate),
+              }}
+            />
+          </span>
+          <button
+            type="button"
+            className="offline-timetable-button"
+            onClick={this.remove}
+          >
+            <FormattedMessage id="delete" defaultMessage="Delete" />
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <div className="offline-timetable">
+        <label htmlFor="offline-timetable-days">
+          <FormattedMessage id="offline-timetable-days" defaultMessage="Days" />
+          <select
+            id="offline-timetable-days"
+            value={days}
+            onChange={this.onDaysChange}
+            disabled={saving}
+          >
+            {get(config, 'offlineTimetables.days', [1]).map(value => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          className="offline-timetable-button"
+          onClick={this.save}
+          disabled={saving}
+        >
+          {intl.formatMessage({
+            id: saving ? 'offline-timetable-saving' : 'offline-timetable-save',
+            defaultMessage: saving ? 'Saving...' : 'Save for offline use',
+          })}
+        </button>
+        {failed && (
+          <span className="offline-timetable-error">
+            <FormattedMessage
+              id="offline-timetable-failed"
+              defaultMessage="Saving the timetable failed."
+            />
+          </span>
+        )}
+      </div>
+    );
+  }
+}
+
+export default OfflineTimetableButton;
@@ -7,11 +7,13 @@ import { routerShape } from 'react-router';
 import ComponentUsageExample from './ComponentUsageExample';
 import DTAutosuggestPanel from './DTAutosuggestPanel';
 import { PREFIX_ITINERARY_SUMMARY, navigateTo } from '../util/path';
+import { preparePlanParams } from '../util/planParamUtil';
 import {
   getIntermediatePlaces,
   setIntermediatePlaces,
 } from '../util/queryUtils';
 import { dtLocationShape } from '../util/shapes';
+import { optimizeViaPointOrder } from '../util/viaPointUtils';
 
 const locationToOtp = location =>
   `${location.address}::${location.lat},${location.lon}${
@@ -27,6 +29,7 @@ class OriginDestinationBar extends React.Component {
   };
 
   static contextTypes = {
+    config: PropTypes.object.isRequired,
     intl: intlShape.isRequired,
     router: routerShape.isRequired,
   };
@@ -43,6 +46,22 @@ class OriginDestinationBar extends React.Component {
   updateViaPoints = newViaPoints =>
     setIntermediatePlaces(this.context.router, newViaPoints.map(locationToOtp));
 
+  optimizeViaPoints = viaPoints => {
+    const { config } = this.context;
+    const { destination, origin } = this.props;
+    const params = preparePlanParams(config)(
+      { from: locationToOtp(origin), to: locationToOtp(destination) },
+      { location: this.location },
+    );
+    return optimizeViaPointOrder(
+      config,
+      origin,
+      viaPoints,
+      destination,
+      params,
+    );
+  };
+
   swapEndpoints = () => {
     const { location } = this;
     const intermediatePlaces = getIntermediatePlaces(location.query);
@@ -73,6 +92,7 @@ class OriginDestinationBar extends React.Component {
         isItinerary
         initialViaPoints={getIntermediatePlaces(this.location.query)}
         updateViaPoints={this.updateViaPoints}
+        optimizeViaPoints={this.optimizeViaPoints}
         swapOrder={this.swapEndpoints}
       />
     </div>
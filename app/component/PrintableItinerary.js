@@ -340,7 +340,7 @@ class PrintableItinerary extends React.Component {
   }
 
   render() {
-    const { itinerary } = this.props;
+    const { carItinerary, itinerary } = this.props;
     const originalLegs = itinerary.legs;
     const compressedLegs = compressLegs(originalLegs);
     const legs = compressedLegs.map((o, i) => {
@@ -442,7 +442,10 @@ class PrintableItinerary extends React.Component {
     );
     return (
       <div className="print-itinerary-container">
-        <PrintableItineraryHeader itinerary={itinerary} />
+        <PrintableItineraryHeader
+          carItinerary={carItinerary}
+          itinerary={itinerary}
+        />
         <div className="print-itinerary-allLegs">{legs}</div>
       </div>
     );
@@ -450,9 +453,14 @@ class PrintableItinerary extends React.Component {
 }
 
 PrintableItinerary.propTypes = {
+  carItinerary: PropTypes.object,
   itinerary: PropTypes.object.isRequired,
 };
 
+PrintableItinerary.defaultProps = {
+  carItinerary: undefined,
+};
+
 PrintableItinerary.contextTypes = { config: PropTypes.object.isRequired };
 
 export default Relay.createContainer(PrintableItinerary, {
@@ -9,6 +9,7 @@ import Icon from './Icon';
 import RelativeDuration from './RelativeDuration';
 import { renderZoneTicket } from './ZoneTicket';
 import PreferencesStore from '../store/PreferencesStore';
+import { formatEmissions, getItineraryEmissions } from '../util/emissionUtils';
 import { getFares, getAlternativeFares } from '../util/fareUtils';
 import { displayDistance } from '../util/geo-utils';
 import { getTotalWalkingDistance, getZones, getRoutes } from '../util/legUtils';
@@ -40,7 +41,7 @@ class PrintableItineraryHeader extends React.Component {
 
   render() {
     const { config, intl } = this.context;
-    const { itinerary, language } = this.props;
+    const { carItinerary, itinerary, language } = this.props;
 
     const fares = getFares(itinerary.fares, getRoutes(itinerary.legs), config);
     const alternativeFares = getAlternativeFares(
@@ -55,6 +56,7 @@ class PrintableItineraryHeader extends React.Component {
       .locale(language)
       .format('dddd');
     const weekDayUpperCase = weekDay.charAt(0).toUpperCase() + weekDay.slice(1);
+    const emissions = getItineraryEmissions(itinerary, config, carItinerary);
 
     return (
       <div className="print-itinerary-header-container">
@@ -106,6 +108,24 @@ class PrintableItineraryHeader extends React.Component {
               config,
             ),
           })}
+          {emissions &&
+            this.createHeaderBlock({
+              name: 'co2',
+              textId: 'co2',
+              contentDetails: (
+                <span>
+                  {formatEmissions(emissions.total)}
+                  {emissions.saved > 0 && (
+                    <span style={{ fontWeight: '400' }}>
+                      {` // ${intl.formatMessage(
+                        { id: 'co2-saved-versus-car-value' },
+                        { emissions: formatEmissions(emissions.saved) },
+                      )}`}
+                    </span>
+                  )}
+                </span>
+              ),
+            })}
           {fares.length > 0 &&
             config.showTicketInformation &&
             this.createHeaderBlock({
@@ -136,10 +156,15 @@ class PrintableItineraryHeader extends React.Component {
 }
 
 PrintableItineraryHeader.propTypes = {
+  carItinerary: PropTypes.object,
   itinerary: PropTypes.object.isRequired,
   language: PropTypes.string.isRequired,
 };
 
+PrintableItineraryHeader.defaultProps = {
+  carItinerary: undefined,
+};
+
 PrintableItineraryHeader.contextTypes = {
   config: PropTypes.object.isRequired,
   intl: intlShape.isRequired,
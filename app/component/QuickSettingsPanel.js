@@ -29,6 +29,7 @@ import {
   clearQueryParams,
   getQuerySettings,
 } from '../util/queryUtils';
+import { AnalyticsEvent, analyticsShape } from '../util/analytics';
 
 class QuickSettingsPanel extends React.Component {
   static propTypes = {
@@ -38,6 +39,7 @@ class QuickSettingsPanel extends React.Component {
   };
 
   static contextTypes = {
+    analytics: analyticsShape.isRequired,
     intl: intlShape.isRequired,
     router: routerShape.isRequired,
     location: locationShape.isRequired,
@@ -69,12 +71,10 @@ class QuickSettingsPanel extends React.Component {
 
   setArriveBy = ({ target }) => {
     const arriveBy = target.value;
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'ItinerarySettings',
-      action: 'LeavingArrivingSelection',
-      name: arriveBy === 'true' ? 'SelectArriving' : 'SelectLeaving',
-    });
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.LeavingArriving,
+      arriveBy === 'true' ? 'SelectArriving' : 'SelectLeaving',
+    );
     replaceQueryParams(this.context.router, { arriveBy });
   };
 
@@ -149,12 +149,7 @@ class QuickSettingsPanel extends React.Component {
   setQuickOption = name => {
     const { router } = this.context;
 
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'ItinerarySettings',
-      action: 'ItineraryQuickSettingsSelection',
-      name,
-    });
+    this.context.analytics.trackEvent(AnalyticsEvent.QuickSettings, name);
 
     const quickOptionSet = this.getQuickOptionSets()[name];
     if (name === QuickOptionSetType.SavedSettings) {
@@ -175,12 +170,10 @@ class QuickSettingsPanel extends React.Component {
   };
 
   internalSetOffcanvas = newState => {
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'ItinerarySettings',
-      action: 'ExtraSettingsPanelClick',
-      name: newState ? 'ExtraSettingsPanelOpen' : 'ExtraSettingsPanelClose',
-    });
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.ExtraSettingsPanel,
+      newState ? 'ExtraSettingsPanelOpen' : 'ExtraSettingsPanelClose',
+    );
 
     if (newState) {
       this.context.router.push({
@@ -253,12 +246,10 @@ class QuickSettingsPanel extends React.Component {
       ',',
     );
 
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'ItinerarySettings',
-      action: 'QuickSettingsTransportModeSelection',
-      name: modes,
-    });
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.QuickSettingsTransportMode,
+      modes,
+    );
 
     replaceQueryParams(this.context.router, { modes });
   }
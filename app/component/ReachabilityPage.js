@@ -0,0 +1,290 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import moment from 'moment';
+import intersection from 'lodash/intersection';
+import { FormattedMessage } from 'react-intl';
+import { routerShape } from 'react-router';
+import connectToStores from 'fluxible-addons-react/connectToStores';
+
+import DesktopView from './DesktopView';
+import MobileView from './MobileView';
+import LazilyLoad, { importLazy } from './LazilyLoad';
+import Loading from './Loading';
+import TimeSelectorContainer from './TimeSelectorContainer';
+import ToggleButton from './ToggleButton';
+import LocationMarker from './map/LocationMarker';
+import MapContainer from './map/MapContainer';
+import {
+  fetchIsochrones,
+  getCutoffColor,
+  getCutoffs,
+} from '../util/isochroneUtils';
+import {
+  getAvailableTransportModes,
+  getModes,
+  toggleTransportMode,
+} from '../util/modeUtils';
+import { otpToLocation } from '../util/otpStrings';
+import { getHomeUrl } from '../util/path';
+import { validateServiceTimeRange } from '../util/timeUtils';
+import withBreakpoint from '../util/withBreakpoint';
+
+const jsonModules = {
+  GeoJSON: () =>
+    importLazy(import(/* webpackChunkName: "map" */ './map/GeoJSON')),
+};
+
+/**
+ * Shows the areas that can be reached by public transport from the origin
+ * within the configured travel times.
+ */
+class ReachabilityPage extends React.Component {
+  static propTypes = {
+    breakpoint: PropTypes.string.isRequired,
+    location: PropTypes.shape({
+      query: PropTypes.object,
+    }).isRequired,
+    now: PropTypes.instanceOf(moment).isRequired,
+    params: PropTypes.shape({
+      from: PropTypes.string.isRequired,
+    }).isRequired,
+  };
+
+  static contextTypes = {
+    config: PropTypes.object.isRequired,
+    router: routerShape.isRequired,
+  };
+
+  state = {
+    data: undefined,
+    error: false,
+    loading: false,
+  };
+
+  componentDidMount() {
+    this.fetchData();
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.getRequestKey(prevProps) !== this.getRequestKey(this.props)) {
+      this.fetchData();
+    }
+  }
+
+  componentWillUnmount() {
+    this.requestKey = undefined;
+  }
+
+  getOrigin = () => otpToLocation(this.props.params.from);
+
+  getSelectedModes = (props = this.props) =>
+    intersection(
+      getModes(props.location, this.context.config),
+      getAvailableTransportModes(this.context.config),
+    );
+
+  getTime = () => {
+    const { location, now } = this.props;
+    return location.query.time
+      ? moment.unix(parseInt(location.query.time, 10))
+      : now;
+  };
+
+  getRequestKey = props =>
+    [
+      props.params.from,
+      this.getSelectedModes(props).join(','),
+      props.location.query.time,
+    ].join('|');
+
+  fetchData() {
+    const origin = this.getOrigin();
+    if (!origin.lat || !origin.lon) {
+      return;
+    }
+
+    const requestKey = this.getRequestKey(this.props);
+    this.requestKey = requestKey;
+    this.setState({ loading: true, error: false });
+    fetchIsochrones(
+      this.context.config,
+      origin,
+      this.getSelectedModes(),
+      this.getTime(),
+    )
+      .then(data => {
+        if (this.requestKey === requestKey) {
+          this.setState({ data, loading: false });
+        }
+      })
+      .catch(() => {
+        if (this.requestKey === requestKey) {
+          this.setState({ data: undefined, error: true, loading: false });
+        }
+      });
+  }
+
+  renderModes() {
+    const { config, router } = this.context;
+    const selectedModes = this.getSelectedModes();
+    return (
+      <div className="btn-bar mode-filter reachability-modes no-select">
+        {getAvailableTransportModes(config).map(mode => (
+          <ToggleButton
+            key={mode}
+            icon={`${mode.toLowerCase()}-withoutBox`}
+            onBtnClick={() => toggleTransportMode(mode, config, router)}
+            state={selectedModes.includes(mode)}
+            checkedClass={mode.toLowerCase()}
+            label={mode.toLowerCase()}
+          />
+        ))}
+      </div>
+    );
+  }
+
+  renderLegend() {
+    const { config } = this.context;
+    return (
+      <ul className="reachability-legend">
+        {getCutoffs(config).map((cutoff, i) => (
+          <li key={cutoff}>
+            <span
+              className="reachability-legend-color"
+              style={{ backgroundColor: getCutoffColor(i, config) }}
+            />
+            <FormattedMessage
+              id="reachability-within-minutes"
+              defaultMessage="Within {minutes} min"
+              values={{ minutes: cutoff }}
+            />
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  renderContent(origin) {
+    const { data, error, loading } = this.state;
+    if (!origin.lat || !origin.lon) {
+      return (
+        <div className="reachability-page">
+          <p className="reachability-message">
+            <FormattedMessage
+              id="reachability-no-origin"
+              defaultMessage="Choose the origin to see how far you can get from it."
+            />
+          </p>
+        </div>
+      );
+    }
+
+    let status;
+    if (loading) {
+      status = (
+        <div style={{ position: 'relative', height: 100 }}>
+          <Loading />
+        </div>
+      );
+    } else if (error) {
+      status = (
+        <p className="reachability-message">
+          <FormattedMessage
+            id="reachability-error"
+            defaultMessage="The reachable areas could not be fetched."
+          />
+        </p>
+      );
+    } else if (data && data.features.length === 0) {
+      status = (
+        <p className="reachability-message">
+          <FormattedMessage
+            id="reachability-no-areas"
+            defaultMessage="No areas can be reached with the selected transport modes."
+          />
+        </p>
+      );
+    }
+
+    return (
+      <div className="reachability-page">
+        <p className="reachability-origin">
+          <FormattedMessage
+            id="reachability-from"
+            defaultMessage="From {address}"
+            values={{ address: origin.address }}
+          />
+        </p>
+        <TimeSelectorContainer serviceTimeRange={validateServiceTimeRange()} />
+        {this.renderModes()}
+        {this.renderLegend()}
+        {status}
+      </div>
+    );
+  }
+
+  renderMap(origin) {
+    const { data } = this.state;
+    if (!origin.lat || !origin.lon) {
+      return null;
+    }
+
+    const leafletObjs = [
+      <LocationMarker key="fromMarker" position={origin} type="from" />,
+    ];
+    if (data) {
+      leafletObjs.unshift(
+        <LazilyLoad modules={jsonModules} key={this.requestKey}>
+          {({ GeoJSON }) => <GeoJSON data={data} />}
+        </LazilyLoad>,
+      );
+    }
+
+    return (
+      <MapContainer
+        className="reachability-map"
+        lat={origin.lat}
+        lon={origin.lon}
+        zoom={11}
+        leafletObjs={leafletObjs}
+        showScaleBar
+      />
+    );
+  }
+
+  render() {
+    const origin = this.getOrigin();
+    const content = this.renderContent(origin);
+    const map = this.renderMap(origin);
+
+    if (this.props.breakpoint === 'large') {
+      return (
+        <DesktopView
+          title={
+            <FormattedMessage
+              id="reachability.title"
+              defaultMessage="Reachability"
+            />
+          }
+          homeUrl={origin.lat && origin.lon ? getHomeUrl(origin) : '/'}
+          content={content}
+          map={map}
+          scrollable
+        />
+      );
+    }
+    return <MobileView content={content} map={map} />;
+  }
+}
+
+const ReachabilityPageWithBreakpoint = withBreakpoint(ReachabilityPage);
+
+const connectedComponent = connectToStores(
+  ReachabilityPageWithBreakpoint,
+  ['TimeStore'],
+  context => ({
+    now: context.getStore('TimeStore').getCurrentTime(),
+  }),
+);
+
+export { connectedComponent as default, ReachabilityPage as Component };
@@ -27,12 +27,22 @@ class RouteMapContainer extends React.PureComponent {
       }),
     ).isRequired,
     pattern: PropTypes.object.isRequired,
+    comparedPatterns: PropTypes.arrayOf(
+      PropTypes.shape({
+        color: PropTypes.string.isRequired,
+        pattern: PropTypes.object.isRequired,
+      }),
+    ),
     tripId: PropTypes.string,
     lat: PropTypes.number,
     lon: PropTypes.number,
     breakpoint: PropTypes.string.isRequired,
   };
 
+  static defaultProps = {
+    comparedPatterns: [],
+  };
+
   constructor(props) {
     super(props);
 
@@ -53,7 +63,15 @@ class RouteMapContainer extends React.PureComponent {
 
   render() {
     const { router, location } = this.context;
-    const { pattern, lat, lon, routes, tripId, breakpoint } = this.props;
+    const {
+      comparedPatterns,
+      pattern,
+      lat,
+      lon,
+      routes,
+      tripId,
+      breakpoint,
+    } = this.props;
     const { hasCentered, shouldFitBounds } = this.state;
 
     const fullscreen = some(routes, route => route.fullscreenMap);
@@ -78,28 +96,53 @@ class RouteMapContainer extends React.PureComponent {
         router.goBack();
         return;
       }
-      router.push(`${location.pathname}/kartta`);
+      router.push({
+        pathname: `${location.pathname}/kartta`,
+        query: location.query,
+      });
     };
 
+    let filteredPoints;
+    if (pattern.geometry) {
+      filteredPoints = pattern.geometry.filter(
+        point => point.lat !== null && point.lon !== null,
+      );
+    }
+
+    // the compared patterns are drawn instead of the current one
     const leafletObjs = [
-      <RouteLine key="line" pattern={pattern} />,
+      ...(comparedPatterns.length > 0
+        ? comparedPatterns.map(compared => (
+            <RouteLine
+              key={`line-${compared.pattern.code}`}
+              color={compared.color}
+              pattern={compared.pattern}
+            />
+          ))
+        : [<RouteLine key="line" pattern={pattern} />]),
       <VehicleMarkerContainer
         key="vehicles"
         direction={pattern.directionId}
         pattern={pattern.code}
         headsign={pattern.headsign}
         tripStart={tripStart}
+        geometry={filteredPoints}
       />,
     ];
 
+    const bounds =
+      comparedPatterns.length > 0
+        ? comparedPatterns.reduce(
+            (points, compared) => [
+              ...points,
+              ...(compared.pattern.geometry || compared.pattern.stops),
+            ],
+            [],
+          )
+        : filteredPoints || pattern.stops;
+
     const showScale = fullscreen || breakpoint === 'large';
 
-    let filteredPoints;
-    if (pattern.geometry) {
-      filteredPoints = pattern.geometry.filter(
-        point => point.lat !== null && point.lon !== null,
-      );
-    }
     /* eslint-disable jsx-a11y/click-events-have-key-events, jsx-a11y/no-static-element-interactions */
     return (
       <MapContainer
@@ -108,7 +151,7 @@ class RouteMapContainer extends React.PureComponent {
         className="full"
         leafletObjs={leafletObjs}
         fitBounds={!(dispLat && dispLon) && shouldFitBounds}
-        bounds={(filteredPoints || pattern.stops).map(p => [p.lat, p.lon])}
+        bounds={bounds.map(p => [p.lat, p.lon])}
         zoom={dispLat && dispLon ? 15 : undefined}
         showScaleBar={showScale}
       >
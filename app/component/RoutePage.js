@@ -29,6 +29,7 @@ import withBreakpoint from '../util/withBreakpoint';
 import { RouteAlertsQuery, StopAlertsQuery } from '../util/alertQueries';
 
 const Tab = {
+  Compare: 'vertailu',
   Disruptions: 'hairiot',
   Stops: 'pysakit',
   Timetable: 'aikataulu',
@@ -44,6 +45,9 @@ const getActiveTab = pathname => {
   if (pathname.indexOf(`/${Tab.Timetable}`) > -1) {
     return Tab.Timetable;
   }
+  if (pathname.indexOf(`/${Tab.Compare}`) > -1) {
+    return Tab.Compare;
+  }
   return undefined;
 };
 
@@ -254,21 +258,39 @@ class RoutePage extends React.Component {
                 />
               </div>
             </a>
+            {Array.isArray(route.patterns) &&
+              route.patterns.length > 1 && (
+                <a
+                  className={cx({ 'is-active': activeTab === Tab.Compare })}
+                  onClick={() => {
+                    this.changeTab(Tab.Compare);
+                  }}
+                >
+                  <div>
+                    <Icon img="icon-icon_route" />
+                    <FormattedMessage
+                      id="route-pattern-compare"
+                      defaultMessage="Compare"
+                    />
+                  </div>
+                </a>
+              )}
             <FavouriteRouteContainer
               className="route-page-header"
               gtfsId={route.gtfsId}
             />
           </nav>
-          {patternId && (
-            <RoutePatternSelect
-              params={params}
-              route={route}
-              onSelectChange={this.onPatternChange}
-              gtfsId={route.gtfsId}
-              activeTab={activeTab}
-              className={cx({ 'bp-large': breakpoint === 'large' })}
-            />
-          )}
+          {patternId &&
+            activeTab !== Tab.Compare && (
+              <RoutePatternSelect
+                params={params}
+                route={route}
+                onSelectChange={this.onPatternChange}
+                gtfsId={route.gtfsId}
+                activeTab={activeTab}
+                className={cx({ 'bp-large': breakpoint === 'large' })}
+              />
+            )}
           <RouteAgencyInfo route={route} />
         </div>
       </div>
@@ -0,0 +1,205 @@
+import connectToStores from 'fluxible-addons-react/connectToStores';
+import moment from 'moment';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage } from 'react-intl';
+import Relay from 'react-relay/classic';
+import { Link, routerShape } from 'react-router';
+
+import Checkbox from './Checkbox';
+import DateSelect from './DateSelect';
+import { DATE_FORMAT } from '../constants';
+import { PREFIX_STOPS } from '../util/path';
+import {
+  getComparedPatternCodes,
+  getPatternColor,
+  getTripHeadsigns,
+  getUniqueStops,
+  MIN_COMPARED_PATTERNS,
+} from '../util/patternComparisonUtils';
+
+/**
+ * Compares the patterns of the route: the stops unique to each pattern and
+ * the headsigns and the number of trips on the selected date.
+ */
+class RoutePatternCompare extends React.Component {
+  static propTypes = {
+    location: PropTypes.shape({
+      query: PropTypes.object,
+    }).isRequired,
+    params: PropTypes.shape({
+      patternId: PropTypes.string.isRequired,
+    }).isRequired,
+    relay: PropTypes.object.isRequired,
+    route: PropTypes.object.isRequired,
+    serviceDay: PropTypes.string.isRequired,
+  };
+
+  static contextTypes = {
+    router: routerShape.isRequired,
+  };
+
+  constructor(props) {
+    super(props);
+    props.relay.setVariables({ serviceDay: props.serviceDay });
+  }
+
+  getComparedCodes() {
+    const { location, params, route } = this.props;
+    return getComparedPatternCodes(
+      route.patterns,
+      params.patternId,
+      location.query,
+    );
+  }
+
+  changeDate = ({ target }) => {
+    this.props.relay.setVariables({ serviceDay: target.value });
+  };
+
+  togglePattern = code => ({ target }) => {
+    const { location, route } = this.props;
+    const comparedCodes = this.getComparedCodes();
+    const patterns = route.patterns
+      .map(pattern => pattern.code)
+      .filter(
+        patternCode =>
+          patternCode === code
+            ? target.checked
+            : comparedCodes.includes(patternCode),
+      );
+    this.context.router.replace({
+      ...location,
+      query: { ...location.query, patterns: patterns.join(',') },
+    });
+  };
+
+  renderPattern(pattern, isCompared, uniqueStops) {
+    const { route } = this.props;
+    const comparedCount = this.getComparedCodes().length;
+    return (
+      <li key={pattern.code} className="route-pattern-compare-pattern">
+        <div className="route-pattern-compare-pattern-header">
+          <span
+            className="route-pattern-compare-color"
+            style={{
+              backgroundColor: getPatternColor(route.patterns, pattern.code),
+            }}
+          />
+          <Checkbox
+            checked={isCompared}
+            defaultMessage={`${pattern.stops[0].name} ➔ ${pattern.headsign}`}
+            disabled={isCompared && comparedCount <= MIN_COMPARED_PATTERNS}
+            onChange={this.togglePattern(pattern.code)}
+          />
+        </div>
+        {isCompared && (
+          <div className="route-pattern-compare-details">
+            <div className="route-pattern-compare-trips">
+              <FormattedMessage
+                id="route-pattern-compare-trip-count"
+                defaultMessage="{count, plural, =0 {No trips} one {1 trip} other {{count} trips}}"
+                values={{ count: (pattern.trips || []).length }}
+              />
+              {' – '}
+              {getTripHeadsigns(pattern).join(', ')}
+            </div>
+            <h4>
+              <FormattedMessage
+                id="route-pattern-compare-unique-stops"
+                defaultMessage="Stops only on this variant"
+              />
+            </h4>
+            {uniqueStops.length > 0 ? (
+              <ul className="route-pattern-compare-stops">
+                {uniqueStops.map(stop => (
+                  <li key={stop.gtfsId}>
+                    <Link to={`/${PREFIX_STOPS}/${stop.gtfsId}`}>
+                      {stop.name}
+                      {stop.code && ` (${stop.code})`}
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="route-pattern-compare-no-stops">
+                <FormattedMessage
+                  id="route-pattern-compare-no-unique-stops"
+                  defaultMessage="The other variants stop at all of its stops"
+                />
+              </p>
+            )}
+          </div>
+        )}
+      </li>
+    );
+  }
+
+  render() {
+    const { relay, route, serviceDay } = this.props;
+    const comparedCodes = this.getComparedCodes();
+    const uniqueStops = getUniqueStops(
+      route.patterns.filter(pattern => comparedCodes.includes(pattern.code)),
+    );
+
+    return (
+      <div className="route-pattern-compare">
+        <div className="route-page-action-bar">
+          <DateSelect
+            startDate={serviceDay}
+            selectedDate={relay.variables.serviceDay}
+            dateFormat={DATE_FORMAT}
+            onDateChange={this.changeDate}
+          />
+        </div>
+        <ul className="route-pattern-compare-patterns">
+          {route.patterns.map(pattern =>
+            this.renderPattern(
+              pattern,
+              comparedCodes.includes(pattern.code),
+              uniqueStops[pattern.code] || [],
+            ),
+          )}
+        </ul>
+      </div>
+    );
+  }
+}
+
+const connectedComponent = connectToStores(
+  Relay.createContainer(RoutePatternCompare, {
+    initialVariables: {
+      serviceDay: moment().format(DATE_FORMAT),
+    },
+    fragments: {
+      route: () => Relay.QL`
+        fragment on Route {
+          gtfsId
+          patterns {
+            code
+            directionId
+            headsign
+            stops {
+              gtfsId
+              code
+              name
+            }
+            trips: tripsForDate(serviceDay: $serviceDay) {
+              id
+              tripHeadsign
+            }
+          }
+        }
+      `,
+    },
+  }),
+  [],
+  context => ({
+    serviceDay: context
+      .getStore('TimeStore')
+      .getCurrentTime()
+      .format(DATE_FORMAT),
+  }),
+);
+
+export { connectedComponent as default, RoutePatternCompare as Component };
@@ -0,0 +1,83 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import Relay from 'react-relay/classic';
+
+import RouteMapContainer from './RouteMapContainer';
+import RouteLine from './map/route/RouteLine';
+import {
+  getComparedPatternCodes,
+  getPatternColor,
+} from '../util/patternComparisonUtils';
+
+/**
+ * Overlays the compared patterns of the route on the route map.
+ */
+function RoutePatternCompareMap({ location, params, route, routes }) {
+  if (!route) {
+    return false;
+  }
+  const pattern = route.patterns.find(({ code }) => code === params.patternId);
+  if (!pattern) {
+    return false;
+  }
+
+  const comparedCodes = getComparedPatternCodes(
+    route.patterns,
+    params.patternId,
+    location.query,
+  );
+  return (
+    <RouteMapContainer
+      comparedPatterns={route.patterns
+        .filter(({ code }) => comparedCodes.includes(code))
+        .map(compared => ({
+          color: getPatternColor(route.patterns, compared.code),
+          pattern: compared,
+        }))}
+      pattern={pattern}
+      routes={routes}
+    />
+  );
+}
+
+RoutePatternCompareMap.propTypes = {
+  location: PropTypes.shape({
+    query: PropTypes.object,
+  }).isRequired,
+  params: PropTypes.shape({
+    patternId: PropTypes.string.isRequired,
+  }).isRequired,
+  route: PropTypes.shape({
+    patterns: PropTypes.array.isRequired,
+  }),
+  routes: PropTypes.array.isRequired,
+};
+
+RoutePatternCompareMap.defaultProps = {
+  route: undefined,
+};
+
+const containerComponent = Relay.createContainer(RoutePatternCompareMap, {
+  fragments: {
+    route: () => Relay.QL`
+      fragment on Route {
+        patterns {
+          code
+          directionId
+          geometry {
+            lat
+            lon
+          }
+          stops {
+            lat
+            lon
+          }
+          ${RouteMapContainer.getFragment('pattern')}
+          ${RouteLine.getFragment('pattern')}
+        }
+      }
+    `,
+  },
+});
+
+export { containerComponent as default, RoutePatternCompareMap as Component };
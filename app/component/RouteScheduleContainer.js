@@ -13,7 +13,22 @@ import DateSelect from './DateSelect';
 import SecondaryButton from './SecondaryButton';
 import Loading from './Loading';
 import Icon from './Icon';
+import OfflineTimetableButton from './OfflineTimetableButton';
 import { RealtimeStateType } from '../constants';
+import { AnalyticsEvent, analyticsShape } from '../util/analytics';
+import { downloadFile, printDocument } from '../util/browser';
+import {
+  fetchOfflineDates,
+  OfflineTimetableType,
+} from '../util/offlineTimetables';
+import { PREFIX_ROUTES } from '../util/path';
+import {
+  getScheduleDates,
+  getStopSchedules,
+  ScheduleDayType,
+  toScheduleCsv,
+  toScheduleHtml,
+} from '../util/routeScheduleUtils';
 
 const DATE_FORMAT = 'YYYYMMDD';
 
@@ -31,6 +46,7 @@ class RouteScheduleContainer extends Component {
   };
 
   static contextTypes = {
+    analytics: analyticsShape.isRequired,
     intl: intlShape.isRequired,
     config: PropTypes.object.isRequired,
   };
@@ -64,7 +80,10 @@ class RouteScheduleContainer extends Component {
       this.props.relay.route.params.patternId
     ) {
       this.initState(nextProps, false);
-      nextProps.relay.setVariables({ serviceDay: nextProps.serviceDay });
+      nextProps.relay.setVariables({
+        serviceDay: nextProps.serviceDay,
+        showWeekSchedule: false,
+      });
     }
   }
 
@@ -121,12 +140,133 @@ class RouteScheduleContainer extends Component {
     });
   };
 
+  getSelectedStopSchedules = () => {
+    const { pattern } = this.props;
+    const { from, to } = this.state;
+    return getStopSchedules(pattern.stops.slice(from, to + 1), {
+      [ScheduleDayType.Weekday]: pattern.weekdayTrips,
+      [ScheduleDayType.Saturday]: pattern.saturdayTrips,
+      [ScheduleDayType.Sunday]: pattern.sundayTrips,
+    });
+  };
+
+  getScheduleHeaders = () => {
+    const { intl } = this.context;
+    const { headsign, route } = this.props.pattern;
+    return {
+      title: `${route.shortName || route.longName} ➔ ${headsign}`,
+      stop: intl.formatMessage({ id: 'stop', defaultMessage: 'Stop' }),
+      code: intl.formatMessage({
+        id: 'route-schedule-stop-code',
+        defaultMessage: 'Stop code',
+      }),
+      hour: intl.formatMessage({
+        id: 'route-schedule-hour',
+        defaultMessage: 'Hour',
+      }),
+      noDepartures: intl.formatMessage({
+        id: 'no-departures',
+        defaultMessage: 'No departures',
+      }),
+      [ScheduleDayType.Weekday]: intl.formatMessage({
+        id: 'route-schedule-weekday',
+        defaultMessage: 'Mon–Fri',
+      }),
+      [ScheduleDayType.Saturday]: intl.formatMessage({
+        id: 'route-schedule-saturday',
+        defaultMessage: 'Saturday',
+      }),
+      [ScheduleDayType.Sunday]: intl.formatMessage({
+        id: 'route-schedule-sunday',
+        defaultMessage: 'Sunday',
+      }),
+    };
+  };
+
+  hasWeekSchedule = () => {
+    const { variables } = this.props.relay;
+    const dates = getScheduleDates(variables.serviceDay);
+    return (
+      variables.showWeekSchedule &&
+      Object.values(ScheduleDayType).every(day => variables[day] === dates[day])
+    );
+  };
+
+  /**
+   * Fetches the trips of the week schedule, unless they already are, and
+   * then exports the schedules of the selected stops. onError is called if
+   * the trips cannot be fetched.
+   */
+  exportWeekSchedule = (exportSchedule, onError = () => {}) => {
+    if (this.hasWeekSchedule()) {
+      exportSchedule(this.getSelectedStopSchedules());
+      return;
+    }
+    const { relay } = this.props;
+    relay.setVariables(
+      {
+        showWeekSchedule: true,
+        ...getScheduleDates(relay.variables.serviceDay),
+      },
+      ({ done, error, mounted }) => {
+        if (error) {
+          onError(error);
+        } else if (done && mounted) {
+          // the fetched trips reach the props in the same update as this
+          this.setState({}, () =>
+            exportSchedule(this.getSelectedStopSchedules()),
+          );
+        }
+      },
+    );
+  };
+
+  downloadScheduleCsv = e => {
+    e.stopPropagation();
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.RouteScheduleExport,
+      'CSV',
+    );
+    const { code } = this.props.pattern;
+    this.exportWeekSchedule(schedules =>
+      downloadFile(
+        toScheduleCsv(schedules, this.getScheduleHeaders()),
+        `${code.replace(/:/g, '_')}.csv`,
+        'text/csv;charset=utf-8',
+      ),
+    );
+  };
+
+  printWeekSchedule = e => {
+    e.stopPropagation();
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.RouteScheduleExport,
+      'Print',
+    );
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      return;
+    }
+    this.exportWeekSchedule(
+      schedules =>
+        printDocument(
+          printWindow,
+          toScheduleHtml(schedules, this.getScheduleHeaders()),
+        ),
+      () => printWindow.close(),
+    );
+  };
+
+  fetchDates = dates =>
+    fetchOfflineDates(this.props.relay, 'serviceDay', dates);
+
   formatTime = timestamp => moment(timestamp * 1000).format('HH:mm');
 
   changeDate = ({ target }) => {
     // TODO: add setState and a callback that resets the laoding state in oreder to get a spinner.
     this.props.relay.setVariables({
       serviceDay: target.value,
+      showWeekSchedule: false,
     });
   };
 
@@ -187,6 +327,8 @@ class RouteScheduleContainer extends Component {
         this.props.pattern.route,
       );
 
+    const { code, route } = this.props.pattern;
+
     return (
       <div className="route-schedule-content-wrapper">
         <div className="route-page-action-bar">
@@ -207,6 +349,20 @@ class RouteScheduleContainer extends Component {
                 smallSize
               />
             )}
+            <SecondaryButton
+              ariaLabel="print-week-schedule"
+              buttonName="print-week-schedule"
+              buttonClickAction={this.printWeekSchedule}
+              buttonIcon="icon-icon_print"
+              smallSize
+            />
+            <SecondaryButton
+              ariaLabel="download-week-schedule"
+              buttonName="download-week-schedule"
+              buttonClickAction={this.downloadScheduleCsv}
+              buttonIcon="icon-icon_share"
+              smallSize
+            />
             <SecondaryButton
               ariaLabel="print"
               buttonName="print"
@@ -216,6 +372,14 @@ class RouteScheduleContainer extends Component {
             />
           </div>
         </div>
+        <OfflineTimetableButton
+          type={OfflineTimetableType.Pattern}
+          gtfsId={code}
+          name={route.shortName}
+          path={`/${PREFIX_ROUTES}/${route.gtfsId}/aikataulu/${code}`}
+          selectedDate={this.props.relay.variables.serviceDay}
+          onFetchDates={this.fetchDates}
+        />
         <div className="route-schedule-list-wrapper">
           <RouteScheduleHeader
             stops={this.props.pattern.stops}
@@ -237,18 +401,24 @@ const connectedComponent = connectToStores(
   Relay.createContainer(RouteScheduleContainer, {
     initialVariables: {
       serviceDay: moment().format(DATE_FORMAT),
+      showWeekSchedule: false,
+      ...getScheduleDates(moment().format(DATE_FORMAT)),
     },
     fragments: {
       pattern: () => Relay.QL`
         fragment on Pattern {
+          code
+          headsign
           stops {
             id
+            code
             name
           }
           route {
             url
             gtfsId
             shortName
+            longName
           }
           tripsForDate(serviceDay: $serviceDay) {
             id
@@ -262,6 +432,33 @@ const connectedComponent = connectToStores(
               }
             }
           }
+          weekdayTrips: tripsForDate(serviceDay: $weekday)
+            @include(if: $showWeekSchedule) {
+            stoptimes: stoptimesForDate(serviceDay: $weekday) {
+              scheduledDeparture
+              stop {
+                id
+              }
+            }
+          }
+          saturdayTrips: tripsForDate(serviceDay: $saturday)
+            @include(if: $showWeekSchedule) {
+            stoptimes: stoptimesForDate(serviceDay: $saturday) {
+              scheduledDeparture
+              stop {
+                id
+              }
+            }
+          }
+          sundayTrips: tripsForDate(serviceDay: $sunday)
+            @include(if: $showWeekSchedule) {
+            stoptimes: stoptimesForDate(serviceDay: $sunday) {
+              scheduledDeparture
+              stop {
+                id
+              }
+            }
+          }
         }
       `,
     },
@@ -13,6 +13,7 @@ import {
 import { getCurrentSettings, getDefaultSettings } from '../util/planParamUtil';
 import { getQuerySettings } from '../util/queryUtils';
 import { getDrawerWidth } from '../util/browser';
+import { AnalyticsEvent, analyticsShape } from '../util/analytics';
 
 class SaveCustomizedSettingsButton extends React.Component {
   static propTypes = {
@@ -20,6 +21,7 @@ class SaveCustomizedSettingsButton extends React.Component {
   };
 
   static contextTypes = {
+    analytics: analyticsShape.isRequired,
     config: PropTypes.object.isRequired,
     location: locationShape.isRequired,
   };
@@ -33,12 +35,10 @@ class SaveCustomizedSettingsButton extends React.Component {
   }
 
   setSettingsData = () => {
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'ItinerarySettings',
-      action: 'SettingsPanelSaveSettingsButton',
-      name: 'SaveSettings',
-    });
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.SaveSettings,
+      'SaveSettings',
+    );
 
     const querySettings = getQuerySettings(this.context.location.query);
     const customizedSettings = getCustomizedSettings();
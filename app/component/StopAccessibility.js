@@ -0,0 +1,69 @@
+import get from 'lodash/get';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage, intlShape } from 'react-intl';
+
+import AccessibilityStatus from './AccessibilityStatus';
+import Icon from './Icon';
+import {
+  WheelchairBoarding,
+  getAccessibilityAlertsForStop,
+} from '../util/accessibilityUtils';
+
+/**
+ * Shows the wheelchair accessibility of the stop and its elevator and
+ * escalator alerts.
+ */
+const StopAccessibility = ({ stop }, { config, intl }) => {
+  if (!config.accessibility) {
+    return null;
+  }
+  const alerts = getAccessibilityAlertsForStop(
+    stop,
+    get(config, 'accessibility.alertKeywords'),
+    intl.locale,
+  );
+  return (
+    <div className="stop-accessibility">
+      <h3 className="stop-accessibility-header">
+        <Icon img="icon-icon_wheelchair" />
+        <FormattedMessage id="accessibility" />
+      </h3>
+      <ul className="stop-accessibility-list">
+        <AccessibilityStatus
+          name={intl.formatMessage({ id: 'accessibility-boarding' })}
+          status={stop.wheelchairBoarding || WheelchairBoarding.NoInformation}
+        />
+      </ul>
+      {alerts.map(alert => (
+        <div
+          className="stop-accessibility-alert"
+          key={alert.hash || alert.header}
+        >
+          <Icon img="icon-icon_caution" />
+          <div>
+            <div className="stop-accessibility-alert-header">
+              {alert.header}
+            </div>
+            {alert.description && <div>{alert.description}</div>}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+StopAccessibility.propTypes = {
+  stop: PropTypes.shape({
+    alerts: PropTypes.array,
+    name: PropTypes.string,
+    wheelchairBoarding: PropTypes.oneOf(Object.values(WheelchairBoarding)),
+  }).isRequired,
+};
+
+StopAccessibility.contextTypes = {
+  config: PropTypes.object.isRequired,
+  intl: intlShape.isRequired,
+};
+
+export default StopAccessibility;
@@ -6,6 +6,7 @@ import Relay from 'react-relay/classic';
 
 import AlertList from './AlertList';
 import DepartureCancelationInfo from './DepartureCancelationInfo';
+import StopAccessibility from './StopAccessibility';
 import { DATE_FORMAT } from '../constants';
 import {
   RouteAlertsWithContentQuery,
@@ -48,7 +49,10 @@ const StopAlertsContainer = ({ stop }, { intl }) => {
   ];
 
   return (
-    <AlertList cancelations={cancelations} serviceAlerts={serviceAlerts} />
+    <React.Fragment>
+      <StopAccessibility stop={stop} />
+      <AlertList cancelations={cancelations} serviceAlerts={serviceAlerts} />
+    </React.Fragment>
   );
 };
 
@@ -90,6 +94,8 @@ const containerComponent = Relay.createContainer(StopAlertsContainer, {
   fragments: {
     stop: () => Relay.QL`
       fragment Timetable on Stop {
+        name
+        wheelchairBoarding
         ${StopAlertsWithContentQuery}
         stoptimes: stoptimesWithoutPatterns(
           startTime:$startTime,
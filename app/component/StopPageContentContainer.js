@@ -4,13 +4,22 @@ import Relay from 'react-relay/classic';
 import connectToStores from 'fluxible-addons-react/connectToStores';
 import { FormattedMessage } from 'react-intl';
 
+import DepartureFilters from './DepartureFilters';
 import DepartureListHeader from './DepartureListHeader';
 import DepartureListContainer from './DepartureListContainer';
 import Error404 from './404';
 import Icon from './Icon';
+import {
+  filterStoptimes,
+  getDepartureFilterOptions,
+  getDepartureFilters,
+} from '../util/departureFilterUtils';
 
 class StopPageContent extends React.Component {
   static propTypes = {
+    location: PropTypes.shape({
+      query: PropTypes.object,
+    }).isRequired,
     params: PropTypes.oneOfType([
       PropTypes.shape({ stopId: PropTypes.string.isRequired }).isRequired,
       PropTypes.shape({ terminalId: PropTypes.string.isRequired }).isRequired,
@@ -48,11 +57,25 @@ class StopPageContent extends React.Component {
         </div>
       );
     }
+    const filters = getDepartureFilters(this.props.location.query);
     return (
       <React.Fragment>
+        <DepartureFilters
+          filters={filters}
+          options={getDepartureFilterOptions(stoptimes)}
+        />
         <DepartureListHeader />
         <div className="stop-scroll-container momentum-scroll">
+          {filterStoptimes(stoptimes, filters).length === 0 && (
+            <div className="stop-no-departures-container">
+              <FormattedMessage
+                id="departure-filters-no-departures"
+                defaultMessage="No departures match the filters"
+              />
+            </div>
+          )}
           <DepartureListContainer
+            filters={filters}
             stoptimes={stoptimes}
             key="departures"
             className="stop-page momentum-scroll"
@@ -87,6 +110,23 @@ const connectedComponent = Relay.createContainer(
           numberOfDepartures: $numberOfDepartures, 
           omitCanceled: false
         ) {
+          stopHeadsign
+          stop {
+            platformCode
+          }
+          trip {
+            tripHeadsign
+            pattern {
+              route {
+                gtfsId
+                shortName
+                longName
+                agency {
+                  name
+                }
+              }
+            }
+          }
           ${DepartureListContainer.getFragment('stoptimes')}
         }
       }
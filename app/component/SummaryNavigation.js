@@ -11,6 +11,7 @@ import { getDrawerWidth, isBrowser } from '../util/browser';
 import * as ModeUtils from '../util/modeUtils';
 import { parseLocation } from '../util/path';
 import withBreakpoint from '../util/withBreakpoint';
+import { AnalyticsEvent, analyticsShape } from '../util/analytics';
 
 class SummaryNavigation extends React.Component {
   static propTypes = {
@@ -33,6 +34,7 @@ class SummaryNavigation extends React.Component {
   };
 
   static contextTypes = {
+    analytics: analyticsShape.isRequired,
     config: PropTypes.object.isRequired,
     router: routerShape,
     location: PropTypes.object.isRequired,
@@ -85,12 +87,10 @@ class SummaryNavigation extends React.Component {
   };
 
   internalSetOffcanvas = newState => {
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'ItinerarySettings',
-      action: 'ExtraSettingsPanelClick',
-      name: newState ? 'ExtraSettingsPanelOpen' : 'ExtraSettingsPanelClose',
-    });
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.ExtraSettingsPanel,
+      newState ? 'ExtraSettingsPanelOpen' : 'ExtraSettingsPanelClose',
+    );
 
     if (newState) {
       this.context.router.push({
@@ -33,6 +33,7 @@ import ComponentUsageExample from './ComponentUsageExample';
 import exampleData from './data/SummaryPage.ExampleData';
 import { isBrowser } from '../util/browser';
 import { itineraryHasCancelation } from '../util/alertUtils';
+import { ConsentCategory } from '../constants';
 
 export const ITINERARYFILTERING_DEFAULT = 1.5;
 
@@ -87,6 +88,7 @@ class SummaryPage extends React.Component {
     location: PropTypes.object.isRequired,
     config: PropTypes.object,
     executeAction: PropTypes.func.isRequired,
+    getStore: PropTypes.func.isRequired,
     headers: PropTypes.object.isRequired,
   };
 
@@ -139,6 +141,9 @@ class SummaryPage extends React.Component {
 
     if (
       get(this.context, 'config.showHSLTracking', false) &&
+      this.context
+        .getStore('ConsentStore')
+        .hasConsent(ConsentCategory.FeedbackSurveys) &&
       host &&
       host.indexOf('127.0.0.1') === -1 &&
       host.indexOf('localhost') === -1
@@ -268,12 +273,14 @@ class SummaryPage extends React.Component {
     if (error && hasItineraries) {
       itineraries = [];
     }
+    const carItinerary = get(this.props.plan, 'carPlan.itineraries[0]');
 
     if (
       this.props.routes[this.props.routes.length - 1].printPage &&
       hasItineraries
     ) {
       return React.cloneElement(this.props.content, {
+        carItinerary,
         itinerary: itineraries[this.props.params.hash],
         focus: this.updateCenter,
       });
@@ -318,6 +325,7 @@ class SummaryPage extends React.Component {
           >
             {this.props.content &&
               React.cloneElement(this.props.content, {
+                carItinerary,
                 itinerary:
                   hasItineraries && itineraries[this.props.params.hash],
                 focus: this.updateCenter,
@@ -376,7 +384,12 @@ class SummaryPage extends React.Component {
         >
           {this.props.content &&
             itineraries.map((itinerary, i) =>
-              React.cloneElement(this.props.content, { key: i, itinerary }),
+              React.cloneElement(this.props.content, {
+                key: i,
+                carItinerary,
+                itinerary,
+                selected: i === parseInt(this.props.params.hash, 10),
+              }),
             )}
         </MobileItineraryWrapper>
       );
@@ -486,6 +499,23 @@ const containerComponent = Relay.createContainer(SummaryPageWithBreakpoint, {
             }
           }
         }
+        carPlan: plan(
+          fromPlace: $fromPlace,
+          toPlace: $toPlace,
+          intermediatePlaces: $intermediatePlaces,
+          numItineraries: 1,
+          modes: "CAR",
+          date: $date,
+          time: $time,
+          arriveBy: $arriveBy,
+        ) @include(if: $showEmissions) {
+          itineraries {
+            legs {
+              distance
+              mode
+            }
+          }
+        }
       }
     `,
     serviceTimeRange: () => Relay.QL`
@@ -524,6 +554,7 @@ const containerComponent = Relay.createContainer(SummaryPageWithBreakpoint, {
       walkSpeed: null,
       wheelchair: null,
       allowedBikeRentalNetworks: null,
+      showEmissions: false,
     },
     ...defaultRoutingSettings,
   },
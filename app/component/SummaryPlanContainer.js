@@ -2,14 +2,21 @@ import connectToStores from 'fluxible-addons-react/connectToStores';
 import moment from 'moment';
 import PropTypes from 'prop-types';
 import React from 'react';
+import { FormattedMessage } from 'react-intl';
 import Relay from 'react-relay/classic';
 import { routerShape } from 'react-router';
 import getContext from 'recompose/getContext';
 
+import ItineraryComparison from './ItineraryComparison';
 import ItinerarySummaryListContainer from './ItinerarySummaryListContainer';
 import TimeNavigationButtons from './TimeNavigationButtons';
 import TimeStore from '../store/TimeStore';
 import PositionStore from '../store/PositionStore';
+import {
+  MAX_COMPARED_ITINERARIES,
+  MIN_COMPARED_ITINERARIES,
+  parseComparedIndexes,
+} from '../util/itineraryComparisonUtils';
 import { otpToLocation } from '../util/otpStrings';
 import { getRoutePath } from '../util/path';
 import {
@@ -18,6 +25,7 @@ import {
 } from '../util/planParamUtil';
 import { getIntermediatePlaces, replaceQueryParams } from '../util/queryUtils';
 import withBreakpoint from '../util/withBreakpoint';
+import { AnalyticsEvent, analyticsShape } from '../util/analytics';
 
 class SummaryPlanContainer extends React.Component {
   static propTypes = {
@@ -58,6 +66,7 @@ class SummaryPlanContainer extends React.Component {
   };
 
   static contextTypes = {
+    analytics: analyticsShape.isRequired,
     router: routerShape.isRequired,
     location: PropTypes.object.isRequired,
   };
@@ -77,12 +86,10 @@ class SummaryPlanContainer extends React.Component {
   onSelectImmediately = index => {
     if (Number(this.props.params.hash) === index) {
       if (this.props.breakpoint === 'large') {
-        window.dataLayer.push({
-          event: 'sendMatomoEvent',
-          category: 'ItinerarySettings',
-          action: 'ItineraryDetailsClick',
-          name: 'ItineraryDetailsCollapse',
-        });
+        this.context.analytics.trackEvent(
+          AnalyticsEvent.ItineraryDetails,
+          'ItineraryDetailsCollapse',
+        );
         this.context.router.replace({
           ...this.context.location,
           pathname: getRoutePath(this.props.params.from, this.props.params.to),
@@ -91,12 +98,10 @@ class SummaryPlanContainer extends React.Component {
         this.context.router.goBack();
       }
     } else {
-      window.dataLayer.push({
-        event: 'sendMatomoEvent',
-        category: 'ItinerarySettings',
-        action: 'ItineraryDetailsClick',
-        name: 'ItineraryDetailsExpand',
-      });
+      this.context.analytics.trackEvent(
+        AnalyticsEvent.ItineraryDetails,
+        'ItineraryDetailsExpand',
+      );
       const newState = {
         ...this.context.location,
         state: { summaryPageSelected: index },
@@ -123,12 +128,10 @@ class SummaryPlanContainer extends React.Component {
   };
 
   onLater = () => {
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'ItinerarySettings',
-      action: 'ShowMoreRoutesClick',
-      name: 'ShowMoreRoutesLater',
-    });
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.ShowMoreRoutes,
+      'ShowMoreRoutesLater',
+    );
 
     const end = moment.unix(this.props.serviceTimeRange.end);
     const latestDepartureTime = this.props.itineraries.reduce(
@@ -206,12 +209,10 @@ class SummaryPlanContainer extends React.Component {
   };
 
   onEarlier = () => {
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'ItinerarySettings',
-      action: 'ShowMoreRoutesClick',
-      name: 'ShowMoreRoutesEarlier',
-    });
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.ShowMoreRoutes,
+      'ShowMoreRoutesEarlier',
+    );
 
     const start = moment.unix(this.props.serviceTimeRange.start);
     const earliestArrivalTime = this.props.itineraries.reduce(
@@ -301,12 +302,10 @@ class SummaryPlanContainer extends React.Component {
   };
 
   onNow = () => {
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'ItinerarySettings',
-      action: 'ShowMoreRoutesClick',
-      name: 'ShowMoreRoutesNow',
-    });
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.ShowMoreRoutes,
+      'ShowMoreRoutesNow',
+    );
 
     replaceQueryParams(this.context.router, {
       time: moment().unix(),
@@ -314,6 +313,39 @@ class SummaryPlanContainer extends React.Component {
     });
   };
 
+  onCompare = () => {
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.CompareItineraries,
+      'CompareItinerariesOpen',
+    );
+    replaceQueryParams(this.context.router, {
+      compare: this.props.itineraries
+        .slice(0, MIN_COMPARED_ITINERARIES)
+        .map((itinerary, i) => i)
+        .join(','),
+    });
+  };
+
+  onToggleCompared = index => {
+    const compared = this.getComparedIndexes();
+    const newCompared = compared.includes(index)
+      ? compared.filter(i => i !== index)
+      : [...compared, index].slice(0, MAX_COMPARED_ITINERARIES);
+    replaceQueryParams(this.context.router, {
+      compare: newCompared.sort((a, b) => a - b).join(','),
+    });
+  };
+
+  onCloseComparison = () => {
+    replaceQueryParams(this.context.router, { compare: undefined });
+  };
+
+  getComparedIndexes = () =>
+    parseComparedIndexes(
+      this.context.location.query.compare,
+      this.props.itineraries.length,
+    );
+
   getQuery = () => Relay.QL`
     query Plan(
       $intermediatePlaces:[InputCoordinates]!,
@@ -405,6 +437,25 @@ class SummaryPlanContainer extends React.Component {
         moment(location.query.time).unix()) ||
       currentTime;
     const disableButtons = !itineraries || itineraries.length === 0;
+    const canCompare =
+      !this.props.error &&
+      !disableButtons &&
+      itineraries.length >= MIN_COMPARED_ITINERARIES;
+    const isComparing =
+      canCompare && location.query && location.query.compare !== undefined;
+
+    if (isComparing) {
+      return (
+        <div className="summary">
+          <ItineraryComparison
+            itineraries={itineraries}
+            selected={this.getComparedIndexes()}
+            onClose={this.onCloseComparison}
+            onToggle={this.onToggleCompared}
+          />
+        </div>
+      );
+    }
 
     return (
       <div className="summary">
@@ -426,6 +477,15 @@ class SummaryPlanContainer extends React.Component {
         >
           {this.props.children}
         </ItinerarySummaryListContainer>
+        {canCompare && (
+          <button
+            type="button"
+            className="compare-itineraries-button"
+            onClick={this.onCompare}
+          >
+            <FormattedMessage id="compare-itineraries" />
+          </button>
+        )}
         <TimeNavigationButtons
           isEarlierDisabled={disableButtons}
           isLaterDisabled={disableButtons}
@@ -452,6 +512,7 @@ const withRelayContainer = Relay.createContainer(withConfig, {
     itineraries: () => Relay.QL`
       fragment on Itinerary @relay(plural: true) {
         ${ItinerarySummaryListContainer.getFragment('itineraries')}
+        ${ItineraryComparison.getFragment('itineraries')}
         endTime
         startTime
       }
@@ -0,0 +1,201 @@
+import connectToStores from 'fluxible-addons-react/connectToStores';
+import moment from 'moment';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage, intlShape } from 'react-intl';
+
+import {
+  connectSyncAccount,
+  createSyncAccount,
+  disconnectSyncAccount,
+  syncUserData,
+} from '../action/SyncActions';
+import { SyncStatus } from '../store/SyncStore';
+import { getSyncCode, parseSyncCode } from '../util/syncUtils';
+
+class SyncAccount extends React.Component {
+  static propTypes = {
+    account: PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      token: PropTypes.string.isRequired,
+    }),
+    lastSync: PropTypes.number,
+    status: PropTypes.oneOf(Object.values(SyncStatus)).isRequired,
+  };
+
+  static defaultProps = {
+    account: undefined,
+    lastSync: undefined,
+  };
+
+  static contextTypes = {
+    config: PropTypes.object.isRequired,
+    executeAction: PropTypes.func.isRequired,
+    intl: intlShape.isRequired,
+  };
+
+  state = {
+    code: '',
+    isInvalidCode: false,
+    showLogin: false,
+  };
+
+  onLogin = event => {
+    event.preventDefault();
+    const account = parseSyncCode(this.state.code);
+    if (!account) {
+      this.setState({ isInvalidCode: true });
+      return;
+    }
+    this.setState({ code: '', isInvalidCode: false, showLogin: false });
+    this.context.executeAction(connectSyncAccount, account);
+  };
+
+  getContactName() {
+    const { config, intl } = this.context;
+    return config.contactName[intl.locale] || config.contactName.default;
+  }
+
+  renderStatus() {
+    const { lastSync, status } = this.props;
+    if (status === SyncStatus.Failed || status === SyncStatus.Offline) {
+      return (
+        <p className="sync-account-status error">
+          <FormattedMessage
+            id="sync-failed"
+            defaultMessage="Synchronisation failed. Your changes will be synchronised later."
+          />
+        </p>
+      );
+    }
+    if (lastSync) {
+      return (
+        <p className="sync-account-status">
+          <FormattedMessage
+            id="sync-last-synced"
+            defaultMessage="Last synchronised {time}"
+            values={{ time: moment(lastSync).format('D.M. HH:mm') }}
+          />
+        </p>
+      );
+    }
+    return null;
+  }
+
+  renderConnected() {
+    const { account, status } = this.props;
+    const { executeAction } = this.context;
+    return (
+      <div className="sync-account">
+        <FormattedMessage id="sync-code" defaultMessage="Sync code" />
+        <input
+          className="sync-account-code"
+          readOnly
+          value={getSyncCode(account)}
+          onFocus={event => event.target.select()}
+        />
+        <p className="sync-account-instructions">
+          <FormattedMessage
+            id="sync-code-instructions"
+            defaultMessage="Log in with this code on your other devices to use the same favourites, settings and search history."
+          />
+        </p>
+        {this.renderStatus()}
+        <button
+          className="cursor-pointer noborder"
+          disabled={status === SyncStatus.Syncing}
+          onClick={() => executeAction(syncUserData)}
+        >
+          <FormattedMessage id="sync-now" defaultMessage="Synchronise now" />
+        </button>
+        <button
+          className="cursor-pointer noborder"
+          onClick={() => executeAction(disconnectSyncAccount)}
+        >
+          <FormattedMessage id="logout" defaultMessage="Log out" />
+        </button>
+      </div>
+    );
+  }
+
+  renderLogin() {
+    const { code, isInvalidCode } = this.state;
+    const { intl } = this.context;
+    return (
+      <form className="sync-account" onSubmit={this.onLogin}>
+        <input
+          className="sync-account-code"
+          value={code}
+          aria-label={intl.formatMessage({
+            id: 'sync-code',
+            defaultMessage: 'Sync code',
+          })}
+          placeholder={intl.formatMessage({
+            id: 'sync-code',
+            defaultMessage: 'Sync code',
+          })}
+          onChange={event =>
+            this.setState({ code: event.target.value, isInvalidCode: false })
+          }
+        />
+        {isInvalidCode && (
+          <p className="sync-account-status error">
+            <FormattedMessage
+              id="sync-code-invalid"
+              defaultMessage="Check the sync code"
+            />
+          </p>
+        )}
+        <button className="cursor-pointer noborder" type="submit">
+          <FormattedMessage id="login" defaultMessage="Log in" />
+        </button>
+      </form>
+    );
+  }
+
+  render() {
+    const { account, status } = this.props;
+    if (account) {
+      return this.renderConnected();
+    }
+    if (this.state.showLogin) {
+      return this.renderLogin();
+    }
+    return (
+      <div className="sync-account">
+        <button
+          className="cursor-pointer noborder"
+          onClick={() => this.setState({ showLogin: true })}
+        >
+          <FormattedMessage id="login" defaultMessage="Log in" />
+        </button>
+        <button
+          className="cursor-pointer noborder"
+          onClick={() => this.context.executeAction(createSyncAccount)}
+        >
+          <FormattedMessage
+            id="create-account"
+            defaultMessage="Create {contactName} account"
+            values={{ contactName: this.getContactName() }}
+          />
+        </button>
+        {status === SyncStatus.Failed && this.renderStatus()}
+      </div>
+    );
+  }
+}
+
+const connectedComponent = connectToStores(
+  SyncAccount,
+  ['SyncStore'],
+  context => {
+    const store = context.getStore('SyncStore');
+    return {
+      account: store.getAccount(),
+      lastSync: store.getLastSync(),
+      status: store.getStatus(),
+    };
+  },
+);
+
+export { connectedComponent as default, SyncAccount as Component };
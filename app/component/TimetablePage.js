@@ -3,13 +3,22 @@ import PropTypes from 'prop-types';
 import Relay from 'react-relay/classic';
 import moment from 'moment';
 
+import OfflineTimetableButton from './OfflineTimetableButton';
 import TimetableContainer from './TimetableContainer';
+import {
+  fetchOfflineDates,
+  OfflineTimetableType,
+} from '../util/offlineTimetables';
+import { PREFIX_STOPS, PREFIX_TERMINALS } from '../util/path';
 
 const initialDate = moment().format('YYYYMMDD');
 
 class TimetablePage extends React.Component {
   static propTypes = {
     stop: PropTypes.shape({
+      gtfsId: PropTypes.string.isRequired,
+      locationType: PropTypes.string,
+      name: PropTypes.string,
       url: PropTypes.string,
     }).isRequired,
     relay: PropTypes.shape({
@@ -24,17 +33,32 @@ class TimetablePage extends React.Component {
     this.props.relay.setVariables({ date: target.value });
   };
 
+  onFetchDates = dates => fetchOfflineDates(this.props.relay, 'date', dates);
+
   render() {
+    const { relay, stop } = this.props;
+    const prefix =
+      stop.locationType === 'STATION' ? PREFIX_TERMINALS : PREFIX_STOPS;
     return (
-      <TimetableContainer
-        stop={this.props.stop}
-        date={this.props.relay.variables.date}
-        propsForStopPageActionBar={{
-          startDate: initialDate,
-          selectedDate: this.props.relay.variables.date,
-          onDateChange: this.onDateChange,
-        }}
-      />
+      <React.Fragment>
+        <TimetableContainer
+          stop={stop}
+          date={relay.variables.date}
+          propsForStopPageActionBar={{
+            startDate: initialDate,
+            selectedDate: relay.variables.date,
+            onDateChange: this.onDateChange,
+          }}
+        />
+        <OfflineTimetableButton
+          type={OfflineTimetableType.Stop}
+          gtfsId={stop.gtfsId}
+          name={stop.name}
+          path={`/${prefix}/${stop.gtfsId}/aikataulu`}
+          selectedDate={relay.variables.date}
+          onFetchDates={this.onFetchDates}
+        />
+      </React.Fragment>
     );
   }
 }
@@ -43,6 +67,9 @@ export default Relay.createContainer(TimetablePage, {
   fragments: {
     stop: ({ date }) => Relay.QL`
       fragment on Stop {
+        gtfsId
+        locationType
+        name
         url
         ${TimetableContainer.getFragment('stop', { date })}
       }
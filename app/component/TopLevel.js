@@ -10,6 +10,7 @@ import MobileView from './MobileView';
 import DesktopView from './DesktopView';
 import HSLAdformTrackingPixel from './HSLAdformTrackingPixel';
 import ErrorBoundary from './ErrorBoundary';
+import OfflineBanner from './OfflineBanner';
 import { DesktopOrMobile } from '../util/withBreakpoint';
 
 class TopLevel extends React.Component {
@@ -133,6 +134,7 @@ class TopLevel extends React.Component {
             homeUrl={homeUrl}
           />
         )}
+        <OfflineBanner />
         <section id="mainContent" className="content">
           {this.props.meta}
           <noscript>This page requires JavaScript to run.</noscript>
@@ -22,6 +22,7 @@ import {
 } from '../util/alertUtils';
 import { PREFIX_ROUTES } from '../util/path';
 import { durationToString } from '../util/timeUtils';
+import { AnalyticsEvent, analyticsShape } from '../util/analytics';
 
 class TransitLeg extends React.Component {
   constructor(props) {
@@ -34,14 +35,12 @@ class TransitLeg extends React.Component {
   stopCode = stopCode => stopCode && <StopCode code={stopCode} />;
 
   toggleShowIntermediateStops = () => {
-    window.dataLayer.push({
-      event: 'sendMatomoEvent',
-      category: 'ItinerarySettings',
-      action: 'IntermediateStopsClick',
-      name: this.state.showIntermediateStops
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.IntermediateStops,
+      this.state.showIntermediateStops
         ? 'IntermediateStopsCollapse'
         : 'IntermediateStopsExpand',
-    });
+    );
 
     this.setState(prevState => ({
       showIntermediateStops: !prevState.showIntermediateStops,
@@ -326,6 +325,7 @@ TransitLeg.propTypes = {
 };
 
 TransitLeg.contextTypes = {
+  analytics: analyticsShape.isRequired,
   focusFunction: PropTypes.func.isRequired,
   config: PropTypes.shape({
     itinerary: PropTypes.shape({
@@ -0,0 +1,117 @@
+import moment from 'moment';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage } from 'react-intl';
+
+import { importUserData } from '../action/UserDataActions';
+import { downloadFile } from '../util/browser';
+import { exportUserData } from '../util/userDataUtils';
+import { AnalyticsEvent, analyticsShape } from '../util/analytics';
+
+export const ImportStatus = {
+  Failed: 'failed',
+  Succeeded: 'succeeded',
+};
+
+const readFile = file =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+class UserDataButtons extends React.Component {
+  static contextTypes = {
+    analytics: analyticsShape.isRequired,
+    executeAction: PropTypes.func.isRequired,
+  };
+
+  state = {
+    importStatus: undefined,
+  };
+
+  onExport = () => {
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.UserDataExport,
+      'ExportUserData',
+    );
+    downloadFile(
+      JSON.stringify(exportUserData(), null, 2),
+      `user-data-${moment().format('YYYY-MM-DD')}.json`,
+      'application/json;charset=utf-8',
+    );
+  };
+
+  onImport = event => {
+    const file = event.target.files && event.target.files[0];
+    // allow importing the same file again
+    // eslint-disable-next-line no-param-reassign
+    event.target.value = '';
+    if (!file) {
+      return Promise.resolve();
+    }
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.UserDataImport,
+      'ImportUserData',
+    );
+    return readFile(file)
+      .then(text =>
+        this.context.executeAction(importUserData, JSON.parse(text)),
+      )
+      .then(
+        () => this.setState({ importStatus: ImportStatus.Succeeded }),
+        () => this.setState({ importStatus: ImportStatus.Failed }),
+      );
+  };
+
+  render() {
+    const { importStatus } = this.state;
+    return (
+      <div className="user-data-controls">
+        <button
+          className="user-data-export-button"
+          type="button"
+          onClick={this.onExport}
+        >
+          <FormattedMessage
+            id="user-data-export"
+            defaultMessage="Export data"
+          />
+        </button>
+        <label className="user-data-import-button" htmlFor="user-data-import">
+          <FormattedMessage
+            id="user-data-import"
+            defaultMessage="Import data"
+          />
+          <input
+            id="user-data-import"
+            type="file"
+            accept=".json,application/json"
+            onChange={this.onImport}
+          />
+        </label>
+        {importStatus && (
+          <p
+            className={`user-data-import-status ${importStatus}`}
+            role="status"
+          >
+            {importStatus === ImportStatus.Succeeded ? (
+              <FormattedMessage
+                id="user-data-imported"
+                defaultMessage="Your data has been imported"
+              />
+            ) : (
+              <FormattedMessage
+                id="user-data-import-failed"
+                defaultMessage="The file could not be imported. Check that it has been exported from this service."
+              />
+            )}
+          </p>
+        )}
+      </div>
+    );
+  }
+}
+
+export default UserDataButtons;
@@ -0,0 +1,102 @@
+import cx from 'classnames';
+import connectToStores from 'fluxible-addons-react/connectToStores';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { FormattedMessage, intlShape } from 'react-intl';
+
+import Icon from './Icon';
+import {
+  unwatchDeparture,
+  watchDeparture,
+} from '../action/DepartureNotificationActions';
+import { isNotificationSupported } from '../util/notificationUtils';
+import { AnalyticsEvent, analyticsShape } from '../util/analytics';
+
+class WatchDepartureButton extends React.Component {
+  static propTypes = {
+    compact: PropTypes.bool,
+    isWatched: PropTypes.bool.isRequired,
+    watch: PropTypes.shape({
+      id: PropTypes.string.isRequired,
+    }).isRequired,
+  };
+
+  static defaultProps = {
+    compact: false,
+  };
+
+  static contextTypes = {
+    analytics: analyticsShape.isRequired,
+    executeAction: PropTypes.func.isRequired,
+    intl: intlShape.isRequired,
+  };
+
+  state = {
+    isDenied: false,
+    isSupported: false,
+  };
+
+  componentDidMount() {
+    // checked only in the browser to keep the server rendered markup intact
+    // eslint-disable-next-line react/no-did-mount-set-state
+    this.setState({ isSupported: isNotificationSupported() });
+  }
+
+  onClick = () => {
+    const { isWatched, watch } = this.props;
+    const { executeAction } = this.context;
+    if (isWatched) {
+      executeAction(unwatchDeparture, watch.id);
+      return;
+    }
+    this.context.analytics.trackEvent(
+      AnalyticsEvent.WatchDeparture,
+      watch.type,
+    );
+    executeAction(watchDeparture, {
+      ...watch,
+      url: window.location.href,
+    }).then(granted => this.setState({ isDenied: !granted }));
+  };
+
+  render() {
+    const { compact, isWatched } = this.props;
+    const { isDenied, isSupported } = this.state;
+    if (!isSupported) {
+      return null;
+    }
+
+    let messageId = isWatched ? 'notify-me-cancel' : 'notify-me';
+    if (isDenied) {
+      messageId = 'notifications-denied';
+    }
+    const label = this.context.intl.formatMessage({ id: messageId });
+    return (
+      <button
+        type="button"
+        className={cx('watch-departure-button', {
+          compact,
+          'secondary-button': !compact,
+          watched: isWatched,
+        })}
+        aria-label={label}
+        aria-pressed={isWatched}
+        title={label}
+        onClick={this.onClick}
+      >
+        <Icon img="icon-icon_time" />
+        {!compact && <FormattedMessage id={messageId} />}
+      </button>
+    );
+  }
+}
+
+const connectedComponent = connectToStores(
+  WatchDepartureButton,
+  ['WatchedDepartureStore'],
+  (context, { watch }) => ({
+    isWatched: context.getStore('WatchedDepartureStore').isWatched(watch.id),
+  }),
+);
+
+export { connectedComponent as default, WatchDepartureButton as Component };
@@ -0,0 +1,83 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { intlShape } from 'react-intl';
+import { routerShape } from 'react-router';
+
+import Checkbox from '../Checkbox';
+import SelectOptionContainer from './SelectOptionContainer';
+import { getAccessibilityProfile } from '../../util/accessibilityUtils';
+import { replaceQueryParams } from '../../util/queryUtils';
+
+const AccessibilityOptionsSection = (
+  { currentSettings, defaultSettings, maxSlopeOptions },
+  { intl, router },
+) => {
+  const profile = getAccessibilityProfile(currentSettings);
+  const toggle = (name, checked) =>
+    replaceQueryParams(router, {
+      [name]: checked,
+      // the step-free option replaces the old accessibility option
+      ...(name === 'stepFree' && { accessibilityOption: 0 }),
+    });
+  return (
+    <React.Fragment>
+      <div className="option-container accessibility-options">
+        <h1>{intl.formatMessage({ id: 'accessibility' })}</h1>
+        <Checkbox
+          checked={profile.stepFree}
+          defaultMessage="Step-free access"
+          labelId="accessibility-step-free"
+          onChange={e => toggle('stepFree', e.target.checked)}
+        />
+        <Checkbox
+          checked={profile.avoidStairs}
+          defaultMessage="Avoid stairs"
+          labelId="accessibility-avoid-stairs"
+          onChange={e => toggle('avoidStairs', e.target.checked)}
+        />
+        <Checkbox
+          checked={profile.lowFloorOnly}
+          defaultMessage="Low-floor vehicles only"
+          labelId="accessibility-low-floor-only"
+          onChange={e => toggle('lowFloorOnly', e.target.checked)}
+        />
+      </div>
+      <SelectOptionContainer
+        currentSelection={profile.maxSlope}
+        defaultValue={defaultSettings.maxSlope}
+        displayValueFormatter={value =>
+          value > 0
+            ? `${value} %`
+            : intl.formatMessage({ id: 'accessibility-nolimit' })
+        }
+        onOptionSelected={value =>
+          replaceQueryParams(router, { maxSlope: value })
+        }
+        options={maxSlopeOptions}
+        sortByValue
+        title="accessibility-max-slope"
+      />
+    </React.Fragment>
+  );
+};
+
+AccessibilityOptionsSection.propTypes = {
+  currentSettings: PropTypes.shape({
+    accessibilityOption: PropTypes.number,
+    avoidStairs: PropTypes.bool,
+    lowFloorOnly: PropTypes.bool,
+    maxSlope: PropTypes.number,
+    stepFree: PropTypes.bool,
+  }).isRequired,
+  defaultSettings: PropTypes.shape({
+    maxSlope: PropTypes.number.isRequired,
+  }).isRequired,
+  maxSlopeOptions: PropTypes.arrayOf(PropTypes.number).isRequired,
+};
+
+AccessibilityOptionsSection.contextTypes = {
+  intl: intlShape.isRequired,
+  router: routerShape.isRequired,
+};
+
+export default AccessibilityOptionsSection;
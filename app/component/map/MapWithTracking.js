@@ -1,3 +1,4 @@
+import isEqual from 'lodash/isEqual';
 import PropTypes from 'prop-types';
 import React from 'react';
 import connectToStores from 'fluxible-addons-react/connectToStores';
@@ -9,6 +10,7 @@ import MapContainer from './MapContainer';
 import ToggleMapTracking from '../ToggleMapTracking';
 import { dtLocationShape } from '../../util/shapes';
 import { isBrowser } from '../../util/browser';
+import { getGeoHashesForBounds } from '../../util/geoHashUtils';
 import MapLayerStore, { mapLayerShape } from '../../store/MapLayerStore';
 import PositionStore from '../../store/PositionStore';
 import GeoJsonStore from '../../store/GeoJsonStore';
@@ -62,6 +64,7 @@ class MapWithTrackingStateHandler extends React.Component {
       realTime: PropTypes.object.isRequired,
       feedIds: PropTypes.array.isRequired,
       showAllBusses: PropTypes.bool.isRequired,
+      maxVehicleGeoHashCells: PropTypes.number,
       stopsMinZoom: PropTypes.number.isRequired,
     }).isRequired,
     children: PropTypes.array,
@@ -90,6 +93,9 @@ class MapWithTrackingStateHandler extends React.Component {
 
   async componentDidMount() {
     const { config, getGeoJsonData, getGeoJsonConfig } = this.props;
+    if (isBrowser && config.showAllBusses) {
+      this.startClient();
+    }
     if (
       !isBrowser ||
       !config.geoJson ||
@@ -120,9 +126,6 @@ class MapWithTrackingStateHandler extends React.Component {
       geoJson[url] = { ...data, isOffByDefault };
     });
     this.setState(geoJson);
-    if (config.showAllBusses) {
-      this.startClient();
-    }
   }
 
   componentWillReceiveProps(newProps) {
@@ -164,6 +167,53 @@ class MapWithTrackingStateHandler extends React.Component {
     }
   }
 
+  onMapMoveEnd = () => {
+    if (this.props.config.showAllBusses) {
+      this.updateClient();
+    }
+  };
+
+  /**
+   * Returns the subscription options for the geohash cells covering the
+   * visible map, or the area around the origin before the map is ready.
+   */
+  getSubscriptionOptions() {
+    const map = this.mapElement && this.mapElement.leafletElement;
+    let bounds;
+    let zoom;
+    if (map) {
+      const mapBounds = map.getBounds();
+      bounds = {
+        south: mapBounds.getSouth(),
+        west: mapBounds.getWest(),
+        north: mapBounds.getNorth(),
+        east: mapBounds.getEast(),
+      };
+      zoom = map.getZoom();
+    } else {
+      const location = this.props.origin.set
+        ? this.props.origin
+        : this.props.config.defaultEndpoint;
+      bounds = {
+        south: location.lat - 0.01,
+        west: location.lon - 0.03,
+        north: location.lat + 0.01,
+        east: location.lon + 0.03,
+      };
+      zoom = DEFAULT_ZOOM;
+    }
+    return getGeoHashesForBounds(
+      bounds,
+      zoom,
+      this.props.config.maxVehicleGeoHashCells,
+    ).map(geoHash => ({
+      mode: '+',
+      gtfsId: '+',
+      headsign: '+',
+      geoHash,
+    }));
+  }
+
   updateCurrentBounds = () => {
     if (!this.mapElement || !this.mapElement.leafletElement) {
       return;
@@ -198,41 +248,13 @@ class MapWithTrackingStateHandler extends React.Component {
     });
   };
 
-  createGeoHashBoundingBox = location => {
-    const geoHashes = [];
-    for (let i = -3; i <= 3; i++) {
-      const lon = (location.lon + i * 0.01).toString();
-      for (let j = -1; j <= 1; j++) {
-        const lat = (location.lat + j * 0.01).toString();
-        geoHashes.push([
-          `${lat.substring(0, 2)};${lon.substring(0, 2)}`,
-          lat.substring(3, 4) + lon.substring(3, 4),
-          lat.substring(4, 5) + lon.substring(4, 5),
-          '+',
-        ]);
-      }
-    }
-    return geoHashes;
-  };
-
   startClient() {
-    const { realTime, defaultEndpoint } = this.props.config;
+    const { realTime } = this.props.config;
     const agency = this.props.config.feedIds[0];
     const source = realTime[agency];
-    const location = this.props.origin.set
-      ? this.props.origin
-      : defaultEndpoint;
-    const options = [];
-    const geoHashes = this.createGeoHashBoundingBox(location);
-    geoHashes.forEach(geoHash => {
-      options.push({
-        mode: '+',
-        gtfsId: '+',
-        headsign: '+',
-        geoHash,
-      });
-    });
     if (source && source.active) {
+      const options = this.getSubscriptionOptions();
+      this.subscribedOptions = options;
       this.context.executeAction(startRealTimeClient, {
         ...source,
         agency,
@@ -246,23 +268,16 @@ class MapWithTrackingStateHandler extends React.Component {
       'RealTimeInformationStore',
     );
     if (client) {
-      const { realTime, defaultEndpoint } = this.props.config;
+      const { realTime } = this.props.config;
       const agency = this.props.config.feedIds[0];
       const source = realTime[agency];
-      const location = this.props.origin.set
-        ? this.props.origin
-        : defaultEndpoint;
-      const options = [];
-      const geoHashes = this.createGeoHashBoundingBox(location);
-      geoHashes.forEach(geoHash => {
-        options.push({
-          mode: '+',
-          gtfsId: '+',
-          headsign: '+',
-          geoHash,
-        });
-      });
-      if (source && source.active) {
+      const options = this.getSubscriptionOptions();
+      if (
+        source &&
+        source.active &&
+        !isEqual(options, this.subscribedOptions)
+      ) {
+        this.subscribedOptions = options;
         this.context.executeAction(changeRealTimeClientTopics, {
           ...source,
           agency,
@@ -396,6 +411,7 @@ class MapWithTrackingStateHandler extends React.Component {
           onDragstart: this.disableMapTracking,
           onDragend: this.updateCurrentBounds,
           onZoomend: this.updateCurrentBounds,
+          onMoveend: this.onMapMoveEnd,
         }}
         disableMapTracking={this.disableMapTracking}
         {...rest}
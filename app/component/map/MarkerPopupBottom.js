@@ -1,7 +1,7 @@
 import PropTypes from 'prop-types';
 import React from 'react';
 import get from 'lodash/get';
-import { routerShape, locationShape } from 'react-router';
+import { Link, routerShape, locationShape } from 'react-router';
 import { FormattedMessage } from 'react-intl';
 import { withLeaflet } from 'react-leaflet/es/context';
 
@@ -9,6 +9,7 @@ import {
   PREFIX_ROUTES,
   PREFIX_STOPS,
   PREFIX_ITINERARY_SUMMARY,
+  getReachabilityPath,
   parseLocation,
   navigateTo,
 } from '../../util/path';
@@ -112,6 +113,16 @@ class MarkerPopupBottom extends React.Component {
         <div onClick={() => this.routeTo()} className="route cursor-pointer">
           <FormattedMessage id="route-here" defaultMessage="Route here" />
         </div>
+        <Link
+          to={getReachabilityPath(this.props.location)}
+          onClick={() => this.props.leaflet.map.closePopup()}
+          className="route"
+        >
+          <FormattedMessage
+            id="reachability-from-here"
+            defaultMessage="Reachability from here"
+          />
+        </Link>
       </div>
     );
   }
@@ -1,7 +1,9 @@
+import cx from 'classnames';
 import PropTypes from 'prop-types';
 import React from 'react';
 import Relay from 'react-relay/classic';
 import connectToStores from 'fluxible-addons-react/connectToStores';
+import get from 'lodash/get';
 
 import RouteMarkerPopup from './route/RouteMarkerPopup';
 import FuzzyTripRoute from '../../route/FuzzyTripRoute';
@@ -10,6 +12,11 @@ import IconMarker from './IconMarker';
 import Loading from '../Loading';
 
 import { isBrowser } from '../../util/browser';
+import {
+  getAnimatedPosition,
+  getClockOffset,
+  getVehicleAge,
+} from '../../util/vehicleAnimationUtils';
 
 const MODES_WITH_ICONS = ['bus', 'tram', 'rail', 'subway', 'ferry', '+'];
 
@@ -96,68 +103,148 @@ function shouldShowVehicle(message, direction, tripStart, pattern, headsign) {
   );
 }
 
-function VehicleMarkerContainer(props) {
-  return Object.entries(props.vehicles)
-    .filter(([, message]) =>
-      shouldShowVehicle(
+function getVehicleState(message, props, config, now, clockOffset) {
+  const { staleAfter, expireAfter, animate, maxExtrapolation = 0 } = get(
+    config,
+    'realTimeVehicles',
+    {},
+  );
+  const age = getVehicleAge(message, clockOffset, now);
+  return {
+    expired: expireAfter !== undefined && age > expireAfter,
+    stale: staleAfter !== undefined && age > staleAfter,
+    position: animate
+      ? getAnimatedPosition(
+          message,
+          props.speeds[message.id],
+          Math.min(age, maxExtrapolation),
+          props.geometry,
+        )
+      : { lat: message.lat, lon: message.long, heading: message.heading },
+  };
+}
+
+class VehicleMarkerContainer extends React.Component {
+  static contextTypes = {
+    config: PropTypes.object.isRequired,
+  };
+
+  state = { now: Date.now() };
+
+  componentDidMount() {
+    const { config } = this.context;
+    const interval = get(config, 'realTimeVehicles.animationInterval');
+    // the markers are re-rendered periodically to move and expire them
+    // even when there are no new messages
+    if (interval) {
+      this.timer = setInterval(
+        () => this.setState({ now: Date.now() }),
+        interval * 1000,
+      );
+    }
+  }
+
+  componentWillUnmount() {
+    clearInterval(this.timer);
+  }
+
+  render() {
+    const { config } = this.context;
+    const { now } = this.state;
+    const {
+      clockOffset: storedClockOffset,
+      direction,
+      headsign,
+      pattern,
+      tripStart,
+      useLargeIcon,
+      vehicles,
+    } = this.props;
+    const animate = get(config, 'realTimeVehicles.animate', false);
+    const clockOffset =
+      storedClockOffset !== undefined
+        ? storedClockOffset
+        : getClockOffset(Object.values(vehicles), now);
+    return Object.entries(vehicles)
+      .filter(([, message]) =>
+        shouldShowVehicle(message, direction, tripStart, pattern, headsign),
+      )
+      .map(([id, message]) => ({
+        id,
         message,
-        props.direction,
-        props.tripStart,
-        props.pattern,
-        props.headsign,
-      ),
-    )
-    .map(([id, message]) => (
-      <IconMarker
-        key={id}
-        position={{
-          lat: message.lat,
-          lon: message.long,
-        }}
-        icon={getVehicleIcon(
+        ...getVehicleState(message, this.props, config, now, clockOffset),
+      }))
+      .filter(({ expired }) => !expired)
+      .map(({ id, message, stale, position }) => {
+        const icon = getVehicleIcon(
           message.mode,
-          message.heading,
+          position.heading,
           message.route.split(':')[1],
           false,
-          props.useLargeIcon,
-        )}
-      >
-        <Popup
-          offset={[106, 16]}
-          maxWidth={250}
-          minWidth={250}
-          className="popup"
-        >
-          <Relay.RootContainer
-            Component={RouteMarkerPopup}
-            route={
-              new FuzzyTripRoute({
-                route: message.route,
-                direction: message.direction,
-                date: message.operatingDay,
-                time:
-                  message.tripStartTime.substring(0, 2) * 60 * 60 +
-                  message.tripStartTime.substring(2, 4) * 60,
-              })
+          useLargeIcon,
+        );
+        return (
+          <IconMarker
+            key={id}
+            position={{
+              lat: position.lat,
+              lon: position.lon,
+            }}
+            icon={
+              icon && {
+                ...icon,
+                className: cx(icon.className, { stale, animated: animate }),
+              }
             }
-            renderLoading={() => (
-              <div className="card" style={{ height: '12rem' }}>
-                <Loading />
-              </div>
-            )}
-            renderFetched={data => (
-              <RouteMarkerPopup {...data} message={message} />
-            )}
-          />
-        </Popup>
-      </IconMarker>
-    ));
+          >
+            <Popup
+              offset={[106, 16]}
+              maxWidth={250}
+              minWidth={250}
+              className="popup"
+            >
+              <Relay.RootContainer
+                Component={RouteMarkerPopup}
+                route={
+                  new FuzzyTripRoute({
+                    route: message.route,
+                    direction: message.direction,
+                    date: message.operatingDay,
+                    time:
+                      message.tripStartTime.substring(0, 2) * 60 * 60 +
+                      message.tripStartTime.substring(2, 4) * 60,
+                  })
+                }
+                renderLoading={() => (
+                  <div className="card" style={{ height: '12rem' }}>
+                    <Loading />
+                  </div>
+                )}
+                renderFetched={data => (
+                  <RouteMarkerPopup {...data} message={message} />
+                )}
+              />
+            </Popup>
+          </IconMarker>
+        );
+      });
+  }
 }
 
 VehicleMarkerContainer.propTypes = {
+  pattern: PropTypes.string.isRequired,
+  useLargeIcon: PropTypes.bool,
   tripStart: PropTypes.string,
   headsign: PropTypes.string,
   direction: PropTypes.number,
+  geometry: PropTypes.arrayOf(
+    PropTypes.shape({
+      lat: PropTypes.number.isRequired,
+      lon: PropTypes.number.isRequired,
+    }),
+  ),
+  clockOffset: PropTypes.number,
+  speeds: PropTypes.objectOf(PropTypes.number),
   vehicles: PropTypes.objectOf(
     PropTypes.shape({
       direction: PropTypes.number.isRequired,
@@ -173,6 +260,10 @@ VehicleMarkerContainer.propTypes = {
 VehicleMarkerContainer.defaultProps = {
   tripStart: undefined,
   direction: undefined,
+  geometry: undefined,
+  clockOffset: undefined,
+  speeds: {},
+  useLargeIcon: false,
 };
 
 const connectedComponent = connectToStores(
@@ -181,6 +272,8 @@ const connectedComponent = connectToStores(
   (context, props) => ({
     ...props,
     vehicles: context.getStore('RealTimeInformationStore').vehicles,
+    speeds: context.getStore('RealTimeInformationStore').speeds,
+    clockOffset: context.getStore('RealTimeInformationStore').clockOffset,
   }),
 );
 
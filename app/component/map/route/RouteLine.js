@@ -61,7 +61,8 @@ function RouteLine(props) {
       <Line
         key="line"
         color={
-          props.pattern.route.color ? `#${props.pattern.route.color}` : null
+          props.color ||
+          (props.pattern.route.color ? `#${props.pattern.route.color}` : null)
         }
         geometry={props.pattern.geometry || props.pattern.stops}
         mode={modeClass}
@@ -93,11 +94,13 @@ RouteLine.propTypes = {
       }).isRequired,
     ),
   }).isRequired,
+  color: PropTypes.string,
   thin: PropTypes.bool,
   filteredStops: PropTypes.arrayOf(PropTypes.string.isRequired),
 };
 
 RouteLine.defaultProps = {
+  color: undefined,
   thin: false,
   filteredStops: [],
 };
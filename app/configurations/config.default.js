@@ -21,6 +21,23 @@ export default {
   PORT,
   CONFIG,
   OTPTimeout: OTP_TIMEOUT,
+
+  // Caches the GraphQL responses fetched by the server. The time to live in
+  // seconds is taken from the first rule whose pattern matches the query.
+  // With persistedQueries the browser sends the ids of the queries to the
+  // server instead of their text.
+  graphQLCache: {
+    enabled: process.env.GRAPHQL_CACHE === 'true',
+    persistedQueries: process.env.GRAPHQL_PERSISTED_QUERIES === 'true',
+    maxSize: 2000,
+    maxQueries: 1000,
+    defaultTtl: 30,
+    ttls: [
+      { pattern: 'stoptimes|realtime|vehicle|bikesAvailable', ttl: 10 },
+      { pattern: 'alerts', ttl: 60 },
+      { pattern: '\\b(route|stop|station|pattern|agency)\\b', ttl: 3600 },
+    ],
+  },
   URL: {
     API_URL,
     ASSET_URL: process.env.ASSET_URL,
@@ -65,9 +82,33 @@ export default {
   realTime: realtime,
   realTimePatch: REALTIME_PATCH,
 
+  // Realtime vehicles are greyed out when their latest position is older than
+  // staleAfter seconds and removed from the map after expireAfter seconds.
+  // Between the updates the vehicles are moved along the route with their
+  // latest speed every animationInterval seconds, for at most
+  // maxExtrapolation seconds after the latest update.
+  realTimeVehicles: {
+    staleAfter: 60,
+    expireAfter: 180,
+    animate: true,
+    animationInterval: 1,
+    maxExtrapolation: 30,
+  },
+
   // Google Tag Manager id
   GTMid: 'GTM-PZV2S2V',
 
+  // Analytics, feedback surveys and error reporting are loaded only after the
+  // user has consented to them in the consent banner
+  requireConsent: true,
+
+  analytics: {
+    // The services the events are sent to: 'gtm', 'matomo', 'console' or 'noop'
+    sinks: process.env.NODE_ENV === 'development' ? ['console'] : ['gtm'],
+    // The tracker of the 'matomo' sink, e.g. { url: 'https://matomo.example.com/', siteId: 1 }
+    matomo: undefined,
+  },
+
   /*
  * by default search endpoints from all but gtfs sources, correct gtfs source
  * figured based on feedIds config variable
@@ -93,10 +134,14 @@ export default {
 
   defaultSettings: {
     accessibilityOption: 0,
+    avoidStairs: false,
     bikeSpeed: 5,
+    lowFloorOnly: false,
+    maxSlope: 0,
     minTransferTime: 120,
     optimize: 'QUICK',
     preferredRoutes: [],
+    stepFree: false,
     ticketTypes: null,
     transferPenalty: 0,
     unpreferredRoutes: [],
@@ -168,10 +213,68 @@ export default {
     // Whether to show the left menu toggle button at all
     show: true,
     showDisruptions: true,
+    // Whether to show the account for synchronising the user data, requires sync.url
     showLoginCreateAccount: true,
     showOffCanvasList: true,
   },
 
+  // REST backend for synchronising the favourites, the customized settings
+  // and the search history between devices, see action/SyncActions.js.
+  // Synchronisation is disabled if the url is not set.
+  sync: {
+    url: undefined,
+    headers: {},
+    // Seconds between the synchronisations
+    interval: 300,
+  },
+
+  departureNotifications: {
+    show: true,
+    // Minutes before the user needs to leave
+    notifyBefore: 5,
+    // Seconds between the realtime checks of the watched departures
+    interval: 30,
+  },
+
+  // The full-screen departure board of the stops and terminals
+  departureBoard: {
+    // The default and the maximum number of departures shown
+    rows: 10,
+    maxRows: 30,
+    // Seconds between the refreshes of the departures
+    refreshInterval: 30,
+    // Seconds each disruption alert is shown
+    alertInterval: 10,
+    // Shows the realtime vehicles on a map next to the departures
+    showMap: false,
+  },
+
+  // Stop and route timetables can be saved for offline use
+  offlineTimetables: {
+    enabled: true,
+    // The choices of the number of days to save
+    days: [1, 3, 7, 14],
+  },
+
+  // The public JSON endpoint of the departures of a stop or a terminal
+  departuresApi: {
+    enabled: true,
+    // The default and the maximum number of departures returned
+    departures: 10,
+    maxDepartures: 50,
+    // Seconds the responses are cached by the server and the clients
+    cacheTtl: 10,
+    // The value of the Access-Control-Allow-Origin header
+    allowOrigin: '*',
+  },
+
+  // Follows the user along the selected itinerary
+  liveMode: {
+    show: true,
+    // Meters the user can stray from a walking leg before being warned
+    offRouteDistance: 50,
+  },
+
   itinerary: {
     // How long vehicle should be late in order to mark it delayed. Measured in seconds.
     delayThreshold: 180,
@@ -185,6 +288,14 @@ export default {
     },
 
     showZoneLimits: false,
+
+    // Options for the "add to calendar" (.ics) export. With eventPerLeg every
+    // transit leg becomes an event of its own. The alarm goes off alarmMinutes
+    // before the first boarding.
+    calendar: {
+      eventPerLeg: false,
+      alarmMinutes: 10,
+    },
   },
 
   nearestStopDistance: {
@@ -313,6 +424,31 @@ export default {
 
   // Ticket information feature toggle
   showTicketInformation: false,
+
+  // The estimated CO2 emissions of the itineraries. The factors are grams of
+  // CO2 per passenger-kilometre by mode, the modes without a factor cause
+  // no emissions. The itineraries are compared against the car itinerary
+  // between the same places. Set the factors of the region when enabling
+  // this.
+  emissions: {
+    show: false,
+    factors: {
+      AIRPLANE: 153,
+      BUS: 73,
+      CAR: 160,
+      FERRY: 389,
+      RAIL: 18,
+      SUBWAY: 5,
+      TRAM: 7,
+    },
+  },
+
+  // The travel time limits (in minutes) of the reachability map and the
+  // colors of the areas, from the nearest to the farthest.
+  isochrone: {
+    cutoffs: [15, 30, 45, 60],
+    colors: ['#1a9850', '#91cf60', '#fdae61', '#d73027'],
+  },
   ticketInformation: {
     // This is the name of the primary agency operating in the area.
     // It is used when a ticket price cannot be shown to the user, indicating
@@ -428,18 +564,22 @@ export default {
     },
   },
 
-  accessibilityOptions: [
-    {
-      messageId: 'accessibility-nolimit',
-      displayName: 'Ei rajoitusta',
-      value: '0',
-    },
-    {
-      messageId: 'accessibility-limited',
-      displayName: 'Liikun pyörätuolilla',
-      value: '1',
-    },
-  ],
+  accessibility: {
+    // the choices for the maximum slope in percent, 0 means no limit
+    maxSlopeOptions: [0, 4, 6, 8, 10, 12],
+    // the alerts containing these are shown as elevator and escalator alerts
+    alertKeywords: [
+      'elevator',
+      'escalator',
+      'lift',
+      'hissi',
+      'liukuporta',
+      'hiss',
+      'rulltrapp',
+      'aufzug',
+      'rolltreppe',
+    ],
+  },
 
   moment: {
     relativeTimeThreshold: {
@@ -681,6 +821,9 @@ export default {
   // this flag when true enables imperial measurements  'feet/miles system'
 
   showAllBusses: false,
+  // the maximum number of geohash cells of the visible map to subscribe to
+  // with showAllBusses, larger cells are used when the map is zoomed out
+  maxVehicleGeoHashCells: 24,
   showVehiclesOnStopPage: false,
   mapLayers: {
     featureMapping: {
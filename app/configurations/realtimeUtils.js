@@ -1,5 +1,24 @@
 /* eslint-disable prefer-template */
 
+/*
+ * The transport of the realtime vehicle positions is selected per agency with
+ * the provider setting (see RealTimeProviderType in constants.js):
+ *  - 'mqtt' (default) subscribes to the topics built by mqttTopicResolver from
+ *    the broker in mqtt. With gtfsrt: true the messages are GTFS-RT, otherwise HFP.
+ *  - 'gtfsrt-http' polls the GTFS-RT VehiclePositions feed in url.
+ *  - 'siri-vm' polls the SIRI-VM JSON endpoint in url.
+ * The polling providers request the url every pollInterval seconds (default 10)
+ * with the optional headers, e.g.
+ *
+ *  Example: {
+ *    provider: 'gtfsrt-http',
+ *    url: 'https://example.com/gtfs-rt/vehicle-positions',
+ *    pollInterval: 15,
+ *    routeSelector: defaultRouteSelector,
+ *    active: true,
+ *  },
+ */
+
 function defaultRouteSelector(routePageProps) {
   const route = routePageProps.route.gtfsId.split(':');
   return route[1];
@@ -47,8 +66,13 @@ export default {
       headsign, // eslint-disable-line no-unused-vars
       feedId, // eslint-disable-line no-unused-vars
       tripId, // eslint-disable-line no-unused-vars
-      geoHash, // eslint-disable-line no-unused-vars
+      geoHash,
     ) {
+      // the geohash follows the next stop and the geohash level
+      const area =
+        geoHash && geoHash.some(part => part !== '+')
+          ? '/+/+/' + geoHash.join('/')
+          : '';
       return (
         '/hfp/v1/journey/ongoing/+/+/+/' +
         route +
@@ -56,6 +80,7 @@ export default {
         direction +
         '/+/' +
         tripStartTime +
+        area +
         '/#'
       );
     },
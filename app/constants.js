@@ -121,3 +121,29 @@ export const AlertEffectType = {
   StopMoved: 'STOP_MOVED',
   Unknown: 'UNKNOWN_EFFECT',
 };
+
+/**
+ * RealTimeProviderType depicts the different transports available for
+ * receiving realtime vehicle positions.
+ */
+export const RealTimeProviderType = {
+  /** GTFS-RT VehiclePositions feed polled over HTTP. */
+  GtfsRtHttp: 'gtfsrt-http',
+  /** HFP or GTFS-RT messages published through an MQTT broker. This is the default. */
+  Mqtt: 'mqtt',
+  /** SIRI-VM (vehicle monitoring) JSON endpoint polled over HTTP. */
+  SiriVm: 'siri-vm',
+};
+
+/**
+ * ConsentCategory depicts the third-party services the user is asked to
+ * consent to before they are loaded.
+ */
+export const ConsentCategory = {
+  /** Google Tag Manager, Matomo and the other analytics sinks. */
+  Analytics: 'analytics',
+  /** Sentry, which the browser errors are reported to. */
+  ErrorReporting: 'errorReporting',
+  /** The feedbackly surveys on the itinerary summary page. */
+  FeedbackSurveys: 'feedbackSurveys',
+};
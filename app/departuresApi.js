@@ -0,0 +1,246 @@
+import get from 'lodash/get';
+
+import { getConfiguration } from './config';
+import { RealtimeStateType } from './constants';
+import {
+  getServiceAlertsForRoute,
+  getServiceAlertsForStop,
+  isAlertValid,
+} from './util/alertUtils';
+import { withGraphQLCache } from './util/graphQLCache';
+
+const ALERT_FIELDS = `
+  alertHash
+  alertHeaderText
+  alertDescriptionText
+  alertUrl
+  alertSeverityLevel
+  effectiveStartDate
+  effectiveEndDate
+  alertHeaderTextTranslations {
+    language
+    text
+  }
+  alertDescriptionTextTranslations {
+    language
+    text
+  }
+  alertUrlTranslations {
+    language
+    text
+  }
+`;
+
+const STOP_FIELDS = `
+  gtfsId
+  name
+  code
+  alerts {${ALERT_FIELDS}}
+  stoptimes: stoptimesWithoutPatterns(
+    numberOfDepartures: $numberOfDepartures,
+    omitCanceled: false
+  ) {
+    serviceDay
+    scheduledArrival
+    scheduledDeparture
+    realtimeArrival
+    realtimeDeparture
+    realtime
+    realtimeState
+    pickupType
+    stopHeadsign
+    trip {
+      gtfsId
+      pattern {
+        code
+        headsign
+        route {
+          gtfsId
+          shortName
+          longName
+          mode
+          alerts {
+            ${ALERT_FIELDS}
+            trip {
+              pattern {
+                code
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * The query of the departures. The id can be either a stop or a terminal.
+ */
+export const DEPARTURES_QUERY = `query Departures($id: String!, $numberOfDepartures: Int) {
+  stop(id: $id) {${STOP_FIELDS}}
+  station(id: $id) {${STOP_FIELDS}}
+}`;
+
+/**
+ * Returns the number of departures requested by the n query parameter,
+ * limited to the configured maximum.
+ *
+ * @param {*} query the query parameters of the request.
+ * @param {*} config the configuration for the software installation.
+ */
+export const getNumberOfDepartures = (query, config) => {
+  const n = parseInt(query.n, 10);
+  const max = get(config, 'departuresApi.maxDepartures', 50);
+  if (!Number.isInteger(n) || n < 1) {
+    return Math.min(get(config, 'departuresApi.departures', 10), max);
+  }
+  return Math.min(n, max);
+};
+
+const toIsoString = time => new Date(time * 1000).toISOString();
+
+const toAlert = alert => ({
+  header: alert.header,
+  description: alert.description,
+  url: alert.url || null,
+  severityLevel: alert.severityLevel,
+});
+
+const getValidAlerts = (alerts, currentTime) =>
+  alerts.filter(alert => isAlertValid(alert, currentTime)).map(toAlert);
+
+/**
+ * Simplifies a stoptime of OTP into a departure. Arrivals use the arrival
+ * times and canceled trips only have the scheduled time.
+ *
+ * @param {*} stoptime the stoptime of OTP.
+ * @param {string} locale the language of the alerts.
+ * @param {number} currentTime the current unix time in seconds.
+ */
+export const toDeparture = (stoptime, locale, currentTime) => {
+  const isArrival = stoptime.pickupType === 'NONE';
+  const canceled = stoptime.realtimeState === RealtimeStateType.Canceled;
+  const scheduled = isArrival
+    ? stoptime.scheduledArrival
+    : stoptime.scheduledDeparture;
+  const realtime = isArrival
+    ? stoptime.realtimeArrival
+    : stoptime.realtimeDeparture;
+  const pattern = get(stoptime, 'trip.pattern', {});
+  const route = pattern.route || {};
+
+  return {
+    route: {
+      gtfsId: route.gtfsId,
+      shortName: route.shortName,
+      longName: route.longName,
+      mode: route.mode,
+    },
+    headsign: stoptime.stopHeadsign || pattern.headsign || null,
+    scheduledTime: toIsoString(stoptime.serviceDay + scheduled),
+    realtimeTime:
+      stoptime.realtime && !canceled
+        ? toIsoString(stoptime.serviceDay + realtime)
+        : null,
+    canceled,
+    isArrival,
+    alerts: getValidAlerts(
+      getServiceAlertsForRoute(route, pattern.code, locale),
+      currentTime,
+    ),
+  };
+};
+
+/**
+ * Simplifies the stop or the terminal and its departures returned by OTP.
+ *
+ * @param {*} stop the stop or the terminal of OTP.
+ * @param {string} locale the language of the alerts.
+ * @param {number} currentTime the current unix time in seconds.
+ */
+export const toDepartures = (stop, locale, currentTime) => ({
+  stop: {
+    gtfsId: stop.gtfsId,
+    name: stop.name,
+    code: stop.code || null,
+  },
+  alerts: getValidAlerts(getServiceAlertsForStop(stop, locale), currentTime),
+  departures: (stop.stoptimes || [])
+    .map(stoptime => toDeparture(stoptime, locale, currentTime))
+    .sort((a, b) =>
+      (a.realtimeTime || a.scheduledTime).localeCompare(
+        b.realtimeTime || b.scheduledTime,
+      ),
+    ),
+});
+
+const setCorsHeaders = (res, config) => {
+  res.setHeader(
+    'Access-Control-Allow-Origin',
+    get(config, 'departuresApi.allowOrigin', '*'),
+  );
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+};
+
+/**
+ * Express middleware that returns the upcoming departures of the :stopId
+ * stop or terminal as simplified JSON. The n query parameter sets the
+ * number of departures and lang the language of the alerts. The responses
+ * are cached for a few seconds and can be fetched from any origin.
+ */
+export default function departuresApi(req, res, next) {
+  const config = getConfiguration(req);
+  if (!get(config, 'departuresApi.enabled')) {
+    res.status(404).send('Not found');
+    return;
+  }
+
+  setCorsHeaders(res, config);
+  if (req.method === 'OPTIONS') {
+    res.status(204).send();
+    return;
+  }
+
+  const { stopId } = req.params;
+  const locale = config.availableLanguages.includes(req.query.lang)
+    ? req.query.lang
+    : config.defaultLanguage;
+  const ttl = get(config, 'departuresApi.cacheTtl', 10);
+  const url = `${config.URL.OTP}index/graphql`;
+  const variables = {
+    id: stopId,
+    numberOfDepartures: getNumberOfDepartures(req.query, config),
+  };
+  const cacheConfig = {
+    ...config,
+    graphQLCache: {
+      ...config.graphQLCache,
+      enabled: ttl > 0,
+      ttls: [],
+      defaultTtl: ttl,
+    },
+  };
+
+  withGraphQLCache(cacheConfig, url, DEPARTURES_QUERY, variables, () =>
+    fetch(url, {
+      method: 'POST',
+      body: JSON.stringify({ query: DEPARTURES_QUERY, variables }),
+      headers: { 'Content-Type': 'application/json' },
+    }).then(response => {
+      if (!response.ok) {
+        throw new Error(`${url}: ${response.statusText}`);
+      }
+      return response.json();
+    }),
+  )
+    .then(result => {
+      const stop = get(result, 'data.stop') || get(result, 'data.station');
+      if (!stop) {
+        res.status(404).json({ error: 'Not found' });
+        return;
+      }
+      res.setHeader('Cache-Control', `public, max-age=${ttl}`);
+      res.json(toDepartures(stop, locale, Math.floor(Date.now() / 1000)));
+    })
+    .catch(next);
+}
@@ -0,0 +1,51 @@
+import React from 'react';
+import { Route, IndexRoute } from 'react-router';
+
+import Title from './component/Title';
+import { getDepartureBoardIds } from './util/departureBoardUtils';
+import {
+  EMBED_DEPARTURES_PATH,
+  EMBED_PATH,
+  EMBED_SEARCH_PATH,
+} from './util/embedUtils';
+import { errorLoading, getDefault, RelayRenderer } from './util/routerUtils';
+import { departureBoardQueries } from './stopRoutes';
+
+export default (
+  <Route path={`/${EMBED_PATH}`}>
+    <IndexRoute
+      getComponents={(location, cb) => {
+        Promise.all([
+          Promise.resolve(Title),
+          import(/* webpackChunkName: "embed" */ './component/EmbedBuilderPage').then(
+            getDefault,
+          ),
+        ]).then(([title, content]) => cb(null, { title, content }));
+      }}
+    />
+    <Route
+      path={EMBED_SEARCH_PATH}
+      topBarOptions={{ hidden: true }}
+      getComponents={(location, cb) => {
+        import(/* webpackChunkName: "embed" */ './component/EmbedSearchPage')
+          .then(content => cb(null, { content: content.default }))
+          .catch(errorLoading);
+      }}
+    />
+    <Route
+      path={EMBED_DEPARTURES_PATH}
+      topBarOptions={{ hidden: true }}
+      embedded
+      getComponents={(location, cb) => {
+        import(/* webpackChunkName: "departure-board" */ './component/DepartureBoardPage')
+          .then(content => cb(null, { content: content.default }))
+          .catch(errorLoading);
+      }}
+      queries={{ content: departureBoardQueries }}
+      prepareParams={(params, { location }) =>
+        getDepartureBoardIds(params, location.query)
+      }
+      render={{ content: RelayRenderer }}
+    />
+  </Route>
+);
@@ -0,0 +1,91 @@
+import get from 'lodash/get';
+
+import { getConfiguration } from './config';
+import {
+  getQueryId,
+  getRegisteredQuery,
+  registerQuery,
+  withGraphQLCache,
+} from './util/graphQLCache';
+import { PERSISTED_QUERY_NOT_FOUND } from './util/persistedQueries';
+
+const toErrorPayload = message => ({ errors: [{ message }] });
+
+/**
+ * Resolves the text of the requested query and fetches its response from
+ * OTP through the cache. The request has the id of the query and may also
+ * have its text, which must then match the id.
+ *
+ * @param {*} config the configuration for the software installation.
+ * @param {*} request the request as { queryId, query, variables }.
+ * @param {*} headers the headers to pass on to OTP.
+ */
+export const executePersistedQuery = (config, request, headers = {}) => {
+  const { queryId, variables } = request;
+  let { query } = request;
+
+  if (query) {
+    if (queryId && getQueryId(query) !== queryId) {
+      return Promise.resolve(toErrorPayload('PersistedQueryHashMismatch'));
+    }
+    registerQuery(config, query);
+  } else {
+    query = queryId && getRegisteredQuery(config, queryId);
+    if (!query) {
+      return Promise.resolve(toErrorPayload(PERSISTED_QUERY_NOT_FOUND));
+    }
+  }
+
+  const url = `${config.URL.OTP}index/graphql`;
+  return withGraphQLCache(config, url, query, variables, () =>
+    fetch(url, {
+      method: 'POST',
+      body: JSON.stringify({ query, variables }),
+      headers: { ...headers, 'Content-Type': 'application/json' },
+    }).then(response => {
+      if (!response.ok) {
+        throw new Error(`${url}: ${response.statusText}`);
+      }
+      return response.json();
+    }),
+  );
+};
+
+/**
+ * Handles the GraphQL requests of the browser when persisted queries are in
+ * use. A batch is an array of requests and gets an array of { id, payload }
+ * as the response.
+ */
+export default function graphQLProxy(req, res) {
+  const config = getConfiguration(req);
+  if (!get(config, 'graphQLCache.persistedQueries')) {
+    res.status(404).send('Not found');
+    return;
+  }
+
+  const isBatch = Array.isArray(req.body);
+  const requests = isBatch ? req.body : [req.body];
+  if (requests.some(request => !request || typeof request !== 'object')) {
+    res.status(400).send('Invalid request');
+    return;
+  }
+
+  const headers = req.headers.otptimeout
+    ? { OTPTimeout: req.headers.otptimeout }
+    : {};
+  Promise.all(
+    requests.map(request => executePersistedQuery(config, request, headers)),
+  ).then(
+    payloads => {
+      res.setHeader('Cache-Control', 'no-store');
+      res.json(
+        isBatch
+          ? payloads.map((payload, i) => ({ id: requests[i].id, payload }))
+          : payloads[0],
+      );
+    },
+    error => {
+      res.status(502).json(toErrorPayload(error.message));
+    },
+  );
+}
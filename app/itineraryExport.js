@@ -0,0 +1,345 @@
+import polyUtil from 'polyline-encoded';
+import omitBy from 'lodash/omitBy';
+
+import { ITINERARYFILTERING_DEFAULT } from './component/SummaryPage';
+import { getConfiguration } from './config';
+import configureMoment from './util/configure-moment';
+import { preparePlanParams } from './util/planParamUtil';
+import { getServerBreakpoint } from './util/withBreakpoint';
+
+/**
+ * The types of the plan query arguments that are passed on from the
+ * parameters prepared by preparePlanParams.
+ */
+const PLAN_VARIABLE_TYPES = {
+  fromPlace: 'String',
+  toPlace: 'String',
+  intermediatePlaces: '[InputCoordinates]',
+  numItineraries: 'Int',
+  modes: 'String',
+  date: 'String',
+  time: 'String',
+  walkReluctance: 'Float',
+  walkBoardCost: 'Int',
+  minTransferTime: 'Int',
+  walkSpeed: 'Float',
+  maxWalkDistance: 'Float',
+  wheelchair: 'Boolean',
+  ticketTypes: 'String',
+  disableRemainingWeightHeuristic: 'Boolean',
+  arriveBy: 'Boolean',
+  transferPenalty: 'Int',
+  ignoreRealtimeUpdates: 'Boolean',
+  maxPreTransitTime: 'Int',
+  walkOnStreetReluctance: 'Float',
+  waitReluctance: 'Float',
+  bikeSpeed: 'Float',
+  bikeSwitchTime: 'Int',
+  bikeSwitchCost: 'Int',
+  bikeBoardCost: 'Int',
+  optimize: 'OptimizeType',
+  triangle: 'InputTriangle',
+  carParkCarLegWeight: 'Float',
+  maxTransfers: 'Int',
+  waitAtBeginningFactor: 'Float',
+  heuristicStepsPerMainStep: 'Int',
+  compactLegsByReversedSearch: 'Boolean',
+  itineraryFiltering: 'Float',
+  modeWeight: 'InputModeWeight',
+  preferred: 'InputPreferred',
+  unpreferred: 'InputUnpreferred',
+  allowedBikeRentalNetworks: '[String]',
+};
+
+const PLACE_FIELDS = `
+  name
+  lat
+  lon
+  stop {
+    gtfsId
+    code
+    platformCode
+  }
+`;
+
+const ITINERARY_FIELDS = `
+  startTime
+  endTime
+  duration
+  walkDistance
+  legs {
+    mode
+    startTime
+    endTime
+    distance
+    duration
+    realTime
+    transitLeg
+    rentedBike
+    from {${PLACE_FIELDS}}
+    to {${PLACE_FIELDS}}
+    route {
+      gtfsId
+      shortName
+      longName
+    }
+    trip {
+      gtfsId
+      tripHeadsign
+    }
+    legGeometry {
+      points
+    }
+  }
+`;
+
+/**
+ * Returns the number of itineraries that the summary page asks for on the
+ * device of the request, unless the request specifies it.
+ *
+ * @param {*} req the request.
+ */
+const getDefaultNumItineraries = req =>
+  getServerBreakpoint(req.headers['user-agent']) === 'large' ? 5 : 3;
+
+/**
+ * Returns the language of the request the same way as the server rendering.
+ *
+ * @param {*} req the request.
+ * @param {*} config the configuration of the request.
+ */
+const getLanguage = (req, config) =>
+  [req.query.lang, req.cookies && req.cookies.lang].find(language =>
+    config.availableLanguages.includes(language),
+  ) || config.defaultLanguage;
+
+/**
+ * The supported export formats.
+ */
+export const ExportFormat = {
+  GeoJson: 'geojson',
+  Gpx: 'gpx',
+};
+
+/**
+ * Builds the GraphQL plan query and its variables from the parameters
+ * prepared by preparePlanParams.
+ *
+ * @param {*} params the prepared plan parameters.
+ */
+export const buildPlanQuery = params => {
+  const variables = omitBy(
+    Object.keys(PLAN_VARIABLE_TYPES).reduce(
+      (result, key) => ({ ...result, [key]: params[key] }),
+      {},
+    ),
+    value => value === null || value === undefined,
+  );
+  const names = Object.keys(variables);
+  const declarations = names
+    .map(name => `$${name}: ${PLAN_VARIABLE_TYPES[name]}`)
+    .join(', ');
+  const args = names.map(name => `${name}: $${name}`).join(', ');
+  return {
+    query: `query ItineraryExport(${declarations}) {
+      plan(${args}) {
+        itineraries {${ITINERARY_FIELDS}}
+      }
+    }`,
+    variables,
+  };
+};
+
+const toIsoString = time => new Date(time).toISOString();
+
+const escapeXml = text =>
+  `${text === undefined || text === null ? '' : text}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Decodes the leg's geometry into [lat, lon] pairs. Falls back to a straight
+ * line between the leg's endpoints if the geometry is missing.
+ *
+ * @param {*} leg the leg to get the coordinates for.
+ */
+export const getLegCoordinates = leg =>
+  leg.legGeometry && leg.legGeometry.points
+    ? polyUtil.decode(leg.legGeometry.points)
+    : [[leg.from.lat, leg.from.lon], [leg.to.lat, leg.to.lon]];
+
+const getLegName = leg =>
+  [
+    leg.mode,
+    leg.route && (leg.route.shortName || leg.route.longName),
+    `${leg.from.name} - ${leg.to.name}`,
+  ]
+    .filter(part => part)
+    .join(' ');
+
+/**
+ * Converts the itinerary into a GeoJSON FeatureCollection with one LineString
+ * feature per leg.
+ *
+ * @param {*} itinerary the itinerary to convert.
+ */
+export const itineraryToGeoJson = itinerary => ({
+  type: 'FeatureCollection',
+  properties: {
+    startTime: toIsoString(itinerary.startTime),
+    endTime: toIsoString(itinerary.endTime),
+    duration: itinerary.duration,
+    walkDistance: itinerary.walkDistance,
+  },
+  features: itinerary.legs.map(leg => ({
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: getLegCoordinates(leg).map(([lat, lon]) => [lon, lat]),
+    },
+    properties: {
+      mode: leg.mode,
+      routeShortName: leg.route ? leg.route.shortName : null,
+      routeLongName: leg.route ? leg.route.longName : null,
+      headsign: leg.trip ? leg.trip.tripHeadsign : null,
+      from: leg.from.name,
+      fromStop: leg.from.stop ? leg.from.stop.gtfsId : null,
+      to: leg.to.name,
+      toStop: leg.to.stop ? leg.to.stop.gtfsId : null,
+      startTime: toIsoString(leg.startTime),
+      endTime: toIsoString(leg.endTime),
+      distance: leg.distance,
+      duration: leg.duration,
+      realTime: leg.realTime === true,
+    },
+  })),
+});
+
+/**
+ * Converts the itinerary into a GPX 1.1 document with one track per leg.
+ *
+ * @param {*} itinerary the itinerary to convert.
+ * @param {string} creator the name of the application creating the document.
+ */
+export const itineraryToGpx = (itinerary, creator = 'Digitransit') => {
+  const { legs } = itinerary;
+  const origin = legs[0].from;
+  const destination = legs[legs.length - 1].to;
+  const tracks = legs.map(leg => {
+    const points = getLegCoordinates(leg)
+      .map(([lat, lon]) => `        <trkpt lat="${lat}" lon="${lon}"/>`)
+      .join('\n');
+    return [
+      '  <trk>',
+      `    <name>${escapeXml(getLegName(leg))}</name>`,
+      `    <desc>${escapeXml(
+        `${toIsoString(leg.startTime)} - ${toIsoString(leg.endTime)}`,
+      )}</desc>`,
+      `    <type>${escapeXml(leg.mode)}</type>`,
+      '    <trkseg>',
+      points,
+      '    </trkseg>',
+      '  </trk>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${escapeXml(
+      creator,
+    )}" xmlns="http://www.topografix.com/GPX/1/1">`,
+    '  <metadata>',
+    `    <name>${escapeXml(`${origin.name} - ${destination.name}`)}</name>`,
+    `    <time>${toIsoString(itinerary.startTime)}</time>`,
+    '  </metadata>',
+    `  <wpt lat="${origin.lat}" lon="${origin.lon}"><name>${escapeXml(
+      origin.name,
+    )}</name></wpt>`,
+    `  <wpt lat="${destination.lat}" lon="${destination.lon}"><name>${escapeXml(
+      destination.name,
+    )}</name></wpt>`,
+    ...tracks,
+    '</gpx>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Express middleware that runs the plan query for the :from/:to path
+ * parameters and the query string and returns the itinerary selected by
+ * :hash in the requested :format (gpx or geojson).
+ */
+export default function itineraryExport(req, res, next) {
+  const config = getConfiguration(req);
+  const { from, to, hash, format } = req.params;
+  const index = Number(hash);
+
+  if (
+    !Object.values(ExportFormat).includes(format) ||
+    !Number.isInteger(index) ||
+    index < 0
+  ) {
+    res.status(404).send('Not found');
+    return;
+  }
+
+  // the time of the plan is in the timezone of the configuration
+  configureMoment(getLanguage(req, config), config);
+
+  let params;
+  try {
+    params = preparePlanParams(config)(
+      { from, to },
+      { location: { query: req.query } },
+    );
+  } catch (error) {
+    res.status(400).send('Invalid parameters');
+    return;
+  }
+
+  // the same variables as the summary page uses so that :hash refers to the
+  // same itinerary
+  const { query, variables } = buildPlanQuery({
+    itineraryFiltering: ITINERARYFILTERING_DEFAULT,
+    numItineraries: getDefaultNumItineraries(req),
+    ...params,
+  });
+
+  fetch(`${config.URL.OTP}index/graphql`, {
+    method: 'POST',
+    body: JSON.stringify({ query, variables }),
+    headers: { 'Content-Type': 'application/json' },
+  })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`${config.URL.OTP}: ${response.statusText}`);
+      }
+      return response.json();
+    })
+    .then(result => {
+      const itineraries =
+        (result.data && result.data.plan && result.data.plan.itineraries) || [];
+      const itinerary = itineraries[index];
+      if (!itinerary || itinerary.legs.length === 0) {
+        res.status(404).send('Not found');
+        return;
+      }
+
+      const filename = `itinerary-${index}.${format}`;
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${filename}"`,
+      );
+      if (format === ExportFormat.Gpx) {
+        res.setHeader('Content-Type', 'application/gpx+xml; charset=utf-8');
+        res.send(itineraryToGpx(itinerary, config.title));
+      } else {
+        res.setHeader('Content-Type', 'application/geo+json; charset=utf-8');
+        res.send(JSON.stringify(itineraryToGeoJson(itinerary)));
+      }
+    })
+    .catch(next);
+}
@@ -59,7 +59,23 @@ const componentRouteQueries = {
   meta: RouteQueries,
 };
 
-function getComponents(getContentComponent) {
+const componentCompareQueries = {
+  title: RouteQueries,
+  header: RouteQueries,
+  map: RouteQueries,
+  content: RouteQueries,
+  meta: RouteQueries,
+};
+
+const getRouteMapComponent = () =>
+  import(/* webpackChunkName: "route" */ './component/RouteMapContainer').then(
+    getDefault,
+  );
+
+function getComponents(
+  getContentComponent,
+  getMapComponent = getRouteMapComponent,
+) {
   return function getPageComponents(location, cb) {
     return Promise.all([
       import(/* webpackChunkName: "route" */ './component/RouteTitle').then(
@@ -68,9 +84,7 @@ function getComponents(getContentComponent) {
       import(/* webpackChunkName: "route" */ './component/RoutePage').then(
         getDefault,
       ),
-      import(/* webpackChunkName: "route" */ './component/RouteMapContainer').then(
-        getDefault,
-      ),
+      getMapComponent(),
       getContentComponent(),
       import(/* webpackChunkName: "route" */ './component/RoutePageMeta').then(
         getDefault,
@@ -139,6 +153,26 @@ export default (
           render={ComponentLoading404Renderer}
         />
       </Route>
+      <Route path="vertailu">
+        <IndexRedirect to=":routeId%3A0%3A01" />
+        <Route
+          path=":patternId"
+          getComponents={getComponents(
+            () =>
+              import(/* webpackChunkName: "route" */ './component/RoutePatternCompare').then(
+                getDefault,
+              ),
+            () =>
+              import(/* webpackChunkName: "route" */ './component/RoutePatternCompareMap').then(
+                getDefault,
+              ),
+          )}
+          queries={componentCompareQueries}
+          render={ComponentLoading404Renderer}
+        >
+          <Route path="kartta" fullscreenMap />
+        </Route>
+      </Route>
       <Route path="hairiot">
         <IndexRedirect to=":routeId%3A0%3A01" />
         <Route
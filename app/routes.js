@@ -10,11 +10,16 @@ import TopLevel from './component/TopLevel';
 import Title from './component/Title';
 
 import scrollTop from './util/scroll';
-import { PREFIX_ITINERARY_SUMMARY } from './util/path';
+import {
+  LIVE_MODE_PATH,
+  PREFIX_ITINERARY_SUMMARY,
+  PREFIX_REACHABILITY,
+} from './util/path';
 import { preparePlanParams } from './util/planParamUtil';
 import { validateServiceTimeRange } from './util/timeUtils';
 import { errorLoading, getDefault, loadRoute } from './util/routerUtils';
 
+import embedRoutes from './embedRoutes';
 import getStopRoutes from './stopRoutes';
 import routeRoutes from './routeRoutes';
 
@@ -74,6 +79,7 @@ export default config => {
       {getStopRoutes()}
       {getStopRoutes(true) /* terminals */}
       {routeRoutes}
+      {embedRoutes}
       <Route
         path={`/${PREFIX_ITINERARY_SUMMARY}/:from/:to`}
         getComponents={(location, cb) => {
@@ -120,8 +126,22 @@ export default config => {
           }}
         >
           <Route path="kartta" fullscreenMap />
+          <Route path={LIVE_MODE_PATH} liveMode>
+            <Route path="kartta" fullscreenMap />
+          </Route>
         </Route>
       </Route>
+      <Route
+        path={`/${PREFIX_REACHABILITY}/:from`}
+        getComponents={(location, cb) => {
+          Promise.all([
+            Promise.resolve(Title),
+            import(/* webpackChunkName: "reachability" */ './component/ReachabilityPage').then(
+              getDefault,
+            ),
+          ]).then(([title, content]) => cb(null, { title, content }));
+        }}
+      />
       <Route
         path="/suosikki/muokkaa/sijainti/:id"
         getComponent={(location, cb) => {
@@ -35,6 +35,7 @@ import MUITheme from './MuiTheme';
 import configureMoment from './util/configure-moment';
 import { BreakpointProvider, getServerBreakpoint } from './util/withBreakpoint';
 import meta from './meta';
+import { graphQLCacheMiddleware } from './util/graphQLCache';
 
 // configuration
 import { getConfiguration } from './config';
@@ -134,6 +135,7 @@ const ContextProvider = provideContext(IntlProvider, {
   config: PropTypes.object,
   url: PropTypes.string,
   headers: PropTypes.object,
+  analytics: PropTypes.object,
 });
 
 function getContent(context, renderProps, locale, userAgent, req) {
@@ -174,20 +176,23 @@ const isRobotRequest = agent =>
 const RELAY_FETCH_TIMEOUT = process.env.RELAY_FETCH_TIMEOUT || 1000;
 
 function getNetworkLayer(config, agent) {
-  return new RelayNetworkLayer([
-    next => req => next(req).catch(() => ({ payload: { data: null } })),
-    retryMiddleware({
-      fetchTimeout: isRobotRequest(agent) ? 10000 : RELAY_FETCH_TIMEOUT,
-      retryDelays: [],
-    }),
-    urlMiddleware({
-      url: `${config.URL.OTP}index/graphql`,
-    }),
-    batchMiddleware({
-      batchUrl: `${config.URL.OTP}index/graphql/batch`,
-    }),
-    gqErrorsMiddleware(),
-  ]);
+  const url = `${config.URL.OTP}index/graphql`;
+  return new RelayNetworkLayer(
+    [
+      next => req => next(req).catch(() => ({ payload: { data: null } })),
+      (config.graphQLCache.enabled || config.graphQLCache.persistedQueries) &&
+        graphQLCacheMiddleware(config, url),
+      retryMiddleware({
+        fetchTimeout: isRobotRequest(agent) ? 10000 : RELAY_FETCH_TIMEOUT,
+        retryDelays: [],
+      }),
+      urlMiddleware({ url }),
+      batchMiddleware({
+        batchUrl: `${url}/batch`,
+      }),
+      gqErrorsMiddleware(),
+    ].filter(middleware => middleware),
+  );
 }
 
 function getLocale(req, res, config) {
@@ -204,7 +209,10 @@ function getLocale(req, res, config) {
     res.cookie('lang', locale);
   }
 
-  return locale;
+  // the locale from the query (embedded widgets) is only used for this page
+  return config.availableLanguages.indexOf(req.query.lang) !== -1
+    ? req.query.lang
+    : locale;
 }
 
 function validateParams(params) {
@@ -283,19 +291,6 @@ export default function(req, res, next) {
 
     // Write preload hints before doing anything else
     if (process.env.NODE_ENV !== 'development') {
-      if (config.GTMid) {
-        // Google Tag Manager script
-        res.write(
-          `<script>(function(w,d,s,l,i){w[l]=w[l]||[];w[l].push({'gtm.start':
-            new Date().getTime(),event:'gtm.js'});var f=d.getElementsByTagName(s)[0],
-            j=d.createElement(s),dl=l!='dataLayer'?'&l='+l:'';j.async=true;j.src=
-            'https://www.googletagmanager.com/gtm.js?id='+i+dl;f.parentNode.insertBefore(j,f);
-            })(window,document,'script','dataLayer','${
-              config.GTMid
-            }');</script>\n`,
-        );
-      }
-
       const preloads = [
         { as: 'style', href: config.URL.FONT },
         {
@@ -3,6 +3,10 @@ import { Route, IndexRoute } from 'react-router';
 import Relay from 'react-relay/classic';
 
 import Error404 from './component/404';
+import {
+  DEPARTURE_BOARD_PATH,
+  getDepartureBoardIds,
+} from './util/departureBoardUtils';
 import { PREFIX_STOPS, PREFIX_TERMINALS } from './util/path';
 import {
   getDefault,
@@ -20,6 +24,16 @@ const stopQueries = {
   `,
 };
 
+export const departureBoardQueries = {
+  viewer: (Component, variables) => Relay.QL`
+    query {
+      viewer {
+        ${Component.getFragment('viewer', variables)}
+      }
+    }
+  `,
+};
+
 const terminalQueries = {
   stop: () => Relay.QL`
     query  {
@@ -58,6 +72,22 @@ export default function getStopRoutes(isTerminal = false) {
     <Route path={`/${isTerminal ? PREFIX_TERMINALS : PREFIX_STOPS}`}>
       <IndexRoute component={Error404} />
       {/* TODO: Should return list of all routes */}
+      <Route
+        path={`${
+          isTerminal ? ':terminalId' : ':stopId'
+        }/${DEPARTURE_BOARD_PATH}`}
+        topBarOptions={{ hidden: true }}
+        getComponents={(location, cb) => {
+          import(/* webpackChunkName: "departure-board" */ './component/DepartureBoardPage')
+            .then(content => cb(null, { content: content.default }))
+            .catch(errorLoading);
+        }}
+        queries={{ content: departureBoardQueries }}
+        prepareParams={(params, { location }) =>
+          getDepartureBoardIds(params, location.query)
+        }
+        render={{ content: RelayRenderer }}
+      />
       <Route
         path={isTerminal ? ':terminalId' : ':stopId'}
         getComponents={(location, cb) => {
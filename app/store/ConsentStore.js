@@ -0,0 +1,63 @@
+import Store from 'fluxible/addons/BaseStore';
+
+import { getConsentStorage, setConsentStorage } from './localStorage';
+import { ConsentCategory } from '../constants';
+
+/**
+ * Keeps track of the third-party services the user has consented to. When
+ * the configuration does not require consent, every service is allowed.
+ */
+class ConsentStore extends Store {
+  static storeName = 'ConsentStore';
+
+  constructor(dispatcher) {
+    super(dispatcher);
+
+    const { config } = dispatcher.getContext();
+    this.isRequired = config.requireConsent === true;
+    this.consent = getConsentStorage();
+  }
+
+  /**
+   * Checks if the user has already been asked for consent.
+   */
+  isAnswered() {
+    return (
+      !this.isRequired ||
+      Object.values(ConsentCategory).every(
+        category => typeof this.consent[category] === 'boolean',
+      )
+    );
+  }
+
+  /**
+   * Checks if the services of the given category may be loaded.
+   *
+   * @param {string} category the category from ConsentCategory.
+   */
+  hasConsent(category) {
+    return !this.isRequired || this.consent[category] === true;
+  }
+
+  getConsent() {
+    return Object.values(ConsentCategory).reduce(
+      (consent, category) => ({
+        ...consent,
+        [category]: this.hasConsent(category),
+      }),
+      {},
+    );
+  }
+
+  updateConsent(consent) {
+    this.consent = { ...this.consent, ...consent };
+    setConsentStorage(this.consent);
+    this.emitChange();
+  }
+
+  static handlers = {
+    ConsentUpdated: 'updateConsent',
+  };
+}
+
+export default ConsentStore;
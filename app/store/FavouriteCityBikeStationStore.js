@@ -39,8 +39,15 @@ class FavouriteCityBikeStationStore extends Store {
     }
   }
 
+  // the favourites are read from localStorage, so they only need to be re-rendered
+  handleDataChange() {
+    this.emitChange();
+  }
+
   static handlers = {
     ToggleFavouriteCityBikeStation: 'toggleFavouriteCityBikeStation',
+    UserDataImported: 'handleDataChange',
+    UserDataSynced: 'handleDataChange',
   };
 }
 
@@ -2,16 +2,45 @@ import Store from 'fluxible/addons/BaseStore';
 import maxBy from 'lodash/maxBy';
 import find from 'lodash/find';
 import {
+  getCommuteProfilesStorage,
   getFavouriteLocationsStorage,
+  setCommuteProfilesStorage,
   setFavouriteLocationsStorage,
 } from './localStorage';
 
+const getMaxId = collection =>
+  (maxBy(collection, location => location.id) || { id: 0 }).id;
+
+/**
+ * Migrates the favourite locations from the old format to v1. Returns null
+ * if there is nothing to migrate.
+ *
+ * @param {Array} locations the stored favourite locations.
+ */
+export const migrateFavouriteLocations = locations => {
+  const matchF = favourite => favourite.version === undefined;
+  if (locations.filter(matchF).length === 0) {
+    return null;
+  } // nothing to migrate
+
+  let maxId = getMaxId(locations);
+
+  return locations.map(favourite => {
+    if (matchF(favourite)) {
+      maxId += 1;
+      return { ...favourite, version: 1, id: maxId };
+    }
+    return favourite;
+  });
+};
+
 class FavouriteLocationStore extends Store {
   static storeName = 'FavouriteLocationStore';
 
   constructor(dispatcher) {
     super(dispatcher);
     this.locations = this.getLocations();
+    this.commuteProfiles = getCommuteProfilesStorage();
     this.migrate();
   }
 
@@ -36,27 +65,9 @@ class FavouriteLocationStore extends Store {
     }
   };
 
-  getMaxId = collection =>
-    (maxBy(collection, location => location.id) || { id: 0 }).id;
-
-  migrate01 = locations => {
-    const matchF = favourite => favourite.version === undefined;
-    if (locations.filter(matchF).length === 0) {
-      return null;
-    } // nothing to migrate
+  getMaxId = collection => getMaxId(collection);
 
-    let maxId = this.getMaxId(locations);
-
-    const modified = locations.map(favourite => {
-      maxId += 1;
-      if (matchF(favourite)) {
-        const migrated = { ...favourite, version: 1, id: maxId };
-        return migrated;
-      }
-      return { favourite };
-    });
-    return modified;
-  };
+  migrate01 = locations => migrateFavouriteLocations(locations);
 
   save = () => {
     setFavouriteLocationsStorage(this.locations);
@@ -96,12 +107,74 @@ class FavouriteLocationStore extends Store {
       currentLocation => currentLocation.id !== location.id,
     );
     this.save();
+    // the commute profiles cannot exist without their endpoints
+    const commuteProfiles = this.commuteProfiles.filter(
+      profile =>
+        profile.originId !== location.id &&
+        profile.destinationId !== location.id,
+    );
+    if (commuteProfiles.length !== this.commuteProfiles.length) {
+      this.commuteProfiles = commuteProfiles;
+      setCommuteProfilesStorage(this.commuteProfiles);
+    }
+    this.emitChange();
+  }
+
+  /*
+   * A commute profile is a recurring trip between two favourite locations:
+   *  {
+   *    id:            // identifier (for updates)
+   *    originId:      // the id of the origin favourite location
+   *    destinationId: // the id of the destination favourite location
+   *    weekdays:      // the ISO weekdays (1 = Monday) of the trip
+   *    arriveBy:      // the arrival time as HH:mm
+   *  }
+   */
+  getCommuteProfiles() {
+    return this.commuteProfiles;
+  }
+
+  addCommuteProfile(profile) {
+    if (typeof profile !== 'object') {
+      throw new Error(`profile is not a object:${JSON.stringify(profile)}`);
+    }
+
+    if (profile.id === undefined) {
+      this.commuteProfiles = [
+        ...this.commuteProfiles,
+        { ...profile, id: 1 + this.getMaxId(this.commuteProfiles) },
+      ];
+    } else {
+      this.commuteProfiles = this.commuteProfiles.map(
+        currentProfile =>
+          currentProfile.id === profile.id ? profile : currentProfile,
+      );
+    }
+    setCommuteProfilesStorage(this.commuteProfiles);
+    this.emitChange();
+  }
+
+  deleteCommuteProfile(profile) {
+    this.commuteProfiles = this.commuteProfiles.filter(
+      currentProfile => currentProfile.id !== profile.id,
+    );
+    setCommuteProfilesStorage(this.commuteProfiles);
+    this.emitChange();
+  }
+
+  reloadLocations() {
+    this.locations = this.getLocations();
+    this.commuteProfiles = getCommuteProfilesStorage();
     this.emitChange();
   }
 
   static handlers = {
+    AddCommuteProfile: 'addCommuteProfile',
     AddFavouriteLocation: 'addFavouriteLocation',
+    DeleteCommuteProfile: 'deleteCommuteProfile',
     DeleteFavouriteLocation: 'deleteFavouriteLocation',
+    UserDataImported: 'reloadLocations',
+    UserDataSynced: 'reloadLocations',
   };
 }
 
@@ -39,8 +39,15 @@ class FavouriteRoutesStore extends Store {
     this.emitChange(routeId);
   }
 
+  reloadRoutes() {
+    this.routes = getFavouriteRoutesStorage();
+    this.emitChange();
+  }
+
   static handlers = {
     AddFavouriteRoute: 'addFavouriteRoute',
+    UserDataImported: 'reloadRoutes',
+    UserDataSynced: 'reloadRoutes',
   };
 }
 
@@ -62,9 +62,16 @@ class FavouriteStopsStore extends Store {
     this.emitChange();
   }
 
+  reloadStops() {
+    this.stops = this.getStops();
+    this.emitChange();
+  }
+
   static handlers = {
     AddFavouriteStop: 'addFavouriteStop',
     DeleteFavouriteStop: 'deleteFavouriteStop',
+    UserDataImported: 'reloadStops',
+    UserDataSynced: 'reloadStops',
   };
 }
 
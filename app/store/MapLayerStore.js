@@ -28,6 +28,7 @@ class MapLayerStore extends Store {
 
   static handlers = {
     UpdateMapLayers: 'updateMapLayers',
+    UserDataImported: 'reloadMapLayers',
   };
 
   static storeName = 'MapLayerStore';
@@ -53,6 +54,14 @@ class MapLayerStore extends Store {
 
   getMapLayers = () => ({ ...this.mapLayers });
 
+  reloadMapLayers = () => {
+    this.mapLayers = {
+      ...this.mapLayers,
+      ...getMapLayerSettings(),
+    };
+    this.emitChange();
+  };
+
   updateMapLayers = mapLayers => {
     this.mapLayers = {
       ...this.mapLayers,
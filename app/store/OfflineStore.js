@@ -0,0 +1,42 @@
+import Store from 'fluxible/addons/BaseStore';
+
+/**
+ * Keeps track of whether the shown data has been served from the timetables
+ * saved for offline use instead of the network.
+ */
+class OfflineStore extends Store {
+  static storeName = 'OfflineStore';
+
+  savedAt = undefined;
+
+  /**
+   * Returns the time the served offline data was saved at, or undefined if
+   * the data comes from the network.
+   */
+  getSavedAt() {
+    return this.savedAt;
+  }
+
+  setOfflineData(savedAt) {
+    if (this.savedAt === savedAt) {
+      return;
+    }
+    this.savedAt = savedAt;
+    this.emitChange();
+  }
+
+  clearOfflineData() {
+    if (this.savedAt === undefined) {
+      return;
+    }
+    this.savedAt = undefined;
+    this.emitChange();
+  }
+
+  static handlers = {
+    OfflineDataServed: 'setOfflineData',
+    OnlineDataReceived: 'clearOfflineData',
+  };
+}
+
+export default OfflineStore;
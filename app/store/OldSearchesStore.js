@@ -89,8 +89,15 @@ class OldSearchesStore extends Store {
       .map(item => item.item);
   }
 
+  // the searches are read from localStorage, so they only need to be re-rendered
+  handleDataChange() {
+    this.emitChange();
+  }
+
   static handlers = {
     SaveSearch: 'saveSearch',
+    UserDataImported: 'handleDataChange',
+    UserDataSynced: 'handleDataChange',
   };
 }
 
@@ -1,6 +1,13 @@
 import Store from 'fluxible/addons/BaseStore';
 import reactCookie from 'react-cookie';
-import { isLangMockEn } from '../util/browser';
+import { isBrowser, isLangMockEn } from '../util/browser';
+
+// the language in the query, e.g. of an embedded widget, is only used for
+// the current page and not stored in the cookie
+const getQueryLanguage = () => {
+  const match = isBrowser && window.location.search.match(/[?&]lang=([^&]*)/);
+  return match ? decodeURIComponent(match[1]) : undefined;
+};
 
 /* Language is stored in cookie, server should set the language based on browser
  * accepted languages
@@ -19,7 +26,11 @@ class PreferencesStore extends Store {
       this.setLanguage('en');
     }
 
-    const language = reactCookie.load('lang');
+    const queryLanguage = getQueryLanguage();
+    const language =
+      this.availableLanguages.indexOf(queryLanguage) !== -1
+        ? queryLanguage
+        : reactCookie.load('lang');
     if (this.availableLanguages.indexOf(language) === -1) {
       // illegal selection, use default
       this.language = this.defaultLanguage;
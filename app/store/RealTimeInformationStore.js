@@ -1,11 +1,22 @@
 import Store from 'fluxible/addons/BaseStore';
+import get from 'lodash/get';
+
+import {
+  getClockOffset,
+  getSpeed,
+  getVehicleAge,
+} from '../util/vehicleAnimationUtils';
 
 class RealTimeInformationStore extends Store {
   static storeName = 'RealTimeInformationStore';
 
   constructor(dispatcher) {
     super(dispatcher);
+    const { config } = dispatcher.getContext();
+    this.expireAfter = get(config, 'realTimeVehicles.expireAfter');
     this.vehicles = {};
+    this.speeds = {};
+    this.clockOffset = undefined;
   }
 
   storeClient(data) {
@@ -17,31 +28,64 @@ class RealTimeInformationStore extends Store {
     this.client = undefined;
     this.topics = undefined;
     this.vehicles = {};
+    this.speeds = {};
+    this.clockOffset = undefined;
   }
 
   resetClient() {
     this.topics = undefined;
     this.vehicles = {};
+    this.speeds = {};
+    this.clockOffset = undefined;
     this.emitChange();
   }
 
   handleMessage(message) {
-    if (Array.isArray(message)) {
-      message.forEach(msg => {
-        this.vehicles[msg.id] = msg;
-      });
-    } else {
-      this.vehicles[message.id] = message;
+    const messages = Array.isArray(message) ? message : [message];
+    const now = Date.now();
+    const clockOffset = getClockOffset(messages, now);
+    if (clockOffset !== undefined) {
+      this.clockOffset =
+        this.clockOffset === undefined
+          ? clockOffset
+          : Math.min(this.clockOffset, clockOffset);
     }
+
+    messages.forEach(msg => {
+      const speed = getSpeed(this.vehicles[msg.id], msg);
+      if (speed !== undefined) {
+        this.speeds[msg.id] = speed;
+      }
+      this.vehicles[msg.id] = msg;
+    });
+    this.expireVehicles(now);
     this.emitChange();
   }
 
+  // removes the vehicles that have not sent an update in expireAfter seconds
+  expireVehicles(now = Date.now()) {
+    if (!this.expireAfter) {
+      return;
+    }
+    Object.keys(this.vehicles).forEach(id => {
+      if (
+        getVehicleAge(this.vehicles[id], this.clockOffset, now) >
+        this.expireAfter
+      ) {
+        delete this.vehicles[id];
+        delete this.speeds[id];
+      }
+    });
+  }
+
   setTopics(topics) {
     this.topics = topics;
   }
 
   getVehicle = id => this.vehicles[id];
 
+  getSpeed = id => this.speeds[id];
+
   static handlers = {
     RealTimeClientStarted: 'storeClient',
     RealTimeClientStopped: 'clearClient',
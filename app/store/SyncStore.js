@@ -0,0 +1,64 @@
+import Store from 'fluxible/addons/BaseStore';
+
+import { getSyncState } from './localStorage';
+
+/**
+ * The states of the synchronisation between devices.
+ */
+export const SyncStatus = {
+  Failed: 'failed',
+  Idle: 'idle',
+  Offline: 'offline',
+  Syncing: 'syncing',
+};
+
+class SyncStore extends Store {
+  static storeName = 'SyncStore';
+
+  status = SyncStatus.Idle;
+
+  constructor(dispatcher) {
+    super(dispatcher);
+    const { account, lastSync } = getSyncState();
+    this.account = account;
+    this.lastSync = lastSync;
+  }
+
+  getAccount() {
+    return this.account;
+  }
+
+  getLastSync() {
+    return this.lastSync;
+  }
+
+  getStatus() {
+    return this.status;
+  }
+
+  setAccount(account) {
+    this.account = account;
+    this.lastSync = undefined;
+    this.status = SyncStatus.Idle;
+    this.emitChange();
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.emitChange();
+  }
+
+  setSynced(lastSync) {
+    this.lastSync = lastSync;
+    this.status = SyncStatus.Idle;
+    this.emitChange();
+  }
+
+  static handlers = {
+    SyncAccountChanged: 'setAccount',
+    SyncStatusChanged: 'setStatus',
+    UserDataSynced: 'setSynced',
+  };
+}
+
+export default SyncStore;
@@ -0,0 +1,54 @@
+import Store from 'fluxible/addons/BaseStore';
+import { getWatchedDepartures, setWatchedDepartures } from './localStorage';
+
+class WatchedDepartureStore extends Store {
+  static storeName = 'WatchedDepartureStore';
+
+  watches = getWatchedDepartures();
+
+  getWatches() {
+    return this.watches;
+  }
+
+  isWatched(id) {
+    return this.watches.some(watch => watch.id === id);
+  }
+
+  storeWatches(watches) {
+    this.watches = watches;
+    setWatchedDepartures(watches);
+    this.emitChange();
+  }
+
+  watchDeparture(watch) {
+    this.storeWatches([
+      ...this.watches.filter(({ id }) => id !== watch.id),
+      watch,
+    ]);
+  }
+
+  unwatchDeparture(id) {
+    this.storeWatches(this.watches.filter(watch => watch.id !== id));
+  }
+
+  // the watches added or removed during the update are left as they are
+  updateWatches({ updated, expired }) {
+    const updatedById = updated.reduce(
+      (result, watch) => ({ ...result, [watch.id]: watch }),
+      {},
+    );
+    this.storeWatches(
+      this.watches
+        .filter(watch => !expired.includes(watch.id))
+        .map(watch => updatedById[watch.id] || watch),
+    );
+  }
+
+  static handlers = {
+    DepartureUnwatched: 'unwatchDeparture',
+    DepartureWatched: 'watchDeparture',
+    WatchedDeparturesUpdated: 'updateWatches',
+  };
+}
+
+export default WatchedDepartureStore;
@@ -1,5 +1,6 @@
 import { isBrowser, isWindowsPhone, isIOSApp } from '../util/browser';
 import { OptimizeType } from '../constants';
+import { isSyncedCollection, recordChange } from '../util/syncUtils';
 
 function handleSecurityError(error, logMessage) {
   if (error.name === 'SecurityError') {
@@ -27,7 +28,7 @@ export const getLocalStorage = (
   }
 };
 
-function setItem(key, value) {
+function writeItem(key, value) {
   const localStorage = getLocalStorage(isBrowser);
   if (localStorage) {
     try {
@@ -71,6 +72,32 @@ function getItemAsJson(key, defaultValue) {
   return JSON.parse(item);
 }
 
+// records the changes of the collections that are synchronised between
+// devices, which is only needed when there is an account to sync with
+function trackSyncChange(key, value) {
+  const syncState = getItemAsJson('sync', '{}');
+  if (!syncState.account) {
+    return;
+  }
+  const previous = getItem(key);
+  writeItem(
+    'sync',
+    recordChange(
+      syncState,
+      key,
+      previous !== null ? JSON.parse(previous) : undefined,
+      value,
+    ),
+  );
+}
+
+function setItem(key, value) {
+  if (isSyncedCollection(key)) {
+    trackSyncChange(key, value);
+  }
+  writeItem(key, value);
+}
+
 export function removeItem(k) {
   const localStorage = getLocalStorage(isBrowser);
   if (localStorage) {
@@ -101,7 +128,13 @@ export function setCustomizedSettings(data) {
       data.accessibilityOption,
       oldSettings.accessibilityOption,
     ),
+    avoidStairs: getValueOrDefault(data.avoidStairs, oldSettings.avoidStairs),
     bikeSpeed: getNumberValueOrDefault(data.bikeSpeed, oldSettings.bikeSpeed),
+    lowFloorOnly: getValueOrDefault(
+      data.lowFloorOnly,
+      oldSettings.lowFloorOnly,
+    ),
+    maxSlope: getNumberValueOrDefault(data.maxSlope, oldSettings.maxSlope),
     minTransferTime: getNumberValueOrDefault(
       data.minTransferTime,
       oldSettings.minTransferTime,
@@ -112,6 +145,7 @@ export function setCustomizedSettings(data) {
       data.preferredRoutes,
       oldSettings.preferredRoutes,
     ),
+    stepFree: getValueOrDefault(data.stepFree, oldSettings.stepFree),
     ticketTypes: getValueOrDefault(data.ticketTypes, oldSettings.ticketTypes),
     transferPenalty: getNumberValueOrDefault(
       data.transferPenalty,
@@ -172,6 +206,7 @@ export function setCustomizedSettings(data) {
 export function resetCustomizedSettings() {
   const localStorage = getLocalStorage(isBrowser);
   if (localStorage) {
+    trackSyncChange('customizedSettings', {});
     localStorage.removeItem('customizedSettings');
   }
 }
@@ -269,6 +304,14 @@ export function setFavouriteLocationsStorage(data) {
   setItem('favouriteLocations', data);
 }
 
+export function getCommuteProfilesStorage() {
+  return getItemAsJson('commuteProfiles');
+}
+
+export function setCommuteProfilesStorage(data) {
+  setItem('commuteProfiles', data);
+}
+
 export function getFavouriteStopsStorage() {
   return getItemAsJson('favouriteStops');
 }
@@ -375,3 +418,57 @@ export const setDialogState = (dialogId, seen = true) => {
  */
 export const getDialogState = dialogId =>
   getItemAsJson('dialogState', '{}')[`${dialogId}`] === true;
+
+/**
+ * Returns the state of the synchronisation between devices: the account,
+ * the time of the latest sync and the local changes of every synchronised
+ * collection.
+ */
+export const getSyncState = () => getItemAsJson('sync', '{}');
+
+export const setSyncState = state => {
+  writeItem('sync', state);
+};
+
+/**
+ * Returns the stored value of a synchronised collection, or undefined if it
+ * has not been stored.
+ *
+ * @param {string} key the localStorage key of the collection.
+ */
+export const getSyncedCollection = key => {
+  const item = getItem(key);
+  return item !== null ? JSON.parse(item) : undefined;
+};
+
+/**
+ * Stores the merged value of a synchronised collection. This is not recorded
+ * as a local change.
+ *
+ * @param {string} key the localStorage key of the collection.
+ * @param {*} value the merged value.
+ */
+export const setSyncedCollection = (key, value) => {
+  writeItem(key, value);
+};
+
+/**
+ * Returns the departures the user has asked to be notified about on this
+ * device.
+ */
+export const getWatchedDepartures = () =>
+  getItemAsJson('watchedDepartures', '[]');
+
+export const setWatchedDepartures = watches => {
+  setItem('watchedDepartures', watches);
+};
+
+/**
+ * Returns the consents the user has given on this device by their category,
+ * or an empty object if the user has not been asked yet.
+ */
+export const getConsentStorage = () => getItemAsJson('consent', '{}');
+
+export const setConsentStorage = consent => {
+  setItem('consent', consent);
+};
@@ -262,11 +262,26 @@ const translations = {
   de: {
     'about-this-service': 'Über diesen Service',
     accessibility: 'Barrierefreiheit',
+    'accessibility-avoid-stairs': 'Treppen vermeiden',
+    'accessibility-boarding': 'Einstieg mit Rollstuhl',
+    'accessibility-issues':
+      'Diese Verbindung ist möglicherweise nicht vollständig barrierefrei. Prüfen Sie die Details unten.',
     'accessibility-limited': 'Rollstuhlgerecht',
+    'accessibility-low-floor-only': 'Nur Niederflurfahrzeuge',
+    'accessibility-max-slope': 'Maximale Steigung',
+    'accessibility-max-slope-value': 'Steigung höchstens {slope} %',
     'accessibility-nolimit': 'Keine Einschränkungen',
+    'accessibility-profile-in-use':
+      'Die Verbindungen wurden für Rollstuhlfahrer gesucht ({options}). Bekannte nicht barrierefreie Haltestellen und Fahrten, Treppen und steile Steigungen wurden vermieden.',
+    'accessibility-profile-not-in-use':
+      'Es wurden keine Barrierefreiheitseinstellungen verwendet. Sie können sie in den Einstellungen wählen.',
+    'accessibility-steep-slope':
+      'Steigung von bis zu {slope} % auf dem Weg nach {place}',
+    'accessibility-step-free': 'Stufenloser Zugang',
     'add-itinerary-via-point': 'Zwischenstopp hinzufügen',
     'add-location': 'Ort hinzufügen',
     'add-location-to-favourites': 'Ort zu Favoriten hinzufügen',
+    'add-to-calendar': 'Zum Kalender hinzufügen',
     address: 'Adresse',
     'address-or-stop': 'Adresse oder Haltestelle',
     agency: 'Betreiber',
@@ -314,6 +329,35 @@ const translations = {
     'citybike-register-required': 'Anmeldung bei Citybikes benötigt',
     citybike_off: 'Geschlossen',
     close: 'Schließen',
+    'co2-emissions': 'CO2-Emissionen',
+    'co2-saved-versus-car': 'Einsparung gegenüber dem Auto',
+    'co2-saved-versus-car-value': '{emissions} weniger als mit dem Auto',
+    'commute-profile-add': 'Pendelstrecke hinzufügen',
+    'commute-profile-alert': 'Es gibt Störungen auf der Route',
+    'commute-profile-delay': '{minutes} Min. verspätet',
+    'commute-profile-leave': 'Abfahrt {startTime}, Ankunft {endTime}',
+    'commute-profile-no-itinerary': 'Keine Route gefunden',
+    'commute-profile-schedule': '{weekdays}, Ankunft bis {time}',
+    'commute-profiles': 'Pendelstrecken',
+    'compare-itineraries': 'Routen vergleichen',
+    'compare-itineraries-instructions':
+      'Wählen Sie {min} bis {max} Routen zum Vergleich aus.',
+    'comparison-arrival': 'Ankunft',
+    'comparison-biking-distance': 'Radstrecke',
+    'comparison-departure': 'Abfahrt',
+    'comparison-duration': 'Dauer',
+    'comparison-elevation-gained': 'Höhenmeter bergauf',
+    'comparison-fare': 'Preis',
+    'comparison-transfers': 'Umstiege',
+    'comparison-walking-distance': 'Fußweg',
+    'consent-accept-all': 'Alle akzeptieren',
+    'consent-analytics': 'Analyse',
+    'consent-banner-text':
+      'Wir möchten Dienste von Drittanbietern nutzen, um den Dienst zu verbessern. Sie werden nur mit Ihrer Einwilligung geladen, die Sie später im Menü ändern können.',
+    'consent-error-reporting': 'Fehlerberichte',
+    'consent-feedback-surveys': 'Feedback-Umfragen',
+    'consent-save-selection': 'Auswahl speichern',
+    'consent-settings': 'Datenschutz',
     'contact-information': '{contactName} Kontaktinformationen',
     continue: 'Fortsetzen',
     'create-account': '{contactName}-Konto anlegen',
@@ -322,6 +366,14 @@ const translations = {
     datasources: 'Datenquellen',
     date: 'Datum',
     delete: 'Löschen',
+    'departure-board-no-stops': 'Die Haltestellen wurden nicht gefunden.',
+    'departure-filter-headsigns': 'Ziele',
+    'departure-filter-platforms': 'Gleise',
+    'departure-filter-routes': 'Linien',
+    'departure-filters': 'Abfahrten filtern',
+    'departure-filters-clear': 'Alle anzeigen',
+    'departure-filters-no-departures':
+      'Keine Abfahrten entsprechen den Filtern',
     'departure-is-canceled': '{modeInfo} {from}–{to} at {time} fällt aus',
     'departure-is-canceled-airplane': 'Flug {shortName}',
     'departure-is-canceled-bus': 'Bus {shortName}',
@@ -329,6 +381,15 @@ const translations = {
     'departure-is-canceled-rail': 'Zug {shortName}',
     'departure-is-canceled-subway': 'U-Bahn {shortName}',
     'departure-is-canceled-tram': 'Tram {shortName}',
+    'departure-notification-canceled': 'Abfahrt fällt aus',
+    'departure-notification-canceled-body':
+      '{route} {headsign} um {time} fällt aus',
+    'departure-notification-leave-departure': 'Zeit, zur Haltestelle zu gehen',
+    'departure-notification-leave-departure-body':
+      '{route} {headsign} fährt um {time} ab',
+    'departure-notification-leave-itinerary': 'Zeit zu gehen',
+    'departure-notification-leave-itinerary-body':
+      'Gehen Sie um {leaveTime} los, um {route} {headsign} um {time} zu erreichen',
     'departure-time-in-minutes': '{minutes} min',
     departures: 'Abfahrten',
     description:
@@ -350,10 +411,29 @@ const translations = {
     'distance-between': 'Abstand zwischen {distance1} m — {distance2} m',
     'distance-total': 'Gesamtstrecke',
     'distance-under': 'Abstand unter {distance} m',
+    'download-week-schedule': 'CSV herunterladen',
     earlier: 'Früher',
     'edit-favourites': 'Favoriten bearbeiten',
     'elevation-gained-total': 'Bergauf',
     'elevation-lost-total': 'Bergab',
+    'embed-builder-choose-stops': 'Wählen Sie mindestens eine Haltestelle.',
+    'embed-builder-height': 'Höhe',
+    'embed-builder-instructions':
+      'Wählen Sie das Widget und kopieren Sie den Code auf Ihre Website.',
+    'embed-builder-language': 'Sprache',
+    'embed-builder-origin': 'Startpunkt (optional)',
+    'embed-builder-rows': 'Anzahl der Abfahrten',
+    'embed-builder-search-stop': 'Haltestelle suchen',
+    'embed-builder-size': 'Größe',
+    'embed-builder-stops': 'Haltestellen',
+    'embed-builder-title': 'Widget zu Ihrer Website hinzufügen',
+    'embed-builder-type': 'Widget',
+    'embed-builder-type-departures': 'Abfahrten',
+    'embed-builder-type-search': 'Routensuche',
+    'embed-powered-by': 'Routenplaner {title}',
+    'embed-search-button': 'Routen suchen',
+    'embed-search-title': 'So kommen Sie hierher',
+    'end-journey': 'Reise beenden',
     explanations: 'Erklärung',
     'extra-info': 'Mehr Infos',
     'favourite-target': 'Favoriten',
@@ -387,6 +467,7 @@ const translations = {
     'in-addition': 'auch',
     inquiry: 'Feedback geben',
     instructions: 'Anweisungen',
+    'itinerary-co2.title': 'CO2-Emissionen',
     'itinerary-feedback-button': 'Feedback senden',
     'itinerary-feedback-message': 'Nichts gefunden?',
     'itinerary-feedback-placeholder': 'Beschreibung (optional)',
@@ -399,6 +480,17 @@ const translations = {
     'itinerary-tickets.title': 'Benötigte Fahrkarten',
     'itinerary-time.title': 'Dauer',
     'itinerary-walk.title': 'Gesamte Laufstrecke',
+    'journey-arrived': 'Sie haben Ihr Ziel erreicht',
+    'journey-board':
+      'Steigen Sie um {time} an der Haltestelle {stop} in {route} ein',
+    'journey-get-off':
+      '{count, plural, one {Steigen Sie an der nächsten Haltestelle aus, {stop}} other {Steigen Sie in # Haltestellen aus, {stop}}}',
+    'journey-go-to': 'Gehen Sie zu {place}',
+    'journey-locating':
+      'Ihr Standort ist noch nicht bekannt. Die Reise folgt dem Fahrplan.',
+    'journey-off-route': 'Sie scheinen von der Route abgewichen zu sein',
+    'journey-replan': 'Neue Route von hier planen',
+    'journey-walk-to': 'Gehen Sie zu {place}',
     'journeyplanner.title': 'HSL Reiseplaner',
     later: 'Später',
     leaves: 'Abfahrt',
@@ -417,6 +509,7 @@ const translations = {
     'location-sport': 'Sport',
     'location-work': 'Arbeit',
     login: 'Login',
+    logout: 'Abmelden',
     'long-transfers-margin': 'Lange',
     'main-menu-label-close': 'Hauptmenü schließen',
     'main-menu-label-open': 'Menü öffnen',
@@ -466,6 +559,10 @@ const translations = {
     'no-route-start-end': 'Bitte Start und Ziel auswählen.',
     'no-transfers-margin': 'Keine',
     'no-trips-found': 'Keine Reisen für diesen Tag gefunden.',
+    'notifications-denied':
+      'Benachrichtigungen sind in Ihrem Browser blockiert',
+    'notify-me': 'Erinnern, solange diese Seite geöffnet ist',
+    'notify-me-cancel': 'Erinnerung abbrechen',
     now: 'Jetzt',
     'number-of-intermediate-stops':
       '{number, plural, =0 {Keine Zwischenstopps} one {1 Zwischenstopp} other {{number} Zwischenstopps} }',
@@ -473,6 +570,21 @@ const translations = {
       '{number, plural, =0 {0 Minuten} one {1 Minute} other {{number} Minuten}}',
     'off-canvas-info':
       'Mit einer Anmeldung können Sie Favoriten speichern und auf anderen Geräten wieder verwenden.',
+    'offline-banner':
+      'Offline, Fahrplandaten vom {date}. Echtzeitinformationen sind nicht verfügbar.',
+    'offline-timetable-days': 'Tage',
+    'offline-timetable-failed': 'Der Fahrplan konnte nicht gespeichert werden.',
+    'offline-timetable-save': 'Für die Offline-Nutzung speichern',
+    'offline-timetable-saved':
+      'Für die Offline-Nutzung gespeichert {startDate} - {endDate}',
+    'offline-timetable-saving': 'Wird gespeichert...',
+    'optimize-via-points': 'Reihenfolge optimieren',
+    'optimize-via-points-done': 'Die Reihenfolge wurde optimiert.',
+    'optimize-via-points-failed':
+      'Die Reihenfolge konnte nicht optimiert werden.',
+    'optimize-via-points-fastest':
+      'Die Reihenfolge ist bereits die schnellste.',
+    'optimize-via-points-saved': 'Die neue Reihenfolge spart {duration}.',
     'option-default': 'Standard',
     'option-least': 'Am wenigsten',
     'option-less': 'Weniger',
@@ -500,9 +612,20 @@ const translations = {
     previous: 'Vorherige',
     print: 'Drucken',
     'print-timetable': 'Fahrplan',
+    'print-week-schedule': 'Haltestellenfahrpläne',
     'public-transport': 'Öffentlicher Nahverkehr',
     rail: 'Zug',
     'rail-with-route-number': 'Zug {routeNumber} {headSign}',
+    'reachability-error':
+      'Die erreichbaren Gebiete konnten nicht abgerufen werden.',
+    'reachability-from': 'Von {address}',
+    'reachability-from-here': 'Erreichbarkeit von hier',
+    'reachability-no-areas':
+      'Mit den gewählten Verkehrsmitteln sind keine Gebiete erreichbar.',
+    'reachability-no-origin':
+      'Wählen Sie den Startpunkt, um zu sehen, wie weit Sie von dort kommen.',
+    'reachability-within-minutes': 'Innerhalb von {minutes} Min.',
+    'reachability.title': 'Erreichbarkeit',
     realtime: 'Echtzeit',
     'realtime-matching': 'Echtzeit-Matching',
     'rent-cycle-at': 'Fahrrad bei {station} mieten',
@@ -526,6 +649,12 @@ const translations = {
     'route-page.description': 'Linie {shortName}, {longName}',
     'route-page.title': 'Route {shortName}',
     'route-page.title-short': 'Linie',
+    'route-pattern-compare': 'Vergleich',
+    'route-pattern-compare-no-unique-stops':
+      'Die anderen Varianten halten an allen ihren Haltestellen',
+    'route-pattern-compare-trip-count':
+      '{count, plural, =0 {Keine Fahrten} one {1 Fahrt} other {{count} Fahrten}}',
+    'route-pattern-compare-unique-stops': 'Haltestellen nur dieser Variante',
     'route-prefer-greenways': 'Fahrradwege bevorzugen',
     'route-prefer-illuminated': 'Beleuchtete Wege bevorzugen',
     'route-prefer-paved': 'Asphaltierte Strecken bevorzugen',
@@ -534,6 +663,11 @@ const translations = {
     'route-preferences': 'Routing Einstellungen',
     'route-public-transport-with-bicycle': 'ÖPNV mit Fahrrad',
     'route-saved-settings': 'Einstellungen speichern',
+    'route-schedule-hour': 'Stunde',
+    'route-schedule-saturday': 'Samstag',
+    'route-schedule-stop-code': 'Haltestellencode',
+    'route-schedule-sunday': 'Sonntag',
+    'route-schedule-weekday': 'Mo–Fr',
     'route-stop-or-keyword': 'Linie oder Haltestelle',
     routes: 'Linien',
     'routes-platforms': 'Linien, Steige',
@@ -574,6 +708,7 @@ const translations = {
     'splash-use-positioning': 'Aktuellen Standort benutzen',
     'splash-welcome': 'Wie möchten Sie starten?',
     'splash-you-can-also': 'Sie können auch',
+    'start-journey': 'Reise starten',
     stop: 'Haltestelle',
     'stop-number': 'Haltestellennummer',
     'stop-page.description': 'Haltestelle - {name} {code}, {desc}',
@@ -589,6 +724,14 @@ const translations = {
     'subway-with-route-number': 'U-Bahn {routeNumber} {headSign}',
     'summary-page.description': '{from} - {to}',
     'summary-page.title': 'Reisevorschläge',
+    'sync-code': 'Synchronisierungscode',
+    'sync-code-instructions':
+      'Melden Sie sich mit diesem Code auf Ihren anderen Geräten an, um dieselben Favoriten, Einstellungen und Suchverläufe zu verwenden.',
+    'sync-code-invalid': 'Überprüfen Sie den Synchronisierungscode',
+    'sync-failed':
+      'Die Synchronisierung ist fehlgeschlagen. Ihre Änderungen werden später synchronisiert.',
+    'sync-last-synced': 'Zuletzt synchronisiert {time}',
+    'sync-now': 'Jetzt synchronisieren',
     'terminal-page.description': 'Terminal - {name}',
     'terminal-page.title': 'Terminal',
     'terminal-page.title-short': 'Terminal - {name}',
@@ -616,6 +759,11 @@ const translations = {
     'use-citybike': 'Fahrrad benutzen',
     'use-national-service': 'Sie können auch den Nationalen Service benutzen: ',
     'use-own-position': 'Aktuellen Standort benutzen',
+    'user-data-export': 'Daten exportieren',
+    'user-data-import': 'Daten importieren',
+    'user-data-import-failed':
+      'Die Datei konnte nicht importiert werden. Prüfen Sie, ob sie aus diesem Dienst exportiert wurde.',
+    'user-data-imported': 'Ihre Daten wurden importiert',
     'using-modes': 'Verkehrsmittel',
     'very-likely': 'Sehr wahrscheinlich',
     'very-unlikely': 'Sehr unwahrscheinlich',
@@ -634,6 +782,9 @@ const translations = {
     'warning-call-agency-no-route':
       'Nur auf Nachfrage. Diese Fahrt muss vorher angefragt werden.',
     'weather-at-destination': 'Wetter am Reiseziel',
+    'wheelchair-no-information': 'Keine Angaben zur Barrierefreiheit',
+    'wheelchair-not-possible': 'Nicht barrierefrei',
+    'wheelchair-possible': 'Barrierefrei',
     yesterday: 'Gestern',
     'your-favourites': 'Favoriten',
     zone: 'Tarifzone',
@@ -643,11 +794,26 @@ const translations = {
   en: {
     'about-this-service': 'About the service',
     accessibility: 'Accessibility',
+    'accessibility-avoid-stairs': 'Avoid stairs',
+    'accessibility-boarding': 'Boarding with a wheelchair',
+    'accessibility-issues':
+      'This itinerary may not be fully accessible. Check the details below.',
     'accessibility-limited': 'Wheelchair',
+    'accessibility-low-floor-only': 'Low-floor vehicles only',
+    'accessibility-max-slope': 'Maximum slope',
+    'accessibility-max-slope-value': 'slope at most {slope} %',
     'accessibility-nolimit': 'No limits',
+    'accessibility-profile-in-use':
+      'The itineraries were searched for wheelchair users ({options}). Stops and trips known to be inaccessible, stairs and steep slopes were avoided.',
+    'accessibility-profile-not-in-use':
+      'No accessibility settings were used. You can choose them in the settings.',
+    'accessibility-steep-slope':
+      'Slope of up to {slope} % on the way to {place}',
+    'accessibility-step-free': 'Step-free access',
     'add-itinerary-via-point': 'Add via point for itinerary',
     'add-location': 'Add location',
     'add-location-to-favourites': 'Add an important location to your Favorites',
+    'add-to-calendar': 'Add to calendar',
     'add-via-button-label': 'Add via point',
     'add-via-duration-button-label': 'Set stop duration at via point',
     address: 'Address',
@@ -705,6 +871,35 @@ const translations = {
     citybike_off: 'Closed',
     'clear-button-label': 'Clear',
     close: 'Close',
+    'co2-emissions': 'CO2 emissions',
+    'co2-saved-versus-car': 'Saved versus driving',
+    'co2-saved-versus-car-value': '{emissions} less than driving',
+    'commute-profile-add': 'Add a commute',
+    'commute-profile-alert': 'There are disruptions on the route',
+    'commute-profile-delay': 'Delayed by {minutes} min',
+    'commute-profile-leave': 'Leave {startTime}, arrive {endTime}',
+    'commute-profile-no-itinerary': 'No itinerary found',
+    'commute-profile-schedule': '{weekdays}, arrive by {time}',
+    'commute-profiles': 'Commutes',
+    'compare-itineraries': 'Compare itineraries',
+    'compare-itineraries-instructions':
+      'Select {min} to {max} itineraries to compare.',
+    'comparison-arrival': 'Arrival',
+    'comparison-biking-distance': 'Biking distance',
+    'comparison-departure': 'Departure',
+    'comparison-duration': 'Duration',
+    'comparison-elevation-gained': 'Elevation gained',
+    'comparison-fare': 'Fare',
+    'comparison-transfers': 'Transfers',
+    'comparison-walking-distance': 'Walking distance',
+    'consent-accept-all': 'Accept all',
+    'consent-analytics': 'Analytics',
+    'consent-banner-text':
+      'We would like to use third-party services to improve the service. They are loaded only with your consent, which you can change later in the menu.',
+    'consent-error-reporting': 'Error reporting',
+    'consent-feedback-surveys': 'Feedback surveys',
+    'consent-save-selection': 'Save selection',
+    'consent-settings': 'Privacy',
     'contact-information': '{contactName} contact details',
     continue: 'Continue',
     'create-account': 'Create {contactName} account',
@@ -713,6 +908,13 @@ const translations = {
     datasources: 'Data sources',
     date: 'Date',
     delete: 'Delete',
+    'departure-board-no-stops': 'The stops could not be found.',
+    'departure-filter-headsigns': 'Destinations',
+    'departure-filter-platforms': 'Platforms',
+    'departure-filter-routes': 'Routes',
+    'departure-filters': 'Filter departures',
+    'departure-filters-clear': 'Show all',
+    'departure-filters-no-departures': 'No departures match the filters',
     'departure-is-canceled': '{modeInfo} {from}–{to} at {time} is cancelled',
     'departure-is-canceled-airplane': 'Flight {shortName}',
     'departure-is-canceled-bus': 'Bus {shortName}',
@@ -720,6 +922,15 @@ const translations = {
     'departure-is-canceled-rail': '{shortName} train',
     'departure-is-canceled-subway': 'Metro service {shortName}',
     'departure-is-canceled-tram': 'Tram {shortName}',
+    'departure-notification-canceled': 'Departure canceled',
+    'departure-notification-canceled-body':
+      '{route} {headsign} departing at {time} has been canceled',
+    'departure-notification-leave-departure': 'Time to go to the stop',
+    'departure-notification-leave-departure-body':
+      '{route} {headsign} departs at {time}',
+    'departure-notification-leave-itinerary': 'Time to leave',
+    'departure-notification-leave-itinerary-body':
+      'Leave at {leaveTime} to catch {route} {headsign} departing at {time}',
     'departure-time-in-minutes': '{minutes} min',
     departures: 'Departures',
     description: 'Find public transport services to locations near and far.',
@@ -740,10 +951,29 @@ const translations = {
     'distance-between': 'Distance {distance1} m — {distance2} m',
     'distance-total': 'Total distance',
     'distance-under': 'Distance less than {distance} m',
+    'download-week-schedule': 'Download CSV',
     earlier: 'Earlier',
     'edit-favourites': 'Edit the location in the Favorites',
     'elevation-gained-total': 'Elevation gained',
     'elevation-lost-total': 'Elevation lost',
+    'embed-builder-choose-stops': 'Choose at least one stop.',
+    'embed-builder-height': 'Height',
+    'embed-builder-instructions':
+      'Choose the widget and copy the code to your website.',
+    'embed-builder-language': 'Language',
+    'embed-builder-origin': 'Origin (optional)',
+    'embed-builder-rows': 'Number of departures',
+    'embed-builder-search-stop': 'Search for a stop',
+    'embed-builder-size': 'Size',
+    'embed-builder-stops': 'Stops',
+    'embed-builder-title': 'Add a widget to your website',
+    'embed-builder-type': 'Widget',
+    'embed-builder-type-departures': 'Departures',
+    'embed-builder-type-search': 'Itinerary search',
+    'embed-powered-by': 'Journey planner {title}',
+    'embed-search-button': 'Search routes',
+    'embed-search-title': 'Get here',
+    'end-journey': 'End journey',
     explanations: 'Explanations',
     'extra-info': 'Further information',
     'favourite-target': 'Favorite location',
@@ -779,6 +1009,7 @@ const translations = {
     'in-addition': 'In addition',
     inquiry: 'How did you find the new Journey Planner? Please tell us!',
     instructions: 'Instructions',
+    'itinerary-co2.title': 'CO2 emissions',
     'itinerary-feedback-button': 'Send feedback',
     'itinerary-feedback-message': 'Couldn’t find what you were looking for?',
     'itinerary-feedback-placeholder': 'Description (optional)',
@@ -793,6 +1024,16 @@ const translations = {
     'itinerary-tickets.title': 'Required tickets',
     'itinerary-time.title': 'Duration',
     'itinerary-walk.title': 'Total walking distance',
+    'journey-arrived': 'You have arrived at your destination',
+    'journey-board': 'Board {route} at {stop} at {time}',
+    'journey-get-off':
+      '{count, plural, one {Get off at the next stop, {stop}} other {Get off in # stops at {stop}}}',
+    'journey-go-to': 'Go to {place}',
+    'journey-locating':
+      'Your location is not known yet. The journey follows the schedule.',
+    'journey-off-route': 'You seem to have strayed from the route',
+    'journey-replan': 'Plan a new route from here',
+    'journey-walk-to': 'Walk to {place}',
     'journeyplanner.title': 'HSL Journey Planner',
     later: 'Later',
     leaves: 'Leaves',
@@ -811,6 +1052,7 @@ const translations = {
     'location-sport': 'Sports',
     'location-work': 'Work',
     login: 'Log in',
+    logout: 'Log out',
     'long-transfers-margin': '12 min',
     'main-menu-label-close': 'Close the main menu',
     'main-menu-label-open': 'Open the main menu',
@@ -860,6 +1102,9 @@ const translations = {
     'no-route-start-end': 'Please select origin and destination.',
     'no-transfers-margin': '1 min',
     'no-trips-found': 'No journeys found for the selected date.',
+    'notifications-denied': 'Notifications are blocked in your browser',
+    'notify-me': 'Notify me while this page is open',
+    'notify-me-cancel': 'Cancel notification',
     now: 'Now',
     'number-of-intermediate-stops':
       '{number, plural, =0 {No stops} one {1 stop} other {{number} stops} }',
@@ -867,6 +1112,18 @@ const translations = {
       '{number, plural, =0 {0 minutes} one {1 minute} other {{number} minutes}}',
     'off-canvas-info':
       'Log in to the service to save your favorites and utilize them on other devices',
+    'offline-banner':
+      'Offline, schedule data from {date}. Realtime information is not available.',
+    'offline-timetable-days': 'Days',
+    'offline-timetable-failed': 'Saving the timetable failed.',
+    'offline-timetable-save': 'Save for offline use',
+    'offline-timetable-saved': 'Saved for offline use {startDate} - {endDate}',
+    'offline-timetable-saving': 'Saving...',
+    'optimize-via-points': 'Optimize the order',
+    'optimize-via-points-done': 'The order has been optimized.',
+    'optimize-via-points-failed': 'The order could not be optimized.',
+    'optimize-via-points-fastest': 'The order is already the fastest.',
+    'optimize-via-points-saved': 'The new order saves {duration}.',
     'option-default': 'Default',
     'option-least': 'Least',
     'option-less': 'Less',
@@ -892,9 +1149,19 @@ const translations = {
     previous: 'Previous',
     print: 'Print',
     'print-timetable': 'Weekly timetable',
+    'print-week-schedule': 'Stop timetables',
     'public-transport': 'Public transport',
     rail: 'Train',
     'rail-with-route-number': 'Train {routeNumber} {headSign}',
+    'reachability-error': 'The reachable areas could not be fetched.',
+    'reachability-from': 'From {address}',
+    'reachability-from-here': 'Reachability from here',
+    'reachability-no-areas':
+      'No areas can be reached with the selected transport modes.',
+    'reachability-no-origin':
+      'Choose the origin to see how far you can get from it.',
+    'reachability-within-minutes': 'Within {minutes} min',
+    'reachability.title': 'Reachability',
     realtime: 'Real-time',
     'realtime-matching': 'Real-time integration',
     releases: 'Releases',
@@ -922,6 +1189,12 @@ const translations = {
     'route-page.description': 'Route {route_short_name} - {route_long_name}',
     'route-page.title': 'Route {route_short_name}',
     'route-page.title-short': 'Route',
+    'route-pattern-compare': 'Compare',
+    'route-pattern-compare-no-unique-stops':
+      'The other variants stop at all of its stops',
+    'route-pattern-compare-trip-count':
+      '{count, plural, =0 {No trips} one {1 trip} other {{count} trips}}',
+    'route-pattern-compare-unique-stops': 'Stops only on this variant',
     'route-prefer-greenways': 'Prefer cycleways',
     'route-prefer-illuminated': 'Prefer illuminated routes',
     'route-prefer-paved': 'Prefer paved routes',
@@ -930,6 +1203,11 @@ const translations = {
     'route-preferences': 'Route preferences',
     'route-public-transport-with-bicycle': 'Public transport with bicycle',
     'route-saved-settings': 'Saved settings',
+    'route-schedule-hour': 'Hour',
+    'route-schedule-saturday': 'Saturday',
+    'route-schedule-stop-code': 'Stop code',
+    'route-schedule-sunday': 'Sunday',
+    'route-schedule-weekday': 'Mon–Fri',
     'route-stop-or-keyword': 'About the route or stop',
     routes: 'Routes',
     'routes-platforms': 'Routes, platforms',
@@ -982,6 +1260,7 @@ const translations = {
     'splash-use-positioning': 'Use location services',
     'splash-welcome': 'How do you wish to start?',
     'splash-you-can-also': 'or',
+    'start-journey': 'Start journey',
     stop: 'Stop',
     'stop-number': 'Stop number',
     'stop-page.description': 'Stop {name} - {code}',
@@ -1000,6 +1279,14 @@ const translations = {
     'summary-page.row-label': 'Itinerary suggestion {number}',
     'summary-page.title': 'Itinerary suggestions',
     'swap-order-button-label': 'Reverse origin and destination',
+    'sync-code': 'Sync code',
+    'sync-code-instructions':
+      'Log in with this code on your other devices to use the same favourites, settings and search history.',
+    'sync-code-invalid': 'Check the sync code',
+    'sync-failed':
+      'Synchronisation failed. Your changes will be synchronised later.',
+    'sync-last-synced': 'Last synchronised {time}',
+    'sync-now': 'Synchronise now',
     'terminal-page.description': 'Terminal {name}',
     'terminal-page.title': 'Terminal {name}',
     'terminal-page.title-short': 'Terminal',
@@ -1033,6 +1320,11 @@ const translations = {
     'use-national-service':
       'You can also try the national service available at',
     'use-own-position': 'Use current location',
+    'user-data-export': 'Export data',
+    'user-data-import': 'Import data',
+    'user-data-import-failed':
+      'The file could not be imported. Check that it has been exported from this service.',
+    'user-data-imported': 'Your data has been imported',
     'using-modes': 'I want to travel by',
     'very-likely': 'Very likely',
     'very-unlikely': 'Very unlikely',
@@ -1051,6 +1343,9 @@ const translations = {
     'warning-call-agency-no-route':
       'Only on demand. Needs to be booked in advance.',
     'weather-at-destination': 'Weather at the destination',
+    'wheelchair-no-information': 'No accessibility information',
+    'wheelchair-not-possible': 'Not accessible',
+    'wheelchair-possible': 'Accessible',
     yesterday: 'Yesterday',
     'your-favourites': 'Favorites',
     zone: 'Zone',
@@ -1361,12 +1656,27 @@ const translations = {
   fi: {
     'about-this-service': 'Tietoja palvelusta',
     accessibility: 'Esteettömyys',
+    'accessibility-avoid-stairs': 'Vältä portaita',
+    'accessibility-boarding': 'Pyörätuolilla nouseminen',
+    'accessibility-issues':
+      'Tämä reitti ei välttämättä ole täysin esteetön. Tarkista tiedot alta.',
     'accessibility-limited': 'Liikun pyörätuolilla',
+    'accessibility-low-floor-only': 'Vain matalalattiaiset kulkuneuvot',
+    'accessibility-max-slope': 'Suurin kaltevuus',
+    'accessibility-max-slope-value': 'kaltevuus enintään {slope} %',
     'accessibility-nolimit': 'Ei rajoitusta',
+    'accessibility-profile-in-use':
+      'Reitit haettiin pyörätuolin käyttäjälle ({options}). Esteellisiksi tiedetyt pysäkit ja vuorot, portaat ja jyrkät mäet vältettiin.',
+    'accessibility-profile-not-in-use':
+      'Esteettömyysasetuksia ei käytetty. Voit valita ne asetuksista.',
+    'accessibility-steep-slope':
+      'Jopa {slope} %:n kaltevuus matkalla kohteeseen {place}',
+    'accessibility-step-free': 'Esteetön kulku',
     'add-itinerary-via-point': 'Lisää reitille välipiste',
     'add-location': 'Lisää paikka',
     'add-location-to-favourites':
       'Lisää sinulle tärkeä paikka Suosikkisi-välilehdelle',
+    'add-to-calendar': 'Lisää kalenteriin',
     'add-via-button-label': 'Lisää välipiste',
     'add-via-duration-button-label': 'Aseta välipisteelle pysähdyksen kesto',
     address: 'Osoite',
@@ -1424,6 +1734,35 @@ const translations = {
     citybike_off: 'Suljettu',
     'clear-button-label': 'Tyhjennä',
     close: 'Sulje',
+    'co2-emissions': 'CO2-päästöt',
+    'co2-saved-versus-car': 'Säästö autoiluun verrattuna',
+    'co2-saved-versus-car-value': '{emissions} vähemmän kuin autolla',
+    'commute-profile-add': 'Lisää työmatka',
+    'commute-profile-alert': 'Reitillä on häiriöitä',
+    'commute-profile-delay': 'Myöhässä {minutes} min',
+    'commute-profile-leave': 'Lähde {startTime}, perillä {endTime}',
+    'commute-profile-no-itinerary': 'Reittiä ei löytynyt',
+    'commute-profile-schedule': '{weekdays}, perillä {time}',
+    'commute-profiles': 'Työmatkat',
+    'compare-itineraries': 'Vertaile reittejä',
+    'compare-itineraries-instructions':
+      'Valitse vertailtavaksi {min}–{max} reittiä.',
+    'comparison-arrival': 'Perillä',
+    'comparison-biking-distance': 'Pyöräilymatka',
+    'comparison-departure': 'Lähtö',
+    'comparison-duration': 'Kesto',
+    'comparison-elevation-gained': 'Nousua yhteensä',
+    'comparison-fare': 'Hinta',
+    'comparison-transfers': 'Vaihdot',
+    'comparison-walking-distance': 'Kävelymatka',
+    'consent-accept-all': 'Hyväksy kaikki',
+    'consent-analytics': 'Analytiikka',
+    'consent-banner-text':
+      'Haluaisimme käyttää kolmansien osapuolten palveluita palvelun kehittämiseen. Ne ladataan vain suostumuksellasi, jota voit muuttaa myöhemmin valikosta.',
+    'consent-error-reporting': 'Virheraportointi',
+    'consent-feedback-surveys': 'Palautekyselyt',
+    'consent-save-selection': 'Tallenna valinnat',
+    'consent-settings': 'Yksityisyys',
     'contact-information': '{contactName}:n yhteystiedot',
     continue: 'Jatka',
     'create-account': 'Luo {contactName} tunnus',
@@ -1432,6 +1771,14 @@ const translations = {
     datasources: 'Tietolähteet',
     date: 'Päivämäärä',
     delete: 'Poista',
+    'departure-board-no-stops': 'Pysäkkejä ei löytynyt.',
+    'departure-filter-headsigns': 'Määränpäät',
+    'departure-filter-platforms': 'Laiturit',
+    'departure-filter-routes': 'Linjat',
+    'departure-filters': 'Suodata lähtöjä',
+    'departure-filters-clear': 'Näytä kaikki',
+    'departure-filters-no-departures':
+      'Suodatuksia vastaavia lähtöjä ei löytynyt',
     'departure-is-canceled':
       '{modeInfo} lähtö {from}–{to} kello {time} on peruttu',
     'departure-is-canceled-airplane': 'Lennon {shortName}',
@@ -1440,6 +1787,15 @@ const translations = {
     'departure-is-canceled-rail': '{shortName}-junan',
     'departure-is-canceled-subway': 'Metron {shortName}',
     'departure-is-canceled-tram': 'Raitiolinjan {shortName}',
+    'departure-notification-canceled': 'Lähtö peruttu',
+    'departure-notification-canceled-body':
+      '{route} {headsign}, lähtö klo {time}, on peruttu',
+    'departure-notification-leave-departure': 'Aika lähteä pysäkille',
+    'departure-notification-leave-departure-body':
+      '{route} {headsign} lähtee klo {time}',
+    'departure-notification-leave-itinerary': 'Aika lähteä',
+    'departure-notification-leave-itinerary-body':
+      'Lähde klo {leaveTime} ehtiäksesi kyytiin {route} {headsign}, lähtö klo {time}',
     'departure-time-in-minutes': '{minutes} min',
     departures: 'Lähdöt',
     description: 'Löydä joukkoliikennetarjonta lähelle ja kauas.',
@@ -1462,10 +1818,28 @@ const translations = {
     'distance-between': 'Etäisyys {distance1} m — {distance2} m',
     'distance-total': 'Matkan pituus',
     'distance-under': 'Etäisyys alle {distance} m',
+    'download-week-schedule': 'Lataa CSV',
     earlier: 'Aiemmin',
     'edit-favourites': 'Muokkaa paikkaa Suosikkisi-välilehdellä',
     'elevation-gained-total': 'Nousua yhteensä',
     'elevation-lost-total': 'Laskua yhteensä',
+    'embed-builder-choose-stops': 'Valitse vähintään yksi pysäkki.',
+    'embed-builder-height': 'Korkeus',
+    'embed-builder-instructions': 'Valitse upotus ja kopioi koodi sivuillesi.',
+    'embed-builder-language': 'Kieli',
+    'embed-builder-origin': 'Lähtöpaikka (valinnainen)',
+    'embed-builder-rows': 'Lähtöjen määrä',
+    'embed-builder-search-stop': 'Hae pysäkkiä',
+    'embed-builder-size': 'Koko',
+    'embed-builder-stops': 'Pysäkit',
+    'embed-builder-title': 'Lisää upotus omille sivuillesi',
+    'embed-builder-type': 'Upotus',
+    'embed-builder-type-departures': 'Lähtöajat',
+    'embed-builder-type-search': 'Reittihaku',
+    'embed-powered-by': 'Reittiopas {title}',
+    'embed-search-button': 'Hae reittejä',
+    'embed-search-title': 'Tänne pääset',
+    'end-journey': 'Lopeta matka',
     explanations: 'Selitykset',
     'extra-info': 'Lisätiedot',
     'favourite-target': 'Suosikkikohde',
@@ -1498,6 +1872,7 @@ const translations = {
     'in-addition': 'Lisäksi',
     inquiry: 'Mitä pidät uudesta Reittioppaasta? Kerro se meille! ',
     instructions: 'Ohjeet',
+    'itinerary-co2.title': 'CO2-päästöt',
     'itinerary-feedback-button': 'Lähetä palautetta',
     'itinerary-feedback-message': 'Etkö löytänyt mitä etsit?',
     'itinerary-feedback-placeholder': 'Kuvaus (valinnainen)',
@@ -1510,6 +1885,16 @@ const translations = {
     'itinerary-tickets.title': 'Tarvittavat liput',
     'itinerary-time.title': 'Matka-aika',
     'itinerary-walk.title': 'Kävelyä',
+    'journey-arrived': 'Olet perillä',
+    'journey-board': 'Nouse kyytiin {route} pysäkiltä {stop} klo {time}',
+    'journey-get-off':
+      '{count, plural, one {Jää pois seuraavalla pysäkillä, {stop}} other {Jää pois # pysäkin päästä, {stop}}}',
+    'journey-go-to': 'Siirry kohteeseen {place}',
+    'journey-locating':
+      'Sijaintiasi ei vielä tiedetä. Matkaa seurataan aikataulun mukaan.',
+    'journey-off-route': 'Näytät poikenneen reitiltä',
+    'journey-replan': 'Hae uusi reitti tästä',
+    'journey-walk-to': 'Kävele kohteeseen {place}',
     'journeyplanner.title': 'HSL Reittiopas',
     later: 'Myöhemmin',
     leaves: 'Lähtee',
@@ -1528,6 +1913,7 @@ const translations = {
     'location-sport': 'Urheilu',
     'location-work': 'Työ',
     login: 'Kirjaudu sisään',
+    logout: 'Kirjaudu ulos',
     'long-transfers-margin': '12 min',
     'main-menu-label-close': 'Sulje päävalikko',
     'main-menu-label-open': 'Avaa päävalikko',
@@ -1577,6 +1963,9 @@ const translations = {
     'no-route-start-end': 'Valitse lähtöpaikka ja määränpää.',
     'no-transfers-margin': '1 min',
     'no-trips-found': 'Valitulle päivälle ei löydy matkoja.',
+    'notifications-denied': 'Ilmoitukset on estetty selaimessasi',
+    'notify-me': 'Muistuta minua, kun tämä sivu on auki',
+    'notify-me-cancel': 'Peru muistutus',
     now: 'Nyt',
     'number-of-intermediate-stops':
       '{number, plural, =0 {Ei pysähdyksiä} one {1 pysäkki} other {{number} pysäkkiä} }',
@@ -1584,6 +1973,19 @@ const translations = {
       '{number, plural, =0 {0 minuuttia} one {1 minuutti} other {{number} minuuttia}}',
     'off-canvas-info':
       'Kirjautumalla palveluun saat suosikit talteen ja voit hyödyntää niitä muillakin laitteillasi',
+    'offline-banner':
+      'Ei verkkoyhteyttä, aikataulutiedot ajalta {date}. Reaaliaikaista tietoa ei ole saatavilla.',
+    'offline-timetable-days': 'Päiviä',
+    'offline-timetable-failed': 'Aikataulun tallentaminen epäonnistui.',
+    'offline-timetable-save': 'Tallenna offline-käyttöön',
+    'offline-timetable-saved':
+      'Tallennettu offline-käyttöön {startDate} - {endDate}',
+    'offline-timetable-saving': 'Tallennetaan...',
+    'optimize-via-points': 'Optimoi järjestys',
+    'optimize-via-points-done': 'Järjestys on optimoitu.',
+    'optimize-via-points-failed': 'Järjestystä ei voitu optimoida.',
+    'optimize-via-points-fastest': 'Järjestys on jo nopein.',
+    'optimize-via-points-saved': 'Uusi järjestys säästää {duration}.',
     'option-default': 'Oletusarvo',
     'option-least': 'Vähiten',
     'option-less': 'Vähemmän',
@@ -1610,9 +2012,19 @@ const translations = {
     previous: 'Edelliset',
     print: 'Tulosta',
     'print-timetable': 'Viikkoaikataulu',
+    'print-week-schedule': 'Pysäkkiaikataulut',
     'public-transport': 'Joukkoliikenne',
     rail: 'Juna',
     'rail-with-route-number': 'Juna {routeNumber} {headSign}',
+    'reachability-error': 'Saavutettavia alueita ei voitu hakea.',
+    'reachability-from': 'Lähtöpaikka {address}',
+    'reachability-from-here': 'Saavutettavuus täältä',
+    'reachability-no-areas':
+      'Valituilla kulkumuodoilla ei pääse millekään alueelle.',
+    'reachability-no-origin':
+      'Valitse lähtöpaikka nähdäksesi, kuinka pitkälle siitä pääsee.',
+    'reachability-within-minutes': 'Alle {minutes} min',
+    'reachability.title': 'Saavutettavuus',
     realtime: 'Reaaliaika',
     'realtime-matching': 'Realiajan integraatio',
     releases: 'Tiedotteet',
@@ -1640,6 +2052,12 @@ const translations = {
     'route-page.description': 'Linja {shortName}, {longName}',
     'route-page.title': 'Linja {shortName}',
     'route-page.title-short': 'Linja',
+    'route-pattern-compare': 'Vertailu',
+    'route-pattern-compare-no-unique-stops':
+      'Muut reittivariantit pysähtyvät kaikilla sen pysäkeillä',
+    'route-pattern-compare-trip-count':
+      '{count, plural, =0 {Ei vuoroja} one {1 vuoro} other {{count} vuoroa}}',
+    'route-pattern-compare-unique-stops': 'Vain tämän reittivariantin pysäkit',
     'route-prefer-greenways': 'Suosi kevyen liikenteen reittejä',
     'route-prefer-illuminated': 'Suosi valaistuja reittejä',
     'route-prefer-paved': 'Suosi päällystettyjä reittejä',
@@ -1648,6 +2066,11 @@ const translations = {
     'route-preferences': 'Reittimieltymykset',
     'route-public-transport-with-bicycle': 'Pyöräillen ja julkisilla',
     'route-saved-settings': 'Tallennetut asetukset',
+    'route-schedule-hour': 'Tunti',
+    'route-schedule-saturday': 'Lauantai',
+    'route-schedule-stop-code': 'Pysäkkitunnus',
+    'route-schedule-sunday': 'Sunnuntai',
+    'route-schedule-weekday': 'Ma–Pe',
     'route-stop-or-keyword': 'Tietoja linjasta tai pysäkistä',
     routes: 'Linjat',
     'routes-platforms': 'Linjat, laiturit',
@@ -1700,6 +2123,7 @@ const translations = {
     'splash-use-positioning': 'Käytä paikannusta',
     'splash-welcome': 'Miten haluat aloittaa?',
     'splash-you-can-also': 'tai',
+    'start-journey': 'Aloita matka',
     stop: 'Pysäkki',
     'stop-number': 'Pysäkkinumero',
     'stop-page.description': 'Pysäkki - {name} {code}, {desc}',
@@ -1718,6 +2142,14 @@ const translations = {
     'summary-page.row-label': 'Reittiehdotus {number}',
     'summary-page.title': 'Reittiehdotukset',
     'swap-order-button-label': 'Käännä reitin suunta vastakkaiseksi',
+    'sync-code': 'Synkronointikoodi',
+    'sync-code-instructions':
+      'Kirjaudu tällä koodilla muilla laitteillasi, niin voit käyttää samoja suosikkeja, asetuksia ja hakuhistoriaa.',
+    'sync-code-invalid': 'Tarkista synkronointikoodi',
+    'sync-failed':
+      'Synkronointi epäonnistui. Muutoksesi synkronoidaan myöhemmin.',
+    'sync-last-synced': 'Synkronoitu viimeksi {time}',
+    'sync-now': 'Synkronoi nyt',
     'terminal-page.description': 'Terminaali - {name}',
     'terminal-page.title': 'Terminaali - {name}',
     'terminal-page.title-short': 'Terminaali',
@@ -1751,6 +2183,11 @@ const translations = {
     'use-national-service':
       'Voit myös hakea samaa reittiä oheisen linkin koko maan kattavasta palvelusta:',
     'use-own-position': 'Käytä nykyistä sijaintia',
+    'user-data-export': 'Vie tiedot',
+    'user-data-import': 'Tuo tiedot',
+    'user-data-import-failed':
+      'Tiedoston tuonti epäonnistui. Tarkista, että tiedosto on viety tästä palvelusta.',
+    'user-data-imported': 'Tietosi on tuotu',
     'using-modes': 'Haluan kulkea',
     'very-likely': 'Erittäin todennäköistä',
     'very-unlikely': 'Erittäin epätodennäköistä',
@@ -1769,6 +2206,9 @@ const translations = {
     'warning-call-agency-no-route':
       'Liikennöidään kutsujoukkoliikenteenä, joka on tilattava etukäteen',
     'weather-at-destination': 'Sää määränpäässä',
+    'wheelchair-no-information': 'Ei esteettömyystietoa',
+    'wheelchair-not-possible': 'Ei esteetön',
+    'wheelchair-possible': 'Esteetön',
     yesterday: 'Eilen',
     'your-favourites': 'Suosikkisi',
     zone: 'Vyöhyke',
@@ -2385,12 +2825,27 @@ const translations = {
   sv: {
     'about-this-service': 'Om tjänsten',
     accessibility: 'Tillgänglighet',
+    'accessibility-avoid-stairs': 'Undvik trappor',
+    'accessibility-boarding': 'Påstigning med rullstol',
+    'accessibility-issues':
+      'Den här resan är kanske inte helt tillgänglig. Kontrollera uppgifterna nedan.',
     'accessibility-limited': 'Med rullstolen',
+    'accessibility-low-floor-only': 'Endast låggolvsfordon',
+    'accessibility-max-slope': 'Största lutning',
+    'accessibility-max-slope-value': 'lutning högst {slope} %',
     'accessibility-nolimit': 'Ingen begränsning',
+    'accessibility-profile-in-use':
+      'Resorna söktes för rullstolsanvändare ({options}). Hållplatser och turer som är kända som otillgängliga, trappor och branta backar undveks.',
+    'accessibility-profile-not-in-use':
+      'Inga tillgänglighetsinställningar användes. Du kan välja dem i inställningarna.',
+    'accessibility-steep-slope':
+      'Lutning på upp till {slope} % på vägen till {place}',
+    'accessibility-step-free': 'Steglös tillgänglighet',
     'add-itinerary-via-point': 'Lägg till mellanstopp',
     'add-location': 'Lägg till en plats',
     'add-location-to-favourites':
       'Lägg till en plats som är viktig för dig på fliken Favoriter',
+    'add-to-calendar': 'Lägg till i kalendern',
     'add-via-button-label': 'Lägg till viapunkt',
     'add-via-duration-button-label': 'Ställ in varaktighet för viapunkten',
     address: 'Adress',
@@ -2448,6 +2903,34 @@ const translations = {
     citybike_off: 'Stängd',
     'clear-button-label': 'Töm',
     close: 'Stäng',
+    'co2-emissions': 'CO2-utsläpp',
+    'co2-saved-versus-car': 'Besparing jämfört med bil',
+    'co2-saved-versus-car-value': '{emissions} mindre än med bil',
+    'commute-profile-add': 'Lägg till en pendlingsresa',
+    'commute-profile-alert': 'Det finns störningar på rutten',
+    'commute-profile-delay': 'Försenad {minutes} min',
+    'commute-profile-leave': 'Avgå {startTime}, framme {endTime}',
+    'commute-profile-no-itinerary': 'Ingen resa hittades',
+    'commute-profile-schedule': '{weekdays}, framme {time}',
+    'commute-profiles': 'Pendlingsresor',
+    'compare-itineraries': 'Jämför rutter',
+    'compare-itineraries-instructions': 'Välj {min}–{max} rutter att jämföra.',
+    'comparison-arrival': 'Ankomst',
+    'comparison-biking-distance': 'Cykelavstånd',
+    'comparison-departure': 'Avgång',
+    'comparison-duration': 'Restid',
+    'comparison-elevation-gained': 'Total stigning',
+    'comparison-fare': 'Pris',
+    'comparison-transfers': 'Byten',
+    'comparison-walking-distance': 'Gångavstånd',
+    'consent-accept-all': 'Godkänn alla',
+    'consent-analytics': 'Analys',
+    'consent-banner-text':
+      'Vi vill använda tjänster från tredje part för att förbättra tjänsten. De laddas endast med ditt samtycke, som du kan ändra senare i menyn.',
+    'consent-error-reporting': 'Felrapportering',
+    'consent-feedback-surveys': 'Responsenkäter',
+    'consent-save-selection': 'Spara val',
+    'consent-settings': 'Integritet',
     'contact-information': '{contactName} Kontaktuppgifter',
     continue: 'Fortsätt',
     'create-account': 'Skapa {contactName} konto',
@@ -2456,6 +2939,13 @@ const translations = {
     datasources: 'Datakällor',
     date: 'Datum',
     delete: 'Ta bort',
+    'departure-board-no-stops': 'Hållplatserna kunde inte hittas.',
+    'departure-filter-headsigns': 'Destinationer',
+    'departure-filter-platforms': 'Plattformar',
+    'departure-filter-routes': 'Linjer',
+    'departure-filters': 'Filtrera avgångar',
+    'departure-filters-clear': 'Visa alla',
+    'departure-filters-no-departures': 'Inga avgångar motsvarar filtren',
     'departure-is-canceled':
       'Avgång på {modeInfo} {from}–{to} kl. {time} är inställd',
     'departure-is-canceled-airplane': 'flyg {shortName}',
@@ -2464,6 +2954,15 @@ const translations = {
     'departure-is-canceled-rail': '{shortName}-tåget',
     'departure-is-canceled-subway': 'metro {shortName}',
     'departure-is-canceled-tram': 'spårvagnslinje {shortName}',
+    'departure-notification-canceled': 'Avgången inställd',
+    'departure-notification-canceled-body':
+      '{route} {headsign} med avgång {time} har ställts in',
+    'departure-notification-leave-departure': 'Dags att gå till hållplatsen',
+    'departure-notification-leave-departure-body':
+      '{route} {headsign} avgår {time}',
+    'departure-notification-leave-itinerary': 'Dags att gå',
+    'departure-notification-leave-itinerary-body':
+      'Gå {leaveTime} för att hinna med {route} {headsign} som avgår {time}',
     'departure-time-in-minutes': '{minutes} min',
     departures: 'Avgångar',
     description: 'Res kollektivt när och fjärran.',
@@ -2485,10 +2984,29 @@ const translations = {
     'distance-between': 'Avstånd {distance1} m — {distance2} m',
     'distance-total': 'Resans längd',
     'distance-under': 'Avstånd mindre än {distance} m',
+    'download-week-schedule': 'Ladda ner CSV',
     earlier: 'Tidigare',
     'edit-favourites': 'Redigera favoritdestination',
     'elevation-gained-total': 'Uppförsbacke totalt',
     'elevation-lost-total': 'Nedförsbacke totalt',
+    'embed-builder-choose-stops': 'Välj minst en hållplats.',
+    'embed-builder-height': 'Höjd',
+    'embed-builder-instructions':
+      'Välj widget och kopiera koden till din webbplats.',
+    'embed-builder-language': 'Språk',
+    'embed-builder-origin': 'Startpunkt (valfri)',
+    'embed-builder-rows': 'Antal avgångar',
+    'embed-builder-search-stop': 'Sök hållplats',
+    'embed-builder-size': 'Storlek',
+    'embed-builder-stops': 'Hållplatser',
+    'embed-builder-title': 'Lägg till en widget på din webbplats',
+    'embed-builder-type': 'Widget',
+    'embed-builder-type-departures': 'Avgångar',
+    'embed-builder-type-search': 'Ruttsökning',
+    'embed-powered-by': 'Reseplanerare {title}',
+    'embed-search-button': 'Sök rutter',
+    'embed-search-title': 'Hitta hit',
+    'end-journey': 'Avsluta resan',
     explanations: 'Förklaringar',
     'extra-info': 'Mer info',
     'favourite-target': 'Favoritdestination',
@@ -2522,6 +3040,7 @@ const translations = {
     'in-addition': 'Även',
     inquiry: 'Vad tycker du om den nya Reseplaneraren. Berätta för oss!',
     instructions: 'Anvisningar',
+    'itinerary-co2.title': 'CO2-utsläpp',
     'itinerary-feedback-button': 'Skicka respons',
     'itinerary-feedback-message': 'Hittade du inte vad du sökte?',
     'itinerary-feedback-placeholder': 'Beskrivning (valfri)',
@@ -2536,6 +3055,16 @@ const translations = {
     'itinerary-tickets.title': 'Biljetter som behövs',
     'itinerary-time.title': 'Restid',
     'itinerary-walk.title': 'Gång totalt',
+    'journey-arrived': 'Du har kommit fram',
+    'journey-board': 'Stig på {route} vid {stop} kl. {time}',
+    'journey-get-off':
+      '{count, plural, one {Stig av vid nästa hållplats, {stop}} other {Stig av om # hållplatser vid {stop}}}',
+    'journey-go-to': 'Ta dig till {place}',
+    'journey-locating':
+      'Din position är inte känd ännu. Resan följer tidtabellen.',
+    'journey-off-route': 'Du verkar ha avvikit från rutten',
+    'journey-replan': 'Sök en ny rutt härifrån',
+    'journey-walk-to': 'Gå till {place}',
     'journeyplanner.title': 'HRT Reseplaneraren',
     later: 'Senare',
     leaves: 'Avgår',
@@ -2554,6 +3083,7 @@ const translations = {
     'location-sport': 'Sport',
     'location-work': 'Arbetsplats',
     login: 'Logga in',
+    logout: 'Logga ut',
     'long-transfers-margin': '12 min',
     'main-menu-label-close': 'Stäng huvudmenyn',
     'main-menu-label-open': 'Öppna huvudmenyn',
@@ -2603,6 +3133,9 @@ const translations = {
     'no-route-start-end': 'Välj avfärdsplats och destination.',
     'no-transfers-margin': '1 min',
     'no-trips-found': 'Inga resor på den valda dagen.',
+    'notifications-denied': 'Aviseringar är blockerade i din webbläsare',
+    'notify-me': 'Påminn mig medan den här sidan är öppen',
+    'notify-me-cancel': 'Avbryt påminnelsen',
     now: 'Nu',
     'number-of-intermediate-stops':
       '{number, plural, =0 {Inga hållplatser} one {1 hållplats} other {{number} hållplatser} }',
@@ -2610,6 +3143,19 @@ const translations = {
       '{number, plural, =0 {0 minuter} one {1 minut} other {{number} minuter}}',
     'off-canvas-info':
       'Genom att logga in kan du spara dina favoriter och använda dem med dina andra enheter.',
+    'offline-banner':
+      'Ingen nätverksanslutning, tidtabellsdata från {date}. Realtidsinformation är inte tillgänglig.',
+    'offline-timetable-days': 'Dagar',
+    'offline-timetable-failed': 'Det gick inte att spara tidtabellen.',
+    'offline-timetable-save': 'Spara för offline-användning',
+    'offline-timetable-saved':
+      'Sparad för offline-användning {startDate} - {endDate}',
+    'offline-timetable-saving': 'Sparar...',
+    'optimize-via-points': 'Optimera ordningen',
+    'optimize-via-points-done': 'Ordningen har optimerats.',
+    'optimize-via-points-failed': 'Ordningen kunde inte optimeras.',
+    'optimize-via-points-fastest': 'Ordningen är redan den snabbaste.',
+    'optimize-via-points-saved': 'Den nya ordningen sparar {duration}.',
     'option-default': 'Standard',
     'option-least': 'Minst',
     'option-less': 'Mindre',
@@ -2636,9 +3182,18 @@ const translations = {
     previous: 'Senaste',
     print: 'Skriv ut',
     'print-timetable': 'Veckans tidtabell',
+    'print-week-schedule': 'Hållplatstidtabeller',
     'public-transport': 'Kollektivtrafik',
     rail: 'Tåg',
     'rail-with-route-number': 'Tåg {routeNumber} {headSign}',
+    'reachability-error': 'De nåbara områdena kunde inte hämtas.',
+    'reachability-from': 'Från {address}',
+    'reachability-from-here': 'Tillgänglighet härifrån',
+    'reachability-no-areas': 'Inga områden kan nås med de valda färdsätten.',
+    'reachability-no-origin':
+      'Välj startpunkt för att se hur långt du kommer därifrån.',
+    'reachability-within-minutes': 'Inom {minutes} min',
+    'reachability.title': 'Tillgänglighet',
     realtime: 'Realtid',
     'realtime-matching': 'Realtidsintegration',
     releases: 'Meddelanden',
@@ -2666,6 +3221,12 @@ const translations = {
     'route-page.description': 'Linje {shortName} - {longName}',
     'route-page.title': 'Linje {shortName}',
     'route-page.title-short': 'Linje',
+    'route-pattern-compare': 'Jämförelse',
+    'route-pattern-compare-no-unique-stops':
+      'De andra varianterna stannar vid alla dess hållplatser',
+    'route-pattern-compare-trip-count':
+      '{count, plural, =0 {Inga turer} one {1 tur} other {{count} turer}}',
+    'route-pattern-compare-unique-stops': 'Hållplatser endast på denna variant',
     'route-prefer-greenways': 'Föredra lättrafikleder',
     'route-prefer-illuminated': 'Föredra upplysta rutter',
     'route-prefer-paved': 'Föredra belagda rutter',
@@ -2674,6 +3235,11 @@ const translations = {
     'route-preferences': 'Ruttpreferenser',
     'route-public-transport-with-bicycle': 'Med cykel och kollektivtrafik',
     'route-saved-settings': 'Sparade inställningar',
+    'route-schedule-hour': 'Timme',
+    'route-schedule-saturday': 'Lördag',
+    'route-schedule-stop-code': 'Hållplatskod',
+    'route-schedule-sunday': 'Söndag',
+    'route-schedule-weekday': 'Mån–Fre',
     'route-stop-or-keyword': 'Linje eller hållplats',
     routes: 'Linjer',
     'routes-platforms': 'Linjer, plattformer',
@@ -2726,6 +3292,7 @@ const translations = {
       'Tjänsten fungerar bäst om du delar din plats.',
     'splash-use-positioning': 'Använd min plats',
     'splash-you-can-also': 'alternativt',
+    'start-journey': 'Starta resan',
     stop: 'Hållplats',
     'stop-number': 'Hållplatsnummer',
     'stop-page.description': 'Hållplats {name} - {code}',
@@ -2744,6 +3311,14 @@ const translations = {
     'summary-page.row-label': 'Ruttförslag {number}',
     'summary-page.title': 'Ruttförslag',
     'swap-order-button-label': 'Sväng ruttens riktning till den motsatta',
+    'sync-code': 'Synkroniseringskod',
+    'sync-code-instructions':
+      'Logga in med den här koden på dina andra enheter för att använda samma favoriter, inställningar och sökhistorik.',
+    'sync-code-invalid': 'Kontrollera synkroniseringskoden',
+    'sync-failed':
+      'Synkroniseringen misslyckades. Dina ändringar synkroniseras senare.',
+    'sync-last-synced': 'Senast synkroniserad {time}',
+    'sync-now': 'Synkronisera nu',
     'terminal-page.description': 'Terminal {name}',
     'terminal-page.title': 'Terminal {name}',
     'terminal-page.title-short': 'Terminal',
@@ -2776,6 +3351,11 @@ const translations = {
     'use-citybike': 'Ta i bruk',
     'use-national-service': 'Du kan också använda national tjänsten:',
     'use-own-position': 'Använd min position',
+    'user-data-export': 'Exportera data',
+    'user-data-import': 'Importera data',
+    'user-data-import-failed':
+      'Filen kunde inte importeras. Kontrollera att den har exporterats från den här tjänsten.',
+    'user-data-imported': 'Dina data har importerats',
     'using-modes': 'Jag vill åka',
     'very-likely': 'Väldigt sannolikt',
     'very-unlikely': 'Väldigt osannolikt',
@@ -2794,6 +3374,9 @@ const translations = {
     'warning-call-agency-no-route':
       'Trafikeras enligt behov som bör beställas på förhand.',
     'weather-at-destination': 'Vädret på destinationen',
+    'wheelchair-no-information': 'Ingen tillgänglighetsinformation',
+    'wheelchair-not-possible': 'Inte tillgänglig',
+    'wheelchair-possible': 'Tillgänglig',
     yesterday: 'I går',
     'your-favourites': 'Favoriter',
     zone: 'Zon',
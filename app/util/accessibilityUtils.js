@@ -0,0 +1,186 @@
+import {
+  getServiceAlertDescription,
+  getServiceAlertHeader,
+} from './alertUtils';
+
+/**
+ * The values of a stop's wheelchairBoarding and a trip's wheelchairAccessible.
+ */
+export const WheelchairBoarding = {
+  NoInformation: 'NO_INFORMATION',
+  NotPossible: 'NOT_POSSIBLE',
+  Possible: 'POSSIBLE',
+};
+
+/**
+ * The elevation profile points closer to each other than this (in meters)
+ * are skipped when calculating slopes as they exaggerate small errors in the
+ * elevation data.
+ */
+export const MIN_SLOPE_DISTANCE = 10;
+
+const isTrue = value => value === true || value === 'true';
+
+/**
+ * Builds the user's accessibility profile from the current settings. The
+ * step-free access is also enabled by the legacy accessibilityOption 1.
+ *
+ * @param {*} settings the current settings.
+ */
+export const getAccessibilityProfile = (settings = {}) => ({
+  avoidStairs: isTrue(settings.avoidStairs),
+  lowFloorOnly: isTrue(settings.lowFloorOnly),
+  maxSlope: Number(settings.maxSlope) || 0,
+  stepFree:
+    isTrue(settings.stepFree) || Number(settings.accessibilityOption) === 1,
+});
+
+/**
+ * Checks if any of the accessibility options is in use. OTP only knows the
+ * wheelchair flag, which makes it avoid stairs, steep slopes and the stops
+ * and trips that are not accessible, so it is set if any option is.
+ *
+ * @param {*} profile the accessibility profile.
+ */
+export const isAccessibilityProfileActive = profile =>
+  profile.stepFree ||
+  profile.avoidStairs ||
+  profile.lowFloorOnly ||
+  profile.maxSlope > 0;
+
+/**
+ * Returns the steepest slope in percent along the walking steps of the leg,
+ * or 0 if the leg has no elevation data.
+ *
+ * @param {*} leg the itinerary leg.
+ */
+export const getMaxSlope = leg => {
+  if (leg.transitLeg || !Array.isArray(leg.steps)) {
+    return 0;
+  }
+  return leg.steps.reduce((max, step) => {
+    const profile = step.elevationProfile || [];
+    let slope = max;
+    let previous = profile[0];
+    for (let i = 1; i < profile.length; i++) {
+      const run = profile[i].distance - previous.distance;
+      if (run >= MIN_SLOPE_DISTANCE) {
+        const rise = Math.abs(profile[i].elevation - previous.elevation);
+        slope = Math.max(slope, rise / run * 100);
+        previous = profile[i];
+      }
+    }
+    return slope;
+  }, 0);
+};
+
+/**
+ * Checks if the alert tells about an elevator or an escalator. The alerts
+ * have no dedicated effect for these so the texts are searched for the
+ * configured keywords.
+ *
+ * @param {*} alert the alert with its textual content.
+ * @param {Array<string>} keywords the keywords in lower case.
+ */
+export const isAccessibilityAlert = (alert, keywords = []) => {
+  const texts = [
+    alert.alertHeaderText,
+    alert.alertDescriptionText,
+    ...(alert.alertHeaderTextTranslations || []).map(t => t.text),
+    ...(alert.alertDescriptionTextTranslations || []).map(t => t.text),
+  ]
+    .filter(text => typeof text === 'string')
+    .map(text => text.toLowerCase());
+  return keywords.some(keyword => texts.some(text => text.includes(keyword)));
+};
+
+/**
+ * Maps the elevator and escalator alerts of the stop to the format
+ * understood by the UI.
+ *
+ * @param {*} stop the stop with its alerts.
+ * @param {Array<string>} keywords the keywords in lower case.
+ * @param {string} locale the locale to use, defaults to 'en'.
+ */
+export const getAccessibilityAlertsForStop = (stop, keywords, locale = 'en') =>
+  (stop && Array.isArray(stop.alerts) ? stop.alerts : [])
+    .filter(alert => isAccessibilityAlert(alert, keywords))
+    .map(alert => ({
+      description: getServiceAlertDescription(alert, locale),
+      hash: alert.alertHash,
+      header: getServiceAlertHeader(alert, locale),
+      stop: stop.name,
+    }));
+
+const getBoarding = stop =>
+  (stop && stop.wheelchairBoarding) || WheelchairBoarding.NoInformation;
+
+/**
+ * Collects the accessibility details of the itinerary: the boarding status
+ * of every stop where the user gets on or off, the accessibility of every
+ * trip, the walking legs steeper than the user accepts and the elevator and
+ * escalator alerts of the stops.
+ *
+ * @param {*} itinerary the itinerary.
+ * @param {*} profile the accessibility profile.
+ * @param {Array<string>} keywords the accessibility alert keywords.
+ * @param {string} locale the locale to use, defaults to 'en'.
+ */
+export const getItineraryAccessibility = (
+  itinerary,
+  profile,
+  keywords,
+  locale = 'en',
+) => {
+  const transitLegs = itinerary.legs.filter(leg => leg.transitLeg);
+  const stops = transitLegs
+    .map(leg => [leg.from.stop, leg.to.stop])
+    .reduce((a, b) => a.concat(b), [])
+    .filter(stop => stop)
+    .filter(
+      (stop, i, array) => array.findIndex(s => s.gtfsId === stop.gtfsId) === i,
+    );
+
+  return {
+    alerts: stops
+      .map(stop => getAccessibilityAlertsForStop(stop, keywords, locale))
+      .reduce((a, b) => a.concat(b), []),
+    slopes:
+      profile.maxSlope > 0
+        ? itinerary.legs
+            .map(leg => ({ leg, slope: getMaxSlope(leg) }))
+            .filter(({ slope }) => slope > profile.maxSlope)
+        : [],
+    stops: stops.map(stop => ({
+      gtfsId: stop.gtfsId,
+      name: stop.name,
+      wheelchairBoarding: getBoarding(stop),
+    })),
+    trips: transitLegs.map(leg => ({
+      route: leg.route && leg.route.shortName,
+      mode: leg.mode,
+      wheelchairAccessible:
+        (leg.trip && leg.trip.wheelchairAccessible) ||
+        WheelchairBoarding.NoInformation,
+    })),
+  };
+};
+
+/**
+ * Checks if the accessibility details contain something that conflicts
+ * with the user's profile or something the user should know about.
+ *
+ * @param {*} accessibility the itinerary's accessibility details.
+ * @param {*} profile the accessibility profile.
+ */
+export const hasAccessibilityIssues = (accessibility, profile) =>
+  accessibility.alerts.length > 0 ||
+  accessibility.slopes.length > 0 ||
+  ((profile.stepFree || profile.lowFloorOnly) &&
+    accessibility.trips.some(
+      trip => trip.wheelchairAccessible !== WheelchairBoarding.Possible,
+    )) ||
+  (profile.stepFree &&
+    accessibility.stops.some(
+      stop => stop.wheelchairBoarding !== WheelchairBoarding.Possible,
+    ));
@@ -0,0 +1,229 @@
+import PropTypes from 'prop-types';
+
+import { isBrowser } from './browser';
+
+const createEvent = (category, action) => Object.freeze({ category, action });
+
+/**
+ * The catalogue of the tracked events. The name of the tracked event
+ * specifies the choice the user made, e.g. 'ItineraryDetailsExpand'.
+ */
+export const AnalyticsEvent = Object.freeze({
+  CompareItineraries: createEvent(
+    'ItinerarySettings',
+    'CompareItinerariesClick',
+  ),
+  ExtraSettingsPanel: createEvent(
+    'ItinerarySettings',
+    'ExtraSettingsPanelClick',
+  ),
+  FrontPageFavouritesTab: createEvent('Front page tabs', 'Favourites'),
+  FrontPageNearbyTab: createEvent('Front page tabs', 'Nearby'),
+  InstallPromptFired: createEvent('installprompt', 'fired'),
+  InstallPromptResult: createEvent('installprompt', 'result'),
+  IntermediateStops: createEvent('ItinerarySettings', 'IntermediateStopsClick'),
+  ItineraryCalendar: createEvent(
+    'ItinerarySettings',
+    'ItineraryCalendarButton',
+  ),
+  ItineraryDetails: createEvent('ItinerarySettings', 'ItineraryDetailsClick'),
+  ItineraryPrint: createEvent('ItinerarySettings', 'ItineraryPrintButton'),
+  ItineraryStartJourney: createEvent(
+    'ItinerarySettings',
+    'ItineraryStartJourneyButton',
+  ),
+  JourneyReplan: createEvent('ItinerarySettings', 'JourneyReplanButton'),
+  LeavingArriving: createEvent('ItinerarySettings', 'LeavingArrivingSelection'),
+  LoadSettings: createEvent(
+    'ItinerarySettings',
+    'SettingsPanelloadSettingsButton',
+  ),
+  QuickSettings: createEvent(
+    'ItinerarySettings',
+    'ItineraryQuickSettingsSelection',
+  ),
+  QuickSettingsTransportMode: createEvent(
+    'ItinerarySettings',
+    'QuickSettingsTransportModeSelection',
+  ),
+  RouteScheduleExport: createEvent('Route', 'RouteScheduleExportButton'),
+  SaveSettings: createEvent(
+    'ItinerarySettings',
+    'SettingsPanelSaveSettingsButton',
+  ),
+  ShowMoreRoutes: createEvent('ItinerarySettings', 'ShowMoreRoutesClick'),
+  UserDataExport: createEvent(
+    'ItinerarySettings',
+    'SettingsPanelExportUserDataButton',
+  ),
+  UserDataImport: createEvent(
+    'ItinerarySettings',
+    'SettingsPanelImportUserDataButton',
+  ),
+  WatchDeparture: createEvent('Notifications', 'WatchDeparture'),
+});
+
+// the command queue of the Matomo tracker
+const MATOMO_QUEUE = '_paq';
+
+const isCatalogued = event =>
+  Object.keys(AnalyticsEvent).some(key => AnalyticsEvent[key] === event);
+
+/**
+ * Sends the events to Google Tag Manager, which forwards them to Matomo
+ * with the sendMatomoEvent trigger. The container is loaded when the first
+ * event is sent.
+ *
+ * @param {*} options the id of the Google Tag Manager container.
+ */
+export const gtmSink = ({ id } = {}) => {
+  let loaded = false;
+  const push = data => {
+    window.dataLayer = window.dataLayer || [];
+    if (!loaded && id) {
+      loaded = true;
+      window.dataLayer.push({
+        'gtm.start': new Date().getTime(),
+        event: 'gtm.js',
+      });
+      const script = document.createElement('script');
+      script.async = true;
+      script.src = `https://www.googletagmanager.com/gtm.js?id=${id}`;
+      document.head.appendChild(script);
+    }
+    window.dataLayer.push(data);
+  };
+  return {
+    requiresConsent: true,
+    trackEvent: ({ category, action }, name) =>
+      push({ event: 'sendMatomoEvent', category, action, name }),
+    trackPageview: url => push({ event: 'Pageview', url }),
+  };
+};
+
+/**
+ * Sends the events straight to a Matomo tracker. The tracker script is
+ * loaded when the first event is sent.
+ *
+ * @param {*} options the url of the Matomo installation and the site id.
+ */
+export const matomoSink = ({ url, siteId } = {}) => {
+  let loaded = false;
+  const push = data => {
+    window[MATOMO_QUEUE] = window[MATOMO_QUEUE] || [];
+    if (!loaded) {
+      loaded = true;
+      window[MATOMO_QUEUE].push(['setTrackerUrl', `${url}matomo.php`]);
+      window[MATOMO_QUEUE].push(['setSiteId', siteId]);
+      const script = document.createElement('script');
+      script.async = true;
+      script.src = `${url}matomo.js`;
+      document.head.appendChild(script);
+    }
+    window[MATOMO_QUEUE].push(data);
+  };
+  return {
+    requiresConsent: true,
+    trackEvent: ({ category, action }, name) =>
+      push(['trackEvent', category, action, name]),
+    trackPageview: pageUrl => {
+      push(['setCustomUrl', pageUrl]);
+      push(['trackPageView']);
+    },
+  };
+};
+
+/**
+ * Logs the events to the console for development.
+ */
+export const consoleSink = () => ({
+  requiresConsent: false,
+  // eslint-disable-next-line no-console
+  trackEvent: (event, name) => console.log('[analytics] event', event, name),
+  // eslint-disable-next-line no-console
+  trackPageview: url => console.log('[analytics] pageview', url),
+});
+
+/**
+ * Discards the events.
+ */
+export const noopSink = () => ({
+  requiresConsent: false,
+  trackEvent: () => {},
+  trackPageview: () => {},
+});
+
+const Sinks = {
+  console: consoleSink,
+  gtm: gtmSink,
+  matomo: matomoSink,
+  noop: noopSink,
+};
+
+/**
+ * Sends the tracked events to the sinks. The sinks that require consent do
+ * not receive anything before the user has given it, and the events that
+ * happened before it are discarded.
+ */
+export class Analytics {
+  constructor(sinks = [], hasConsent = false) {
+    this.sinks = sinks;
+    this.hasConsent = hasConsent;
+  }
+
+  setConsent(hasConsent) {
+    this.hasConsent = hasConsent;
+  }
+
+  getActiveSinks() {
+    return this.sinks.filter(sink => this.hasConsent || !sink.requiresConsent);
+  }
+
+  /**
+   * Tracks an event of the catalogue.
+   *
+   * @param {*} event the event from AnalyticsEvent.
+   * @param {string} name the name of the event.
+   */
+  trackEvent(event, name) {
+    if (!isCatalogued(event)) {
+      throw new Error(`Unknown analytics event: ${JSON.stringify(event)}`);
+    }
+    this.getActiveSinks().forEach(sink => sink.trackEvent(event, name));
+  }
+
+  /**
+   * Tracks a page view.
+   *
+   * @param {string} url the url of the page.
+   */
+  trackPageview(url) {
+    this.getActiveSinks().forEach(sink => sink.trackPageview(url));
+  }
+}
+
+/**
+ * Creates the analytics service for the configuration. Nothing is tracked
+ * outside the browser, and when consent is required, the sinks requiring it
+ * wait for the user to give it.
+ *
+ * @param {*} config the configuration for the software installation.
+ */
+export const createAnalytics = config => {
+  const { sinks = [], ...options } = config.analytics || {};
+  if (!isBrowser) {
+    return new Analytics();
+  }
+  const sinkOptions = { ...options, gtm: { id: config.GTMid } };
+  return new Analytics(
+    sinks
+      .filter(name => Sinks[name])
+      .map(name => Sinks[name](sinkOptions[name])),
+    !config.requireConsent,
+  );
+};
+
+export const analyticsShape = PropTypes.shape({
+  trackEvent: PropTypes.func.isRequired,
+  trackPageview: PropTypes.func.isRequired,
+});
@@ -71,3 +71,43 @@ export const getDrawerWidth = (
  */
 export const isStyleGuide =
   isBrowser && window.location.pathname.indexOf('styleguide') !== -1;
+
+/**
+ * Offers the given content for download as a file. This works only on the
+ * client side.
+ *
+ * @param {string} content the content of the file.
+ * @param {string} filename the name of the file to download.
+ * @param {string} type the MIME type of the file.
+ */
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  if (window.navigator.msSaveOrOpenBlob) {
+    window.navigator.msSaveOrOpenBlob(blob, filename);
+    return;
+  }
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Writes the given HTML document to the window and opens the print dialog
+ * of the browser for it. The window should be opened when the user clicks,
+ * as the browsers block the popups opened later on.
+ *
+ * @param {Window} printWindow the window opened for printing.
+ * @param {string} html the HTML document to print.
+ */
+export const printDocument = (printWindow, html) => {
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+};
@@ -0,0 +1,314 @@
+import moment from 'moment-timezone/moment-timezone';
+
+import { downloadFile } from './browser';
+
+/**
+ * The iCalendar content line separator, see RFC 5545 section 3.1.
+ */
+const CRLF = '\r\n';
+
+/**
+ * The maximum length of a content line in octets before it has to be folded.
+ */
+const MAX_LINE_LENGTH = 75;
+
+const LOCAL_TIME_FORMAT = 'YYYYMMDD[T]HHmmss';
+const UTC_TIME_FORMAT = 'YYYYMMDD[T]HHmmss[Z]';
+
+/**
+ * The default amount of minutes the alarm goes off before the first boarding.
+ */
+export const DEFAULT_ALARM_MINUTES = 10;
+
+/**
+ * Escapes the given text value according to RFC 5545 section 3.3.11.
+ *
+ * @param {string} text the text to escape.
+ */
+export const escapeText = text =>
+  `${text || ''}`
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const getUtf8Length = character => {
+  const codePoint = character.codePointAt(0);
+  if (codePoint < 0x80) {
+    return 1;
+  }
+  if (codePoint < 0x800) {
+    return 2;
+  }
+  return codePoint < 0x10000 ? 3 : 4;
+};
+
+/**
+ * Folds the given content line so that no line exceeds 75 octets in UTF-8,
+ * see RFC 5545 section 3.1. The lines are never folded in the middle of a
+ * character. Continuation lines start with a single space.
+ *
+ * @param {string} line the content line to fold.
+ */
+export const foldLine = line =>
+  Array.from(line)
+    .reduce(
+      (lines, character) => {
+        const length = getUtf8Length(character);
+        const current = lines[lines.length - 1];
+        if (current.length + length > MAX_LINE_LENGTH) {
+          return [...lines, { text: ` ${character}`, length: length + 1 }];
+        }
+        current.text += character;
+        current.length += length;
+        return lines;
+      },
+      [{ text: '', length: 0 }],
+    )
+    .map(({ text }) => text)
+    .join(CRLF);
+
+/**
+ * Extracts the timezone name (e.g. Europe/Helsinki) from the packed timezone
+ * data and makes sure moment knows about the zone.
+ *
+ * @param {*} config the configuration for the software installation.
+ */
+export const getTimezoneName = config => {
+  const [name] = config.timezoneData.split('|');
+  if (!moment.tz.zone(name)) {
+    moment.tz.add(config.timezoneData);
+  }
+  return name;
+};
+
+const formatOffset = offset => {
+  // moment stores the offsets as minutes west of UTC
+  const minutes = -offset;
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  const hours = `0${Math.floor(abs / 60)}`.slice(-2);
+  const mins = `0${abs % 60}`.slice(-2);
+  return `${sign}${hours}${mins}`;
+};
+
+/**
+ * Builds a VTIMEZONE component for the given zone that covers the transitions
+ * just before and after the given time span.
+ *
+ * @param {string} zoneName the name of the timezone.
+ * @param {number} startTime the start of the time span in milliseconds.
+ * @param {number} endTime the end of the time span in milliseconds.
+ */
+export const getTimezoneLines = (zoneName, startTime, endTime) => {
+  const zone = moment.tz.zone(zoneName);
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${zoneName}`];
+
+  const first = Math.max(zone.untils.findIndex(until => until > startTime), 0);
+  let last = zone.untils.findIndex(until => until > endTime);
+  if (last === -1) {
+    last = zone.untils.length - 1;
+  }
+
+  for (let i = first; i <= last; i++) {
+    const offset = zone.offsets[i];
+    const previousOffset = i > 0 ? zone.offsets[i - 1] : offset;
+    const transition = i > 0 ? zone.untils[i - 1] : startTime;
+    const type = offset < Math.max(...zone.offsets) ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${moment
+        .utc(transition)
+        .add(-previousOffset, 'minutes')
+        .format(LOCAL_TIME_FORMAT)}`,
+      `TZOFFSETFROM:${formatOffset(previousOffset)}`,
+      `TZOFFSETTO:${formatOffset(offset)}`,
+      `TZNAME:${zone.abbrs[i]}`,
+      `END:${type}`,
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+const formatLocalTime = (time, zoneName) =>
+  `;TZID=${zoneName}:${moment.tz(time, zoneName).format(LOCAL_TIME_FORMAT)}`;
+
+const formatUtcTime = time => moment.utc(time).format(UTC_TIME_FORMAT);
+
+/**
+ * Returns the name and the stop code or platform of the leg's boarding point.
+ *
+ * @param {*} leg the leg to get the location for.
+ */
+export const getLegLocation = leg => {
+  const { from } = leg;
+  if (!from.stop) {
+    return from.name;
+  }
+  const { code, platformCode } = from.stop;
+  return [from.name, code && `(${code})`, platformCode && `[${platformCode}]`]
+    .filter(part => part)
+    .join(' ');
+};
+
+/**
+ * Returns a one-line description of the given leg.
+ *
+ * @param {*} leg the leg to describe.
+ * @param {*} formatMessage the react-intl formatMessage function.
+ */
+export const getLegSummary = (leg, formatMessage) => {
+  const mode = formatMessage({
+    id: leg.mode.toLowerCase(),
+    defaultMessage: leg.mode,
+  });
+  const route =
+    leg.route && (leg.route.shortName || leg.route.longName || undefined);
+  const headsign = leg.trip && leg.trip.tripHeadsign;
+  return [mode, route, headsign && `(${headsign})`]
+    .filter(part => part)
+    .join(' ');
+};
+
+const getLegDescription = (leg, zoneName, formatMessage) =>
+  [
+    moment.tz(leg.startTime, zoneName).format('HH:mm'),
+    getLegSummary(leg, formatMessage),
+    `${getLegLocation(leg)} – ${leg.to.name}`,
+  ].join(' ');
+
+const getAlarmLines = (time, alarmMinutes, description) => [
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  `DESCRIPTION:${escapeText(description)}`,
+  `TRIGGER;VALUE=DATE-TIME:${formatUtcTime(time - alarmMinutes * 60 * 1000)}`,
+  'END:VALARM',
+];
+
+const getEventLines = ({
+  uid,
+  now,
+  startTime,
+  endTime,
+  zoneName,
+  summary,
+  description,
+  location,
+  geo,
+  alarm,
+}) =>
+  [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtcTime(now)}`,
+    `DTSTART${formatLocalTime(startTime, zoneName)}`,
+    `DTEND${formatLocalTime(endTime, zoneName)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    geo && `GEO:${geo.lat};${geo.lon}`,
+    ...(alarm || []),
+    'END:VEVENT',
+  ].filter(line => line);
+
+/**
+ * Creates an iCalendar (.ics) document for the given itinerary. By default the
+ * whole trip becomes a single event with the legs listed in its description.
+ * With the option eventPerLeg every transit leg becomes an event of its own.
+ * An alarm is set to go off before the first boarding.
+ *
+ * @param {*} itinerary the itinerary to export.
+ * @param {*} config the configuration for the software installation.
+ * @param {*} formatMessage the react-intl formatMessage function.
+ * @param {{ eventPerLeg: boolean, alarmMinutes: number, now: number }} options optional parameters.
+ */
+export const createItineraryCalendar = (
+  itinerary,
+  config,
+  formatMessage,
+  {
+    eventPerLeg = false,
+    alarmMinutes = DEFAULT_ALARM_MINUTES,
+    now = Date.now(),
+  } = {},
+) => {
+  const zoneName = getTimezoneName(config);
+  const { legs } = itinerary;
+  const transitLegs = legs.filter(leg => leg.transitLeg);
+  const firstBoarding = transitLegs[0];
+  const uidPrefix = `${itinerary.startTime}-${itinerary.endTime}`;
+  const origin = legs[0].from;
+  const destination = legs[legs.length - 1].to;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//Digitransit//${config.CONFIG}//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...getTimezoneLines(zoneName, itinerary.startTime, itinerary.endTime),
+  ];
+
+  if (eventPerLeg && transitLegs.length > 0) {
+    transitLegs.forEach((leg, i) => {
+      lines.push(
+        ...getEventLines({
+          uid: `${uidPrefix}-${i}@${config.CONFIG}.digitransit`,
+          now,
+          startTime: leg.startTime,
+          endTime: leg.endTime,
+          zoneName,
+          summary: `${getLegSummary(leg, formatMessage)}: ${leg.from.name} – ${
+            leg.to.name
+          }`,
+          location: getLegLocation(leg),
+          geo: leg.from,
+          alarm:
+            leg === firstBoarding &&
+            getAlarmLines(
+              leg.startTime,
+              alarmMinutes,
+              getLegDescription(leg, zoneName, formatMessage),
+            ),
+        }),
+      );
+    });
+  } else {
+    const boardingLeg = firstBoarding || legs[0];
+    lines.push(
+      ...getEventLines({
+        uid: `${uidPrefix}@${config.CONFIG}.digitransit`,
+        now,
+        startTime: itinerary.startTime,
+        endTime: itinerary.endTime,
+        zoneName,
+        summary: `${origin.name} – ${destination.name}`,
+        description: legs
+          .map(leg => getLegDescription(leg, zoneName, formatMessage))
+          .join('\n'),
+        location: getLegLocation(boardingLeg),
+        geo: boardingLeg.from,
+        alarm: getAlarmLines(
+          boardingLeg.startTime,
+          alarmMinutes,
+          getLegDescription(boardingLeg, zoneName, formatMessage),
+        ),
+      }),
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join(CRLF)}${CRLF}`;
+};
+
+/**
+ * Offers the given iCalendar document for download. This works only on the
+ * client side.
+ *
+ * @param {string} calendar the iCalendar document.
+ * @param {string} filename the name of the file to download.
+ */
+export const downloadCalendar = (calendar, filename = 'itinerary.ics') =>
+  downloadFile(calendar, filename, 'text/calendar;charset=utf-8');
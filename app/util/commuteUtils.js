@@ -0,0 +1,78 @@
+import moment from 'moment';
+
+import {
+  getActiveLegAlertSeverityLevel,
+  getMaximumAlertSeverityLevel,
+} from './alertUtils';
+
+/**
+ * The ISO weekdays (1 = Monday) offered for a new commute profile.
+ */
+export const WORKDAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Returns the next time the commute should arrive at its destination as a
+ * unix timestamp (in seconds), or undefined if the profile has no weekdays.
+ *
+ * @param {*} profile the commute profile.
+ * @param {number} currentTime the current unix timestamp (in seconds).
+ */
+export const getNextCommuteTime = (
+  { weekdays = [], arriveBy },
+  currentTime,
+) => {
+  const [hours, minutes] = arriveBy.split(':').map(Number);
+  for (let i = 0; i <= 7; i++) {
+    const time = moment
+      .unix(currentTime)
+      .startOf('day')
+      .add(i, 'days')
+      .hours(hours)
+      .minutes(minutes);
+    if (weekdays.includes(time.isoWeekday()) && time.unix() > currentTime) {
+      return time.unix();
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Checks if the commute profile is valid to be saved.
+ *
+ * @param {*} profile the commute profile.
+ */
+export const isCommuteProfileValid = profile =>
+  !!profile &&
+  profile.originId !== undefined &&
+  profile.destinationId !== undefined &&
+  profile.originId !== profile.destinationId &&
+  Array.isArray(profile.weekdays) &&
+  profile.weekdays.length > 0 &&
+  /^([01]\d|2[0-3]):[0-5]\d$/.test(profile.arriveBy || '');
+
+/**
+ * Returns the largest realtime delay (in seconds) of the transit legs of
+ * the itinerary. Early departures are not counted.
+ *
+ * @param {*} itinerary the itinerary to check.
+ */
+export const getItineraryDelay = itinerary =>
+  Math.max(
+    0,
+    ...((itinerary && itinerary.legs) || [])
+      .filter(leg => leg.transitLeg && leg.realTime)
+      .map(leg => Math.max(leg.departureDelay || 0, leg.arrivalDelay || 0)),
+  );
+
+/**
+ * Returns the highest severity level of the active alerts and cancelations
+ * that affect the legs of the itinerary.
+ *
+ * @param {*} itinerary the itinerary to check.
+ */
+export const getItineraryAlertSeverityLevel = itinerary =>
+  getMaximumAlertSeverityLevel(
+    ((itinerary && itinerary.legs) || []).map(leg => ({
+      severityLevel: getActiveLegAlertSeverityLevel(leg),
+    })),
+  );
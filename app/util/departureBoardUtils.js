@@ -0,0 +1,68 @@
+import get from 'lodash/get';
+import uniq from 'lodash/uniq';
+
+/**
+ * The path of the departure board under a stop or a terminal.
+ */
+export const DEPARTURE_BOARD_PATH = 'naytto';
+
+/**
+ * Parses a comma-separated list of ids, e.g. "HSL:1040129,HSL:1040130".
+ *
+ * @param {string} value the value of the query parameter.
+ */
+export const parseIds = value =>
+  (value || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => id !== '');
+
+/**
+ * Returns the ids of the stops and the terminals on the departure board. The
+ * board shows the stop or the terminal of the path and the ones listed in
+ * the stops and terminals query parameters.
+ *
+ * @param {*} params the parameters of the route.
+ * @param {*} query the query parameters of the location.
+ */
+export const getDepartureBoardIds = (params, query = {}) => ({
+  stopIds: uniq([
+    ...(params.stopId ? [params.stopId] : []),
+    ...parseIds(query.stops),
+  ]),
+  stationIds: uniq([
+    ...(params.terminalId ? [params.terminalId] : []),
+    ...parseIds(query.terminals),
+  ]),
+});
+
+/**
+ * Returns the number of departures to show from the rows query parameter,
+ * or the configured default, limited to the configured maximum.
+ *
+ * @param {*} query the query parameters of the location.
+ * @param {*} config the configuration for the software installation.
+ */
+export const getDepartureBoardRows = (query = {}, config) => {
+  const defaultRows = get(config, 'departureBoard.rows', 10);
+  const maxRows = get(config, 'departureBoard.maxRows', defaultRows);
+  const rows = parseInt(query.rows, 10);
+  if (!Number.isInteger(rows) || rows < 1) {
+    return defaultRows;
+  }
+  return Math.min(rows, maxRows);
+};
+
+/**
+ * Checks if the realtime vehicles should be shown on a map. The map query
+ * parameter overrides the configured default.
+ *
+ * @param {*} query the query parameters of the location.
+ * @param {*} config the configuration for the software installation.
+ */
+export const showDepartureBoardMap = (query = {}, config) => {
+  if (query.map !== undefined) {
+    return query.map === 'true' || query.map === '1';
+  }
+  return get(config, 'departureBoard.showMap', false);
+};
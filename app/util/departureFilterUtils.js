@@ -0,0 +1,105 @@
+import omit from 'lodash/omit';
+import uniq from 'lodash/uniq';
+import uniqBy from 'lodash/uniqBy';
+
+import routeCompare from './route-compare';
+
+/**
+ * The departures can be filtered by these fields. Each of them is stored in
+ * the query parameter of the same name, which may be repeated.
+ */
+export const DepartureFilterType = {
+  Headsigns: 'headsigns',
+  Platforms: 'platforms',
+  Routes: 'routes',
+};
+
+const asArray = value =>
+  (value === undefined ? [] : [].concat(value)).filter(Boolean);
+
+const getHeadsign = stoptime =>
+  stoptime.stopHeadsign || (stoptime.trip && stoptime.trip.tripHeadsign);
+
+const getRoute = stoptime =>
+  stoptime.trip && stoptime.trip.pattern && stoptime.trip.pattern.route;
+
+const getPlatformCode = stoptime => stoptime.stop && stoptime.stop.platformCode;
+
+/**
+ * Returns the departure filters from the query of the current location.
+ *
+ * @param {*} query the query of the current location.
+ */
+export const getDepartureFilters = (query = {}) =>
+  Object.values(DepartureFilterType).reduce(
+    (filters, type) => ({ ...filters, [type]: asArray(query[type]) }),
+    {},
+  );
+
+/**
+ * Returns the query with the departure filters. The empty filters are left
+ * out of it.
+ *
+ * @param {*} query the query of the current location.
+ * @param {*} filters the departure filters.
+ */
+export const getDepartureFilterQuery = (query = {}, filters) =>
+  Object.values(DepartureFilterType)
+    .filter(type => filters[type] && filters[type].length > 0)
+    .reduce(
+      (newQuery, type) => ({ ...newQuery, [type]: filters[type] }),
+      omit(query, Object.values(DepartureFilterType)),
+    );
+
+/**
+ * Checks if any of the departure filters is in use.
+ *
+ * @param {*} filters the departure filters.
+ */
+export const hasDepartureFilters = filters =>
+  Object.values(DepartureFilterType).some(
+    type => filters[type] && filters[type].length > 0,
+  );
+
+/**
+ * Returns the routes, platforms and headsigns of the stoptimes the
+ * departures can be filtered by.
+ *
+ * @param {Array} stoptimes the stoptimes of the stop.
+ */
+export const getDepartureFilterOptions = (stoptimes = []) => ({
+  [DepartureFilterType.Headsigns]: uniq(
+    stoptimes.map(getHeadsign).filter(Boolean),
+  ).sort(),
+  [DepartureFilterType.Platforms]: uniq(
+    stoptimes.map(getPlatformCode).filter(Boolean),
+  ).sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+  [DepartureFilterType.Routes]: uniqBy(
+    stoptimes.map(getRoute).filter(Boolean),
+    'gtfsId',
+  ).sort(routeCompare),
+});
+
+/**
+ * Returns the stoptimes that match every departure filter in use.
+ *
+ * @param {Array} stoptimes the stoptimes of the stop.
+ * @param {*} filters the departure filters.
+ */
+export const filterStoptimes = (stoptimes, filters) => {
+  if (!filters || !hasDepartureFilters(filters)) {
+    return stoptimes;
+  }
+  const matches = (type, value) =>
+    !filters[type] ||
+    filters[type].length === 0 ||
+    filters[type].includes(value);
+  return stoptimes.filter(stoptime => {
+    const route = getRoute(stoptime);
+    return (
+      matches(DepartureFilterType.Routes, route && route.gtfsId) &&
+      matches(DepartureFilterType.Platforms, getPlatformCode(stoptime)) &&
+      matches(DepartureFilterType.Headsigns, getHeadsign(stoptime))
+    );
+  });
+};
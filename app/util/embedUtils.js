@@ -0,0 +1,90 @@
+import escape from 'lodash/escape';
+
+import { locationToOTP } from './otpStrings';
+import { getPathWithEndpointObjects } from './path';
+
+/**
+ * The paths of the embeddable widgets.
+ */
+export const EMBED_PATH = 'embed';
+export const EMBED_SEARCH_PATH = 'haku';
+export const EMBED_DEPARTURES_PATH = 'lahdot';
+
+/**
+ * The widget types of the builder.
+ */
+export const EmbedType = {
+  Departures: 'departures',
+  Search: 'search',
+};
+
+/**
+ * The default size of the iframe in pixels.
+ */
+export const DEFAULT_EMBED_WIDTH = 360;
+export const DEFAULT_EMBED_HEIGHT = 420;
+
+const toQueryString = params =>
+  Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== '')
+    .map(key => `${key}=${encodeURIComponent(params[key])}`)
+    .join('&');
+
+const withQuery = (path, params) => {
+  const query = toQueryString(params);
+  return query ? `${path}?${query}` : path;
+};
+
+/**
+ * Returns the path of the search form widget.
+ *
+ * @param {*} origin the prefilled origin, optional.
+ * @param {string} lang the language of the widget, optional.
+ */
+export const getEmbedSearchPath = (origin, lang) =>
+  withQuery(`/${EMBED_PATH}/${EMBED_SEARCH_PATH}`, {
+    from: origin && origin.lat && origin.lon ? locationToOTP(origin) : '',
+    lang,
+  });
+
+/**
+ * Returns the path of the departure list widget.
+ *
+ * @param {Array} stopIds the ids of the stops.
+ * @param {Array} terminalIds the ids of the terminals.
+ * @param {number} rows the number of departures, optional.
+ * @param {string} lang the language of the widget, optional.
+ */
+export const getEmbedDeparturesPath = (stopIds, terminalIds, rows, lang) =>
+  withQuery(`/${EMBED_PATH}/${EMBED_DEPARTURES_PATH}`, {
+    stops: stopIds.join(','),
+    terminals: terminalIds.join(','),
+    rows,
+    lang,
+  });
+
+/**
+ * Returns the path of the itinerary search opened from the search form
+ * widget in the main user interface.
+ *
+ * @param {*} origin the origin of the search.
+ * @param {*} destination the destination of the search.
+ */
+export const getEmbedHandOffPath = (origin, destination) =>
+  getPathWithEndpointObjects(
+    { ...origin, ready: true },
+    { ...destination, ready: true },
+  );
+
+/**
+ * Generates the html snippet that embeds the widget in another website.
+ *
+ * @param {string} src the absolute url of the widget.
+ * @param {*} options the width and the height in pixels and the title.
+ */
+export const getEmbedSnippet = (
+  src,
+  { width = DEFAULT_EMBED_WIDTH, height = DEFAULT_EMBED_HEIGHT, title = '' },
+) =>
+  `<iframe src="${escape(src)}" width="${width}" height="${height}" ` +
+  `title="${escape(title)}" frameborder="0" style="border: 0"></iframe>`;
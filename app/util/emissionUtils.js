@@ -0,0 +1,52 @@
+import get from 'lodash/get';
+import round from 'lodash/round';
+
+import { getLegMode } from './legUtils';
+
+/**
+ * Returns the estimated CO2 emissions of the leg in grams. The modes
+ * without an emission factor cause no emissions.
+ *
+ * @param {*} leg the leg to estimate the emissions for.
+ * @param {*} factors the grams of CO2 per passenger-kilometre by mode.
+ */
+export const getLegEmissions = (leg, factors = {}) => {
+  const mode = getLegMode(leg) || (leg.mode || '').toUpperCase();
+  const factor = factors[mode] || 0;
+  return (leg.distance || 0) / 1000 * factor;
+};
+
+const sumEmissions = (itinerary, factors) =>
+  itinerary.legs.reduce((sum, leg) => sum + getLegEmissions(leg, factors), 0);
+
+/**
+ * Estimates the CO2 emissions of the itinerary and how much less that is
+ * than the car itinerary between the same places. The saved emissions are
+ * undefined without a car itinerary. Returns null if the emissions are not
+ * shown in this installation.
+ *
+ * @param {*} itinerary the itinerary to estimate the emissions for.
+ * @param {*} config the configuration for the software installation.
+ * @param {*} carItinerary the itinerary of driving the same trip by car.
+ */
+export const getItineraryEmissions = (itinerary, config, carItinerary) => {
+  if (!get(config, 'emissions.show')) {
+    return null;
+  }
+  const { factors } = config.emissions;
+  const total = sumEmissions(itinerary, factors);
+  return {
+    total,
+    saved: carItinerary
+      ? Math.max(sumEmissions(carItinerary, factors) - total, 0)
+      : undefined,
+  };
+};
+
+/**
+ * Formats the emissions as grams or, from one kilogram up, as kilograms.
+ *
+ * @param {number} grams the emissions in grams.
+ */
+export const formatEmissions = grams =>
+  grams >= 1000 ? `${round(grams / 1000, 1)} kg` : `${Math.round(grams)} g`;
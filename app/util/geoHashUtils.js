@@ -0,0 +1,112 @@
+/**
+ * The geohashes used in the realtime vehicle topics have four levels. The
+ * first level is a cell of one degree, written as "lat;lon" (e.g. "60;24").
+ * Each following level adds one decimal of the latitude and the longitude
+ * (e.g. "19" for 60.1x and 24.9x). The levels that are not used are '+'.
+ */
+export const GEOHASH_LEVELS = 4;
+
+/**
+ * The default maximum number of geohash cells to subscribe to at once.
+ */
+export const MAX_GEOHASH_CELLS = 24;
+
+const WILDCARD = '+';
+
+const digit = (index, position) =>
+  (Math.floor(index / 10 ** position) % 10 + 10) % 10;
+
+const toGeoHash = (latIndex, lonIndex, level) => {
+  const scale = 10 ** (level - 1);
+  const geoHash = [
+    `${Math.floor(latIndex / scale)};${Math.floor(lonIndex / scale)}`,
+  ];
+  for (let i = 1; i < GEOHASH_LEVELS; i++) {
+    geoHash.push(
+      i < level
+        ? `${digit(latIndex, level - 1 - i)}${digit(lonIndex, level - 1 - i)}`
+        : WILDCARD,
+    );
+  }
+  return geoHash;
+};
+
+const toIndex = (coordinate, level) =>
+  Math.floor(coordinate * 10 ** (level - 1));
+
+/**
+ * Returns the geohash of the cell containing the coordinates.
+ *
+ * @param {number} lat the latitude.
+ * @param {number} lon the longitude.
+ * @param {number} level the level of the cell, from 1 to 4.
+ */
+export const getGeoHash = (lat, lon, level = GEOHASH_LEVELS) =>
+  toGeoHash(toIndex(lat, level), toIndex(lon, level), level);
+
+/**
+ * Returns the level of the geohash cells that suits the map's zoom level.
+ *
+ * @param {number} zoom the zoom level of the map.
+ */
+export const getGeoHashLevel = zoom => {
+  if (zoom >= 15) {
+    return 4;
+  }
+  if (zoom >= 12) {
+    return 3;
+  }
+  if (zoom >= 8) {
+    return 2;
+  }
+  return 1;
+};
+
+/**
+ * Returns the geohashes of the cells covering the bounds. Larger cells are
+ * used when the bounds would need more than maxCells cells.
+ *
+ * @param {*} bounds the bounds as { south, west, north, east }.
+ * @param {number} zoom the zoom level of the map.
+ * @param {number} maxCells the maximum number of cells.
+ */
+export const getGeoHashesForBounds = (
+  { south, west, north, east },
+  zoom,
+  maxCells = MAX_GEOHASH_CELLS,
+) => {
+  let level = getGeoHashLevel(zoom);
+  const countCells = l =>
+    (toIndex(north, l) - toIndex(south, l) + 1) *
+    (toIndex(east, l) - toIndex(west, l) + 1);
+  while (level > 1 && countCells(level) > maxCells) {
+    level -= 1;
+  }
+
+  const geoHashes = [];
+  for (let lat = toIndex(south, level); lat <= toIndex(north, level); lat++) {
+    for (let lon = toIndex(west, level); lon <= toIndex(east, level); lon++) {
+      geoHashes.push(toGeoHash(lat, lon, level));
+    }
+  }
+  return geoHashes;
+};
+
+/**
+ * Checks if the coordinates are inside the geohash cell. Missing
+ * coordinates are not inside any cell.
+ *
+ * @param {number} lat the latitude.
+ * @param {number} lon the longitude.
+ * @param {Array} geoHash the geohash of the cell.
+ */
+export const isInGeoHash = (lat, lon, geoHash) => {
+  if (typeof lat !== 'number' || typeof lon !== 'number') {
+    return false;
+  }
+  const level = geoHash.filter(part => part !== WILDCARD).length;
+  if (level === 0) {
+    return true;
+  }
+  return getGeoHash(lat, lon, level).every((part, i) => part === geoHash[i]);
+};
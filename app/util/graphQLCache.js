@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import get from 'lodash/get';
+import LRU from 'lru-cache';
+
+import { normalizeQuery } from './persistedQueries';
+
+/**
+ * Calculates the id of the query. This is the SHA-256 hash of the normalized
+ * query, the same the browser calculates for the persisted queries.
+ *
+ * @param {string} query the GraphQL query text.
+ */
+export const getQueryId = query =>
+  crypto
+    .createHash('sha256')
+    .update(normalizeQuery(query))
+    .digest('hex');
+
+/**
+ * Serializes the value with the object keys in alphabetical order so that
+ * the same variables always produce the same cache key.
+ *
+ * @param {*} value the value to serialize.
+ */
+export const stableStringify = value => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Builds the cache key of the query. The url is included as the
+ * configurations may use different OTP instances.
+ *
+ * @param {string} url the url of the GraphQL endpoint.
+ * @param {string} query the GraphQL query text.
+ * @param {*} variables the variables of the query.
+ */
+export const getCacheKey = (url, query, variables) =>
+  `${url}|${getQueryId(query)}|${stableStringify(variables || {})}`;
+
+/**
+ * Returns the time to live in seconds of the first rule whose pattern
+ * matches the query, or the default if none does. 0 means no caching.
+ *
+ * @param {string} query the GraphQL query text.
+ * @param {Array} rules the rules as { pattern, ttl }.
+ * @param {number} defaultTtl the time to live of the other queries.
+ */
+export const getQueryTtl = (query, rules = [], defaultTtl = 0) => {
+  const rule = rules.find(r => new RegExp(r.pattern, 'i').test(query));
+  return rule ? rule.ttl : defaultTtl;
+};
+
+/**
+ * Creates an in-process cache store. A store has get(key) and
+ * set(key, value, ttl) where ttl is in seconds. Both may return a promise.
+ *
+ * @param {number} maxSize the maximum number of cached responses.
+ */
+export const createLruStore = maxSize => {
+  const lru = LRU({ max: maxSize });
+  return {
+    get: key => lru.get(key),
+    set: (key, value, ttl) => lru.set(key, value, ttl * 1000),
+  };
+};
+
+let store;
+let registry;
+const pending = {};
+
+/**
+ * Replaces the in-process store, for example with one shared by all the
+ * server processes.
+ *
+ * @param {*} newStore the store with get(key) and set(key, value, ttl).
+ */
+export const setGraphQLCacheStore = newStore => {
+  store = newStore;
+};
+
+const getStore = config => {
+  if (!store) {
+    store = createLruStore(get(config, 'graphQLCache.maxSize', 1000));
+  }
+  return store;
+};
+
+const getRegistry = config => {
+  if (!registry) {
+    registry = LRU({ max: get(config, 'graphQLCache.maxQueries', 1000) });
+  }
+  return registry;
+};
+
+/**
+ * Remembers the query text by its id for the clients that only send ids.
+ *
+ * @param {*} config the configuration for the software installation.
+ * @param {string} query the GraphQL query text.
+ */
+export const registerQuery = (config, query) => {
+  const id = getQueryId(query);
+  getRegistry(config).set(id, normalizeQuery(query));
+  return id;
+};
+
+/**
+ * Returns the text of a registered query or undefined.
+ *
+ * @param {*} config the configuration for the software installation.
+ * @param {string} id the id of the query.
+ */
+export const getRegisteredQuery = (config, id) => getRegistry(config).get(id);
+
+const isCacheable = payload => !!payload && !!payload.data && !payload.errors;
+
+/**
+ * Resolves to the cached response of the query or fetches it. Identical
+ * queries fetched at the same time share the same request. Responses with
+ * errors are not cached and a failing store is treated as a cache miss.
+ *
+ * @param {*} config the configuration for the software installation.
+ * @param {string} url the url of the GraphQL endpoint.
+ * @param {string} query the GraphQL query text.
+ * @param {*} variables the variables of the query.
+ * @param {function} fetchPayload resolves to the response payload.
+ */
+export const withGraphQLCache = (
+  config,
+  url,
+  query,
+  variables,
+  fetchPayload,
+) => {
+  const ttl = get(config, 'graphQLCache.enabled')
+    ? getQueryTtl(
+        query,
+        config.graphQLCache.ttls,
+        config.graphQLCache.defaultTtl,
+      )
+    : 0;
+  if (!ttl) {
+    return fetchPayload();
+  }
+
+  const key = getCacheKey(url, query, variables);
+  if (pending[key]) {
+    return pending[key];
+  }
+  const cache = getStore(config);
+  const promise = Promise.resolve()
+    .then(() => cache.get(key))
+    .catch(() => undefined)
+    .then(
+      cached =>
+        cached ||
+        fetchPayload().then(payload => {
+          if (isCacheable(payload)) {
+            Promise.resolve()
+              .then(() => cache.set(key, payload, ttl))
+              .catch(() => {});
+          }
+          return payload;
+        }),
+    );
+  pending[key] = promise;
+  const clear = () => {
+    delete pending[key];
+  };
+  promise.then(clear, clear);
+  return promise;
+};
+
+/**
+ * A react-relay-network-layer middleware that serves the queries of the
+ * server side rendering from the cache. The queries are also registered so
+ * that the browser can refer to them by their id. This needs to be placed
+ * before the batchMiddleware.
+ *
+ * @param {*} config the configuration for the software installation.
+ * @param {string} url the url of the GraphQL endpoint.
+ */
+export const graphQLCacheMiddleware = (config, url) => next => req => {
+  if (req.relayReqType !== 'query') {
+    return next(req);
+  }
+  const { query, variables } = JSON.parse(req.body);
+  if (get(config, 'graphQLCache.persistedQueries')) {
+    registerQuery(config, query);
+  }
+  return withGraphQLCache(config, url, query, variables, () =>
+    next(req).then(res => res.payload),
+  ).then(payload => ({ payload }));
+};
+
+/**
+ * Empties the cache and the registry. Meant for tests.
+ */
+export const resetGraphQLCache = () => {
+  store = undefined;
+  registry = undefined;
+  Object.keys(pending).forEach(key => delete pending[key]);
+};
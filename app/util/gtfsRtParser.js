@@ -1,6 +1,6 @@
 import ceil from 'lodash/ceil';
 import Pbf from 'pbf';
-// eslint-disable-next-line import/prefer-default-export
+
 export const parseFeedMQTT = (feedParser, data, topic, agency, mode) => {
   const pbf = new Pbf(data);
   const feed = feedParser(pbf);
@@ -54,3 +54,45 @@ export const parseFeedMQTT = (feedParser, data, topic, agency, mode) => {
   });
   return messages.length > 0 ? messages : null;
 };
+
+/**
+ * Parses a complete GTFS-RT VehiclePositions feed, e.g. one polled over HTTP.
+ * Unlike with MQTT there is no topic, so all the information is read from
+ * the feed entities themselves.
+ *
+ * @param {function} feedParser the FeedMessage reader from the gtfsrt bindings.
+ * @param {*} data the raw protobuf data.
+ * @param {string} agency the feed id of the agency.
+ * @param {string} mode the mode to use for the vehicles, defaults to bus.
+ */
+export const parseFeed = (feedParser, data, agency, mode) => {
+  const pbf = new Pbf(data);
+  const feed = feedParser(pbf);
+
+  const messages = [];
+  feed.entity.forEach(entity => {
+    const vehiclePos = entity.vehicle;
+    if (vehiclePos) {
+      const { trip, position, vehicle } = vehiclePos;
+      if (trip && position) {
+        const vehicleId = (vehicle && vehicle.id) || entity.id;
+        messages.push({
+          id: `${agency}:${vehicleId}`,
+          route: `${agency}:${trip.route_id}`,
+          direction: trip.direction_id || 0,
+          tripStartTime: trip.start_time.replace(/:/g, '').substring(0, 4),
+          operatingDay: trip.start_date,
+          mode: mode || 'bus',
+          next_stop: vehiclePos.stop_id || undefined,
+          timestamp: vehiclePos.timestamp || feed.header.timestamp,
+          lat: ceil(position.latitude, 5),
+          long: ceil(position.longitude, 5),
+          heading: position.bearing ? Math.floor(position.bearing) : 0,
+          headsign: undefined, // the feed entities do not include the trip headsign
+          tripId: trip.trip_id,
+        });
+      }
+    }
+  });
+  return messages;
+};
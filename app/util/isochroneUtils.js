@@ -0,0 +1,102 @@
+import get from 'lodash/get';
+
+import { getJson } from './xhrPromise';
+
+/**
+ * The travel time limits in minutes used if the configuration has none.
+ */
+export const DEFAULT_CUTOFFS = [15, 30, 45, 60];
+
+/**
+ * Returns the travel time limits of the reachability map in minutes.
+ *
+ * @param {*} config the configuration for the software installation.
+ */
+export const getCutoffs = config =>
+  get(config, 'isochrone.cutoffs', DEFAULT_CUTOFFS);
+
+/**
+ * Returns the color of the area reachable within the given limit. The last
+ * configured color is used for the limits that have no color of their own.
+ *
+ * @param {number} index the index of the limit.
+ * @param {*} config the configuration for the software installation.
+ */
+export const getCutoffColor = (index, config) => {
+  const colors = get(config, 'isochrone.colors', []);
+  if (colors.length === 0) {
+    return config.colors.primary;
+  }
+  return colors[Math.min(index, colors.length - 1)];
+};
+
+/**
+ * Builds the url of OTP's isochrone endpoint.
+ *
+ * @param {*} config the configuration for the software installation.
+ * @param {*} from the origin with lat and lon.
+ * @param {Array} modes the transport modes to use in addition to walking.
+ * @param {*} time the departure time as a moment.
+ */
+export const getIsochroneUrl = (config, from, modes, time) =>
+  [
+    `${config.URL.OTP}isochrone?fromPlace=${from.lat},${from.lon}`,
+    `mode=${[...modes, 'WALK'].join(',')}`,
+    `date=${time.format('YYYY-MM-DD')}`,
+    `time=${time.format('HH:mm')}`,
+    ...getCutoffs(config).map(cutoff => `cutoffSec=${cutoff * 60}`),
+  ].join('&');
+
+/**
+ * Styles the isochrone polygons by their travel time. The farthest area is
+ * the first one so that the nearer areas are drawn on top of it. The
+ * features without a known travel time limit are left out.
+ *
+ * @param {*} data the GeoJSON FeatureCollection returned by OTP.
+ * @param {*} config the configuration for the software installation.
+ */
+export const toIsochroneFeatures = (data, config) => {
+  const cutoffs = getCutoffs(config);
+  const features =
+    (data && Array.isArray(data.features) && data.features) || [];
+  return {
+    type: 'FeatureCollection',
+    features: features
+      .map(feature => ({
+        feature,
+        index: cutoffs.indexOf(
+          Math.round(get(feature, 'properties.time', 0) / 60),
+        ),
+      }))
+      .filter(({ index }) => index !== -1)
+      .sort((a, b) => b.index - a.index)
+      .map(({ feature, index }) => {
+        const color = getCutoffColor(index, config);
+        return {
+          ...feature,
+          style: {
+            className: '',
+            color,
+            fillColor: color,
+            fillOpacity: 0.3,
+            opacity: 0.8,
+            weight: 1,
+          },
+        };
+      }),
+  };
+};
+
+/**
+ * Fetches the areas reachable from the origin within the configured travel
+ * time limits.
+ *
+ * @param {*} config the configuration for the software installation.
+ * @param {*} from the origin with lat and lon.
+ * @param {Array} modes the transport modes to use in addition to walking.
+ * @param {*} time the departure time as a moment.
+ */
+export const fetchIsochrones = (config, from, modes, time) =>
+  getJson(getIsochroneUrl(config, from, modes, time)).then(data =>
+    toIsochroneFeatures(data, config),
+  );
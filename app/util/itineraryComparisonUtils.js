@@ -0,0 +1,149 @@
+import { getFares } from './fareUtils';
+import {
+  containsBiking,
+  getRoutes,
+  getTotalBikingDistance,
+  getTotalWalkingDistance,
+} from './legUtils';
+
+/**
+ * The minimum and the maximum number of itineraries in the comparison.
+ */
+export const MIN_COMPARED_ITINERARIES = 2;
+export const MAX_COMPARED_ITINERARIES = 4;
+
+/**
+ * Returns the number of transfers between the transit legs of the itinerary.
+ *
+ * @param {*} itinerary the itinerary to check.
+ */
+export const getTransferCount = itinerary =>
+  Math.max(itinerary.legs.filter(leg => leg.transitLeg).length - 1, 0);
+
+/**
+ * Returns the total price of the itinerary in cents, or null if the price
+ * of any of its routes is unknown.
+ *
+ * @param {*} itinerary the itinerary to check.
+ * @param {*} config the configuration for the software installation.
+ */
+export const getFareCents = (itinerary, config) => {
+  const fares = getFares(itinerary.fares, getRoutes(itinerary.legs), config);
+  if (fares.some(fare => fare.isUnknown || !Number.isFinite(fare.cents))) {
+    return null;
+  }
+  return fares.reduce((sum, fare) => sum + fare.cents, 0);
+};
+
+/**
+ * The compared criteria. For each criterion, value returns a number or null
+ * and lowerIsBetter tells which end of the values is the best.
+ */
+export const ComparisonCriteria = [
+  {
+    id: 'duration',
+    value: itinerary => itinerary.endTime - itinerary.startTime,
+    lowerIsBetter: true,
+  },
+  {
+    id: 'walking-distance',
+    value: getTotalWalkingDistance,
+    lowerIsBetter: true,
+  },
+  {
+    id: 'biking-distance',
+    value: getTotalBikingDistance,
+    lowerIsBetter: true,
+    isShown: itineraries => itineraries.some(containsBiking),
+  },
+  {
+    id: 'transfers',
+    value: getTransferCount,
+    lowerIsBetter: true,
+  },
+  {
+    id: 'fare',
+    value: getFareCents,
+    lowerIsBetter: true,
+    isShown: (itineraries, config) => !!config.showTicketInformation,
+  },
+  {
+    id: 'elevation-gained',
+    value: itinerary =>
+      Number.isFinite(itinerary.elevationGained)
+        ? itinerary.elevationGained
+        : null,
+    lowerIsBetter: true,
+    isShown: itineraries => itineraries.some(containsBiking),
+  },
+  {
+    id: 'departure',
+    value: itinerary => itinerary.startTime,
+    lowerIsBetter: false,
+  },
+  {
+    id: 'arrival',
+    value: itinerary => itinerary.endTime,
+    lowerIsBetter: true,
+  },
+];
+
+/**
+ * Returns the indexes of the best values. Nothing is the best if all the
+ * values are the same.
+ *
+ * @param {Array} values the numbers to compare, null for missing values.
+ * @param {boolean} lowerIsBetter true if the lowest value is the best.
+ */
+export const getBestIndexes = (values, lowerIsBetter) => {
+  const known = values.filter(value => value !== null && value !== undefined);
+  if (known.length < 2 || known.every(value => value === known[0])) {
+    return [];
+  }
+  const best = lowerIsBetter ? Math.min(...known) : Math.max(...known);
+  return values.reduce(
+    (indexes, value, i) => (value === best ? [...indexes, i] : indexes),
+    [],
+  );
+};
+
+/**
+ * Compares the itineraries with the criteria that apply to them.
+ *
+ * @param {Array} itineraries the itineraries to compare.
+ * @param {*} config the configuration for the software installation.
+ */
+export const compareItineraries = (itineraries, config) =>
+  ComparisonCriteria.filter(
+    criterion => !criterion.isShown || criterion.isShown(itineraries, config),
+  ).map(criterion => {
+    const values = itineraries.map(itinerary =>
+      criterion.value(itinerary, config),
+    );
+    return {
+      id: criterion.id,
+      values,
+      best: getBestIndexes(values, criterion.lowerIsBetter),
+    };
+  });
+
+/**
+ * Parses the indexes of the compared itineraries from the compare query
+ * parameter, e.g. "0,2".
+ *
+ * @param {string} value the value of the query parameter.
+ * @param {number} count the number of itineraries.
+ */
+export const parseComparedIndexes = (value, count) =>
+  (value || '')
+    .split(',')
+    .filter(part => part !== '')
+    .map(Number)
+    .filter(
+      (index, i, indexes) =>
+        Number.isInteger(index) &&
+        index >= 0 &&
+        index < count &&
+        indexes.indexOf(index) === i,
+    )
+    .slice(0, MAX_COMPARED_ITINERARIES);
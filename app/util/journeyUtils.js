@@ -0,0 +1,155 @@
+import polyline from 'polyline-encoded';
+
+import { distance } from './geo-utils';
+import { getStartTime } from './timeUtils';
+import {
+  MAX_DISTANCE_FROM_GEOMETRY,
+  findClosestPoint,
+} from './vehicleAnimationUtils';
+
+/**
+ * The user needs to be this much closer (in meters) to another leg than to
+ * the scheduled one before the other leg is considered current. This keeps
+ * the current leg from flickering at the stops where two legs meet.
+ */
+export const LEG_MATCH_MARGIN = 25;
+
+/**
+ * Decodes the leg's geometry into an array of { lat, lon }.
+ *
+ * @param {*} leg the itinerary leg.
+ */
+export const getLegGeometry = leg =>
+  leg.legGeometry && leg.legGeometry.points
+    ? polyline
+        .decode(leg.legGeometry.points)
+        .map(([lat, lon]) => ({ lat, lon }))
+    : [];
+
+/**
+ * Returns the distance in meters from the position to the leg's geometry, or
+ * Infinity if the leg has no geometry.
+ *
+ * @param {*} leg the itinerary leg.
+ * @param {*} position the position as { lat, lon }.
+ */
+export const getDistanceToLeg = (leg, position) => {
+  const closest = findClosestPoint(getLegGeometry(leg), position);
+  return closest ? closest.distance : Infinity;
+};
+
+/**
+ * Returns the distance in meters travelled along the geometry when its
+ * closest point to the position is reached, or undefined if the position is
+ * too far from the geometry.
+ *
+ * @param {Array} geometry the geometry as an array of { lat, lon }.
+ * @param {*} position the position as { lat, lon }.
+ */
+export const getDistanceAlongGeometry = (geometry, position) => {
+  const closest = findClosestPoint(geometry, position);
+  if (!closest || closest.distance > MAX_DISTANCE_FROM_GEOMETRY) {
+    return undefined;
+  }
+  let travelled = 0;
+  for (let i = 0; i < closest.index; i++) {
+    travelled += distance(geometry[i], geometry[i + 1]);
+  }
+  return travelled + distance(geometry[closest.index], closest.point);
+};
+
+/**
+ * Returns the index of the leg the user is currently on. The leg is chosen by
+ * the schedule, but the user's position can move it to the previous or the
+ * next leg if the user is ahead of or behind the schedule.
+ *
+ * @param {*} itinerary the itinerary.
+ * @param {number} now the current time in milliseconds.
+ * @param {*} position the user's position as { lat, lon }, optional.
+ */
+export const getCurrentLegIndex = (itinerary, now, position) => {
+  const { legs } = itinerary;
+  const scheduled = legs.findIndex(leg => now < leg.endTime);
+  const index = scheduled === -1 ? legs.length - 1 : scheduled;
+  if (!position) {
+    return index;
+  }
+
+  return [index - 1, index + 1].filter(i => i >= 0 && i < legs.length).reduce(
+    (current, i) => {
+      const legDistance = getDistanceToLeg(legs[i], position);
+      return legDistance + LEG_MATCH_MARGIN < current.distance
+        ? { index: i, distance: legDistance }
+        : current;
+    },
+    { index, distance: getDistanceToLeg(legs[index], position) },
+  ).index;
+};
+
+/**
+ * Returns the number of stops left on the transit leg including the stop
+ * where the user gets off. The stops are counted from the given position,
+ * for example the position of the vehicle, and from the schedule if the
+ * position is unknown or not on the leg.
+ *
+ * @param {*} leg the transit leg.
+ * @param {number} now the current time in milliseconds.
+ * @param {*} position the position as { lat, lon }, optional.
+ */
+export const getRemainingStops = (leg, now, position) => {
+  const places = (leg.intermediatePlaces || []).filter(place => place.stop);
+  const geometry = getLegGeometry(leg);
+  const travelled = position
+    ? getDistanceAlongGeometry(geometry, position)
+    : undefined;
+
+  if (travelled === undefined) {
+    return places.filter(place => place.arrivalTime > now).length + 1;
+  }
+  return (
+    places.filter(
+      place => getDistanceAlongGeometry(geometry, place.stop) > travelled,
+    ).length + 1
+  );
+};
+
+/**
+ * Finds the realtime vehicle serving the transit leg.
+ *
+ * @param {*} leg the transit leg.
+ * @param {*} vehicles the vehicles from RealTimeInformationStore by their id.
+ */
+export const getLegVehicle = (leg, vehicles) => {
+  const { route, trip } = leg;
+  if (!trip || !vehicles) {
+    return undefined;
+  }
+  const tripId = trip.gtfsId.split(':')[1];
+  const tripStartTime =
+    Array.isArray(trip.stoptimes) && trip.stoptimes.length > 0
+      ? getStartTime(trip.stoptimes[0].scheduledDeparture)
+      : undefined;
+
+  return Object.keys(vehicles)
+    .map(id => vehicles[id])
+    .find(
+      vehicle =>
+        (vehicle.tripId !== undefined && vehicle.tripId === tripId) ||
+        (route &&
+          vehicle.route === route.gtfsId &&
+          vehicle.direction === Number(trip.directionId) &&
+          vehicle.tripStartTime === tripStartTime),
+    );
+};
+
+/**
+ * Checks if the user has strayed from the walking, cycling or driving leg.
+ * The transit legs are never left as the vehicle takes care of following
+ * the route.
+ *
+ * @param {*} leg the current leg.
+ * @param {*} position the user's position as { lat, lon }.
+ * @param {number} maxDistance the maximum distance from the leg in meters.
+ */
+export const isOffRoute = (leg, position, maxDistance) =>
+  !leg.transitLeg && getDistanceToLeg(leg, position) > maxDistance;
@@ -0,0 +1,21 @@
+/* eslint no-restricted-globals: warn */
+
+// Opens the page the user was watching the departure on, or focuses it if
+// it is still open.
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = event.notification.data && event.notification.data.url;
+
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: 'window', includeUncontrolled: true })
+      .then(clients => {
+        const client =
+          clients.find(c => url && c.url === url) || clients.find(c => c);
+        if (client) {
+          return client.focus();
+        }
+        return url ? self.clients.openWindow(url) : undefined;
+      }),
+  );
+});
@@ -0,0 +1,248 @@
+import moment from 'moment';
+
+import translations from '../translations';
+import {
+  legHasCancelation,
+  tripHasCancelation,
+  tripHasCancelationForStop,
+} from './alertUtils';
+import { isBrowser } from './browser';
+
+/**
+ * The things the user can watch.
+ */
+export const WatchType = {
+  Departure: 'departure',
+  Itinerary: 'itinerary',
+};
+
+/**
+ * The notifications shown for a watched departure.
+ */
+export const NotificationType = {
+  Canceled: 'canceled',
+  Leave: 'leave',
+};
+
+/**
+ * The amount of time in seconds a watch is kept after the departure.
+ */
+export const WATCH_EXPIRATION_TIME = 5 * 60;
+
+/**
+ * Checks if the browser is able to show notifications.
+ */
+export const isNotificationSupported = () =>
+  isBrowser && typeof window.Notification !== 'undefined';
+
+/**
+ * Asks the user for the permission to show notifications. Resolves to true
+ * if the permission has been granted.
+ */
+export const requestNotificationPermission = () => {
+  if (!isNotificationSupported()) {
+    return Promise.resolve(false);
+  }
+  if (window.Notification.permission === 'granted') {
+    return Promise.resolve(true);
+  }
+  return new Promise(resolve => {
+    // older browsers only support the callback
+    const result = window.Notification.requestPermission(resolve);
+    if (result && result.then) {
+      result.then(resolve);
+    }
+  }).then(permission => permission === 'granted');
+};
+
+/**
+ * Shows a notification through the service worker if one is controlling the
+ * page so that it can be clicked even after the page has been closed.
+ *
+ * @param {string} title the title of the notification.
+ * @param {*} options the options of the notification.
+ */
+export const showNotification = (title, options) => {
+  if (
+    !isNotificationSupported() ||
+    window.Notification.permission !== 'granted'
+  ) {
+    return Promise.resolve();
+  }
+  const { serviceWorker } = navigator;
+  if (serviceWorker && serviceWorker.controller) {
+    return serviceWorker.ready.then(registration =>
+      registration.showNotification(title, options),
+    );
+  }
+  const notification = new window.Notification(title, options);
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+  };
+  return Promise.resolve();
+};
+
+const getWatchId = (type, tripId, serviceDate, stopId) =>
+  `${type}:${tripId}:${serviceDate}:${stopId}`;
+
+/**
+ * Creates a watch for a departure listed by DepartureListContainer.
+ *
+ * @param {*} departure the departure.
+ */
+export const getDepartureWatch = departure => {
+  const serviceDate = moment.unix(departure.serviceDay).format('YYYYMMDD');
+  return {
+    id: getWatchId(
+      WatchType.Departure,
+      departure.trip.gtfsId,
+      serviceDate,
+      departure.stop.gtfsId,
+    ),
+    type: WatchType.Departure,
+    tripId: departure.trip.gtfsId,
+    stopId: departure.stop.gtfsId,
+    serviceDate,
+    departureTime: departure.stoptime,
+    leaveTime: departure.stoptime,
+    canceled: !!departure.canceled,
+    route: departure.pattern.route.shortName,
+    headsign: departure.headsign || departure.trip.tripHeadsign,
+    notified: [],
+  };
+};
+
+/**
+ * Creates a watch for the first transit leg of the itinerary. The user needs
+ * to leave at the start of the itinerary. Returns undefined if the itinerary
+ * has no transit legs.
+ *
+ * @param {*} itinerary the itinerary.
+ */
+export const getItineraryWatch = itinerary => {
+  const leg = itinerary.legs.find(l => l.transitLeg && l.trip && l.from.stop);
+  if (!leg) {
+    return undefined;
+  }
+  return {
+    id: getWatchId(
+      WatchType.Itinerary,
+      leg.trip.gtfsId,
+      leg.serviceDate,
+      leg.from.stop.gtfsId,
+    ),
+    type: WatchType.Itinerary,
+    tripId: leg.trip.gtfsId,
+    stopId: leg.from.stop.gtfsId,
+    serviceDate: leg.serviceDate,
+    departureTime: leg.startTime / 1000,
+    leaveTime: itinerary.startTime / 1000,
+    canceled: itinerary.legs.some(legHasCancelation),
+    route: leg.route && leg.route.shortName,
+    headsign: leg.trip.tripHeadsign,
+    notified: [],
+  };
+};
+
+/**
+ * Re-times the watch from the realtime stoptimes of the watched trip and
+ * checks them for cancelations. The time needed to get to the stop stays
+ * the same.
+ *
+ * @param {*} watch the watch to update.
+ * @param {Array} stoptimes the stoptimes of the watched trip.
+ */
+export const updateWatch = (watch, stoptimes) => {
+  const trip = { stoptimes: Array.isArray(stoptimes) ? stoptimes : [] };
+  const stoptime = trip.stoptimes.find(
+    st => st.stop && st.stop.gtfsId === watch.stopId,
+  );
+  if (!stoptime) {
+    return watch;
+  }
+  if (
+    tripHasCancelation(trip) ||
+    tripHasCancelationForStop(trip, { gtfsId: watch.stopId })
+  ) {
+    return { ...watch, canceled: true };
+  }
+  const departureTime = stoptime.serviceDay + stoptime.realtimeDeparture;
+  return {
+    ...watch,
+    canceled: false,
+    departureTime,
+    leaveTime: watch.leaveTime + departureTime - watch.departureTime,
+  };
+};
+
+/**
+ * Checks if the watched departure is long gone.
+ *
+ * @param {*} watch the watch to check.
+ * @param {number} now the current time in seconds.
+ */
+export const isWatchExpired = (watch, now) =>
+  now > watch.departureTime + WATCH_EXPIRATION_TIME;
+
+/**
+ * Returns the type of the notification that should be shown for the watch
+ * now, or undefined if there is nothing to notify about.
+ *
+ * @param {*} watch the watch to check.
+ * @param {number} now the current time in seconds.
+ * @param {number} notifyBefore the minutes to notify before leaving.
+ */
+export const getDueNotification = (watch, now, notifyBefore) => {
+  if (watch.canceled) {
+    return watch.notified.includes(NotificationType.Canceled)
+      ? undefined
+      : NotificationType.Canceled;
+  }
+  if (
+    !watch.notified.includes(NotificationType.Leave) &&
+    now >= watch.leaveTime - notifyBefore * 60 &&
+    now < watch.departureTime
+  ) {
+    return NotificationType.Leave;
+  }
+  return undefined;
+};
+
+const formatMessage = (language, id, values) => {
+  const message =
+    (translations[language] && translations[language][id]) ||
+    translations.en[id];
+  return Object.keys(values).reduce(
+    (text, key) => text.replace(`{${key}}`, values[key]),
+    message,
+  );
+};
+
+/**
+ * Returns the title and the options of the notification.
+ *
+ * @param {*} watch the watched departure.
+ * @param {string} type the type of the notification.
+ * @param {string} language the language of the user.
+ */
+export const getNotification = (watch, type, language) => {
+  const values = {
+    headsign: watch.headsign || '',
+    leaveTime: moment.unix(watch.leaveTime).format('HH:mm'),
+    route: watch.route || '',
+    time: moment.unix(watch.departureTime).format('HH:mm'),
+  };
+  const id =
+    type === NotificationType.Canceled
+      ? 'departure-notification-canceled'
+      : `departure-notification-leave-${watch.type}`;
+  return {
+    title: formatMessage(language, id, values),
+    options: {
+      body: formatMessage(language, `${id}-body`, values),
+      tag: watch.id,
+      data: { url: watch.url },
+    },
+  };
+};
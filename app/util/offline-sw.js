@@ -0,0 +1,26 @@
+/* eslint no-restricted-globals: warn */
+
+// The same cache as OFFLINE_PAGE_CACHE in offlineTimetables.js
+const CACHE = 'offline-pages-v1';
+
+// Serves the pages of the timetables saved for offline use when the network
+// is down. Other pages are left to the browser.
+self.addEventListener('fetch', event => {
+  if (event.request.mode !== 'navigate') {
+    return;
+  }
+
+  event.respondWith(
+    fetch(event.request).catch(error =>
+      caches
+        .open(CACHE)
+        .then(cache => cache.match(event.request, { ignoreSearch: true }))
+        .then(response => {
+          if (!response) {
+            throw error;
+          }
+          return response;
+        }),
+    ),
+  );
+});
@@ -0,0 +1,345 @@
+import mapValues from 'lodash/mapValues';
+import moment from 'moment';
+
+import { RealtimeStateType } from '../constants';
+import { isBrowser } from './browser';
+import { normalizeQuery } from './persistedQueries';
+
+/**
+ * The name of the Cache Storage cache of the saved timetable pages. The
+ * service worker serves the pages from it when the network is down.
+ */
+export const OFFLINE_PAGE_CACHE = 'offline-pages-v1';
+
+/**
+ * The types of the timetables that can be saved for offline use.
+ */
+export const OfflineTimetableType = {
+  Pattern: 'pattern',
+  Stop: 'stop',
+};
+
+const DATABASE_NAME = 'digitransit-offline';
+const DATABASE_VERSION = 1;
+const TIMETABLES = 'timetables';
+const RESPONSES = 'responses';
+const DATE_FORMAT = 'YYYYMMDD';
+
+/**
+ * Checks if the browser is able to store the timetables.
+ */
+export const isOfflineStorageSupported = () => isBrowser && !!window.indexedDB;
+
+/**
+ * Returns the dates of the date range in the YYYYMMDD format.
+ *
+ * @param {string} startDate the first date in the YYYYMMDD format.
+ * @param {number} days the number of days in the range.
+ */
+export const getDateRange = (startDate, days) =>
+  Array.from({ length: days }, (_, i) =>
+    moment(startDate, DATE_FORMAT)
+      .add(i, 'days')
+      .format(DATE_FORMAT),
+  );
+
+/**
+ * Returns the id of the saved timetable.
+ *
+ * @param {string} type the type of the timetable.
+ * @param {string} gtfsId the gtfsId of the stop or the code of the pattern.
+ */
+export const getOfflineTimetableId = (type, gtfsId) => `${type}:${gtfsId}`;
+
+/**
+ * Returns the ids that the queries of the timetable refer to it by. These
+ * are the gtfsId and the global id of the Relay node.
+ *
+ * @param {*} timetable the saved timetable.
+ */
+export const getTimetableReferences = ({ type, gtfsId }) => [
+  gtfsId,
+  window.btoa(
+    `${type === OfflineTimetableType.Pattern ? 'Pattern' : 'Stop'}:${gtfsId}`,
+  ),
+];
+
+/**
+ * Builds the key of the stored response from the body of the request.
+ *
+ * @param {string} body the body of the GraphQL request.
+ */
+export const getResponseKey = body => {
+  const { query, variables } = JSON.parse(body);
+  return `${normalizeQuery(query)}|${JSON.stringify(variables || {})}`;
+};
+
+const toPromise = request =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result); // eslint-disable-line no-param-reassign
+    request.onerror = () => reject(request.error); // eslint-disable-line no-param-reassign
+  });
+
+let database;
+
+const openDatabase = () => {
+  if (!database) {
+    const request = window.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(TIMETABLES, { keyPath: 'id' });
+      db
+        .createObjectStore(RESPONSES, { keyPath: 'key' })
+        .createIndex('timetableId', 'timetableId');
+    };
+    database = toPromise(request);
+  }
+  return database;
+};
+
+const transact = (storeName, mode, callback) =>
+  openDatabase().then(db =>
+    toPromise(callback(db.transaction(storeName, mode).objectStore(storeName))),
+  );
+
+const removePage = path =>
+  isBrowser && window.caches
+    ? window.caches
+        .open(OFFLINE_PAGE_CACHE)
+        .then(cache => cache.delete(path))
+        .catch(() => false)
+    : Promise.resolve(false);
+
+/**
+ * Stores the timetables and the GraphQL responses of their queries in
+ * IndexedDB.
+ */
+export const offlineStorage = {
+  getTimetables: () => transact(TIMETABLES, 'readonly', s => s.getAll()),
+  getTimetable: id => transact(TIMETABLES, 'readonly', s => s.get(id)),
+  putTimetable: timetable =>
+    transact(TIMETABLES, 'readwrite', s => s.put(timetable)),
+  removeTimetable: ({ id, path }) =>
+    Promise.all([
+      transact(TIMETABLES, 'readwrite', s => s.delete(id)),
+      transact(RESPONSES, 'readwrite', s =>
+        s.index('timetableId').getAllKeys(id),
+      ).then(keys =>
+        Promise.all(
+          keys.map(key => transact(RESPONSES, 'readwrite', s => s.delete(key))),
+        ),
+      ),
+      removePage(path),
+    ]),
+  getResponse: key => transact(RESPONSES, 'readonly', s => s.get(key)),
+  putResponse: response =>
+    transact(RESPONSES, 'readwrite', s => s.put(response)),
+};
+
+/**
+ * Saves the timetable for offline use and caches its page for the service
+ * worker. The responses are stored by the offlineTimetableMiddleware.
+ *
+ * @param {*} timetable the timetable as { type, gtfsId, name, path, startDate, endDate }.
+ * @param {*} storage the storage of the timetables.
+ */
+export const saveOfflineTimetable = (timetable, storage = offlineStorage) => {
+  const saved = {
+    ...timetable,
+    id: getOfflineTimetableId(timetable.type, timetable.gtfsId),
+    savedAt: Date.now(),
+  };
+  return storage.putTimetable(saved).then(() => {
+    if (isBrowser && window.caches) {
+      window.caches
+        .open(OFFLINE_PAGE_CACHE)
+        .then(cache => cache.add(timetable.path))
+        .catch(() => {});
+    }
+    return saved;
+  });
+};
+
+/**
+ * Removes the timetables whose date range has ended.
+ *
+ * @param {string} today the current date in the YYYYMMDD format.
+ * @param {*} storage the storage of the timetables.
+ */
+export const removeExpiredOfflineTimetables = (
+  today,
+  storage = offlineStorage,
+) =>
+  storage
+    .getTimetables()
+    .then(timetables =>
+      Promise.all(
+        timetables
+          .filter(timetable => timetable.endDate < today)
+          .map(storage.removeTimetable),
+      ),
+    )
+    .catch(() => []);
+
+// the number of fetchOfflineDates calls in progress, the responses are only
+// stored while there are any
+let fetchingOfflineDates = 0;
+
+/**
+ * Fetches the data of the Relay container for each of the dates one at a
+ * time and finally returns to the original date. The requests go through
+ * the offlineTimetableMiddleware that stores the responses.
+ *
+ * @param {*} relay the relay prop of the container.
+ * @param {string} variable the name of the date variable of the container.
+ * @param {Array} dates the dates in the YYYYMMDD format.
+ */
+export const fetchOfflineDates = (relay, variable, dates) => {
+  const original = relay.variables[variable];
+  const setDate = date =>
+    new Promise((resolve, reject) =>
+      relay.setVariables({ [variable]: date }, readyState => {
+        if (readyState.error) {
+          reject(readyState.error);
+        } else if (readyState.done || readyState.aborted) {
+          resolve();
+        }
+      }),
+    );
+  const done = () => {
+    fetchingOfflineDates -= 1;
+  };
+  fetchingOfflineDates += 1;
+  return [...dates, original]
+    .reduce(
+      (previous, date) => previous.then(() => setDate(date)),
+      Promise.resolve(),
+    )
+    .then(done, error => {
+      done();
+      throw error;
+    });
+};
+
+/**
+ * Returns the string values of the variables and the string literals of the
+ * query, i.e. the ids that the query may refer to.
+ *
+ * @param {string} body the body of the GraphQL request.
+ */
+export const getQueryValues = body => {
+  const { query, variables } = JSON.parse(body);
+  const values = (query.match(/"(?:[^"\\]|\\.)*"/g) || []).map(literal =>
+    literal.slice(1, -1),
+  );
+  const collect = value => {
+    if (typeof value === 'string') {
+      values.push(value);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(collect);
+    }
+  };
+  collect(variables);
+  return values;
+};
+
+/**
+ * Replaces the realtime information in the payload with the scheduled
+ * information as the predictions are out of date by the time the stored
+ * payload is served.
+ *
+ * @param {*} value the payload or a part of it.
+ */
+export const withoutRealtime = value => {
+  if (Array.isArray(value)) {
+    return value.map(withoutRealtime);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  const result = mapValues(value, withoutRealtime);
+  if ('realtime' in result) {
+    result.realtime = false;
+  }
+  if ('realtimeState' in result) {
+    result.realtimeState = RealtimeStateType.Scheduled;
+  }
+  if ('realtimeArrival' in result && 'scheduledArrival' in result) {
+    result.realtimeArrival = result.scheduledArrival;
+  }
+  if ('realtimeDeparture' in result && 'scheduledDeparture' in result) {
+    result.realtimeDeparture = result.scheduledDeparture;
+  }
+  if ('arrivalDelay' in result) {
+    result.arrivalDelay = 0;
+  }
+  if ('departureDelay' in result) {
+    result.departureDelay = 0;
+  }
+  return result;
+};
+
+const isSuccessful = payload => !!payload && !!payload.data && !payload.errors;
+
+/**
+ * A react-relay-network-layer middleware that stores the responses of the
+ * queries of the saved timetables and serves them when the network is
+ * down. Only the responses fetched by fetchOfflineDates are stored. This
+ * needs to be placed before the batchMiddleware.
+ *
+ * @param {*} callbacks onOfflineData(savedAt) is called when a stored
+ * response is served and onOnlineData() when a response is received.
+ * @param {*} storage the storage of the timetables and the responses.
+ */
+export const offlineTimetableMiddleware = (
+  { onOfflineData = () => {}, onOnlineData = () => {} } = {},
+  storage = offlineStorage,
+) => next => req => {
+  if (req.relayReqType !== 'query') {
+    return next(req);
+  }
+  const key = getResponseKey(req.body);
+
+  const serveStored = error =>
+    Promise.resolve()
+      .then(() => storage.getResponse(key))
+      .catch(() => undefined)
+      .then(stored => {
+        if (!stored) {
+          throw error;
+        }
+        onOfflineData(stored.savedAt);
+        return { payload: stored.payload };
+      });
+
+  const store = payload =>
+    storage
+      .getTimetables()
+      .then(timetables => {
+        const values = getQueryValues(req.body);
+        const timetable = timetables.find(t =>
+          getTimetableReferences(t).some(id => values.includes(id)),
+        );
+        return (
+          timetable &&
+          storage.putResponse({
+            key,
+            timetableId: timetable.id,
+            savedAt: Date.now(),
+            payload: withoutRealtime(payload),
+          })
+        );
+      })
+      .catch(() => {});
+
+  if (navigator.onLine === false) {
+    return serveStored(new Error('The network is down'));
+  }
+  return next(req).then(res => {
+    onOnlineData();
+    if (fetchingOfflineDates > 0 && isSuccessful(res.payload)) {
+      store(res.payload);
+    }
+    return res;
+  }, serveStored);
+};
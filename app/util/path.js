@@ -13,6 +13,8 @@ export const PREFIX_ROUTES = 'linjat';
 export const PREFIX_STOPS = 'pysakit';
 export const PREFIX_TERMINALS = 'terminaalit';
 export const PREFIX_ITINERARY_SUMMARY = 'reitti';
+export const LIVE_MODE_PATH = 'seuraa';
+export const PREFIX_REACHABILITY = 'saavutettavuus';
 export const stopUrl = id => id;
 
 export const getRoutePath = (origin, destination) =>
@@ -25,6 +27,9 @@ export const getRoutePath = (origin, destination) =>
 export const getItineraryPath = (from, to, idx) =>
   [getRoutePath(from, to), idx].join('/');
 
+export const getReachabilityPath = location =>
+  `/${PREFIX_REACHABILITY}/${encodeURIComponent(locationToOTP(location))}`;
+
 export const isEmpty = s =>
   s === undefined || s === null || s.trim() === '' || s.trim() === '-';
 
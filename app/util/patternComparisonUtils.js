@@ -0,0 +1,91 @@
+import uniq from 'lodash/uniq';
+
+/**
+ * The colors the compared patterns are drawn with, in the order of the
+ * patterns of the route.
+ */
+export const PATTERN_COLORS = [
+  '#007ac9',
+  '#dc0451',
+  '#64be14',
+  '#ff6319',
+  '#8c4799',
+  '#00b9e4',
+];
+
+/**
+ * Returns the color of the pattern in the comparison.
+ *
+ * @param {Array} patterns the patterns of the route.
+ * @param {string} code the code of the pattern.
+ */
+export const getPatternColor = (patterns, code) =>
+  PATTERN_COLORS[
+    Math.max(patterns.findIndex(pattern => pattern.code === code), 0) %
+      PATTERN_COLORS.length
+  ];
+
+/**
+ * The minimum number of compared patterns.
+ */
+export const MIN_COMPARED_PATTERNS = 2;
+
+/**
+ * Returns the codes of the compared patterns from the patterns query
+ * parameter. By default, the patterns going to the same direction as the
+ * current pattern are compared, or every pattern if there are not enough
+ * of them.
+ *
+ * @param {Array} patterns the patterns of the route.
+ * @param {string} patternId the code of the current pattern.
+ * @param {*} query the query of the current location.
+ */
+export const getComparedPatternCodes = (patterns, patternId, query = {}) => {
+  const codes = patterns.map(pattern => pattern.code);
+  const selected = uniq((query.patterns || '').split(',')).filter(code =>
+    codes.includes(code),
+  );
+  if (selected.length >= MIN_COMPARED_PATTERNS) {
+    return selected;
+  }
+  const current = patterns.find(pattern => pattern.code === patternId);
+  const sameDirection = patterns
+    .filter(pattern => current && pattern.directionId === current.directionId)
+    .map(pattern => pattern.code);
+  return sameDirection.length >= MIN_COMPARED_PATTERNS ? sameDirection : codes;
+};
+
+/**
+ * Returns the stops of every pattern that none of the other patterns stop
+ * at, by the pattern code.
+ *
+ * @param {Array} patterns the compared patterns.
+ */
+export const getUniqueStops = patterns =>
+  patterns.reduce((uniqueStops, pattern) => {
+    const otherStopIds = patterns
+      .filter(other => other.code !== pattern.code)
+      .reduce(
+        (ids, other) => [...ids, ...other.stops.map(stop => stop.gtfsId)],
+        [],
+      );
+    return {
+      ...uniqueStops,
+      [pattern.code]: pattern.stops.filter(
+        stop => !otherStopIds.includes(stop.gtfsId),
+      ),
+    };
+  }, {});
+
+/**
+ * Returns the headsigns of the trips of the pattern, or the headsign of the
+ * pattern if it has no trips.
+ *
+ * @param {*} pattern the pattern with its trips.
+ */
+export const getTripHeadsigns = pattern => {
+  const headsigns = uniq(
+    (pattern.trips || []).map(trip => trip.tripHeadsign).filter(Boolean),
+  ).sort();
+  return headsigns.length > 0 ? headsigns : [pattern.headsign].filter(Boolean);
+};
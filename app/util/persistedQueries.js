@@ -0,0 +1,81 @@
+import { isBrowser } from './browser';
+
+/**
+ * The error message returned by the server when it does not know the
+ * persisted query. The client then sends the full query text once.
+ */
+export const PERSISTED_QUERY_NOT_FOUND = 'PersistedQueryNotFound';
+
+/**
+ * Removes the insignificant whitespace from the query so that the same query
+ * gets the same id on both the server and the client.
+ *
+ * @param {string} query the GraphQL query text.
+ */
+export const normalizeQuery = query => query.replace(/\s+/g, ' ').trim();
+
+/**
+ * Checks if the browser is able to calculate the ids of the queries.
+ */
+export const isPersistedQuerySupported = () =>
+  isBrowser &&
+  !!window.crypto &&
+  !!window.crypto.subtle &&
+  typeof window.TextEncoder !== 'undefined';
+
+const queryIds = {};
+
+/**
+ * Resolves to the SHA-256 hash of the normalized query as a hex string.
+ * The hashes are remembered as Relay sends the same queries over and over.
+ *
+ * @param {string} query the GraphQL query text.
+ */
+export const getBrowserQueryId = query => {
+  if (!queryIds[query]) {
+    queryIds[query] = window.crypto.subtle
+      .digest('SHA-256', new window.TextEncoder().encode(normalizeQuery(query)))
+      .then(buffer =>
+        Array.from(new Uint8Array(buffer))
+          .map(byte => `0${byte.toString(16)}`.slice(-2))
+          .join(''),
+      );
+  }
+  return queryIds[query];
+};
+
+const isNotFound = payload =>
+  !!payload &&
+  Array.isArray(payload.errors) &&
+  payload.errors.some(error => error.message === PERSISTED_QUERY_NOT_FOUND);
+
+/**
+ * A react-relay-network-layer middleware that sends the id of the query
+ * instead of its text. If the server has not seen the query yet, the query
+ * is sent again with its text. This needs to be placed before the
+ * batchMiddleware.
+ *
+ * @param {function} getQueryId resolves to the id of the query text.
+ */
+export const persistedQueryMiddleware = (
+  getQueryId = getBrowserQueryId,
+) => next => req => {
+  if (req.relayReqType !== 'query') {
+    return next(req);
+  }
+  const { id, query, variables } = JSON.parse(req.body);
+  return getQueryId(query).then(queryId =>
+    next({
+      ...req,
+      body: JSON.stringify({ id, queryId, variables }),
+    }).then(
+      res =>
+        isNotFound(res.payload)
+          ? next({
+              ...req,
+              body: JSON.stringify({ id, queryId, query, variables }),
+            })
+          : res,
+    ),
+  );
+};
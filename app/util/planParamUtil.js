@@ -5,6 +5,10 @@ import { filterModes, getDefaultModes, getModes } from './modeUtils';
 import { otpToLocation } from './otpStrings';
 import { getIntermediatePlaces, getQuerySettings } from './queryUtils';
 import { getDefaultNetworks } from './citybikes';
+import {
+  getAccessibilityProfile,
+  isAccessibilityProfileActive,
+} from './accessibilityUtils';
 import {
   getCustomizedSettings,
   getRoutingSettings,
@@ -177,6 +181,10 @@ export const getSettings = () => {
     accessibilityOption: getNumberValueOrDefault(
       custSettings.accessibilityOption,
     ),
+    avoidStairs: custSettings.avoidStairs,
+    lowFloorOnly: custSettings.lowFloorOnly,
+    maxSlope: getNumberValueOrDefault(custSettings.maxSlope),
+    stepFree: custSettings.stepFree,
     ticketTypes: custSettings.ticketTypes,
     transferPenalty: getNumberValueOrDefault(custSettings.transferPenalty),
     maxWalkDistance: getNumberValueOrDefault(routingSettings.maxWalkDistance),
@@ -251,8 +259,11 @@ export const preparePlanParams = config => (
       query: {
         accessibilityOption,
         arriveBy,
+        avoidStairs,
         bikeSpeed,
         intermediatePlaces,
+        lowFloorOnly,
+        maxSlope,
         minTransferTime,
         modes,
         numItineraries,
@@ -260,6 +271,7 @@ export const preparePlanParams = config => (
         preferredRoutes,
         safetyFactor,
         slopeFactor,
+        stepFree,
         timeFactor,
         ticketTypes,
         time,
@@ -321,11 +333,24 @@ export const preparePlanParams = config => (
         walkSpeed: getNumberValueOrDefault(walkSpeed, settings.walkSpeed),
         arriveBy: getBooleanValueOrDefault(arriveBy),
         maxWalkDistance: getMaxWalkDistance(modesOrDefault, settings, config),
-        wheelchair:
-          getNumberValueOrDefault(
-            accessibilityOption,
-            settings.accessibilityOption,
-          ) === 1,
+        wheelchair: isAccessibilityProfileActive(
+          getAccessibilityProfile({
+            accessibilityOption: getNumberValueOrDefault(
+              accessibilityOption,
+              settings.accessibilityOption,
+            ),
+            avoidStairs: getBooleanValueOrDefault(
+              avoidStairs,
+              settings.avoidStairs,
+            ),
+            lowFloorOnly: getBooleanValueOrDefault(
+              lowFloorOnly,
+              settings.lowFloorOnly,
+            ),
+            maxSlope: getNumberValueOrDefault(maxSlope, settings.maxSlope),
+            stepFree: getBooleanValueOrDefault(stepFree, settings.stepFree),
+          }),
+        ),
         transferPenalty: getNumberValueOrDefault(
           transferPenalty,
           settings.transferPenalty,
@@ -411,5 +436,7 @@ export const preparePlanParams = config => (
       defaultSettings.ticketTypes,
     ),
     allowedBikeRentalNetworks: allowedBikeRentalNetworksMapped,
+    // the car itinerary is only needed for comparing the emissions
+    showEmissions: !!(config.emissions && config.emissions.show),
   };
 };
@@ -0,0 +1,163 @@
+import d from 'debug';
+import { isInGeoHash } from './geoHashUtils';
+import { parseFeed } from './gtfsRtParser';
+import { parseSiriVM } from './siriParser';
+
+const debug = d('pollingClient.js');
+
+/**
+ * The default interval between two requests, in seconds.
+ */
+export const DEFAULT_POLL_INTERVAL = 10;
+
+const isWildcard = value => value === undefined || value === '+';
+
+/**
+ * Checks if the realtime message matches the given subscription option. The
+ * options are the same that are used to build the MQTT topics, so '+' or a
+ * missing value matches anything.
+ *
+ * @param {*} message the parsed realtime client message.
+ * @param {*} option the subscription option.
+ * @param {string} agency the feed id of the agency.
+ */
+export const matchesOption = (message, option, agency) =>
+  (isWildcard(option.route) || message.route === `${agency}:${option.route}`) &&
+  (isWildcard(option.direction) ||
+    message.direction === parseInt(option.direction, 10)) &&
+  (isWildcard(option.tripId) || message.tripId === option.tripId) &&
+  (isWildcard(option.tripStartTime) ||
+    message.tripStartTime === option.tripStartTime) &&
+  (!option.geoHash || isInGeoHash(message.lat, message.long, option.geoHash));
+
+/**
+ * Filters the messages so that only the ones matching any of the
+ * subscription options remain.
+ *
+ * @param {Array} messages the parsed realtime client messages.
+ * @param {Array} options the subscription options.
+ * @param {string} agency the feed id of the agency.
+ */
+export const filterMessages = (messages, options, agency) =>
+  messages.filter(message =>
+    options.some(option => matchesOption(message, option, agency)),
+  );
+
+const getMode = options =>
+  options.length !== 0 && !isWildcard(options[0].mode)
+    ? options[0].mode
+    : undefined;
+
+/**
+ * Creates a client that polls the given source periodically and dispatches
+ * the messages that match the current subscription options. The client has
+ * the same subscribe, unsubscribe and end methods as the MQTT client, so the
+ * realtime client actions can handle both in the same way.
+ *
+ * @param {*} settings the realtime settings for the agency.
+ * @param {*} actionContext the fluxible action context.
+ * @param {function} fetchMessages returns a promise for the parsed messages.
+ */
+export const createPollingClient = (settings, actionContext, fetchMessages) => {
+  const interval = (settings.pollInterval || DEFAULT_POLL_INTERVAL) * 1000;
+  let { options } = settings;
+  let timeout;
+  let ended = false;
+  // only the latest request may dispatch and schedule the next one
+  let latestPoll = 0;
+
+  const poll = () => {
+    clearTimeout(timeout);
+    latestPoll += 1;
+    const currentPoll = latestPoll;
+    const isCurrent = () => !ended && currentPoll === latestPoll;
+    return fetchMessages(getMode(options))
+      .then(messages => {
+        const matching = filterMessages(messages, options, settings.agency);
+        if (isCurrent() && matching.length > 0) {
+          actionContext.dispatch('RealTimeClientMessage', matching);
+        }
+      })
+      .catch(error => debug('polling failed', settings.url, error))
+      .then(() => {
+        if (isCurrent()) {
+          timeout = setTimeout(poll, interval);
+        }
+      });
+  };
+
+  const client = {
+    subscribe: newOptions => {
+      options = newOptions;
+      poll();
+    },
+    unsubscribe: () => {
+      options = [];
+    },
+    end: () => {
+      ended = true;
+      clearTimeout(timeout);
+    },
+  };
+
+  poll();
+  return client;
+};
+
+const fetchFromSource = settings =>
+  fetch(settings.url, { headers: settings.headers || {} }).then(response => {
+    if (!response.ok) {
+      throw new Error(`${settings.url}: ${response.statusText}`);
+    }
+    return response;
+  });
+
+/**
+ * Starts polling a GTFS-RT VehiclePositions feed over HTTP.
+ *
+ * @param {*} settings the realtime settings for the agency.
+ * @param {*} actionContext the fluxible action context.
+ */
+export function startGtfsRtHttpClient(settings, actionContext) {
+  return import(/* webpackChunkName: "gtfsrt" */ './gtfsrt').then(bindings => {
+    const feedReader = bindings.FeedMessage.read;
+    const client = createPollingClient(settings, actionContext, mode =>
+      fetchFromSource(settings)
+        .then(response => response.arrayBuffer())
+        .then(data =>
+          parseFeed(feedReader, new Uint8Array(data), settings.agency, mode),
+        ),
+    );
+    return { client, topics: settings.options };
+  });
+}
+
+/**
+ * Starts polling a SIRI-VM JSON endpoint.
+ *
+ * @param {*} settings the realtime settings for the agency.
+ * @param {*} actionContext the fluxible action context.
+ */
+export function startSiriVmClient(settings, actionContext) {
+  const client = createPollingClient(settings, actionContext, mode =>
+    fetchFromSource(settings)
+      .then(response => response.json())
+      .then(json => parseSiriVM(json, settings.agency, mode)),
+  );
+  return Promise.resolve({ client, topics: settings.options });
+}
+
+/**
+ * Replaces the subscription options of a polling client. The options act as
+ * the topics of the client.
+ *
+ * @param {*} settings the realtime settings, the client and the new options.
+ * @param {*} actionContext the fluxible action context.
+ */
+export function changePollingTopics(settings, actionContext) {
+  const { client } = settings;
+  client.unsubscribe();
+  actionContext.dispatch('RealTimeClientReset');
+  actionContext.dispatch('RealTimeClientNewTopics', settings.options);
+  client.subscribe(settings.options);
+}
@@ -244,14 +244,24 @@ export const getQuerySettings = query => {
     value !== undefined && value !== null && value !== ''
       ? Number(value)
       : defaultValue;
+  const getBooleanValue = value => String(value) === 'true';
 
   return {
     ...(hasKey('accessibilityOption') && {
       accessibilityOption: getNumberValueOrDefault(query.accessibilityOption),
     }),
+    ...(hasKey('avoidStairs') && {
+      avoidStairs: getBooleanValue(query.avoidStairs),
+    }),
     ...(hasKey('bikeSpeed') && {
       bikeSpeed: getNumberValueOrDefault(query.bikeSpeed),
     }),
+    ...(hasKey('lowFloorOnly') && {
+      lowFloorOnly: getBooleanValue(query.lowFloorOnly),
+    }),
+    ...(hasKey('maxSlope') && {
+      maxSlope: getNumberValueOrDefault(query.maxSlope),
+    }),
     ...(hasKey('minTransferTime') && {
       minTransferTime: getNumberValueOrDefault(query.minTransferTime),
     }),
@@ -275,6 +285,9 @@ export const getQuerySettings = query => {
     ...(hasKey('preferredRoutes') && {
       preferredRoutes: getArrayValueOrDefault(query.preferredRoutes),
     }),
+    ...(hasKey('stepFree') && {
+      stepFree: getBooleanValue(query.stepFree),
+    }),
     ...(hasKey('ticketTypes') && {
       ticketTypes: query.ticketTypes,
     }),
@@ -0,0 +1,188 @@
+import escape from 'lodash/escape';
+import groupBy from 'lodash/groupBy';
+import padStart from 'lodash/padStart';
+import sortBy from 'lodash/sortBy';
+import moment from 'moment';
+
+import { DATE_FORMAT } from '../constants';
+
+/**
+ * The types of the days the week schedule has a column for. Each of them is
+ * also the name of the Relay variable with the date of the day.
+ */
+export const ScheduleDayType = {
+  Weekday: 'weekday',
+  Saturday: 'saturday',
+  Sunday: 'sunday',
+};
+
+const CRLF = '\r\n';
+
+// makes spreadsheet applications read the CSV file as UTF-8
+const BYTE_ORDER_MARK = '\uFEFF';
+
+const formatHour = hour => padStart(hour % 24, 2, '0');
+
+const formatMinutes = seconds =>
+  padStart(Math.floor(seconds / 60) % 60, 2, '0');
+
+/**
+ * Returns the dates of the days of the week schedule in the YYYYMMDD format.
+ * They are the first weekday, Saturday and Sunday on or after the given date.
+ *
+ * @param {string} serviceDay the first date in the YYYYMMDD format.
+ */
+export const getScheduleDates = serviceDay => {
+  const date = moment(serviceDay, DATE_FORMAT);
+  const nextDate = isoWeekday =>
+    date
+      .clone()
+      .add((isoWeekday - date.isoWeekday() + 7) % 7, 'days')
+      .format(DATE_FORMAT);
+  return {
+    [ScheduleDayType.Weekday]:
+      date.isoWeekday() <= 5 ? date.format(DATE_FORMAT) : nextDate(1),
+    [ScheduleDayType.Saturday]: nextDate(6),
+    [ScheduleDayType.Sunday]: nextDate(7),
+  };
+};
+
+/**
+ * Returns the departures of the trips from each of the stops grouped by
+ * the hour. Every hour has the minutes of the departures for each type of
+ * day, e.g. { hour: '05', weekday: ['12', '42'], saturday: [], sunday: [] }.
+ *
+ * @param {Array} stops the stops of the schedule.
+ * @param {*} tripsByDay the trips with their stoptimes by the type of day.
+ */
+export const getStopSchedules = (stops, tripsByDay) =>
+  stops.map(stop => {
+    const departures = Object.values(ScheduleDayType).reduce(
+      (all, day) => [
+        ...all,
+        ...(tripsByDay[day] || []).reduce(
+          (stopDepartures, trip) => [
+            ...stopDepartures,
+            ...trip.stoptimes
+              .filter(stoptime => stoptime.stop.id === stop.id)
+              .map(stoptime => ({
+                day,
+                seconds: stoptime.scheduledDeparture,
+              })),
+          ],
+          [],
+        ),
+      ],
+      [],
+    );
+    const byHour = groupBy(sortBy(departures, 'seconds'), departure =>
+      Math.floor(departure.seconds / 3600),
+    );
+    return {
+      stop,
+      hours: Object.keys(byHour)
+        .sort((a, b) => a - b)
+        .map(hour =>
+          Object.values(ScheduleDayType).reduce(
+            (row, day) => ({
+              ...row,
+              [day]: byHour[hour]
+                .filter(departure => departure.day === day)
+                .map(departure => formatMinutes(departure.seconds)),
+            }),
+            { hour: formatHour(hour) },
+          ),
+        ),
+    };
+  });
+
+const toCsvField = value => {
+  const field = value == null ? '' : String(value);
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+/**
+ * Builds a CSV document of the stop schedules with a row for every hour
+ * of every stop.
+ *
+ * @param {Array} schedules the schedules from getStopSchedules.
+ * @param {*} headers the titles of the stop, code, hour and day columns.
+ */
+export const toScheduleCsv = (schedules, headers) => {
+  const days = Object.values(ScheduleDayType);
+  const rows = [
+    [
+      headers.stop,
+      headers.code,
+      headers.hour,
+      ...days.map(day => headers[day]),
+    ],
+    ...schedules.reduce(
+      (all, { stop, hours }) => [
+        ...all,
+        ...hours.map(row => [
+          stop.name,
+          stop.code,
+          row.hour,
+          ...days.map(day => row[day].join(' ')),
+        ]),
+      ],
+      [],
+    ),
+  ];
+  return `${BYTE_ORDER_MARK}${rows
+    .map(row => row.map(toCsvField).join(','))
+    .join(CRLF)}${CRLF}`;
+};
+
+/**
+ * Builds a printable HTML document of the stop schedules with a page for
+ * every stop, e.g. for the timetables of the stop poles.
+ *
+ * @param {Array} schedules the schedules from getStopSchedules.
+ * @param {*} headers the titles of the document, the hour and the day
+ * columns, and the text shown when there are no departures.
+ */
+export const toScheduleHtml = (schedules, headers) => {
+  const days = Object.values(ScheduleDayType);
+  const pages = schedules.map(({ stop, hours }) => {
+    const rows = hours.map(
+      row =>
+        `<tr><th>${escape(row.hour)}</th>${days
+          .map(day => `<td>${escape(row[day].join(' '))}</td>`)
+          .join('')}</tr>`,
+    );
+    return [
+      '<section>',
+      `<h1>${escape(headers.title)}</h1>`,
+      `<h2>${escape(stop.name)}${
+        stop.code ? ` (${escape(stop.code)})` : ''
+      }</h2>`,
+      rows.length > 0
+        ? `<table><thead><tr><th>${escape(headers.hour)}</th>${days
+            .map(day => `<th>${escape(headers[day])}</th>`)
+            .join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`
+        : `<p>${escape(headers.noDepartures)}</p>`,
+      '</section>',
+    ].join('');
+  });
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escape(headers.title)}</title>`,
+    '<style>',
+    'body { font-family: sans-serif; margin: 0; }',
+    'section { padding: 1cm; page-break-after: always; }',
+    'h1 { font-size: 1.4em; margin: 0; }',
+    'h2 { font-size: 1.2em; margin: 0.3em 0 0.8em; }',
+    'table { border-collapse: collapse; width: 100%; }',
+    'th, td { border: 1px solid #999; padding: 0.2em 0.4em; text-align: left; }',
+    'tbody th { width: 3em; }',
+    '</style>',
+    '</head>',
+    `<body>${pages.join('')}</body>`,
+    '</html>',
+  ].join('\n');
+};
@@ -0,0 +1,85 @@
+import ceil from 'lodash/ceil';
+import moment from 'moment';
+
+const modeTranslate = {
+  coach: 'bus',
+  metro: 'subway',
+  underground: 'subway',
+  water: 'ferry',
+};
+
+/**
+ * SIRI JSON producers either use plain values or wrap them in an object
+ * ({ value: ... }), and translated texts may come as an array.
+ */
+const getValue = element => {
+  if (Array.isArray(element)) {
+    return getValue(element[0]);
+  }
+  if (element && typeof element === 'object') {
+    return element.value;
+  }
+  return element;
+};
+
+const toUnix = time => (time ? moment(time).unix() : undefined);
+
+/**
+ * Parses the vehicle activities of a SIRI-VM (vehicle monitoring) JSON
+ * response into realtime client messages.
+ *
+ * @param {*} response the parsed JSON response from the SIRI-VM endpoint.
+ * @param {string} agency the feed id of the agency.
+ * @param {string} mode the mode to use when the journey does not define one.
+ */
+export const parseSiriVM = (response, agency, mode) => {
+  const delivery =
+    response && response.Siri && response.Siri.ServiceDelivery
+      ? response.Siri.ServiceDelivery
+      : {};
+  const timestamp = toUnix(delivery.ResponseTimestamp);
+  const messages = [];
+
+  (delivery.VehicleMonitoringDelivery || []).forEach(monitoringDelivery => {
+    (monitoringDelivery.VehicleActivity || []).forEach(activity => {
+      const journey = activity.MonitoredVehicleJourney;
+      if (!journey || !journey.VehicleLocation) {
+        return;
+      }
+      const vehicleId = getValue(journey.VehicleRef);
+      const line = getValue(journey.LineRef);
+      const location = journey.VehicleLocation;
+      if (!vehicleId || !line || !location.Latitude || !location.Longitude) {
+        return;
+      }
+      const frame = journey.FramedVehicleJourneyRef || {};
+      const vehicleMode = `${getValue(journey.VehicleMode) ||
+        mode ||
+        'bus'}`.toLowerCase();
+      const startTime = getValue(journey.OriginAimedDepartureTime);
+      const bearing = Number(getValue(journey.Bearing));
+
+      messages.push({
+        id: `${agency}:${vehicleId}`,
+        route: `${agency}:${line}`,
+        direction: parseInt(getValue(journey.DirectionRef), 10) || 0,
+        tripStartTime: startTime ? moment(startTime).format('HHmm') : undefined,
+        operatingDay:
+          getValue(frame.DataFrameRef) || moment().format('YYYY-MM-DD'),
+        mode: modeTranslate[vehicleMode] || vehicleMode,
+        next_stop: journey.MonitoredCall
+          ? getValue(journey.MonitoredCall.StopPointRef)
+          : undefined,
+        timestamp: toUnix(getValue(activity.RecordedAtTime)) || timestamp,
+        lat: ceil(Number(location.Latitude), 5),
+        long: ceil(Number(location.Longitude), 5),
+        heading: Number.isNaN(bearing) ? 0 : Math.floor(bearing),
+        headsign: getValue(journey.DestinationName),
+        tripId: getValue(frame.DatedVehicleJourneyRef),
+      });
+    });
+  });
+  return messages;
+};
+
+export default parseSiriVM;
@@ -0,0 +1,4 @@
+// The custom code included in the service worker generated by OfflinePlugin
+import './font-sw';
+import './notification-sw';
+import './offline-sw';
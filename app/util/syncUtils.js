@@ -0,0 +1,290 @@
+import get from 'lodash/get';
+import isEqual from 'lodash/isEqual';
+import maxBy from 'lodash/maxBy';
+
+/**
+ * The ways of resolving conflicts between the local and the remote version
+ * of a synchronised collection.
+ */
+export const SyncStrategy = {
+  /** Every item is merged separately, the latest change of an item wins. */
+  Items: 'items',
+  /** The latest change of the whole collection wins. */
+  LastWriteWins: 'last-write-wins',
+};
+
+/**
+ * The maximum amount of time in milliseconds a deleted item is remembered.
+ * Devices that have not been synchronised within this period may restore
+ * the deleted items.
+ */
+export const TOMBSTONE_PERIOD = 1000 * 60 * 60 * 24 * 90; // 90 days
+
+const getArrayItems = value => (Array.isArray(value) ? value : []);
+const setArrayItems = (value, items) => items;
+
+/**
+ * The localStorage collections that are synchronised between devices, keyed
+ * by their localStorage key. The collections using the Items strategy
+ * define how to identify their items across devices.
+ */
+export const SyncedCollections = {
+  customizedSettings: {
+    strategy: SyncStrategy.LastWriteWins,
+  },
+  favouriteCityBikeStations: {
+    strategy: SyncStrategy.Items,
+    getKey: id => id,
+    getItems: getArrayItems,
+    setItems: setArrayItems,
+  },
+  favouriteLocations: {
+    strategy: SyncStrategy.Items,
+    // the local ids are not unique across devices
+    getKey: location => `${location.lat},${location.lon}`,
+    getItems: getArrayItems,
+    setItems: setArrayItems,
+    hasLocalIds: true,
+  },
+  favouriteRoutes: {
+    strategy: SyncStrategy.Items,
+    getKey: id => id,
+    getItems: getArrayItems,
+    setItems: setArrayItems,
+  },
+  favouriteStops: {
+    strategy: SyncStrategy.Items,
+    getKey: stop => stop.gtfsId,
+    getItems: getArrayItems,
+    setItems: setArrayItems,
+    hasLocalIds: true,
+  },
+  'saved-searches': {
+    strategy: SyncStrategy.Items,
+    getKey: search =>
+      `${search.type}:${get(search, 'item.properties.label') ||
+        get(search, 'item.properties.name')}`,
+    getItems: value => getArrayItems(value && value.items),
+    setItems: (value, items) => ({ ...value, items }),
+    // the items of a different storage version are not compatible
+    isCompatible: (local, remote) =>
+      !local || !remote || local.version === remote.version,
+  },
+};
+
+export const isSyncedCollection = key =>
+  Object.prototype.hasOwnProperty.call(SyncedCollections, key);
+
+const omitLocalId = (item, collection) => {
+  if (!collection.hasLocalIds || !item || typeof item !== 'object') {
+    return item;
+  }
+  const { id, ...rest } = item;
+  return rest;
+};
+
+const byKey = (items, collection) =>
+  items.reduce(
+    (result, item) => ({ ...result, [collection.getKey(item)]: item }),
+    {},
+  );
+
+const getCollectionState = (syncState, key) => ({
+  modified: 0,
+  items: {},
+  deleted: {},
+  ...get(syncState, ['collections', key]),
+});
+
+/**
+ * Records a local change of a synchronised collection in the sync state.
+ * Returns the updated sync state.
+ *
+ * @param {*} syncState the current sync state.
+ * @param {string} key the localStorage key of the collection.
+ * @param {*} previous the previous value of the collection.
+ * @param {*} value the new value of the collection.
+ * @param {number} now the time of the change in milliseconds.
+ */
+export const recordChange = (
+  syncState,
+  key,
+  previous,
+  value,
+  now = Date.now(),
+) => {
+  const collection = SyncedCollections[key];
+  const state = getCollectionState(syncState, key);
+  const items = { ...state.items };
+  const deleted = { ...state.deleted };
+
+  if (collection.strategy === SyncStrategy.Items) {
+    const previousItems = byKey(collection.getItems(previous), collection);
+    const nextItems = byKey(collection.getItems(value), collection);
+    Object.keys(nextItems).forEach(itemKey => {
+      if (
+        !isEqual(
+          omitLocalId(previousItems[itemKey], collection),
+          omitLocalId(nextItems[itemKey], collection),
+        )
+      ) {
+        items[itemKey] = now;
+        delete deleted[itemKey];
+      }
+    });
+    Object.keys(previousItems)
+      .filter(itemKey => !nextItems[itemKey])
+      .forEach(itemKey => {
+        deleted[itemKey] = now;
+        delete items[itemKey];
+      });
+  }
+
+  return {
+    ...syncState,
+    dirty: true,
+    collections: {
+      ...(syncState && syncState.collections),
+      [key]: { modified: now, items, deleted },
+    },
+  };
+};
+
+const pruneTombstones = (deleted, now) =>
+  Object.keys(deleted)
+    .filter(itemKey => now - deleted[itemKey] < TOMBSTONE_PERIOD)
+    .reduce(
+      (result, itemKey) => ({ ...result, [itemKey]: deleted[itemKey] }),
+      {},
+    );
+
+const mergeItems = (collection, local, remote, now) => {
+  const localItems = collection.getItems(local.value);
+  const remoteItems = collection.getItems(remote.value);
+  const localByKey = byKey(localItems, collection);
+  const remoteByKey = byKey(remoteItems, collection);
+  const items = {};
+  const deleted = {};
+  const merged = [];
+  let maxId = collection.hasLocalIds
+    ? (maxBy(localItems, item => item.id) || { id: 0 }).id
+    : 0;
+
+  const keys = [
+    ...localItems.map(collection.getKey),
+    ...remoteItems.map(collection.getKey),
+    ...Object.keys(local.state.deleted),
+    ...Object.keys(remote.state.deleted),
+  ].filter((itemKey, index, all) => all.indexOf(itemKey) === index);
+
+  keys.forEach(itemKey => {
+    const candidates = [
+      localByKey[itemKey] !== undefined && {
+        item: localByKey[itemKey],
+        time: local.state.items[itemKey] || 0,
+      },
+      remoteByKey[itemKey] !== undefined && {
+        item: remoteByKey[itemKey],
+        time: remote.state.items[itemKey] || 0,
+        remote: true,
+      },
+      local.state.deleted[itemKey] !== undefined && {
+        time: local.state.deleted[itemKey],
+        deleted: true,
+      },
+      remote.state.deleted[itemKey] !== undefined && {
+        time: remote.state.deleted[itemKey],
+        deleted: true,
+      },
+    ].filter(candidate => candidate);
+    // the first candidate wins ties, so the local items are preferred
+    const winner = candidates.reduce(
+      (latest, candidate) =>
+        candidate.time > latest.time ? candidate : latest,
+    );
+
+    if (winner.deleted) {
+      deleted[itemKey] = winner.time;
+      return;
+    }
+    items[itemKey] = winner.time;
+    if (winner.remote && collection.hasLocalIds) {
+      const localItem = localByKey[itemKey];
+      if (localItem) {
+        merged.push({ ...winner.item, id: localItem.id });
+      } else {
+        maxId += 1;
+        merged.push({ ...winner.item, id: maxId });
+      }
+    } else {
+      merged.push(winner.item);
+    }
+  });
+
+  return {
+    value: collection.setItems(local.value || remote.value, merged),
+    state: {
+      modified: Math.max(local.state.modified, remote.state.modified),
+      items,
+      deleted: pruneTombstones(deleted, now),
+    },
+  };
+};
+
+/**
+ * Merges the local and the remote version of a synchronised collection.
+ * Returns the merged value and the merged collection state.
+ *
+ * @param {string} key the localStorage key of the collection.
+ * @param {*} local the local { value, state } of the collection.
+ * @param {*} remote the remote { value, state } of the collection.
+ * @param {number} now the current time in milliseconds.
+ */
+export const mergeCollection = (key, local, remote, now = Date.now()) => {
+  const collection = SyncedCollections[key];
+  const localVersion = {
+    value: local.value,
+    state: getCollectionState({ collections: { [key]: local.state } }, key),
+  };
+  if (
+    !remote ||
+    remote.value === undefined ||
+    (collection.isCompatible &&
+      !collection.isCompatible(local.value, remote.value))
+  ) {
+    return localVersion;
+  }
+  const remoteVersion = {
+    value: remote.value,
+    state: getCollectionState({ collections: { [key]: remote.state } }, key),
+  };
+
+  if (collection.strategy === SyncStrategy.Items) {
+    return mergeItems(collection, localVersion, remoteVersion, now);
+  }
+  return remoteVersion.state.modified > localVersion.state.modified ||
+    localVersion.value === undefined
+    ? remoteVersion
+    : localVersion;
+};
+
+/**
+ * Parses a sync code entered by the user into an account. Returns undefined
+ * for an invalid code.
+ *
+ * @param {string} code the sync code in the format id:token.
+ */
+export const parseSyncCode = code => {
+  const [id, token, ...rest] = `${code || ''}`.trim().split(':');
+  if (!id || !token || rest.length > 0) {
+    return undefined;
+  }
+  return { id, token };
+};
+
+/**
+ * Formats the account into a sync code that can be entered on another device.
+ *
+ * @param {*} account the account with an id and a token.
+ */
+export const getSyncCode = account => `${account.id}:${account.token}`;
@@ -0,0 +1,176 @@
+import isPlainObject from 'lodash/isPlainObject';
+
+import {
+  getCommuteProfilesStorage,
+  getCustomizedSettings,
+  getFavouriteCityBikeStations,
+  getFavouriteLocationsStorage,
+  getFavouriteRoutesStorage,
+  getFavouriteStopsStorage,
+  getMapLayerSettings,
+  getOldSearchesStorage,
+  getReadMessageIds,
+  getRoutingSettings,
+  resetCustomizedSettings,
+  resetRoutingSettings,
+  setCommuteProfilesStorage,
+  setCustomizedSettings,
+  setFavouriteCityBikeStations,
+  setFavouriteLocationsStorage,
+  setFavouriteRoutesStorage,
+  setFavouriteStopsStorage,
+  setMapLayerSettings,
+  setOldSearchesStorage,
+  setReadMessageIds,
+  setRoutingSettings,
+} from '../store/localStorage';
+import { migrateFavouriteLocations } from '../store/FavouriteLocationStore';
+import { STORE_VERSION as OLD_SEARCHES_VERSION } from '../store/OldSearchesStore';
+
+/**
+ * The identifier of the user data document format.
+ */
+export const USER_DATA_FORMAT = 'digitransit-user-data';
+
+/**
+ * The current version of the user data document format.
+ */
+export const USER_DATA_VERSION = 1;
+
+const isArray = value => Array.isArray(value);
+const isArrayOfStrings = value =>
+  isArray(value) && value.every(item => typeof item === 'string');
+const isArrayOfObjects = value =>
+  isArray(value) && value.every(item => isPlainObject(item));
+
+/**
+ * The user data included in the document. Every item defines how it is read
+ * from and written to localStorage, how it is validated and how it is
+ * migrated to the current format.
+ */
+const UserDataItems = {
+  commuteProfiles: {
+    get: getCommuteProfilesStorage,
+    set: setCommuteProfilesStorage,
+    isValid: isArrayOfObjects,
+  },
+  customizedSettings: {
+    get: getCustomizedSettings,
+    set: settings => {
+      resetCustomizedSettings();
+      setCustomizedSettings(settings);
+    },
+    isValid: isPlainObject,
+  },
+  favouriteCityBikeStations: {
+    get: getFavouriteCityBikeStations,
+    set: setFavouriteCityBikeStations,
+    isValid: isArray,
+  },
+  favouriteLocations: {
+    get: getFavouriteLocationsStorage,
+    set: setFavouriteLocationsStorage,
+    isValid: isArrayOfObjects,
+    migrate: locations => migrateFavouriteLocations(locations) || locations,
+  },
+  favouriteRoutes: {
+    get: getFavouriteRoutesStorage,
+    set: setFavouriteRoutesStorage,
+    isValid: isArrayOfStrings,
+  },
+  favouriteStops: {
+    get: getFavouriteStopsStorage,
+    set: setFavouriteStopsStorage,
+    isValid: isArrayOfObjects,
+  },
+  mapLayers: {
+    get: getMapLayerSettings,
+    set: setMapLayerSettings,
+    isValid: isPlainObject,
+  },
+  oldSearches: {
+    get: getOldSearchesStorage,
+    set: setOldSearchesStorage,
+    isValid: value => isPlainObject(value) && isArrayOfObjects(value.items),
+    // the searches of an older version are discarded like in OldSearchesStore
+    migrate: searches =>
+      searches.version === OLD_SEARCHES_VERSION
+        ? searches
+        : { version: OLD_SEARCHES_VERSION, items: [] },
+  },
+  readMessages: {
+    get: getReadMessageIds,
+    set: setReadMessageIds,
+    isValid: isArray,
+  },
+  routingSettings: {
+    get: getRoutingSettings,
+    set: settings => {
+      resetRoutingSettings();
+      setRoutingSettings(settings);
+    },
+    isValid: isPlainObject,
+  },
+};
+
+/**
+ * Collects all the user data stored in localStorage into a versioned
+ * document.
+ *
+ * @param {Date} now the time of the export.
+ */
+export const exportUserData = (now = new Date()) => ({
+  format: USER_DATA_FORMAT,
+  version: USER_DATA_VERSION,
+  created: now.toISOString(),
+  data: Object.keys(UserDataItems).reduce(
+    (data, key) => ({ ...data, [key]: UserDataItems[key].get() }),
+    {},
+  ),
+});
+
+/**
+ * Validates the user data document and migrates its contents to the current
+ * format. Throws an error describing the first problem found. Unknown items
+ * are ignored.
+ *
+ * @param {*} document the parsed user data document.
+ */
+export const parseUserData = document => {
+  if (!isPlainObject(document) || document.format !== USER_DATA_FORMAT) {
+    throw new Error('The file is not a user data document');
+  }
+  if (
+    !Number.isInteger(document.version) ||
+    document.version < 1 ||
+    document.version > USER_DATA_VERSION
+  ) {
+    throw new Error(`Unsupported user data version: ${document.version}`);
+  }
+  if (!isPlainObject(document.data)) {
+    throw new Error('The user data is missing');
+  }
+
+  return Object.keys(UserDataItems)
+    .filter(key => document.data[key] !== undefined)
+    .reduce((data, key) => {
+      const item = UserDataItems[key];
+      const value = document.data[key];
+      if (!item.isValid(value)) {
+        throw new Error(`Invalid user data: ${key}`);
+      }
+      return { ...data, [key]: item.migrate ? item.migrate(value) : value };
+    }, {});
+};
+
+/**
+ * Validates the user data document and replaces the stored user data with
+ * its contents. The items missing from the document are left untouched.
+ *
+ * @param {*} document the parsed user data document.
+ */
+export const writeUserData = document => {
+  const data = parseUserData(document);
+  Object.keys(data).forEach(key => UserDataItems[key].set(data[key]));
+  return Object.keys(data);
+};
@@ -0,0 +1,235 @@
+import { distance, getBearing } from './geo-utils';
+
+const EARTH_RADIUS = 6371000;
+
+const toRad = deg => deg * (Math.PI / 180);
+const toDeg = rad => rad * (180 / Math.PI);
+
+/**
+ * Vehicles that report a higher speed than this (in m/s) are most likely
+ * jumping between inaccurate positions, so they are not animated.
+ */
+export const MAX_VEHICLE_SPEED = 50;
+
+/**
+ * Vehicles further than this (in meters) from the pattern geometry are
+ * moved towards their heading instead of along the geometry.
+ */
+export const MAX_DISTANCE_FROM_GEOMETRY = 100;
+
+const isValidTimestamp = timestamp =>
+  typeof timestamp === 'number' && !Number.isNaN(timestamp);
+
+/**
+ * Returns the age of the vehicle's latest position in seconds. The timestamps
+ * come from the realtime feed, so the clock offset between the device and
+ * the feed is taken into account to keep a skewed device clock from
+ * expiring all the vehicles.
+ *
+ * @param {*} message the realtime client message.
+ * @param {number} clockOffset the offset between the device and the feed in seconds.
+ * @param {number} now the current time in milliseconds.
+ */
+export const getVehicleAge = (message, clockOffset = 0, now = Date.now()) =>
+  isValidTimestamp(message.timestamp)
+    ? Math.max(0, now / 1000 - clockOffset - message.timestamp)
+    : 0;
+
+/**
+ * Estimates the offset between the device clock and the realtime feed from
+ * the freshest of the given messages.
+ *
+ * @param {Array} messages the realtime client messages.
+ * @param {number} now the current time in milliseconds.
+ */
+export const getClockOffset = (messages, now = Date.now()) =>
+  messages
+    .filter(message => isValidTimestamp(message.timestamp))
+    .reduce(
+      (offset, message) =>
+        offset === undefined
+          ? now / 1000 - message.timestamp
+          : Math.min(offset, now / 1000 - message.timestamp),
+      undefined,
+    );
+
+/**
+ * Calculates the vehicle's speed in m/s from two consecutive positions.
+ * Returns undefined if the speed cannot be calculated or is unrealistic.
+ *
+ * @param {*} previous the previous realtime client message for the vehicle.
+ * @param {*} message the latest realtime client message for the vehicle.
+ */
+export const getSpeed = (previous, message) => {
+  if (
+    !previous ||
+    !isValidTimestamp(previous.timestamp) ||
+    !isValidTimestamp(message.timestamp) ||
+    message.timestamp <= previous.timestamp
+  ) {
+    return undefined;
+  }
+  const speed =
+    distance(
+      { lat: previous.lat, lon: previous.long },
+      { lat: message.lat, lon: message.long },
+    ) /
+    (message.timestamp - previous.timestamp);
+  return speed <= MAX_VEHICLE_SPEED ? speed : undefined;
+};
+
+/**
+ * Moves the position the given distance towards the heading.
+ *
+ * @param {*} position the position as { lat, lon }.
+ * @param {number} heading the heading in degrees.
+ * @param {number} meters the distance to move.
+ */
+export const moveAlongHeading = (position, heading, meters) => {
+  const angularDistance = meters / EARTH_RADIUS;
+  const bearing = toRad(heading);
+  const lat1 = toRad(position.lat);
+  const lon1 = toRad(position.lon);
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angularDistance) +
+      Math.cos(lat1) * Math.sin(angularDistance) * Math.cos(bearing),
+  );
+  const lon2 =
+    lon1 +
+    Math.atan2(
+      Math.sin(bearing) * Math.sin(angularDistance) * Math.cos(lat1),
+      Math.cos(angularDistance) - Math.sin(lat1) * Math.sin(lat2),
+    );
+  return { lat: toDeg(lat2), lon: toDeg(lon2), heading };
+};
+
+/**
+ * Projects the position onto the segment from a to b using a local flat
+ * approximation. Returns the fraction along the segment (0-1).
+ */
+const projectToSegment = (position, a, b) => {
+  const scale = Math.cos(toRad(position.lat));
+  const dx = (b.lon - a.lon) * scale;
+  const dy = b.lat - a.lat;
+  const lengthSquared = dx * dx + dy * dy;
+  if (lengthSquared === 0) {
+    return 0;
+  }
+  const fraction =
+    ((position.lon - a.lon) * scale * dx + (position.lat - a.lat) * dy) /
+    lengthSquared;
+  return Math.min(1, Math.max(0, fraction));
+};
+
+const interpolate = (a, b, fraction) => ({
+  lat: a.lat + (b.lat - a.lat) * fraction,
+  lon: a.lon + (b.lon - a.lon) * fraction,
+});
+
+/**
+ * Finds the point of the geometry closest to the position. Returns the point,
+ * the index of the segment it is on and its distance from the position in
+ * meters, or undefined if the geometry has less than two points.
+ *
+ * @param {Array} geometry the geometry as an array of { lat, lon }.
+ * @param {*} position the position as { lat, lon }.
+ */
+export const findClosestPoint = (geometry, position) => {
+  if (!Array.isArray(geometry) || geometry.length < 2) {
+    return undefined;
+  }
+
+  let closest;
+  for (let i = 0; i < geometry.length - 1; i++) {
+    const fraction = projectToSegment(position, geometry[i], geometry[i + 1]);
+    const point = interpolate(geometry[i], geometry[i + 1], fraction);
+    const pointDistance = distance(position, point);
+    if (!closest || pointDistance < closest.distance) {
+      closest = { index: i, point, distance: pointDistance };
+    }
+  }
+  return closest;
+};
+
+/**
+ * Moves the position the given distance forward along the geometry, starting
+ * from the closest point of the geometry. Returns undefined if the geometry
+ * has less than two points or the position is too far from it.
+ *
+ * @param {Array} geometry the pattern geometry as an array of { lat, lon }.
+ * @param {*} position the position as { lat, lon }.
+ * @param {number} meters the distance to move.
+ */
+export const moveAlongGeometry = (geometry, position, meters) => {
+  const closest = findClosestPoint(geometry, position);
+  if (!closest || closest.distance > MAX_DISTANCE_FROM_GEOMETRY) {
+    return undefined;
+  }
+
+  let { point } = closest;
+  let remaining = meters;
+  for (let i = closest.index; i < geometry.length - 1; i++) {
+    const next = geometry[i + 1];
+    const segmentLength = distance(point, next);
+    const heading = getBearing(
+      geometry[i].lat,
+      geometry[i].lon,
+      next.lat,
+      next.lon,
+    );
+    if (remaining <= segmentLength) {
+      return {
+        ...interpolate(
+          point,
+          next,
+          segmentLength === 0 ? 0 : remaining / segmentLength,
+        ),
+        heading,
+      };
+    }
+    remaining -= segmentLength;
+    point = next;
+  }
+
+  const last = geometry.length - 1;
+  return {
+    lat: geometry[last].lat,
+    lon: geometry[last].lon,
+    heading: getBearing(
+      geometry[last - 1].lat,
+      geometry[last - 1].lon,
+      geometry[last].lat,
+      geometry[last].lon,
+    ),
+  };
+};
+
+/**
+ * Estimates the vehicle's current position by moving it forward from its
+ * latest reported position with its speed. The vehicle follows the pattern
+ * geometry if one is given and its heading otherwise.
+ *
+ * @param {*} message the latest realtime client message for the vehicle.
+ * @param {number} speed the vehicle's speed in m/s.
+ * @param {number} elapsed the seconds elapsed since the latest position.
+ * @param {Array} geometry the optional pattern geometry.
+ */
+export const getAnimatedPosition = (message, speed, elapsed, geometry) => {
+  const position = {
+    lat: message.lat,
+    lon: message.long,
+    heading: message.heading,
+  };
+  if (!speed || !elapsed || elapsed <= 0) {
+    return position;
+  }
+  const meters = speed * elapsed;
+  const alongGeometry = moveAlongGeometry(geometry, position, meters);
+  if (alongGeometry) {
+    return alongGeometry;
+  }
+  if (typeof message.heading !== 'number') {
+    return position;
+  }
+  return moveAlongHeading(position, message.heading, meters);
+};
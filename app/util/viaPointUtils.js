@@ -0,0 +1,254 @@
+import { postJson } from './xhrPromise';
+
+/**
+ * The maximum number of via points whose every visiting order is evaluated.
+ * The order of more via points is searched with a heuristic.
+ */
+export const MAX_EXACT_VIA_POINTS = 4;
+
+/**
+ * The types of the plan query arguments that are passed on from the
+ * parameters prepared by preparePlanParams to the travel time queries.
+ */
+const PLAN_VARIABLE_TYPES = {
+  modes: 'String',
+  date: 'String',
+  time: 'String',
+  arriveBy: 'Boolean',
+  walkReluctance: 'Float',
+  walkBoardCost: 'Int',
+  minTransferTime: 'Int',
+  walkSpeed: 'Float',
+  maxWalkDistance: 'Float',
+  wheelchair: 'Boolean',
+  transferPenalty: 'Int',
+  bikeSpeed: 'Float',
+};
+
+const toPlace = location =>
+  `${location.address}::${location.lat},${location.lon}`;
+
+/**
+ * Returns all the orderings of the items.
+ *
+ * @param {Array} items the items to order.
+ */
+export const getPermutations = items =>
+  items.length <= 1
+    ? [items]
+    : items
+        .map((item, i) =>
+          getPermutations([...items.slice(0, i), ...items.slice(i + 1)]).map(
+            permutation => [item, ...permutation],
+          ),
+        )
+        .reduce((a, b) => a.concat(b), []);
+
+/**
+ * Calculates the travel time of visiting the via points in the given
+ * order. The points are indexed so that the origin is 0, the via points
+ * are 1...n and the destination is n + 1.
+ *
+ * @param {Array} order the indices of the via points in the visiting order.
+ * @param {Array} durations the travel times in seconds between the points
+ * as durations[from][to].
+ */
+export const getOrderDuration = (order, durations) =>
+  [0, ...order, order.length + 1].reduce(
+    (sum, point, i, points) =>
+      i === 0 ? sum : sum + durations[points[i - 1]][point],
+    0,
+  );
+
+const improveOrder = (order, durations) => {
+  let best = order;
+  let bestDuration = getOrderDuration(best, durations);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const candidate = [
+          ...best.slice(0, i),
+          ...best.slice(i, j + 1).reverse(),
+          ...best.slice(j + 1),
+        ];
+        const duration = getOrderDuration(candidate, durations);
+        if (duration < bestDuration) {
+          best = candidate;
+          bestDuration = duration;
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+};
+
+const getNearestNeighbourOrder = (count, durations) => {
+  const order = [];
+  const remaining = Array.from({ length: count }, (_, i) => i + 1);
+  let current = 0;
+  while (remaining.length > 0) {
+    const from = current;
+    const next = remaining.reduce(
+      (nearest, point) =>
+        durations[from][point] < durations[from][nearest] ? point : nearest,
+    );
+    order.push(next);
+    remaining.splice(remaining.indexOf(next), 1);
+    current = next;
+  }
+  return order;
+};
+
+/**
+ * Finds the fastest order to visit the via points. Every order is evaluated
+ * for up to MAX_EXACT_VIA_POINTS via points, otherwise the nearest neighbour
+ * order is improved by reversing parts of it (2-opt).
+ *
+ * @param {number} count the number of the via points.
+ * @param {Array} durations the travel times in seconds between the points
+ * as durations[from][to].
+ */
+export const findFastestOrder = (count, durations) => {
+  if (count > MAX_EXACT_VIA_POINTS) {
+    return improveOrder(getNearestNeighbourOrder(count, durations), durations);
+  }
+  return getPermutations(Array.from({ length: count }, (_, i) => i + 1)).reduce(
+    (best, order) =>
+      getOrderDuration(order, durations) < getOrderDuration(best, durations)
+        ? order
+        : best,
+  );
+};
+
+/**
+ * Returns the pairs of points whose travel time is needed. The origin is
+ * only departed from and the destination is only arrived at.
+ *
+ * @param {number} count the number of the via points.
+ */
+export const getPointPairs = count => {
+  const pairs = [];
+  for (let from = 0; from <= count; from++) {
+    for (let to = 1; to <= count + 1; to++) {
+      if (from !== to && !(from === 0 && to === count + 1)) {
+        pairs.push([from, to]);
+      }
+    }
+  }
+  return pairs;
+};
+
+/**
+ * Builds a single GraphQL query of the travel times between all the pairs
+ * of points with the search parameters of the itinerary search.
+ *
+ * @param {Array} points the origin, the via points and the destination.
+ * @param {*} params the plan parameters prepared by preparePlanParams.
+ */
+export const buildTravelTimeQuery = (points, params) => {
+  const names = Object.keys(PLAN_VARIABLE_TYPES).filter(
+    name => params[name] !== undefined && params[name] !== null,
+  );
+  const variables = names.reduce(
+    (result, name) => ({ ...result, [name]: params[name] }),
+    {},
+  );
+  points.forEach((point, i) => {
+    variables[`place${i}`] = toPlace(point);
+  });
+
+  const declarations = [
+    ...names.map(name => `$${name}: ${PLAN_VARIABLE_TYPES[name]}`),
+    ...points.map((_, i) => `$place${i}: String!`),
+  ].join(', ');
+  const args = names.map(name => `${name}: $${name}`).join(', ');
+  const plans = getPointPairs(points.length - 2)
+    .map(
+      ([from, to]) => `
+      travel${from}_${to}: plan(fromPlace: $place${from}, toPlace: $place${to}, numItineraries: 1${
+        args ? `, ${args}` : ''
+      }) {
+        itineraries {
+          duration
+        }
+      }`,
+    )
+    .join('');
+
+  return {
+    query: `query ViaPointTravelTimes(${declarations}) {${plans}
+    }`,
+    variables,
+  };
+};
+
+/**
+ * Reads the travel times from the response of the travel time query. The
+ * pairs without an itinerary get an infinite travel time.
+ *
+ * @param {*} data the data of the response.
+ * @param {number} count the number of the via points.
+ */
+export const toDurations = (data, count) => {
+  const durations = Array.from({ length: count + 2 }, () =>
+    Array(count + 2).fill(Infinity),
+  );
+  getPointPairs(count).forEach(([from, to]) => {
+    const plan = data && data[`travel${from}_${to}`];
+    const itinerary = plan && plan.itineraries && plan.itineraries[0];
+    if (itinerary) {
+      durations[from][to] = itinerary.duration;
+    }
+  });
+  return durations;
+};
+
+/**
+ * Resolves to the fastest visiting order of the via points and the time it
+ * saves in seconds compared to the current order. The travel times are
+ * queried from OTP at the requested departure time.
+ *
+ * @param {*} config the configuration for the software installation.
+ * @param {*} origin the origin of the search.
+ * @param {Array} viaPoints the via points in the current order.
+ * @param {*} destination the destination of the search.
+ * @param {*} params the plan parameters prepared by preparePlanParams.
+ */
+export const optimizeViaPointOrder = (
+  config,
+  origin,
+  viaPoints,
+  destination,
+  params,
+) => {
+  const { query, variables } = buildTravelTimeQuery(
+    [origin, ...viaPoints, destination],
+    params,
+  );
+  return postJson(
+    `${config.URL.OTP}index/graphql`,
+    undefined,
+    JSON.stringify({ query, variables }),
+  ).then(result => {
+    const durations = toDurations(result.data, viaPoints.length);
+    const currentOrder = viaPoints.map((_, i) => i + 1);
+    const currentDuration = getOrderDuration(currentOrder, durations);
+    const order = findFastestOrder(viaPoints.length, durations);
+    const duration = getOrderDuration(order, durations);
+    if (!Number.isFinite(duration)) {
+      throw new Error('No itineraries between the via points');
+    }
+    if (!(duration < currentDuration)) {
+      return { viaPoints, timeSaved: 0 };
+    }
+    return {
+      viaPoints: order.map(point => viaPoints[point - 1]),
+      timeSaved: Number.isFinite(currentDuration)
+        ? currentDuration - duration
+        : undefined,
+    };
+  });
+};
@@ -36,6 +36,7 @@ const expressStaticGzip = require('express-static-gzip');
 const cookieParser = require('cookie-parser');
 const bodyParser = require('body-parser');
 const { retryFetch } = require('../app/util/fetchUtils');
+const { PREFIX_ITINERARY_SUMMARY } = require('../app/util/path');
 const config = require('../app/config').getConfiguration();
 
 /* ********* Global ********* */
@@ -120,6 +121,21 @@ function setUpErrorHandling() {
 }
 
 function setUpRoutes() {
+  app.get(
+    `${
+      config.APP_PATH
+    }/${PREFIX_ITINERARY_SUMMARY}/:from/:to/:hash/:format(gpx|geojson)`,
+    require('../app/itineraryExport').default,
+  );
+  app
+    .route(`${config.APP_PATH}/api/departures/:stopId`)
+    .get(require('../app/departuresApi').default)
+    .options(require('../app/departuresApi').default);
+  app.post(
+    [`${config.APP_PATH}/graphql`, `${config.APP_PATH}/graphql/batch`],
+    bodyParser.json({ limit: '1mb' }),
+    require('../app/graphQLProxy').default,
+  );
   app.use(
     ['/', '/fi/', '/en/', '/sv/', '/ru/', '/slangi/'],
     require('./reittiopasParameterMiddleware').default,
@@ -589,4 +589,51 @@ describe('<DTAutosuggestPanel />', () => {
     );
     expect(callCount).to.equal(3);
   });
+
+  it('should reorder the via points into the optimized order', async () => {
+    let callArgument;
+    const initialViaPoints = [
+      'Kalasatama, Helsinki::60.187571,24.976301',
+      'Kamppi, Helsinki::60.168438,24.929283',
+    ].map(otpToLocation);
+    const props = {
+      ...mockData,
+      initialViaPoints,
+      optimizeViaPoints: viaPoints =>
+        Promise.resolve({
+          viaPoints: [viaPoints[1], viaPoints[0]],
+          timeSaved: 300,
+        }),
+      updateViaPoints: newViaPoints => {
+        callArgument = newViaPoints;
+      },
+    };
+    const wrapper = mountWithIntl(<DTAutosuggestPanel {...props} />, {
+      context,
+      childContextTypes,
+    });
+
+    wrapper.find('.optimize-via-points-button').simulate('click');
+    await Promise.resolve();
+    wrapper.update();
+
+    expect(callArgument).to.deep.equal([
+      initialViaPoints[1],
+      initialViaPoints[0],
+    ]);
+    expect(wrapper.find('.optimize-via-points-result')).to.have.lengthOf(1);
+  });
+
+  it('should not show the optimize button with less than two via points', () => {
+    const props = {
+      ...mockData,
+      optimizeViaPoints: () => Promise.resolve(),
+    };
+    const wrapper = mountWithIntl(<DTAutosuggestPanel {...props} />, {
+      context,
+      childContextTypes,
+    });
+
+    expect(wrapper.find('.optimize-via-points-button')).to.have.lengthOf(0);
+  });
 });
@@ -0,0 +1,127 @@
+import { expect } from 'chai';
+import { afterEach, beforeEach, describe, it } from 'mocha';
+import fetchMock from 'fetch-mock';
+import moment from 'moment';
+import sinon from 'sinon';
+
+import {
+  checkWatchedDepartures,
+  watchDeparture,
+} from '../../app/action/DepartureNotificationActions';
+import { NotificationType, WatchType } from '../../app/util/notificationUtils';
+
+const otpUrl = 'https://otp.example.com/';
+
+const createActionContext = watches => {
+  const dispatched = [];
+  return {
+    config: {
+      URL: { OTP: otpUrl },
+      departureNotifications: { notifyBefore: 5 },
+    },
+    dispatched,
+    dispatch: (name, payload) => dispatched.push({ name, payload }),
+    getStore: name =>
+      name === 'WatchedDepartureStore'
+        ? { getWatches: () => watches }
+        : { getLanguage: () => 'en' },
+  };
+};
+
+describe('DepartureNotificationActions', () => {
+  let notification;
+
+  beforeEach(() => {
+    notification = sinon.stub();
+    notification.permission = 'granted';
+    notification.requestPermission = () => Promise.resolve('denied');
+    window.Notification = notification;
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    delete window.Notification;
+  });
+
+  describe('watchDeparture', () => {
+    it('should watch the departure if notifications are allowed', async () => {
+      const context = createActionContext([]);
+      const granted = await watchDeparture(context, { id: 'foo' });
+      expect(granted).to.equal(true);
+      expect(context.dispatched).to.deep.equal([
+        { name: 'DepartureWatched', payload: { id: 'foo' } },
+      ]);
+    });
+
+    it('should not watch the departure if notifications are denied', async () => {
+      notification.permission = 'default';
+      const context = createActionContext([]);
+      const granted = await watchDeparture(context, { id: 'foo' });
+      expect(granted).to.equal(false);
+      expect(context.dispatched).to.have.lengthOf(0);
+    });
+  });
+
+  describe('checkWatchedDepartures', () => {
+    it('should re-time the watches and notify when it is time to leave', async () => {
+      const now = moment().unix();
+      const serviceDay = now - 3600;
+      const watch = {
+        id: 'foo',
+        type: WatchType.Departure,
+        tripId: 'HSL:1',
+        stopId: 'HSL:2',
+        serviceDate: '20190101',
+        departureTime: now + 3600,
+        leaveTime: now + 3000,
+        notified: [],
+      };
+      fetchMock.post(`${otpUrl}index/graphql`, {
+        data: {
+          trip: {
+            stoptimesForDate: [
+              {
+                stop: { gtfsId: 'HSL:2' },
+                serviceDay,
+                realtimeDeparture: 3600 + 600,
+              },
+            ],
+          },
+        },
+      });
+      const context = createActionContext([
+        watch,
+        { ...watch, id: 'bar', departureTime: now - 3600 },
+      ]);
+
+      await checkWatchedDepartures(context);
+
+      const { payload } = context.dispatched[0];
+      expect(payload.expired).to.deep.equal(['bar']);
+      expect(payload.updated).to.have.lengthOf(1);
+      expect(payload.updated[0].departureTime).to.equal(now + 600);
+      expect(payload.updated[0].leaveTime).to.equal(now);
+      expect(payload.updated[0].notified).to.deep.equal([
+        NotificationType.Leave,
+      ]);
+      expect(notification.calledOnce).to.equal(true);
+    });
+
+    it('should keep the estimate if the departure cannot be checked', async () => {
+      const now = moment().unix();
+      const watch = {
+        id: 'foo',
+        departureTime: now + 3600,
+        leaveTime: now + 3600,
+        notified: [],
+      };
+      fetchMock.post(`${otpUrl}index/graphql`, 500);
+      const context = createActionContext([watch]);
+
+      await checkWatchedDepartures(context);
+
+      expect(context.dispatched[0].payload.updated).to.deep.equal([watch]);
+      expect(notification.called).to.equal(false);
+    });
+  });
+});
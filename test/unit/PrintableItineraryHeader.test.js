@@ -248,4 +248,22 @@ describe('<PrintableItineraryHeader />', () => {
         .props().ticketType,
     ).to.equal('BC');
   });
+
+  it('should render the CO2 emissions if they are shown', () => {
+    const props = {
+      itinerary: {
+        fares: [],
+        legs: [{ from: {}, to: {}, mode: 'RAIL', distance: 20000 }],
+      },
+      language: 'en',
+    };
+    const wrapper = shallowWithIntl(<PrintableItineraryHeader {...props} />, {
+      context: {
+        config: {
+          emissions: { show: true, factors: { CAR: 160, RAIL: 18 } },
+        },
+      },
+    });
+    expect(wrapper.find('.itinerary-co2')).to.have.lengthOf(1);
+  });
 });
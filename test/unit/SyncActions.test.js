@@ -0,0 +1,112 @@
+import { expect } from 'chai';
+import { afterEach, beforeEach, describe, it } from 'mocha';
+import fetchMock from 'fetch-mock';
+
+import {
+  disconnectSyncAccount,
+  syncUserData,
+} from '../../app/action/SyncActions';
+import {
+  getFavouriteRoutesStorage,
+  getSyncState,
+  setFavouriteRoutesStorage,
+  setSyncState,
+} from '../../app/store/localStorage';
+import { SyncStatus } from '../../app/store/SyncStore';
+
+const url = 'https://sync.example.com';
+const dataUrl = `${url}/accounts/foo/data`;
+const account = { id: 'foo', token: 'bar' };
+
+const createActionContext = () => {
+  const dispatched = [];
+  return {
+    config: { sync: { url } },
+    dispatched,
+    dispatch: (name, payload) => dispatched.push({ name, payload }),
+  };
+};
+
+describe('SyncActions', () => {
+  beforeEach(() => {
+    setSyncState({});
+    setFavouriteRoutesStorage(['HSL:1']);
+    setSyncState({ ...getSyncState(), account });
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+  });
+
+  describe('syncUserData', () => {
+    it('should merge the remote data and push the result', async () => {
+      fetchMock.get(dataUrl, {
+        collections: {
+          favouriteRoutes: {
+            value: ['HSL:2'],
+            state: { modified: 1, items: { 'HSL:2': 1 }, deleted: {} },
+          },
+        },
+      });
+      fetchMock.put(dataUrl, 204);
+      const actionContext = createActionContext();
+
+      await syncUserData(actionContext);
+
+      expect(getFavouriteRoutesStorage()).to.deep.equal(['HSL:1', 'HSL:2']);
+      const body = JSON.parse(fetchMock.lastOptions(dataUrl).body);
+      expect(body.collections.favouriteRoutes.value).to.deep.equal([
+        'HSL:1',
+        'HSL:2',
+      ]);
+      expect(fetchMock.lastOptions(dataUrl).headers.Authorization).to.equal(
+        'Bearer bar',
+      );
+      expect(getSyncState().dirty).to.equal(false);
+      expect(actionContext.dispatched.map(({ name }) => name)).to.include(
+        'UserDataSynced',
+      );
+    });
+
+    it('should push the local data when nothing has been stored', async () => {
+      fetchMock.get(dataUrl, 404);
+      fetchMock.put(dataUrl, 204);
+
+      await syncUserData(createActionContext());
+
+      const body = JSON.parse(fetchMock.lastOptions(dataUrl).body);
+      expect(body.collections.favouriteRoutes.value).to.deep.equal(['HSL:1']);
+    });
+
+    it('should keep the local changes if the backend fails', async () => {
+      fetchMock.get(dataUrl, 500);
+      const actionContext = createActionContext();
+
+      await syncUserData(actionContext);
+
+      expect(getSyncState().dirty).to.equal(true);
+      expect(actionContext.dispatched.pop()).to.deep.equal({
+        name: 'SyncStatusChanged',
+        payload: SyncStatus.Failed,
+      });
+    });
+
+    it('should do nothing without an account', async () => {
+      disconnectSyncAccount(createActionContext());
+      fetchMock.get(dataUrl, 500);
+
+      await syncUserData(createActionContext());
+
+      expect(fetchMock.called()).to.equal(false);
+    });
+  });
+
+  describe('disconnectSyncAccount', () => {
+    it('should drop the recorded changes when disconnected', () => {
+      setFavouriteRoutesStorage(['HSL:1', 'HSL:2']);
+      disconnectSyncAccount(createActionContext());
+      setFavouriteRoutesStorage(['HSL:2']);
+      expect(getSyncState()).to.deep.equal({});
+    });
+  });
+});
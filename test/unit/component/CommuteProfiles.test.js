@@ -0,0 +1,128 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import moment from 'moment';
+import React from 'react';
+import Relay from 'react-relay/classic';
+import sinon from 'sinon';
+
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import CommuteProfile from '../../../app/component/CommuteProfile';
+import CommuteProfileForm from '../../../app/component/CommuteProfileForm';
+import CommuteProfiles from '../../../app/component/CommuteProfiles';
+import { addCommuteProfile } from '../../../app/action/FavouriteActions';
+import { AlertSeverityLevelType } from '../../../app/constants';
+
+const home = { id: 1, locationName: 'Home', lat: 60.2, lon: 24.9 };
+const work = { id: 2, locationName: 'Work', lat: 60.17, lon: 24.94 };
+
+const profile = {
+  id: 1,
+  originId: 1,
+  destinationId: 2,
+  weekdays: [1, 2, 3, 4, 5],
+  arriveBy: '08:00',
+};
+
+// Monday
+const currentTime = moment('2019-03-04T07:00:00').unix();
+
+describe('<CommuteProfiles />', () => {
+  const render = (props, executeAction = () => {}) =>
+    shallowWithIntl(
+      <CommuteProfiles
+        commuteProfiles={[profile]}
+        currentTime={currentTime}
+        favouriteLocations={[home, work]}
+        {...props}
+      />,
+      { context: { config: { maxWalkDistance: 1000 }, executeAction } },
+    );
+
+  it('should not render without two favourite locations', () => {
+    const wrapper = render({ favouriteLocations: [home] });
+    expect(wrapper.isEmptyRender()).to.equal(true);
+  });
+
+  it('should query the itinerary of the next commute', () => {
+    const wrapper = render();
+    const container = wrapper.find(Relay.RootContainer);
+    expect(container).to.have.lengthOf(1);
+    expect(container.prop('route').params).to.include({
+      date: '2019-03-04',
+      time: '08:00:00',
+      arriveBy: true,
+    });
+  });
+
+  it('should skip the profiles whose favourite location is missing', () => {
+    const wrapper = render({ favouriteLocations: [home, { ...work, id: 3 }] });
+    expect(wrapper.find(Relay.RootContainer)).to.have.lengthOf(0);
+  });
+
+  it('should save a new commute profile from the form', () => {
+    const executeAction = sinon.spy();
+    const wrapper = render({ commuteProfiles: [] }, executeAction);
+    wrapper.find('.commute-profiles-add').simulate('click');
+    const form = wrapper.find(CommuteProfileForm);
+    expect(form).to.have.lengthOf(1);
+
+    form.prop('onSave')(profile);
+    expect(executeAction.calledWith(addCommuteProfile, profile)).to.equal(true);
+    expect(wrapper.find(CommuteProfileForm)).to.have.lengthOf(0);
+  });
+});
+
+describe('<CommuteProfile />', () => {
+  const render = itinerary =>
+    shallowWithIntl(
+      <CommuteProfile
+        destination={work}
+        itinerary={itinerary}
+        nextTime={moment('2019-03-04T08:00:00').unix()}
+        onDelete={() => {}}
+        origin={home}
+        profile={profile}
+      />,
+    );
+
+  it('should show the realtime delay and the active alerts', () => {
+    const startTime = moment('2019-03-04T07:30:00').valueOf();
+    const wrapper = render({
+      startTime,
+      endTime: moment('2019-03-04T07:55:00').valueOf(),
+      legs: [
+        {
+          mode: 'BUS',
+          startTime,
+          transitLeg: true,
+          realTime: true,
+          departureDelay: 240,
+          route: {
+            shortName: '55',
+            alerts: [
+              {
+                alertSeverityLevel: AlertSeverityLevelType.Warning,
+                effectiveStartDate: startTime / 1000 - 60,
+                effectiveEndDate: startTime / 1000 + 60,
+              },
+            ],
+          },
+        },
+      ],
+    });
+    expect(wrapper.find('.commute-profile-delay')).to.have.lengthOf(1);
+    expect(wrapper.find('.commute-profile-alert.warning')).to.have.lengthOf(1);
+    expect(wrapper.find('RouteNumber').prop('alertSeverityLevel')).to.equal(
+      AlertSeverityLevelType.Warning,
+    );
+  });
+
+  it('should link to an arrive by search of the next commute', () => {
+    const wrapper = render(undefined);
+    expect(wrapper.find('Link').prop('to').query).to.deep.equal({
+      arriveBy: true,
+      time: moment('2019-03-04T08:00:00').unix(),
+    });
+    expect(wrapper.find('.commute-profile-delay')).to.have.lengthOf(0);
+  });
+});
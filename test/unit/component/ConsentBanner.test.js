@@ -0,0 +1,52 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import React from 'react';
+import sinon from 'sinon';
+
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import ConsentBanner from '../../../app/component/ConsentBanner';
+import { Component as ConsentSettings } from '../../../app/component/ConsentSettings';
+import { updateConsent } from '../../../app/action/ConsentActions';
+import { ConsentCategory } from '../../../app/constants';
+
+describe('<ConsentBanner />', () => {
+  const render = executeAction =>
+    shallowWithIntl(<ConsentBanner />, { context: { executeAction } });
+
+  it('should not consent to anything by default', () => {
+    const wrapper = render(() => {});
+    expect(
+      Object.values(wrapper.find(ConsentSettings).prop('consent')),
+    ).to.deep.equal([false, false, false]);
+  });
+
+  it('should save only the selected categories', () => {
+    const executeAction = sinon.spy();
+    const wrapper = render(executeAction);
+    wrapper.find(ConsentSettings).prop('onChange')(
+      ConsentCategory.ErrorReporting,
+      true,
+    );
+    wrapper.find('.consent-banner-save').simulate('click');
+    expect(
+      executeAction.calledWith(updateConsent, {
+        [ConsentCategory.Analytics]: false,
+        [ConsentCategory.ErrorReporting]: true,
+        [ConsentCategory.FeedbackSurveys]: false,
+      }),
+    ).to.equal(true);
+  });
+
+  it('should consent to every category', () => {
+    const executeAction = sinon.spy();
+    const wrapper = render(executeAction);
+    wrapper.find('.consent-banner-accept').simulate('click');
+    expect(
+      executeAction.calledWith(updateConsent, {
+        [ConsentCategory.Analytics]: true,
+        [ConsentCategory.ErrorReporting]: true,
+        [ConsentCategory.FeedbackSurveys]: true,
+      }),
+    ).to.equal(true);
+  });
+});
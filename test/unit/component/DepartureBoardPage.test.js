@@ -0,0 +1,133 @@
+import { expect } from 'chai';
+import { afterEach, beforeEach, describe, it } from 'mocha';
+import React from 'react';
+import sinon from 'sinon';
+
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import { mockContext } from '../helpers/mock-context';
+import { Component as DepartureBoardPage } from '../../../app/component/DepartureBoardPage';
+import DepartureListContainer from '../../../app/component/DepartureListContainer';
+
+const config = {
+  APP_PATH: '',
+  departureBoard: {
+    rows: 10,
+    maxRows: 30,
+    refreshInterval: 30,
+    alertInterval: 10,
+    showMap: false,
+  },
+};
+
+const stoptime = (serviceDay, realtimeDeparture) => ({
+  serviceDay,
+  realtimeDeparture,
+});
+
+const getProps = (viewer, query = {}) => ({
+  currentTime: 1000,
+  location: { query },
+  relay: { forceFetch: sinon.stub() },
+  viewer,
+});
+
+const render = props =>
+  shallowWithIntl(<DepartureBoardPage {...props} />, {
+    context: { ...mockContext, config },
+  });
+
+describe('<DepartureBoardPage />', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('should show the departures of all the stops in order', () => {
+    const wrapper = render(
+      getProps(
+        {
+          stops: [
+            { name: 'Foo', stoptimes: [stoptime(0, 3000), stoptime(0, 1200)] },
+            { name: 'Bar', stoptimes: [stoptime(0, 2000)] },
+          ],
+          stations: [],
+        },
+        { rows: '5' },
+      ),
+    );
+    expect(wrapper.find('.departure-board-title').text()).to.equal('Foo, Bar');
+    const list = wrapper.find(DepartureListContainer);
+    expect(
+      list.prop('stoptimes').map(({ realtimeDeparture }) => realtimeDeparture),
+    ).to.deep.equal([1200, 2000, 3000]);
+    expect(list.prop('limit')).to.equal(5);
+    expect(list.prop('showStops')).to.equal(true);
+  });
+
+  it('should rotate the valid alerts of the stops', () => {
+    const wrapper = render(
+      getProps({
+        stops: [
+          {
+            name: 'Foo',
+            stoptimes: [],
+            alerts: [
+              { alertHash: 1, alertHeaderText: 'first' },
+              { alertHash: 2, alertHeaderText: 'second' },
+              {
+                alertHash: 3,
+                alertHeaderText: 'expired',
+                effectiveStartDate: 100,
+                effectiveEndDate: 200,
+              },
+            ],
+          },
+        ],
+      }),
+    );
+    expect(wrapper.find('.departure-board-alert-text').text()).to.equal(
+      'first',
+    );
+    clock.tick(10000);
+    wrapper.update();
+    expect(wrapper.find('.departure-board-alert-text').text()).to.equal(
+      'second',
+    );
+    clock.tick(10000);
+    wrapper.update();
+    expect(wrapper.find('.departure-board-alert-text').text()).to.equal(
+      'first',
+    );
+  });
+
+  it('should refresh the departures from the current time', () => {
+    const props = getProps({ stops: [{ name: 'Foo', stoptimes: [] }] });
+    render(props);
+    clock.tick(30000);
+    expect(props.relay.forceFetch.calledWith({ startTime: '1000' })).to.equal(
+      true,
+    );
+  });
+
+  it('should link to the stop page when embedded', () => {
+    const props = getProps({
+      stops: [{ gtfsId: 'HSL:1', name: 'Foo', stoptimes: [] }],
+      stations: [{ gtfsId: 'HSL:1000', locationType: 'STATION', name: 'Bar' }],
+    });
+    const wrapper = render({ ...props, routes: [{ embedded: true }] });
+    expect(wrapper.find('.departure-board.embedded')).to.have.lengthOf(1);
+    expect(wrapper.find('.embed-footer a').prop('href')).to.equal(
+      '/pysakit/HSL:1',
+    );
+  });
+
+  it('should tell if the stops could not be found', () => {
+    const wrapper = render(getProps({ stops: [null], stations: [] }));
+    expect(wrapper.find('.departure-board-empty')).to.have.lengthOf(1);
+  });
+});
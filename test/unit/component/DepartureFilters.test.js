@@ -0,0 +1,86 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import React from 'react';
+import sinon from 'sinon';
+
+import { mockContext } from '../helpers/mock-context';
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import Checkbox from '../../../app/component/Checkbox';
+import DepartureFilters from '../../../app/component/DepartureFilters';
+import { getDepartureFilters } from '../../../app/util/departureFilterUtils';
+
+const options = {
+  headsigns: ['Koskela'],
+  platforms: ['1', '2'],
+  routes: [
+    { gtfsId: 'HSL:1004', shortName: '4' },
+    { gtfsId: 'HSL:1055', shortName: '55' },
+  ],
+};
+
+describe('<DepartureFilters />', () => {
+  const render = (query = {}, router = mockContext.router) =>
+    shallowWithIntl(
+      <DepartureFilters
+        filters={getDepartureFilters(query)}
+        options={options}
+      />,
+      {
+        context: {
+          ...mockContext,
+          location: {
+            ...mockContext.location,
+            pathname: '/pysakit/HSL:1040129',
+            query,
+          },
+          router,
+        },
+      },
+    );
+
+  it('should render nothing if there is nothing to filter', () => {
+    const wrapper = shallowWithIntl(
+      <DepartureFilters
+        filters={getDepartureFilters({})}
+        options={{ headsigns: ['Koskela'], platforms: [], routes: [] }}
+      />,
+      { context: mockContext },
+    );
+    expect(wrapper.isEmptyRender()).to.equal(true);
+  });
+
+  it('should only show the filters with several options', () => {
+    const wrapper = render();
+    expect(wrapper.find('.departure-filter')).to.have.lengthOf(0);
+    wrapper.find('.departure-filters-toggle').simulate('click');
+    expect(wrapper.find('.departure-filter')).to.have.lengthOf(2);
+    expect(wrapper.find(Checkbox)).to.have.lengthOf(4);
+  });
+
+  it('should show an active filter even if it has a single option', () => {
+    const wrapper = render({ headsigns: 'Koskela' });
+    wrapper.find('.departure-filters-toggle').simulate('click');
+    expect(wrapper.find('.departure-filter')).to.have.lengthOf(3);
+  });
+
+  it('should add the selected route to the query', () => {
+    const router = { ...mockContext.router, replace: sinon.stub() };
+    const wrapper = render({ platforms: '1' }, router);
+    wrapper.find('.departure-filters-toggle').simulate('click');
+    wrapper
+      .find(Checkbox)
+      .last()
+      .simulate('change', { target: { checked: true } });
+    expect(router.replace.args[0][0]).to.deep.include({
+      pathname: '/pysakit/HSL:1040129',
+      query: { platforms: ['1'], routes: ['HSL:1055'] },
+    });
+  });
+
+  it('should clear every filter', () => {
+    const router = { ...mockContext.router, replace: sinon.stub() };
+    const wrapper = render({ platforms: '1', routes: 'HSL:1004' }, router);
+    wrapper.find('.departure-filters-clear').simulate('click');
+    expect(router.replace.args[0][0].query).to.deep.equal({});
+  });
+});
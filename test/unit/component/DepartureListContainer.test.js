@@ -1,6 +1,8 @@
 import React from 'react';
+import { Link } from 'react-router';
 
 import Departure from '../../../app/component/Departure';
+import WatchDepartureButton from '../../../app/component/WatchDepartureButton';
 import {
   asDepartures,
   Component as DepartureListContainer,
@@ -58,6 +60,77 @@ describe('<DepartureListContainer />', () => {
     );
   });
 
+  it('should only render the departures that match the filters', () => {
+    const stoptime = (gtfsId, platformCode) => ({
+      realtimeArrival: 1050,
+      realtimeDeparture: 1100,
+      scheduledArrival: 1050,
+      scheduledDeparture: 1100,
+      serviceDay: 0,
+      stop: { platformCode },
+      trip: {
+        pattern: {
+          code: gtfsId,
+          route: { gtfsId, mode: 'BUS' },
+        },
+      },
+    });
+    const props = {
+      currentTime: 1000,
+      filters: { headsigns: [], platforms: ['2'], routes: ['HSL:1055'] },
+      rowClasses: '',
+      stoptimes: [
+        stoptime('HSL:1055', '1'),
+        stoptime('HSL:1055', '2'),
+        stoptime('HSL:1004', '2'),
+      ],
+    };
+    const wrapper = shallowWithIntl(<DepartureListContainer {...props} />, {
+      context: { ...mockContext },
+    });
+    expect(wrapper.find(Departure)).to.have.lengthOf(1);
+  });
+
+  it('should render the watch button next to the departure link', () => {
+    const props = {
+      currentTime: 1000,
+      isStopPage: true,
+      routeLinks: true,
+      rowClasses: '',
+      stoptimes: [
+        {
+          realtimeArrival: 1050,
+          realtimeDeparture: 1100,
+          scheduledArrival: 1050,
+          scheduledDeparture: 1100,
+          serviceDay: 0,
+          stop: { gtfsId: 'HSL:1' },
+          trip: {
+            gtfsId: 'HSL:1055_1',
+            pattern: {
+              code: 'HSL:1055:0:01',
+              route: { gtfsId: 'HSL:1055', mode: 'BUS' },
+            },
+          },
+        },
+      ],
+    };
+    const wrapper = shallowWithIntl(<DepartureListContainer {...props} />, {
+      context: {
+        ...mockContext,
+        config: {
+          ...mockContext.config,
+          departureNotifications: { show: true },
+        },
+      },
+    });
+    const row = wrapper.find('.departure-watch-row');
+    expect(row).to.have.lengthOf(1);
+    expect(row.childAt(0).is(Link)).to.equal(true);
+    expect(row.childAt(1).is(WatchDepartureButton)).to.equal(true);
+    expect(row.find(Departure).find(WatchDepartureButton)).to.have.lengthOf(0);
+  });
+
   describe('asDepartures', () => {
     it("should map the alerts' severity levels", () => {
       const stoptimes = [
@@ -0,0 +1,68 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import React from 'react';
+
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import { mockContext } from '../helpers/mock-context';
+import EmbedBuilderPage from '../../../app/component/EmbedBuilderPage';
+import { EmbedType } from '../../../app/util/embedUtils';
+
+const config = {
+  APP_PATH: '',
+  availableLanguages: ['fi', 'sv', 'en'],
+  departureBoard: { rows: 10, maxRows: 30 },
+  title: 'Reittiopas',
+};
+
+const render = () =>
+  shallowWithIntl(<EmbedBuilderPage />, {
+    context: { ...mockContext, config },
+  });
+
+describe('<EmbedBuilderPage />', () => {
+  it('should generate the snippet of the search form', () => {
+    const wrapper = render();
+    wrapper
+      .instance()
+      .onOriginSelected({ address: 'Kamppi', lat: 60.169, lon: 24.932 });
+    wrapper.update();
+    const snippet = wrapper.find('.embed-builder-snippet').prop('value');
+    expect(snippet).to.contain(
+      '/embed/haku?from=Kamppi%3A%3A60.169%2C24.932&amp;lang=en',
+    );
+    expect(snippet).to.contain('width="360" height="420"');
+  });
+
+  it('should require a stop for the departure list', () => {
+    const wrapper = render();
+    wrapper
+      .instance()
+      .onTypeChange({ target: { value: EmbedType.Departures } });
+    wrapper.update();
+    expect(wrapper.find('.embed-builder-snippet')).to.have.lengthOf(0);
+
+    wrapper
+      .instance()
+      .onStopSelected({ address: 'Kamppi', id: 'HSL:1040129', layer: 'stop' });
+    wrapper
+      .instance()
+      .onStopSelected({ address: 'Pasila', id: 'HSL:1000', layer: 'station' });
+    wrapper.update();
+    expect(wrapper.find('.embed-builder-snippet').prop('value')).to.contain(
+      '/embed/lahdot?stops=HSL%3A1040129&amp;terminals=HSL%3A1000&amp;rows=10',
+    );
+    expect(wrapper.find('iframe')).to.have.lengthOf(1);
+  });
+
+  it('should remove a stop', () => {
+    const wrapper = render();
+    wrapper
+      .instance()
+      .onTypeChange({ target: { value: EmbedType.Departures } });
+    wrapper
+      .instance()
+      .onStopSelected({ address: 'Kamppi', id: 'HSL:1040129', layer: 'stop' });
+    wrapper.instance().onRemoveStop('HSL:1040129');
+    expect(wrapper.state('stops')).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,44 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import React from 'react';
+
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import { mockContext } from '../helpers/mock-context';
+import EmbedSearchPage from '../../../app/component/EmbedSearchPage';
+
+const config = {
+  APP_PATH: '',
+  colors: { primary: '#007ac9' },
+  title: 'Reittiopas',
+};
+
+const render = query =>
+  shallowWithIntl(<EmbedSearchPage location={{ query }} />, {
+    context: { ...mockContext, config },
+  });
+
+describe('<EmbedSearchPage />', () => {
+  it('should not search without a destination', () => {
+    const wrapper = render({ from: 'Kamppi::60.169,24.932' });
+    expect(wrapper.find('a.embed-button')).to.have.lengthOf(0);
+    expect(wrapper.find('.embed-button.disabled')).to.have.lengthOf(1);
+  });
+
+  it('should open the search in a new tab', () => {
+    const wrapper = render({ from: 'Kamppi::60.169,24.932' });
+    wrapper
+      .instance()
+      .onDestinationSelected({ address: 'Pasila', lat: 60.199, lon: 24.933 });
+    wrapper.update();
+    const button = wrapper.find('a.embed-button');
+    expect(button.prop('href')).to.equal(
+      '/reitti/Kamppi%3A%3A60.169%2C24.932/Pasila%3A%3A60.199%2C24.933',
+    );
+    expect(button.prop('target')).to.equal('_blank');
+  });
+
+  it('should ignore an origin without coordinates', () => {
+    const wrapper = render({ from: 'Kamppi' });
+    expect(wrapper.state('origin')).to.equal(undefined);
+  });
+});
@@ -0,0 +1,90 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import React from 'react';
+import { FormattedMessage } from 'react-intl';
+
+import { mockContext } from '../helpers/mock-context';
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import AccessibilityStatus from '../../../app/component/AccessibilityStatus';
+import ItineraryAccessibility from '../../../app/component/ItineraryAccessibility';
+import defaultConfig from '../../../app/configurations/config.default';
+import { WheelchairBoarding } from '../../../app/util/accessibilityUtils';
+
+const busLeg = {
+  mode: 'BUS',
+  startTime: 1000,
+  transitLeg: true,
+  from: {
+    stop: {
+      alerts: [{ alertHash: 1, alertHeaderText: 'Hissi on rikki' }],
+      gtfsId: 'HSL:1',
+      name: 'Rautatientori',
+      wheelchairBoarding: WheelchairBoarding.Possible,
+    },
+  },
+  to: {
+    stop: {
+      alerts: [],
+      gtfsId: 'HSL:2',
+      name: 'Käpylä',
+      wheelchairBoarding: WheelchairBoarding.NoInformation,
+    },
+  },
+  route: { shortName: '55' },
+  trip: { wheelchairAccessible: WheelchairBoarding.Possible },
+};
+
+const render = (legs, query = {}) =>
+  shallowWithIntl(<ItineraryAccessibility itinerary={{ legs }} />, {
+    context: {
+      ...mockContext,
+      config: defaultConfig,
+      location: { ...mockContext.location, query },
+    },
+  });
+
+const getMessageIds = wrapper =>
+  wrapper.find(FormattedMessage).map(message => message.prop('id'));
+
+describe('<ItineraryAccessibility />', () => {
+  it('should render nothing without transit legs', () => {
+    const wrapper = render([{ mode: 'WALK', transitLeg: false }]);
+    expect(wrapper.isEmptyRender()).to.equal(true);
+  });
+
+  it('should show the status of the stops and the trips', () => {
+    const wrapper = render([busLeg]);
+    expect(
+      wrapper.find(AccessibilityStatus).map(status => status.prop('status')),
+    ).to.deep.equal([
+      WheelchairBoarding.Possible,
+      WheelchairBoarding.NoInformation,
+      WheelchairBoarding.Possible,
+    ]);
+  });
+
+  it('should tell that no accessibility settings were used', () => {
+    const wrapper = render([busLeg]);
+    expect(getMessageIds(wrapper)).to.include(
+      'accessibility-profile-not-in-use',
+    );
+  });
+
+  it('should list the accessibility settings that were used', () => {
+    const wrapper = render([busLeg], { stepFree: 'true', maxSlope: '6' });
+    const message = wrapper
+      .find(FormattedMessage)
+      .filterWhere(m => m.prop('id') === 'accessibility-profile-in-use');
+    expect(message.prop('values')).to.deep.equal({
+      options: 'Step-free access, slope at most 6 %',
+    });
+  });
+
+  it('should show the elevator alerts', () => {
+    const wrapper = render([busLeg]);
+    expect(
+      wrapper.find('.itinerary-accessibility-alert-header').text(),
+    ).to.equal('Rautatientori: Hissi on rikki');
+    expect(getMessageIds(wrapper)).to.include('accessibility-issues');
+  });
+});
@@ -0,0 +1,77 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import React from 'react';
+import sinon from 'sinon';
+
+import { mockContext } from '../helpers/mock-context';
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import Checkbox from '../../../app/component/Checkbox';
+import { Component as ItineraryComparison } from '../../../app/component/ItineraryComparison';
+import defaultConfig from '../../../app/configurations/config.default';
+
+const itineraries = [
+  {
+    startTime: 1535490000000,
+    endTime: 1535491200000,
+    legs: [{ mode: 'WALK', distance: 300, transitLeg: false }],
+  },
+  {
+    startTime: 1535490300000,
+    endTime: 1535492400000,
+    legs: [{ mode: 'WALK', distance: 100, transitLeg: false }],
+  },
+  {
+    startTime: 1535490600000,
+    endTime: 1535493600000,
+    legs: [{ mode: 'WALK', distance: 200, transitLeg: false }],
+  },
+];
+
+const render = (selected, props = {}) =>
+  shallowWithIntl(
+    <ItineraryComparison
+      itineraries={itineraries}
+      onClose={() => {}}
+      onToggle={() => {}}
+      selected={selected}
+      {...props}
+    />,
+    { context: { ...mockContext, config: defaultConfig } },
+  );
+
+describe('<ItineraryComparison />', () => {
+  it('should ask to select more itineraries', () => {
+    const wrapper = render([0]);
+    expect(wrapper.find('table')).to.have.lengthOf(0);
+    expect(wrapper.find('.itinerary-comparison-instructions')).to.have.lengthOf(
+      1,
+    );
+  });
+
+  it('should show a column for each selected itinerary', () => {
+    const wrapper = render([0, 2]);
+    expect(wrapper.find('thead th')).to.have.lengthOf(2);
+    expect(
+      wrapper
+        .find('tbody tr')
+        .first()
+        .find('td'),
+    ).to.have.lengthOf(2);
+  });
+
+  it('should highlight the best values', () => {
+    const wrapper = render([0, 1]);
+    const walking = wrapper.find('tbody tr').at(1);
+    expect(walking.find('td.best').text()).to.equal('100 m');
+  });
+
+  it('should toggle the itinerary', () => {
+    const onToggle = sinon.spy();
+    const wrapper = render([0, 1], { onToggle });
+    wrapper
+      .find(Checkbox)
+      .at(2)
+      .prop('onChange')();
+    expect(onToggle.calledWith(2)).to.equal(true);
+  });
+});
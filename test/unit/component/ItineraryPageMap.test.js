@@ -0,0 +1,43 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import ItineraryPageMap from '../../../app/component/ItineraryPageMap';
+import MapContainer from '../../../app/component/map/MapContainer';
+import { mockContext } from '../helpers/mock-context';
+
+const props = {
+  breakpoint: 'large',
+  from: { address: 'Rautatientori', lat: 60.175, lon: 24.9 },
+  itinerary: {
+    legs: [
+      {
+        legGeometry: { points: 'ovlnJi{dwClJi@' },
+        mode: 'BUS',
+        transitLeg: true,
+      },
+    ],
+  },
+  params: {
+    from: 'Rautatientori::60.175,24.9',
+    to: 'Käpylä::60.2,24.9',
+  },
+  to: { address: 'Käpylä', lat: 60.2, lon: 24.9 },
+};
+
+describe('<ItineraryPageMap />', () => {
+  it('should not follow the stores outside the live mode', () => {
+    const map = ItineraryPageMap(
+      { ...props, routes: [{ path: ':hash' }] },
+      mockContext,
+    );
+    expect(map.type).to.equal(MapContainer);
+  });
+
+  it('should follow the stores in the live mode', () => {
+    const map = ItineraryPageMap(
+      { ...props, routes: [{ path: ':hash' }, { liveMode: true }] },
+      mockContext,
+    );
+    expect(map.type.displayName).to.equal('storeConnector(ItineraryPageMap)');
+  });
+});
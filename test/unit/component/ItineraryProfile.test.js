@@ -100,4 +100,59 @@ describe('<ItineraryProfile />', () => {
         .text(),
     ).to.equal('200 m');
   });
+
+  it('should render the CO2 emissions if they are shown', () => {
+    const props = {
+      carItinerary: {
+        legs: [
+          {
+            distance: 10000,
+            mode: 'CAR',
+          },
+        ],
+      },
+      itinerary: {
+        legs: [
+          {
+            distance: 500,
+            mode: 'WALK',
+          },
+          {
+            distance: 9500,
+            mode: 'BUS',
+          },
+        ],
+      },
+    };
+    const wrapper = shallowWithIntl(<ItineraryProfile {...props} />, {
+      context: {
+        config: {
+          emissions: { show: true, factors: { BUS: 73, CAR: 160 } },
+          imperialEnabled: false,
+        },
+      },
+    });
+
+    const values = wrapper.find('.itinerary-profile-item-value');
+    expect(values).to.have.lengthOf(3);
+    expect(values.at(1).text()).to.equal('694 g');
+    expect(values.at(2).text()).to.equal('907 g');
+  });
+
+  it('should not render the saved emissions without a car itinerary', () => {
+    const wrapper = shallowWithIntl(
+      <ItineraryProfile
+        itinerary={{ legs: [{ distance: 9500, mode: 'BUS' }] }}
+      />,
+      {
+        context: {
+          config: {
+            emissions: { show: true, factors: { BUS: 73, CAR: 160 } },
+            imperialEnabled: false,
+          },
+        },
+      },
+    );
+    expect(wrapper.find('.itinerary-profile-item-value')).to.have.lengthOf(2);
+  });
 });
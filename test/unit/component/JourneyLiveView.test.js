@@ -0,0 +1,139 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import polyline from 'polyline-encoded';
+import React from 'react';
+import { FormattedMessage } from 'react-intl';
+import sinon from 'sinon';
+
+import { mockContext } from '../helpers/mock-context';
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import { Component as JourneyLiveView } from '../../../app/component/JourneyLiveView';
+import { startLocationWatch } from '../../../app/action/PositionActions';
+
+const walkLeg = {
+  mode: 'WALK',
+  transitLeg: false,
+  startTime: 0,
+  endTime: 1000,
+  legGeometry: {
+    points: polyline.encode([[60.17, 24.9], [60.175, 24.9]]),
+  },
+  to: { name: 'Rautatientori' },
+};
+const busLeg = {
+  mode: 'BUS',
+  transitLeg: true,
+  startTime: 1000,
+  endTime: 5000,
+  legGeometry: {
+    points: polyline.encode([[60.175, 24.9], [60.2, 24.9]]),
+  },
+  intermediatePlaces: [
+    { arrivalTime: 2000, stop: { lat: 60.18, lon: 24.9 } },
+    { arrivalTime: 3000, stop: { lat: 60.185, lon: 24.9 } },
+  ],
+  from: { name: 'Rautatientori' },
+  route: { gtfsId: 'HSL:1', shortName: '1' },
+  to: { name: 'Käpylä' },
+};
+
+const noPosition = { hasLocation: false };
+
+const render = (props, context = {}) =>
+  shallowWithIntl(
+    <JourneyLiveView
+      destination="Käpylä::60.2,24.9"
+      itinerary={{ endTime: 5000, legs: [walkLeg, busLeg] }}
+      {...props}
+    />,
+    {
+      context: {
+        analytics: mockContext.analytics,
+        config: { liveMode: { offRouteDistance: 50 } },
+        executeAction: sinon.stub(),
+        getStore: () => ({}),
+        location: {
+          ...mockContext.location,
+          pathname: '/reitti/a/b/0/seuraa',
+          query: { time: '1' },
+        },
+        router: { ...mockContext.router, push: sinon.stub() },
+        ...context,
+      },
+    },
+  );
+
+const getMessage = wrapper =>
+  wrapper
+    .find('.journey-live-instructions')
+    .find(FormattedMessage)
+    .props();
+
+describe('<JourneyLiveView />', () => {
+  it('should start following the user', () => {
+    const executeAction = sinon.stub();
+    render({ currentTime: 0, position: noPosition }, { executeAction });
+    expect(executeAction.calledWith(startLocationWatch)).to.equal(true);
+  });
+
+  it('should show the walking instructions', () => {
+    const wrapper = render({ currentTime: 500, position: noPosition });
+    expect(getMessage(wrapper).id).to.equal('journey-walk-to');
+    expect(wrapper.find('.journey-live-status')).to.have.lengthOf(1);
+  });
+
+  it('should show the number of stops left', () => {
+    const wrapper = render({
+      currentTime: 1500,
+      position: { hasLocation: true, lat: 60.182, lon: 24.9 },
+    });
+    const { id, values } = getMessage(wrapper);
+    expect(id).to.equal('journey-get-off');
+    expect(values.count).to.equal(2);
+  });
+
+  it('should count the stops from the realtime vehicle', () => {
+    const wrapper = render({
+      currentTime: 1500,
+      itinerary: {
+        endTime: 5000,
+        legs: [
+          walkLeg,
+          {
+            ...busLeg,
+            trip: { gtfsId: 'HSL:foo', directionId: '0', stoptimes: [] },
+          },
+        ],
+      },
+      position: noPosition,
+      vehicles: { bar: { tripId: 'foo', lat: 60.187, long: 24.9 } },
+    });
+    expect(getMessage(wrapper).values.count).to.equal(1);
+  });
+
+  it('should offer a new route when the user strays from the route', () => {
+    const push = sinon.stub();
+    const wrapper = render(
+      {
+        currentTime: 500,
+        position: { hasLocation: true, lat: 60.172, lon: 24.91 },
+      },
+      { router: { ...mockContext.router, push } },
+    );
+    wrapper.find('.journey-live-replan').simulate('click');
+    expect(push.firstCall.args[0]).to.deep.equal({
+      pathname: '/reitti/POS/K%C3%A4pyl%C3%A4%3A%3A60.2%2C24.9',
+      query: {},
+    });
+  });
+
+  it('should end the journey', () => {
+    const push = sinon.stub();
+    const wrapper = render(
+      { currentTime: 500, position: noPosition },
+      { router: { ...mockContext.router, push } },
+    );
+    wrapper.find('.journey-live-end').simulate('click');
+    expect(push.firstCall.args[0].pathname).to.equal('/reitti/a/b/0');
+  });
+});
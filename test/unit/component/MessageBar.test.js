@@ -5,6 +5,7 @@ import {
   Component as MessageBar,
   getServiceAlertId,
 } from '../../../app/component/MessageBar';
+import ConsentBanner from '../../../app/component/ConsentBanner';
 import { mockContext } from '../helpers/mock-context';
 import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
 import { setReadMessageIds } from '../../../app/store/localStorage';
@@ -98,4 +99,21 @@ describe('<MessageBar />', () => {
     await wrapper.instance().componentDidMount();
     expect(wrapper.find(Tab)).to.have.lengthOf(0);
   });
+
+  it('should ask for consent before showing the messages', async () => {
+    const props = {
+      ...defaultProps,
+      messages: [
+        { id: 'foo', content: { fi: [{ type: 'text', content: 'foo' }] } },
+      ],
+      showConsentBanner: true,
+    };
+    const wrapper = shallowWithIntl(<MessageBar {...props} />, {
+      context: mockContext,
+    });
+
+    await wrapper.instance().componentDidMount();
+    expect(wrapper.find(ConsentBanner)).to.have.lengthOf(1);
+    expect(wrapper.find(Tab)).to.have.lengthOf(0);
+  });
 });
@@ -0,0 +1,90 @@
+import { expect } from 'chai';
+import { afterEach, beforeEach, describe, it } from 'mocha';
+import React from 'react';
+import sinon from 'sinon';
+
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import { mockContext } from '../helpers/mock-context';
+import OfflineTimetableButton from '../../../app/component/OfflineTimetableButton';
+import {
+  offlineStorage,
+  OfflineTimetableType,
+} from '../../../app/util/offlineTimetables';
+
+const config = {
+  APP_PATH: '',
+  offlineTimetables: { days: [3, 7] },
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve));
+
+describe('<OfflineTimetableButton />', () => {
+  let indexedDB;
+
+  beforeEach(() => {
+    ({ indexedDB } = window);
+    window.indexedDB = {};
+    sinon.stub(offlineStorage, 'getTimetable').resolves(undefined);
+    sinon.stub(offlineStorage, 'putTimetable').resolves();
+  });
+
+  afterEach(() => {
+    window.indexedDB = indexedDB;
+    offlineStorage.getTimetable.restore();
+    offlineStorage.putTimetable.restore();
+  });
+
+  const render = props =>
+    shallowWithIntl(
+      <OfflineTimetableButton
+        type={OfflineTimetableType.Stop}
+        gtfsId="HSL:1173210"
+        name="Kamppi"
+        path="/pysakit/HSL:1173210/aikataulu"
+        selectedDate="20190110"
+        onFetchDates={() => Promise.resolve()}
+        {...props}
+      />,
+      { context: { ...mockContext, config } },
+    );
+
+  it('should not render without IndexedDB', () => {
+    window.indexedDB = undefined;
+    expect(render().type()).to.equal(null);
+  });
+
+  it('should fetch the chosen number of days', async () => {
+    let fetched;
+    const wrapper = render({
+      onFetchDates: dates => {
+        fetched = dates;
+        return Promise.resolve();
+      },
+    });
+    wrapper.find('select').simulate('change', { target: { value: '3' } });
+    wrapper.find('.offline-timetable-button').simulate('click');
+    await flush();
+    expect(fetched).to.deep.equal(['20190110', '20190111', '20190112']);
+    expect(offlineStorage.putTimetable.firstCall.args[0]).to.include({
+      id: 'stop:HSL:1173210',
+      path: '/pysakit/HSL:1173210/aikataulu',
+      startDate: '20190110',
+      endDate: '20190112',
+    });
+    wrapper.update();
+    expect(wrapper.find('.offline-timetable-text')).to.have.lengthOf(1);
+  });
+
+  it('should show the saved date range', async () => {
+    offlineStorage.getTimetable.resolves({
+      id: 'stop:HSL:1173210',
+      startDate: '20190110',
+      endDate: '20190116',
+    });
+    const wrapper = render();
+    await flush();
+    wrapper.update();
+    expect(wrapper.find('.offline-timetable-text')).to.have.lengthOf(1);
+    expect(wrapper.find('select')).to.have.lengthOf(0);
+  });
+});
@@ -190,6 +190,7 @@ describe('<QuickSettingsPanel />', () => {
         <QuickSettingsPanel {...getDefaultProps()} />,
         {
           context: {
+            ...mockContext,
             config: { ...defaultConfig },
             location: { ...router.getCurrentLocation() },
             router,
@@ -218,6 +219,7 @@ describe('<QuickSettingsPanel />', () => {
         <QuickSettingsPanel {...getDefaultProps()} />,
         {
           context: {
+            ...mockContext,
             config: defaultConfig,
             location: {
               ...router.getCurrentLocation(),
@@ -0,0 +1,76 @@
+import { expect } from 'chai';
+import { afterEach, describe, it } from 'mocha';
+import fetchMock from 'fetch-mock';
+import moment from 'moment';
+import React from 'react';
+
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import { mockContext } from '../helpers/mock-context';
+import { Component as ReachabilityPage } from '../../../app/component/ReachabilityPage';
+import DesktopView from '../../../app/component/DesktopView';
+import ToggleButton from '../../../app/component/ToggleButton';
+
+const config = {
+  URL: { OTP: 'https://localhost/otp/' },
+  colors: { primary: '#007ac9' },
+  isochrone: {
+    cutoffs: [15, 30, 45, 60],
+    colors: ['#1a9850', '#91cf60', '#fdae61', '#d73027'],
+  },
+  transportModes: {
+    bus: { availableForSelection: true, defaultValue: true },
+    tram: { availableForSelection: true, defaultValue: true },
+    ferry: { availableForSelection: false, defaultValue: false },
+  },
+  streetModes: {
+    public_transport: { availableForSelection: true, defaultValue: true },
+  },
+};
+
+const getProps = (from, query = {}) => ({
+  breakpoint: 'large',
+  location: { query },
+  now: moment(),
+  params: { from },
+});
+
+const render = props =>
+  shallowWithIntl(<ReachabilityPage {...props} />, {
+    context: { ...mockContext, config },
+  });
+
+describe('<ReachabilityPage />', () => {
+  afterEach(() => {
+    fetchMock.restore();
+  });
+
+  it('should fetch the areas with the selected modes', () => {
+    fetchMock.get('begin:https://localhost/otp/isochrone', {
+      features: [],
+    });
+    render(getProps('Helsinki::60.17,24.94', { modes: 'BUS,WALK' }));
+    expect(fetchMock.called()).to.equal(true);
+    expect(fetchMock.lastUrl()).to.contain('mode=BUS,WALK');
+  });
+
+  it('should show a toggle for each available transport mode', () => {
+    fetchMock.get('begin:https://localhost/otp/isochrone', {
+      features: [],
+    });
+    const wrapper = render(getProps('Helsinki::60.17,24.94'));
+    const content = shallowWithIntl(wrapper.find(DesktopView).prop('content'), {
+      context: { ...mockContext, config },
+    });
+    expect(content.find(ToggleButton)).to.have.lengthOf(2);
+    expect(content.find('.reachability-legend li')).to.have.lengthOf(4);
+  });
+
+  it('should not fetch anything without the coordinates of the origin', () => {
+    fetchMock.get('begin:https://localhost/otp/isochrone', {
+      features: [],
+    });
+    const wrapper = render(getProps('-'));
+    expect(fetchMock.called()).to.equal(false);
+    expect(wrapper.find(DesktopView).prop('map')).to.equal(null);
+  });
+});
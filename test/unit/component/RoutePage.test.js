@@ -7,6 +7,7 @@ import { mockContext } from '../helpers/mock-context';
 import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
 import { startRealTimeClient } from '../../../app/action/realTimeClientAction';
 import { Component as RoutePage } from '../../../app/component/RoutePage';
+import RoutePatternSelect from '../../../app/component/RoutePatternSelect';
 import { AlertSeverityLevelType } from '../../../app/constants';
 
 describe('<RoutePage />', () => {
@@ -269,6 +270,31 @@ describe('<RoutePage />', () => {
     expect(wrapper.find('.activeAlert')).to.have.lengthOf(1);
   });
 
+  it('should show the compare tab instead of the pattern select', () => {
+    const props = {
+      breakpoint: 'large',
+      location: {
+        pathname: '/linjat/HSL:1063/vertailu/HSL:1063:0:01',
+      },
+      params: {
+        routeId: 'HSL:1063',
+        patternId: 'HSL:1063:0:01',
+      },
+      route: {
+        gtfsId: 'HSL:1063',
+        mode: 'BUS',
+        patterns: [{ code: 'HSL:1063:0:01' }, { code: 'HSL:1063:1:01' }],
+      },
+    };
+    const wrapper = shallowWithIntl(<RoutePage {...props} />, {
+      context: { ...mockContext },
+    });
+    expect(wrapper.find('.is-active FormattedMessage').prop('id')).to.equal(
+      'route-pattern-compare',
+    );
+    expect(wrapper.find(RoutePatternSelect)).to.have.lengthOf(0);
+  });
+
   describe('componentDidMount', () => {
     it('should ignore a missing pattern', () => {
       const props = {
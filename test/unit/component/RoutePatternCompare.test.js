@@ -0,0 +1,86 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import React from 'react';
+import sinon from 'sinon';
+
+import { mockContext } from '../helpers/mock-context';
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import Checkbox from '../../../app/component/Checkbox';
+import { Component as RoutePatternCompare } from '../../../app/component/RoutePatternCompare';
+
+const stop = gtfsId => ({ gtfsId, name: `Stop ${gtfsId}` });
+
+const route = {
+  gtfsId: 'HSL:1055',
+  patterns: [
+    {
+      code: 'HSL:1055:0:01',
+      directionId: 0,
+      headsign: 'Jätkäsaari',
+      stops: ['A', 'B', 'C'].map(stop),
+      trips: [{ id: '1', tripHeadsign: 'Jätkäsaari' }],
+    },
+    {
+      code: 'HSL:1055:0:02',
+      directionId: 0,
+      headsign: 'Kamppi',
+      stops: ['A', 'B'].map(stop),
+      trips: [],
+    },
+    {
+      code: 'HSL:1055:1:01',
+      directionId: 1,
+      headsign: 'Koskela',
+      stops: ['C', 'B', 'A'].map(stop),
+      trips: [],
+    },
+  ],
+};
+
+describe('<RoutePatternCompare />', () => {
+  const render = (query = {}, router = mockContext.router) =>
+    shallowWithIntl(
+      <RoutePatternCompare
+        location={{
+          pathname: '/linjat/HSL:1055/vertailu/HSL:1055:0:01',
+          query,
+        }}
+        params={{ patternId: 'HSL:1055:0:01' }}
+        relay={{
+          setVariables: () => {},
+          variables: { serviceDay: '20190306' },
+        }}
+        route={route}
+        serviceDay="20190306"
+      />,
+      { context: { ...mockContext, router } },
+    );
+
+  it('should list the stops unique to each compared pattern', () => {
+    const wrapper = render();
+    expect(wrapper.find('.route-pattern-compare-details')).to.have.lengthOf(2);
+    expect(wrapper.find('.route-pattern-compare-stops li')).to.have.lengthOf(1);
+    expect(
+      wrapper.find('.route-pattern-compare-stops Link').prop('to'),
+    ).to.equal('/pysakit/C');
+  });
+
+  it('should not allow comparing less than two patterns', () => {
+    const checkboxes = render().find(Checkbox);
+    expect(checkboxes.map(checkbox => checkbox.prop('disabled'))).to.deep.equal(
+      [true, true, false],
+    );
+  });
+
+  it('should add a pattern to the comparison in the query', () => {
+    const router = { ...mockContext.router, replace: sinon.spy() };
+    const wrapper = render({}, router);
+    wrapper
+      .find(Checkbox)
+      .at(2)
+      .prop('onChange')({ target: { checked: true } });
+    expect(router.replace.firstCall.args[0].query).to.deep.equal({
+      patterns: 'HSL:1055:0:01,HSL:1055:0:02,HSL:1055:1:01',
+    });
+  });
+});
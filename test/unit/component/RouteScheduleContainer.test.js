@@ -1,16 +1,19 @@
 import React from 'react';
 import { expect } from 'chai';
 import { describe, it } from 'mocha';
+import sinon from 'sinon';
 
 import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
 import { Component as RouteScheduleContainer } from '../../../app/component/RouteScheduleContainer';
 import RouteScheduleTripRow from '../../../app/component/RouteScheduleTripRow';
 import { mockContext } from '../helpers/mock-context';
+import * as browser from '../../../app/util/browser';
 
 describe('<RouteScheduleContainer />', () => {
   it('should identify canceled departures from incoming data', () => {
     const props = {
       pattern: {
+        code: 'HSL:2550:0:01',
         stops: [
           {
             name: 'Koskela',
@@ -59,4 +62,123 @@ describe('<RouteScheduleContainer />', () => {
         .props().isCanceled,
     ).to.equal(true);
   });
+
+  it('should export the week schedule of the selected stops as CSV', () => {
+    const stoptime = (id, scheduledDeparture) => ({
+      scheduledDeparture,
+      stop: { id },
+    });
+    const props = {
+      pattern: {
+        code: 'HSL:2550:0:01',
+        headsign: 'Rautatientori',
+        stops: [
+          { id: 'A', code: '1001', name: 'Koskela' },
+          { id: 'B', code: '1002', name: 'Kumpula' },
+          { id: 'C', code: '1003', name: 'Rautatientori' },
+        ],
+        tripsForDate: [],
+        route: { gtfsId: 'HSL:2550', shortName: '550' },
+      },
+      relay: {
+        route: { params: { patternId: 'HSL:2550:0:01' } },
+        setVariables: sinon.stub(),
+        variables: {
+          serviceDay: '20190115',
+        },
+      },
+      serviceDay: '20190115',
+    };
+    const stub = sinon.stub(browser, 'downloadFile');
+    try {
+      const wrapper = shallowWithIntl(<RouteScheduleContainer {...props} />, {
+        context: mockContext,
+      });
+      wrapper.setState({ from: 1 });
+      wrapper
+        .find({ buttonName: 'download-week-schedule' })
+        .props()
+        .buttonClickAction({ stopPropagation: () => {} });
+      expect(props.relay.setVariables.lastCall.args[0]).to.deep.equal({
+        showWeekSchedule: true,
+        weekday: '20190115',
+        saturday: '20190119',
+        sunday: '20190120',
+      });
+      expect(stub.called).to.equal(false);
+
+      wrapper.setProps({
+        pattern: {
+          ...props.pattern,
+          weekdayTrips: [
+            { stoptimes: [stoptime('A', 3600), stoptime('B', 3660)] },
+          ],
+          saturdayTrips: [],
+          sundayTrips: [],
+        },
+        relay: {
+          ...props.relay,
+          variables: {
+            ...props.relay.variables,
+            ...props.relay.setVariables.lastCall.args[0],
+          },
+        },
+      });
+      expect(stub.called).to.equal(false);
+
+      props.relay.setVariables.lastCall.args[1]({
+        done: true,
+        mounted: true,
+        ready: true,
+      });
+      expect(stub.calledOnce).to.equal(true);
+      expect(stub.args[0][0]).to.contain('Kumpula,1002,01,01,,');
+      expect(stub.args[0][0]).not.to.contain('Koskela');
+      expect(stub.args[0][1]).to.equal('HSL_2550_0_01.csv');
+
+      // the week schedule has already been fetched
+      wrapper
+        .find({ buttonName: 'download-week-schedule' })
+        .props()
+        .buttonClickAction({ stopPropagation: () => {} });
+      expect(props.relay.setVariables.callCount).to.equal(2);
+      expect(stub.calledTwice).to.equal(true);
+      expect(stub.args[1][0]).to.equal(stub.args[0][0]);
+    } finally {
+      stub.restore();
+    }
+  });
+
+  it('should close the print window if the schedule cannot be fetched', () => {
+    const printWindow = { close: sinon.stub() };
+    const open = sinon.stub(window, 'open').returns(printWindow);
+    try {
+      const props = {
+        pattern: {
+          code: 'HSL:2550:0:01',
+          headsign: 'Rautatientori',
+          stops: [{ id: 'A', name: 'Koskela' }, { id: 'B', name: 'Kumpula' }],
+          tripsForDate: [],
+          route: { gtfsId: 'HSL:2550', shortName: '550' },
+        },
+        relay: {
+          route: { params: { patternId: 'HSL:2550:0:01' } },
+          setVariables: (variables, callback) =>
+            callback && callback({ error: new Error('Failed') }),
+          variables: { serviceDay: '20190115' },
+        },
+        serviceDay: '20190115',
+      };
+      const wrapper = shallowWithIntl(<RouteScheduleContainer {...props} />, {
+        context: mockContext,
+      });
+      wrapper
+        .find({ buttonName: 'print-week-schedule' })
+        .props()
+        .buttonClickAction({ stopPropagation: () => {} });
+      expect(printWindow.close.calledOnce).to.equal(true);
+    } finally {
+      open.restore();
+    }
+  });
 });
@@ -9,6 +9,9 @@ describe('<StopPageContentContainer />', () => {
   it("should show a 'no departures' indicator", () => {
     const props = {
       currentTime: 0,
+      location: {
+        query: {},
+      },
       params: {
         stopId: '1234',
       },
@@ -1,5 +1,20 @@
-import { getActiveIndex } from '../../../app/component/SummaryPage';
+import polyline from 'polyline-encoded';
+import React from 'react';
+import sinon from 'sinon';
+
+import { mockContext } from '../helpers/mock-context';
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import { startRealTimeClient } from '../../../app/action/realTimeClientAction';
+import { Component as ItineraryTab } from '../../../app/component/ItineraryTab';
+import JourneyLiveView from '../../../app/component/JourneyLiveView';
+import MobileItineraryWrapper from '../../../app/component/MobileItineraryWrapper';
+import MobileView from '../../../app/component/MobileView';
+import {
+  Component as SummaryPageWithBreakpoint,
+  getActiveIndex,
+} from '../../../app/component/SummaryPage';
 import { RealtimeStateType } from '../../../app/constants';
+import { BreakpointConsumer } from '../../../app/util/withBreakpoint';
 
 describe('<SummaryPage />', () => {
   describe('getActiveIndex', () => {
@@ -69,4 +84,106 @@ describe('<SummaryPage />', () => {
       expect(getActiveIndex({}, [], 3)).to.equal(3);
     });
   });
+
+  describe('live mode', () => {
+    const itinerary = {
+      endTime: 5000,
+      fares: [],
+      legs: [
+        {
+          mode: 'BUS',
+          realTime: true,
+          transitLeg: true,
+          startTime: 1000,
+          endTime: 5000,
+          legGeometry: {
+            points: polyline.encode([[60.175, 24.9], [60.2, 24.9]]),
+          },
+          intermediatePlaces: [],
+          from: { name: 'Rautatientori' },
+          route: { gtfsId: 'HSL:1055', shortName: '55' },
+          to: { name: 'Käpylä' },
+          trip: {
+            gtfsId: 'HSL:1055_1',
+            directionId: '0',
+            tripHeadsign: 'Käpylä',
+            stoptimes: [],
+          },
+        },
+      ],
+      startTime: 1000,
+    };
+    const params = {
+      from: 'Rautatientori::60.175,24.9',
+      to: 'Käpylä::60.2,24.9',
+      hash: '1',
+    };
+    const routes = [{ liveMode: true }];
+    const ItineraryMap = () => null;
+
+    it('should only start one realtime client on mobile', () => {
+      const executeAction = sinon.stub();
+      const context = {
+        ...mockContext,
+        config: {
+          feedIds: ['HSL'],
+          liveMode: { show: true },
+          realTime: { HSL: { active: true, routeSelector: () => '55' } },
+        },
+        executeAction,
+        getStore: () => ({
+          ...mockContext.getStore(),
+          getLocationState: () => ({ hasLocation: false }),
+        }),
+        headers: {},
+        queryAggregator: { readyState: { done: true, error: null } },
+      };
+      const render = node => shallowWithIntl(node, { context });
+
+      // unwraps the breakpoint of the page
+      const page = render(
+        render(
+          <SummaryPageWithBreakpoint
+            content={
+              <ItineraryTab
+                focus={() => {}}
+                itinerary={itinerary}
+                params={params}
+                routes={routes}
+                searchTime={1000}
+              />
+            }
+            from={{ address: 'Rautatientori', lat: 60.175, lon: 24.9 }}
+            location={{ pathname: '/reitti/a/b/1/seuraa', query: {} }}
+            map={<ItineraryMap />}
+            params={params}
+            plan={{ plan: { itineraries: [itinerary, itinerary, itinerary] } }}
+            routes={routes}
+            serviceTimeRange={{ start: 0, end: 1 }}
+            to={{ address: 'Käpylä', lat: 60.2, lon: 24.9 }}
+          />,
+        ).prop('children')('small'),
+      ).dive();
+      const content = page.find(MobileView).prop('content');
+      expect(content.type).to.equal(MobileItineraryWrapper);
+      const tabs = content.props.children;
+      expect(tabs).to.have.lengthOf(3);
+
+      // the swipeable views mount all the tabs
+      tabs.forEach(tab =>
+        render(
+          <div>
+            {render(tab)
+              .find(BreakpointConsumer)
+              .prop('children')('small')}
+          </div>,
+        )
+          .find(JourneyLiveView)
+          .forEach(liveView => render(liveView.getElement()).dive()),
+      );
+      expect(
+        executeAction.args.filter(([action]) => action === startRealTimeClient),
+      ).to.have.lengthOf(1);
+    });
+  });
 });
@@ -3,13 +3,14 @@ import { describe, it } from 'mocha';
 import React from 'react';
 
 import { mockContext, mockChildContextTypes } from '../helpers/mock-context';
-import { mountWithIntl } from '../helpers/mock-intl-enzyme';
+import { mountWithIntl, shallowWithIntl } from '../helpers/mock-intl-enzyme';
 import {
   getRelayContextMock,
   mockRelayChildContextTypes,
 } from '../helpers/mock-relay';
 import defaultConfig from '../../../app/configurations/config.default';
 
+import ItineraryComparison from '../../../app/component/ItineraryComparison';
 import { Component as SummaryPlanContainer } from '../../../app/component/SummaryPlanContainer';
 
 const config = {
@@ -144,4 +145,25 @@ describe('<SummaryPlanContainer />', () => {
       wrapper.find({ id: 'no-route-already-at-destination' }),
     ).to.have.lengthOf(1);
   });
+
+  it('should show the comparison of the selected itineraries', () => {
+    const itineraries = [
+      { startTime: 1535490000000, endTime: 1535491200000, legs: [] },
+      { startTime: 1535490300000, endTime: 1535492400000, legs: [] },
+    ];
+    const wrapper = shallowWithIntl(
+      <SummaryPlanContainer {...props} itineraries={itineraries} />,
+      {
+        context: {
+          ...mockContext,
+          config,
+          location: { ...mockContext.location, query: { compare: '0,1' } },
+        },
+      },
+    );
+    expect(wrapper.find(ItineraryComparison).prop('selected')).to.deep.equal([
+      0,
+      1,
+    ]);
+  });
 });
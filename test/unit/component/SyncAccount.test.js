@@ -0,0 +1,73 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import React from 'react';
+import sinon from 'sinon';
+
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import { Component as SyncAccount } from '../../../app/component/SyncAccount';
+import {
+  connectSyncAccount,
+  createSyncAccount,
+} from '../../../app/action/SyncActions';
+import { SyncStatus } from '../../../app/store/SyncStore';
+
+const config = { contactName: { default: 'Digitransit' } };
+
+const render = (props, executeAction = sinon.stub()) =>
+  shallowWithIntl(<SyncAccount status={SyncStatus.Idle} {...props} />, {
+    context: { config, executeAction },
+  });
+
+describe('<SyncAccount />', () => {
+  it('should create an account', () => {
+    const executeAction = sinon.stub();
+    const wrapper = render({}, executeAction);
+    wrapper
+      .find('button')
+      .at(1)
+      .simulate('click');
+    expect(executeAction.calledWith(createSyncAccount)).to.equal(true);
+  });
+
+  it('should log in with a valid sync code', () => {
+    const executeAction = sinon.stub();
+    const wrapper = render({}, executeAction);
+    wrapper
+      .find('button')
+      .at(0)
+      .simulate('click');
+    wrapper.find('input').simulate('change', { target: { value: 'foo:bar' } });
+    wrapper.find('form').simulate('submit', { preventDefault: () => {} });
+    expect(
+      executeAction.calledWith(connectSyncAccount, { id: 'foo', token: 'bar' }),
+    ).to.equal(true);
+  });
+
+  it('should not log in with an invalid sync code', () => {
+    const executeAction = sinon.stub();
+    const wrapper = render({}, executeAction);
+    wrapper
+      .find('button')
+      .at(0)
+      .simulate('click');
+    wrapper.find('input').simulate('change', { target: { value: 'foo' } });
+    wrapper.find('form').simulate('submit', { preventDefault: () => {} });
+    expect(executeAction.called).to.equal(false);
+    expect(wrapper.find('.sync-account-status.error')).to.have.lengthOf(1);
+  });
+
+  it('should show the sync code of the account', () => {
+    const wrapper = render({ account: { id: 'foo', token: 'bar' } });
+    expect(wrapper.find('.sync-account-code').prop('value')).to.equal(
+      'foo:bar',
+    );
+  });
+
+  it('should show a failed sync', () => {
+    const wrapper = render({
+      account: { id: 'foo', token: 'bar' },
+      status: SyncStatus.Failed,
+    });
+    expect(wrapper.find('.sync-account-status.error')).to.have.lengthOf(1);
+  });
+});
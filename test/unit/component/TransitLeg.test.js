@@ -2,6 +2,7 @@ import { expect } from 'chai';
 import { describe, it } from 'mocha';
 import React from 'react';
 
+import { mockContext } from '../helpers/mock-context';
 import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
 import TransitLeg from '../../../app/component/TransitLeg';
 import IntermediateLeg from '../../../app/component/IntermediateLeg';
@@ -58,6 +59,7 @@ describe('<TransitLeg />', () => {
     };
     const wrapper = shallowWithIntl(<TransitLeg {...props} />, {
       context: {
+        ...mockContext,
         config: {
           itinerary: {
             showZoneLimits: true,
@@ -121,6 +123,7 @@ describe('<TransitLeg />', () => {
     };
     const wrapper = shallowWithIntl(<TransitLeg {...props} />, {
       context: {
+        ...mockContext,
         config: {
           itinerary: {
             showZoneLimits: true,
@@ -182,6 +185,7 @@ describe('<TransitLeg />', () => {
     };
     const wrapper = shallowWithIntl(<TransitLeg {...props} />, {
       context: {
+        ...mockContext,
         config: {
           itinerary: {
             showZoneLimits: true,
@@ -238,6 +242,7 @@ describe('<TransitLeg />', () => {
     };
     const wrapper = shallowWithIntl(<TransitLeg {...props} />, {
       context: {
+        ...mockContext,
         config: {
           itinerary: {
             showZoneLimits: false,
@@ -290,6 +295,7 @@ describe('<TransitLeg />', () => {
     };
     const wrapper = shallowWithIntl(<TransitLeg {...props} />, {
       context: {
+        ...mockContext,
         config: {
           itinerary: {
             showZoneLimits: true,
@@ -348,6 +354,7 @@ describe('<TransitLeg />', () => {
     };
     const wrapper = shallowWithIntl(<TransitLeg {...props} />, {
       context: {
+        ...mockContext,
         config: {
           itinerary: {},
         },
@@ -390,7 +397,11 @@ describe('<TransitLeg />', () => {
       mode: 'BUS',
     };
     const wrapper = shallowWithIntl(<TransitLeg {...props} />, {
-      context: { config: { itinerary: {} }, focusFunction: () => {} },
+      context: {
+        ...mockContext,
+        config: { itinerary: {} },
+        focusFunction: () => {},
+      },
     });
     expect(wrapper.find(RouteNumber).props().alertSeverityLevel).to.equal(
       AlertSeverityLevelType.Warning,
@@ -434,7 +445,11 @@ describe('<TransitLeg />', () => {
       mode: 'BUS',
     };
     const wrapper = shallowWithIntl(<TransitLeg {...props} />, {
-      context: { config: { itinerary: {} }, focusFunction: () => {} },
+      context: {
+        ...mockContext,
+        config: { itinerary: {} },
+        focusFunction: () => {},
+      },
     });
     expect(wrapper.find(RouteNumber).props().alertSeverityLevel).to.equal(
       AlertSeverityLevelType.Warning,
@@ -474,7 +489,11 @@ describe('<TransitLeg />', () => {
       mode: 'BUS',
     };
     const wrapper = shallowWithIntl(<TransitLeg {...props} />, {
-      context: { config: { itinerary: {} }, focusFunction: () => {} },
+      context: {
+        ...mockContext,
+        config: { itinerary: {} },
+        focusFunction: () => {},
+      },
     });
     expect(wrapper.find(RouteNumber).props().alertSeverityLevel).to.equal(
       AlertSeverityLevelType.Warning,
@@ -514,7 +533,11 @@ describe('<TransitLeg />', () => {
       mode: 'BUS',
     };
     const wrapper = shallowWithIntl(<TransitLeg {...props} />, {
-      context: { config: { itinerary: {} }, focusFunction: () => {} },
+      context: {
+        ...mockContext,
+        config: { itinerary: {} },
+        focusFunction: () => {},
+      },
     });
     expect(wrapper.find(RouteNumber).props().alertSeverityLevel).to.equal(
       AlertSeverityLevelType.Warning,
@@ -560,7 +583,11 @@ describe('<TransitLeg />', () => {
       mode: 'BUS',
     };
     const wrapper = shallowWithIntl(<TransitLeg {...props} />, {
-      context: { config: { itinerary: {} }, focusFunction: () => {} },
+      context: {
+        ...mockContext,
+        config: { itinerary: {} },
+        focusFunction: () => {},
+      },
     });
     expect(wrapper.find(RouteNumber).props().alertSeverityLevel).to.equal(
       AlertSeverityLevelType.Warning,
@@ -601,6 +628,7 @@ describe('<TransitLeg />', () => {
     };
     const wrapper = shallowWithIntl(<TransitLeg {...props} />, {
       context: {
+        ...mockContext,
         config: {
           itinerary: {},
           showTicketInformation: true,
@@ -647,7 +675,11 @@ describe('<TransitLeg />', () => {
       mode: 'BUS',
     };
     const wrapper = shallowWithIntl(<TransitLeg {...props} />, {
-      context: { config: { itinerary: {} }, focusFunction: () => {} },
+      context: {
+        ...mockContext,
+        config: { itinerary: {} },
+        focusFunction: () => {},
+      },
     });
     expect(wrapper.find(ServiceAlertIcon).prop('severityLevel')).to.equal(
       AlertSeverityLevelType.Info,
@@ -0,0 +1,66 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import React from 'react';
+import sinon from 'sinon';
+
+import { mockContext } from '../helpers/mock-context';
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import UserDataButtons, {
+  ImportStatus,
+} from '../../../app/component/UserDataButtons';
+import { importUserData } from '../../../app/action/UserDataActions';
+
+const render = executeAction =>
+  shallowWithIntl(<UserDataButtons />, {
+    context: { analytics: mockContext.analytics, executeAction },
+  });
+
+const createEvent = content => ({
+  target: {
+    files: [new window.File([content], 'data.json')],
+    value: 'data.json',
+  },
+});
+
+describe('<UserDataButtons />', () => {
+  it('should import the selected file', () => {
+    const executeAction = sinon.stub().resolves();
+    const wrapper = render(executeAction);
+    const document = { format: 'foo' };
+    return wrapper
+      .instance()
+      .onImport(createEvent(JSON.stringify(document)))
+      .then(() => {
+        expect(executeAction.calledWith(importUserData, document)).to.equal(
+          true,
+        );
+        expect(wrapper.state('importStatus')).to.equal(ImportStatus.Succeeded);
+      });
+  });
+
+  it('should show an error if the file cannot be parsed', () => {
+    const executeAction = sinon.stub().resolves();
+    const wrapper = render(executeAction);
+    return wrapper
+      .instance()
+      .onImport(createEvent('foo'))
+      .then(() => {
+        expect(executeAction.called).to.equal(false);
+        wrapper.update();
+        expect(
+          wrapper.find('.user-data-import-status.failed'),
+        ).to.have.lengthOf(1);
+      });
+  });
+
+  it('should show an error if the import fails', () => {
+    const executeAction = sinon.stub().rejects(new Error('foo'));
+    const wrapper = render(executeAction);
+    return wrapper
+      .instance()
+      .onImport(createEvent('{}'))
+      .then(() => {
+        expect(wrapper.state('importStatus')).to.equal(ImportStatus.Failed);
+      });
+  });
+});
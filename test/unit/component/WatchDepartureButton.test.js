@@ -0,0 +1,50 @@
+import { expect } from 'chai';
+import { afterEach, describe, it } from 'mocha';
+import React from 'react';
+import sinon from 'sinon';
+
+import { mockContext } from '../helpers/mock-context';
+import { shallowWithIntl } from '../helpers/mock-intl-enzyme';
+import { Component as WatchDepartureButton } from '../../../app/component/WatchDepartureButton';
+import {
+  unwatchDeparture,
+  watchDeparture,
+} from '../../../app/action/DepartureNotificationActions';
+
+const watch = { id: 'foo', type: 'departure' };
+
+const render = (isWatched, executeAction) =>
+  shallowWithIntl(
+    <WatchDepartureButton isWatched={isWatched} watch={watch} />,
+    {
+      context: { analytics: mockContext.analytics, executeAction },
+    },
+  );
+
+describe('<WatchDepartureButton />', () => {
+  afterEach(() => {
+    delete window.Notification;
+  });
+
+  it('should not render if notifications are not supported', () => {
+    const wrapper = render(false, sinon.stub());
+    expect(wrapper.isEmptyRender()).to.equal(true);
+  });
+
+  it('should watch the departure', () => {
+    window.Notification = () => {};
+    const executeAction = sinon.stub().resolves(true);
+    const wrapper = render(false, executeAction);
+    wrapper.find('button').simulate('click');
+    expect(executeAction.calledWith(watchDeparture)).to.equal(true);
+    expect(executeAction.firstCall.args[1].id).to.equal('foo');
+  });
+
+  it('should unwatch a watched departure', () => {
+    window.Notification = () => {};
+    const executeAction = sinon.stub();
+    const wrapper = render(true, executeAction);
+    wrapper.find('button').simulate('click');
+    expect(executeAction.calledWith(unwatchDeparture, 'foo')).to.equal(true);
+  });
+});
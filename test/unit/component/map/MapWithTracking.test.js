@@ -157,6 +157,46 @@ describe('<MapWithTracking />', () => {
     expect(wrapper.state().bounds).to.equal(bounds);
   });
 
+  it('should subscribe to the vehicles on the visible map', () => {
+    const executeAction = sinon.stub();
+    const props = {
+      ...defaultProps,
+      config: {
+        ...defaultProps.config,
+        realTime: { tampere: { active: true } },
+        feedIds: ['tampere'],
+        showAllBusses: true,
+      },
+    };
+    const wrapper = shallowWithIntl(<MapWithTracking {...props} />, {
+      context: {
+        ...defaultContext,
+        executeAction,
+        getStore: () => ({ client: {}, topics: [] }),
+      },
+    });
+    const instance = wrapper.instance();
+    instance.mapElement = {
+      leafletElement: {
+        getBounds: () => ({
+          getSouth: () => 61.49,
+          getWest: () => 23.75,
+          getNorth: () => 61.499,
+          getEast: () => 23.76,
+        }),
+        getZoom: () => 10,
+      },
+    };
+    instance.onMapMoveEnd();
+    instance.onMapMoveEnd();
+
+    // the client was started when mounted
+    expect(executeAction.callCount).to.equal(2);
+    expect(
+      executeAction.lastCall.args[1].options.map(option => option.geoHash),
+    ).to.deep.equal([['61;23', '47', '+', '+']]);
+  });
+
   it('should not update the current bounds if they are equal', () => {
     const initialBounds = {
       value: 'foobar',
@@ -2,6 +2,7 @@ import React from 'react';
 import { expect } from 'chai';
 import { describe, it } from 'mocha';
 import { LeafletProvider } from 'react-leaflet/es/context';
+import { Link } from 'react-router';
 
 import { mockContext, mockChildContextTypes } from '../../helpers/mock-context';
 import { mountWithIntl } from '../../helpers/mock-intl-enzyme';
@@ -89,4 +90,26 @@ describe('<MarkerPopupBottom />', () => {
       expect(state.summaryPageSelected).to.equal(0);
     });
   });
+
+  it('should link to the reachability of the location', () => {
+    const router = createMemoryMockRouter();
+    const wrapper = mountWithIntl(
+      <LeafletProvider value={{ map: { closePopup: () => {} } }}>
+        <MarkerPopupBottom
+          location={{ address: 'foo', lat: 60.1, lon: 24.9 }}
+        />
+      </LeafletProvider>,
+      {
+        context: {
+          ...mockContext,
+          location: router.getCurrentLocation(),
+          router,
+        },
+        childContextTypes: mockChildContextTypes,
+      },
+    );
+    expect(wrapper.find(Link).prop('to')).to.equal(
+      '/saavutettavuus/foo%3A%3A60.1%2C24.9',
+    );
+  });
 });
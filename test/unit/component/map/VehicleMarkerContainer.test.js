@@ -1,5 +1,7 @@
 import React from 'react';
+import sinon from 'sinon';
 
+import IconMarker from '../../../../app/component/map/IconMarker';
 import { shallowWithIntl, mountWithIntl } from '../../helpers/mock-intl-enzyme';
 import {
   Component as VehicleMarkerContainer,
@@ -30,13 +32,72 @@ const defaultProps = {
   },
 };
 
+const config = {
+  realTimeVehicles: {
+    staleAfter: 60,
+    expireAfter: 180,
+    animate: true,
+    maxExtrapolation: 30,
+  },
+};
+
+const renderAt = (props, now) => {
+  const clock = sinon.useFakeTimers(now);
+  try {
+    return shallowWithIntl(<VehicleMarkerContainer {...props} />, {
+      context: { config },
+      disableLifecycleMethods: true,
+    });
+  } finally {
+    clock.restore();
+  }
+};
+
 describe('<VehicleMarkerContainer />', () => {
   describe('VehicleMarkerContainer', () => {
     it('should render', () => {
       const wrapper = shallowWithIntl(
         <VehicleMarkerContainer {...defaultProps} />,
+        { context: { config } },
       );
       expect(wrapper.isEmptyRender()).to.equal(false);
+      wrapper.unmount();
+    });
+
+    it('should grey out a stale vehicle', () => {
+      const wrapper = renderAt(
+        { ...defaultProps, clockOffset: 0 },
+        (1553260781 + 61) * 1000,
+      );
+      expect(wrapper.find(IconMarker).prop('icon').className).to.contain(
+        'stale',
+      );
+    });
+
+    it('should not render an expired vehicle', () => {
+      const wrapper = renderAt(
+        { ...defaultProps, clockOffset: 0 },
+        (1553260781 + 181) * 1000,
+      );
+      expect(wrapper.isEmptyRender()).to.equal(true);
+    });
+
+    it('should move the vehicle along the geometry', () => {
+      const wrapper = renderAt(
+        {
+          ...defaultProps,
+          clockOffset: 0,
+          speeds: { tampereBus: 10 },
+          geometry: [
+            { lat: 61.50639, lon: 23.77416 },
+            { lat: 61.50539, lon: 23.77416 },
+          ],
+        },
+        (1553260781 + 5) * 1000,
+      );
+      const { position } = wrapper.find(IconMarker).props();
+      expect(position.lon).to.be.closeTo(23.77416, 0.000001);
+      expect(position.lat).to.be.closeTo(61.50639 - 0.00045, 0.00001);
     });
   });
 
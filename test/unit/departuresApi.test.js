@@ -0,0 +1,235 @@
+import { expect } from 'chai';
+import { afterEach, describe, it } from 'mocha';
+import fetchMock from 'fetch-mock';
+
+import departuresApi, {
+  getNumberOfDepartures,
+  toDeparture,
+  toDepartures,
+} from '../../app/departuresApi';
+import config from '../../app/configurations/config.default';
+import { resetGraphQLCache } from '../../app/util/graphQLCache';
+
+const otpUrl = `${config.URL.OTP}index/graphql`;
+
+const createResponse = () => {
+  const res = {
+    headers: {},
+    statusCode: 200,
+  };
+  res.setHeader = (key, value) => {
+    res.headers[key] = value;
+  };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.sent = new Promise(resolve => {
+    res.send = body => {
+      res.body = body;
+      resolve(res);
+    };
+    res.json = body => res.send(body);
+  });
+  return res;
+};
+
+const route = {
+  gtfsId: 'HSL:1055',
+  shortName: '55',
+  longName: 'Rautatientori - Koskela',
+  mode: 'BUS',
+  alerts: [
+    {
+      alertHeaderText: 'Detour',
+      alertDescriptionText: 'The bus takes a detour.',
+      alertSeverityLevel: 'WARNING',
+      trip: { pattern: { code: 'HSL:1055:0:01' } },
+    },
+    {
+      alertHeaderText: 'Other direction',
+      trip: { pattern: { code: 'HSL:1055:1:01' } },
+    },
+  ],
+};
+
+const stoptime = {
+  serviceDay: 1529269200,
+  scheduledArrival: 36000,
+  scheduledDeparture: 36060,
+  realtimeArrival: 36120,
+  realtimeDeparture: 36180,
+  realtime: true,
+  realtimeState: 'UPDATED',
+  pickupType: 'SCHEDULED',
+  stopHeadsign: 'Koskela',
+  trip: {
+    gtfsId: 'HSL:1055_20180618_Ma_1_1000',
+    pattern: { code: 'HSL:1055:0:01', headsign: 'Koskela', route },
+  },
+};
+
+const stop = {
+  gtfsId: 'HSL:1173210',
+  name: 'Kamppi',
+  code: '1249',
+  alerts: [],
+  stoptimes: [stoptime],
+};
+
+describe('departuresApi', () => {
+  describe('getNumberOfDepartures', () => {
+    it('should default to the configured number', () => {
+      expect(getNumberOfDepartures({}, config)).to.equal(
+        config.departuresApi.departures,
+      );
+      expect(getNumberOfDepartures({ n: 'foo' }, config)).to.equal(
+        config.departuresApi.departures,
+      );
+    });
+
+    it('should not exceed the configured maximum', () => {
+      expect(getNumberOfDepartures({ n: '5' }, config)).to.equal(5);
+      expect(getNumberOfDepartures({ n: '1000' }, config)).to.equal(
+        config.departuresApi.maxDepartures,
+      );
+    });
+  });
+
+  describe('toDeparture', () => {
+    it('should return the scheduled and the realtime departure times', () => {
+      const departure = toDeparture(stoptime, 'en', stoptime.serviceDay);
+      expect(departure.route.shortName).to.equal('55');
+      expect(departure.headsign).to.equal('Koskela');
+      expect(departure.scheduledTime).to.equal(
+        new Date((stoptime.serviceDay + 36060) * 1000).toISOString(),
+      );
+      expect(departure.realtimeTime).to.equal(
+        new Date((stoptime.serviceDay + 36180) * 1000).toISOString(),
+      );
+      expect(departure.canceled).to.equal(false);
+    });
+
+    it('should not have a realtime time for a canceled departure', () => {
+      const departure = toDeparture(
+        { ...stoptime, realtimeState: 'CANCELED' },
+        'en',
+        stoptime.serviceDay,
+      );
+      expect(departure.canceled).to.equal(true);
+      expect(departure.realtimeTime).to.equal(null);
+    });
+
+    it('should use the arrival time for an arrival', () => {
+      const departure = toDeparture(
+        { ...stoptime, pickupType: 'NONE' },
+        'en',
+        stoptime.serviceDay,
+      );
+      expect(departure.isArrival).to.equal(true);
+      expect(departure.scheduledTime).to.equal(
+        new Date((stoptime.serviceDay + 36000) * 1000).toISOString(),
+      );
+    });
+
+    it('should only include the alerts of the pattern', () => {
+      const departure = toDeparture(stoptime, 'en', stoptime.serviceDay);
+      expect(departure.alerts).to.deep.equal([
+        {
+          header: 'Detour',
+          description: 'The bus takes a detour.',
+          url: null,
+          severityLevel: 'WARNING',
+        },
+      ]);
+    });
+  });
+
+  describe('toDepartures', () => {
+    it('should order the departures by their time', () => {
+      const later = { ...stoptime, realtimeDeparture: 40000 };
+      const result = toDepartures(
+        { ...stop, stoptimes: [later, stoptime] },
+        'en',
+        stoptime.serviceDay,
+      );
+      expect(result.stop).to.deep.equal({
+        gtfsId: 'HSL:1173210',
+        name: 'Kamppi',
+        code: '1249',
+      });
+      expect(result.departures[0].realtimeTime).to.equal(
+        new Date((stoptime.serviceDay + 36180) * 1000).toISOString(),
+      );
+    });
+  });
+
+  describe('middleware', () => {
+    afterEach(() => {
+      fetchMock.restore();
+      resetGraphQLCache();
+    });
+
+    const req = {
+      headers: {},
+      method: 'GET',
+      params: { stopId: 'HSL:1173210' },
+      query: { n: '5' },
+    };
+
+    it('should return the departures with the cors headers', async () => {
+      fetchMock.post(otpUrl, { data: { stop, station: null } });
+      const res = createResponse();
+      departuresApi(req, res, () => {});
+      await res.sent;
+      expect(res.statusCode).to.equal(200);
+      expect(res.headers['Access-Control-Allow-Origin']).to.equal('*');
+      expect(res.headers['Cache-Control']).to.equal(
+        `public, max-age=${config.departuresApi.cacheTtl}`,
+      );
+      expect(res.body.departures.length).to.equal(1);
+      expect(JSON.parse(fetchMock.lastOptions().body).variables).to.deep.equal({
+        id: 'HSL:1173210',
+        numberOfDepartures: 5,
+      });
+    });
+
+    it('should cache the departures', async () => {
+      fetchMock.post(otpUrl, { data: { stop, station: null } });
+      const first = createResponse();
+      departuresApi(req, first, () => {});
+      await first.sent;
+      const second = createResponse();
+      departuresApi(req, second, () => {});
+      await second.sent;
+      expect(fetchMock.calls().length).to.equal(1);
+      expect(second.body).to.deep.equal(first.body);
+    });
+
+    it('should return 404 for an unknown stop', async () => {
+      fetchMock.post(otpUrl, { data: { stop: null, station: null } });
+      const res = createResponse();
+      departuresApi(req, res, () => {});
+      await res.sent;
+      expect(res.statusCode).to.equal(404);
+    });
+
+    it('should pass on the errors of building the departures', async () => {
+      fetchMock.post(otpUrl, {
+        data: { stop: { ...stop, stoptimes: [{}] }, station: null },
+      });
+      const error = await new Promise(resolve =>
+        departuresApi(req, createResponse(), resolve),
+      );
+      expect(error).to.be.an('error');
+    });
+
+    it('should answer a preflight request', async () => {
+      const res = createResponse();
+      departuresApi({ ...req, method: 'OPTIONS' }, res, () => {});
+      await res.sent;
+      expect(res.statusCode).to.equal(204);
+      expect(fetchMock.called()).to.equal(false);
+    });
+  });
+});
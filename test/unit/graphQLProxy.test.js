@@ -0,0 +1,60 @@
+import { expect } from 'chai';
+import { afterEach, describe, it } from 'mocha';
+import fetchMock from 'fetch-mock';
+
+import graphQLProxy, { executePersistedQuery } from '../../app/graphQLProxy';
+import defaultConfig from '../../app/configurations/config.default';
+import { getQueryId, resetGraphQLCache } from '../../app/util/graphQLCache';
+import { PERSISTED_QUERY_NOT_FOUND } from '../../app/util/persistedQueries';
+
+const config = {
+  ...defaultConfig,
+  graphQLCache: { ...defaultConfig.graphQLCache, persistedQueries: true },
+};
+const otpUrl = `${config.URL.OTP}index/graphql`;
+const query = 'query { stop(id: "HSL:1") { name } }';
+const payload = { data: { stop: { name: 'Rautatientori' } } };
+
+describe('graphQLProxy', () => {
+  afterEach(() => {
+    fetchMock.restore();
+    resetGraphQLCache();
+  });
+
+  describe('executePersistedQuery', () => {
+    it('should return an error for an unknown query', async () => {
+      const result = await executePersistedQuery(config, { queryId: 'abc' });
+      expect(result.errors[0].message).to.equal(PERSISTED_QUERY_NOT_FOUND);
+      expect(fetchMock.called()).to.equal(false);
+    });
+
+    it('should reject a query that does not match its id', async () => {
+      const result = await executePersistedQuery(config, {
+        queryId: 'abc',
+        query,
+      });
+      expect(result.errors[0].message).to.equal('PersistedQueryHashMismatch');
+    });
+
+    it('should remember the query by its id', async () => {
+      fetchMock.post(otpUrl, payload);
+      const queryId = getQueryId(query);
+      await executePersistedQuery(config, { queryId, query });
+      const result = await executePersistedQuery(config, { queryId });
+      expect(result).to.deep.equal(payload);
+      expect(JSON.parse(fetchMock.lastOptions().body).query).to.equal(query);
+    });
+  });
+
+  it('should not be available without persisted queries', () => {
+    const res = {
+      status: code => {
+        res.statusCode = code;
+        return res;
+      },
+      send: () => {},
+    };
+    graphQLProxy({ headers: {}, body: {} }, res);
+    expect(res.statusCode).to.equal(404);
+  });
+});
@@ -17,6 +17,7 @@ const muiTheme = getMuiTheme({
  * their propType requirements.
  */
 export const mockContext = {
+  analytics: { trackEvent: noop, trackPageview: noop },
   config: {},
   executeAction: noop,
   getStore: () => ({
@@ -48,6 +49,7 @@ export const mockContext = {
  * The mockChildContextTypes reflects the contents of mockContext.
  */
 export const mockChildContextTypes = {
+  analytics: PropTypes.object,
   config: PropTypes.object,
   executeAction: PropTypes.func,
   getStore: PropTypes.func,
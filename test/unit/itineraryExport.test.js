@@ -0,0 +1,209 @@
+import { expect } from 'chai';
+import { afterEach, describe, it } from 'mocha';
+import fetchMock from 'fetch-mock';
+import moment from 'moment-timezone/moment-timezone';
+
+import itineraryExport, {
+  buildPlanQuery,
+  getLegCoordinates,
+  itineraryToGeoJson,
+  itineraryToGpx,
+} from '../../app/itineraryExport';
+import config from '../../app/configurations/config.default';
+import dt2831 from './test-data/dt2831';
+
+const createResponse = () => {
+  const res = {
+    headers: {},
+    statusCode: 200,
+  };
+  res.setHeader = (key, value) => {
+    res.headers[key] = value;
+  };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.sent = new Promise(resolve => {
+    res.send = body => {
+      res.body = body;
+      resolve(res);
+    };
+  });
+  return res;
+};
+
+describe('itineraryExport', () => {
+  describe('buildPlanQuery', () => {
+    it('should only declare the variables that have a value', () => {
+      const { query, variables } = buildPlanQuery({
+        fromPlace: 'Pasila::60.199,24.933',
+        toPlace: 'Kamppi::60.169,24.931',
+        wheelchair: false,
+        modes: null,
+        unknown: 'foo',
+      });
+      expect(variables).to.deep.equal({
+        fromPlace: 'Pasila::60.199,24.933',
+        toPlace: 'Kamppi::60.169,24.931',
+        wheelchair: false,
+      });
+      expect(query).to.contain(
+        '$fromPlace: String, $toPlace: String, $wheelchair: Boolean',
+      );
+      expect(query).to.not.contain('$modes');
+      expect(query).to.not.contain('unknown');
+    });
+  });
+
+  describe('getLegCoordinates', () => {
+    it('should decode the leg geometry', () => {
+      const coordinates = getLegCoordinates(dt2831.legs[0]);
+      expect(coordinates.length).to.equal(dt2831.legs[0].legGeometry.length);
+    });
+
+    it('should fall back to the endpoints of the leg', () => {
+      const leg = {
+        from: { lat: 1, lon: 2 },
+        to: { lat: 3, lon: 4 },
+      };
+      expect(getLegCoordinates(leg)).to.deep.equal([[1, 2], [3, 4]]);
+    });
+  });
+
+  describe('itineraryToGeoJson', () => {
+    it('should create a feature for each leg', () => {
+      const geoJson = itineraryToGeoJson(dt2831);
+      expect(geoJson.type).to.equal('FeatureCollection');
+      expect(geoJson.features.length).to.equal(dt2831.legs.length);
+
+      const transitLeg = dt2831.legs.find(leg => leg.transitLeg);
+      const feature = geoJson.features[dt2831.legs.indexOf(transitLeg)];
+      expect(feature.geometry.type).to.equal('LineString');
+      expect(feature.properties.mode).to.equal(transitLeg.mode);
+      expect(feature.properties.routeShortName).to.equal(
+        transitLeg.route.shortName,
+      );
+      expect(feature.properties.startTime).to.equal(
+        new Date(transitLeg.startTime).toISOString(),
+      );
+    });
+
+    it('should use the GeoJSON coordinate order', () => {
+      const [[lon, lat]] = itineraryToGeoJson(
+        dt2831,
+      ).features[0].geometry.coordinates;
+      expect(lat).to.be.closeTo(dt2831.legs[0].from.lat, 0.0001);
+      expect(lon).to.be.closeTo(dt2831.legs[0].from.lon, 0.0001);
+    });
+  });
+
+  describe('itineraryToGpx', () => {
+    it('should create a track for each leg', () => {
+      const gpx = itineraryToGpx(dt2831);
+      expect(gpx.startsWith('<?xml')).to.equal(true);
+      expect(gpx.match(/<trk>/g).length).to.equal(dt2831.legs.length);
+      expect(gpx.match(/<wpt /g).length).to.equal(2);
+    });
+
+    it('should escape special characters', () => {
+      const gpx = itineraryToGpx(dt2831, 'A & B');
+      expect(gpx).to.contain('creator="A &amp; B"');
+    });
+  });
+
+  describe('middleware', () => {
+    afterEach(() => {
+      fetchMock.restore();
+    });
+
+    const req = {
+      headers: {},
+      params: {
+        from: 'Pasila::60.199,24.933',
+        to: 'Kamppi::60.169,24.931',
+        hash: '0',
+        format: 'gpx',
+      },
+      query: {},
+    };
+
+    it('should return the selected itinerary as gpx', async () => {
+      fetchMock.post(`${config.URL.OTP}index/graphql`, {
+        data: { plan: { itineraries: [dt2831] } },
+      });
+      const res = createResponse();
+      itineraryExport(req, res, () => {});
+      await res.sent;
+      expect(res.statusCode).to.equal(200);
+      expect(res.headers['Content-Type']).to.contain('application/gpx+xml');
+      expect(res.body).to.contain('<gpx');
+    });
+
+    it('should return 404 for a missing itinerary', async () => {
+      fetchMock.post(`${config.URL.OTP}index/graphql`, {
+        data: { plan: { itineraries: [dt2831] } },
+      });
+      const res = createResponse();
+      itineraryExport(
+        { ...req, params: { ...req.params, hash: '3' } },
+        res,
+        () => {},
+      );
+      await res.sent;
+      expect(res.statusCode).to.equal(404);
+    });
+
+    it('should plan the journey in the timezone of the configuration', async () => {
+      const { defaultZone } = moment;
+      // the server runs in UTC until the first page has been rendered
+      moment.tz.add('UTC|UTC|0|0|');
+      moment.tz.setDefault('UTC');
+      try {
+        fetchMock.post(`${config.URL.OTP}index/graphql`, {
+          data: { plan: { itineraries: [dt2831] } },
+        });
+        const res = createResponse();
+        itineraryExport(
+          { ...req, query: { time: '1548849600' } }, // 2019-01-30T12:00Z
+          res,
+          () => {},
+        );
+        await res.sent;
+        const { variables } = JSON.parse(fetchMock.lastOptions().body);
+        expect(variables.date).to.equal('2019-01-30');
+        expect(variables.time).to.equal('14:00:00');
+      } finally {
+        moment.tz.setDefault(defaultZone ? defaultZone.name : undefined);
+      }
+    });
+
+    it('should ask for the same itineraries as the summary page', async () => {
+      fetchMock.post(`${config.URL.OTP}index/graphql`, {
+        data: { plan: { itineraries: [dt2831] } },
+      });
+      const getVariables = async headers => {
+        const res = createResponse();
+        itineraryExport({ ...req, headers }, res, () => {});
+        await res.sent;
+        return JSON.parse(fetchMock.lastOptions().body).variables;
+      };
+
+      const desktop = await getVariables({});
+      expect(desktop.numItineraries).to.equal(5);
+      expect(desktop.itineraryFiltering).to.equal(config.itineraryFiltering);
+      const mobile = await getVariables({ 'user-agent': 'Android Mobile' });
+      expect(mobile.numItineraries).to.equal(3);
+    });
+
+    it('should pass on the errors of building the export', async () => {
+      fetchMock.post(`${config.URL.OTP}index/graphql`, {
+        data: { plan: { itineraries: [{ legs: [{}] }] } },
+      });
+      const error = await new Promise(resolve =>
+        itineraryExport(req, createResponse(), resolve),
+      );
+      expect(error).to.be.an('error');
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it } from 'mocha';
+import { beforeEach, describe, it } from 'mocha';
 import { expect } from 'chai';
 import sinon from 'sinon';
 
@@ -10,6 +10,11 @@ import {
   setRoutingSettings,
   getCustomizedSettings,
   setCustomizedSettings,
+  getSyncState,
+  setSyncState,
+  setFavouriteRoutesStorage,
+  getSyncedCollection,
+  setSyncedCollection,
 } from '../../app/store/localStorage';
 import defaultConfig from '../../app/configurations/config.default';
 
@@ -185,4 +190,40 @@ describe('localStorage', () => {
       expect(result).to.equal(global.localStorage);
     });
   });
+
+  describe('sync', () => {
+    const account = { id: 'foo', token: 'bar' };
+
+    beforeEach(() => {
+      setSyncState({});
+      setSyncedCollection('favouriteRoutes', []);
+    });
+
+    it('should record the changes of the synchronised collections', () => {
+      setSyncState({ account });
+      setFavouriteRoutesStorage(['HSL:1']);
+      const { dirty, collections } = getSyncState();
+      expect(dirty).to.equal(true);
+      expect(Object.keys(collections.favouriteRoutes.items)).to.deep.equal([
+        'HSL:1',
+      ]);
+    });
+
+    it('should not record the changes without an account', () => {
+      setFavouriteRoutesStorage(['HSL:1']);
+      expect(getSyncedCollection('favouriteRoutes')).to.deep.equal(['HSL:1']);
+      expect(getSyncState()).to.deep.equal({});
+    });
+
+    it('should not record the merged values as changes', () => {
+      setSyncedCollection('favouriteRoutes', ['HSL:1']);
+      expect(getSyncedCollection('favouriteRoutes')).to.deep.equal(['HSL:1']);
+      expect(getSyncState()).to.deep.equal({});
+    });
+
+    it('should not record the changes of the other items', () => {
+      setRoutingSettings(ROUTING_SETTINGS);
+      expect(getSyncState()).to.deep.equal({});
+    });
+  });
 });
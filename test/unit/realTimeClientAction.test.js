@@ -0,0 +1,20 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import sinon from 'sinon';
+
+import { startRealTimeClient } from '../../app/action/realTimeClientAction';
+
+describe('realTimeClientAction', () => {
+  describe('startRealTimeClient', () => {
+    it('should not start the client for the data saved for offline use', () => {
+      const actionContext = {
+        dispatch: sinon.stub(),
+        getStore: () => ({ getSavedAt: () => 100 }),
+      };
+      const done = sinon.stub();
+      startRealTimeClient(actionContext, { mqtt: 'wss://foo' }, done);
+      expect(done.calledOnce).to.equal(true);
+      expect(actionContext.dispatch.called).to.equal(false);
+    });
+  });
+});
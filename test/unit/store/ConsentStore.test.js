@@ -0,0 +1,51 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import ConsentStore from '../../../app/store/ConsentStore';
+import {
+  getConsentStorage,
+  setConsentStorage,
+} from '../../../app/store/localStorage';
+import { ConsentCategory } from '../../../app/constants';
+
+const createStore = requireConsent =>
+  new ConsentStore({ getContext: () => ({ config: { requireConsent } }) });
+
+describe('ConsentStore', () => {
+  it('should not consent to anything before the user has answered', () => {
+    const store = createStore(true);
+    expect(store.isAnswered()).to.equal(false);
+    expect(store.hasConsent(ConsentCategory.Analytics)).to.equal(false);
+  });
+
+  it('should store the consent of every category', () => {
+    const store = createStore(true);
+    store.updateConsent({
+      [ConsentCategory.Analytics]: true,
+      [ConsentCategory.ErrorReporting]: false,
+    });
+    expect(store.isAnswered()).to.equal(false);
+
+    store.updateConsent({ [ConsentCategory.FeedbackSurveys]: false });
+    expect(store.isAnswered()).to.equal(true);
+    expect(store.getConsent()).to.deep.equal({
+      [ConsentCategory.Analytics]: true,
+      [ConsentCategory.ErrorReporting]: false,
+      [ConsentCategory.FeedbackSurveys]: false,
+    });
+    expect(getConsentStorage()).to.deep.equal(store.getConsent());
+  });
+
+  it('should read the consent from localStorage', () => {
+    setConsentStorage({ [ConsentCategory.ErrorReporting]: true });
+    const store = createStore(true);
+    expect(store.hasConsent(ConsentCategory.ErrorReporting)).to.equal(true);
+    expect(store.hasConsent(ConsentCategory.FeedbackSurveys)).to.equal(false);
+  });
+
+  it('should allow everything when consent is not required', () => {
+    const store = createStore(false);
+    expect(store.isAnswered()).to.equal(true);
+    expect(store.hasConsent(ConsentCategory.FeedbackSurveys)).to.equal(true);
+  });
+});
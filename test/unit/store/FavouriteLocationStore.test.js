@@ -0,0 +1,63 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import FavouriteLocationStore from '../../../app/store/FavouriteLocationStore';
+import {
+  getCommuteProfilesStorage,
+  setFavouriteLocationsStorage,
+} from '../../../app/store/localStorage';
+
+describe('FavouriteLocationStore', () => {
+  const profile = {
+    originId: 1,
+    destinationId: 2,
+    weekdays: [1, 2, 3, 4, 5],
+    arriveBy: '08:00',
+  };
+
+  describe('commute profiles', () => {
+    it('should add a commute profile with a new id', () => {
+      const store = new FavouriteLocationStore();
+      store.addCommuteProfile(profile);
+      store.addCommuteProfile(profile);
+      expect(store.getCommuteProfiles().map(p => p.id)).to.deep.equal([1, 2]);
+      expect(getCommuteProfilesStorage()).to.deep.equal(
+        store.getCommuteProfiles(),
+      );
+    });
+
+    it('should update an existing commute profile', () => {
+      const store = new FavouriteLocationStore();
+      store.addCommuteProfile(profile);
+      store.addCommuteProfile({ ...profile, id: 1, arriveBy: '09:00' });
+      expect(store.getCommuteProfiles()).to.deep.equal([
+        { ...profile, id: 1, arriveBy: '09:00' },
+      ]);
+    });
+
+    it('should delete a commute profile', () => {
+      const store = new FavouriteLocationStore();
+      store.addCommuteProfile(profile);
+      store.deleteCommuteProfile({ id: 1 });
+      expect(store.getCommuteProfiles()).to.deep.equal([]);
+      expect(getCommuteProfilesStorage()).to.deep.equal([]);
+    });
+
+    it('should delete the commute profiles of a deleted favourite location', () => {
+      setFavouriteLocationsStorage([
+        { id: 1, version: 1 },
+        { id: 2, version: 1 },
+        { id: 3, version: 1 },
+      ]);
+      const store = new FavouriteLocationStore();
+      store.addCommuteProfile(profile);
+      store.addCommuteProfile({ ...profile, originId: 3, destinationId: 1 });
+      store.addCommuteProfile({ ...profile, originId: 3 });
+      store.deleteFavouriteLocation({ id: 1 });
+      expect(store.getCommuteProfiles()).to.deep.equal([
+        { ...profile, id: 3, originId: 3 },
+      ]);
+      expect(getCommuteProfilesStorage()).to.have.lengthOf(1);
+    });
+  });
+});
@@ -0,0 +1,27 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import OfflineStore from '../../../app/store/OfflineStore';
+
+describe('OfflineStore', () => {
+  it('should remember the time of the served offline data', () => {
+    const store = new OfflineStore();
+    expect(store.getSavedAt()).to.equal(undefined);
+    store.setOfflineData(100);
+    expect(store.getSavedAt()).to.equal(100);
+    store.clearOfflineData();
+    expect(store.getSavedAt()).to.equal(undefined);
+  });
+
+  it('should only emit a change when the state changes', () => {
+    const store = new OfflineStore();
+    let changes = 0;
+    store.addChangeListener(() => {
+      changes += 1;
+    });
+    store.clearOfflineData();
+    store.setOfflineData(100);
+    store.setOfflineData(100);
+    expect(changes).to.equal(1);
+  });
+});
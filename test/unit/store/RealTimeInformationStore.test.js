@@ -1,5 +1,5 @@
 import { expect } from 'chai';
-import { beforeEach, describe, it } from 'mocha';
+import { afterEach, beforeEach, describe, it } from 'mocha';
 import sinon from 'sinon';
 
 import RealTimeInformationStore from '../../../app/store/RealTimeInformationStore';
@@ -10,7 +10,11 @@ describe('RealtimeInformationStore', () => {
   let emitChange;
 
   beforeEach(() => {
-    dispatcher = sinon.stub();
+    dispatcher = {
+      getContext: () => ({
+        config: { realTimeVehicles: { expireAfter: 180 } },
+      }),
+    };
     store = new RealTimeInformationStore(dispatcher);
     emitChange = sinon.stub(store, 'emitChange');
   });
@@ -89,6 +93,77 @@ describe('RealtimeInformationStore', () => {
     });
   });
 
+  describe('handleMessage with timestamps', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers(1553604421000);
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should calculate the speed from consecutive positions', () => {
+      store.handleMessage({
+        id: 'foo',
+        lat: 61.5,
+        long: 23.7,
+        timestamp: 1553604411,
+      });
+      expect(store.getSpeed('foo')).to.equal(undefined);
+      store.handleMessage({
+        id: 'foo',
+        lat: 61.5009,
+        long: 23.7,
+        timestamp: 1553604421,
+      });
+      expect(store.getSpeed('foo')).to.be.closeTo(10, 0.1);
+    });
+
+    it('should remove the expired vehicles', () => {
+      store.handleMessage([
+        { id: 'foo', lat: 61.5, long: 23.7, timestamp: 1553604421 },
+        { id: 'bar', lat: 61.5, long: 23.7, timestamp: 1553604421 - 181 },
+      ]);
+      expect(store.getVehicle('foo')).to.not.equal(undefined);
+      expect(store.getVehicle('bar')).to.equal(undefined);
+    });
+
+    it('should take the clock offset of the device into account', () => {
+      store.handleMessage({
+        id: 'foo',
+        lat: 61.5,
+        long: 23.7,
+        timestamp: 1553604421 - 600,
+      });
+      expect(store.clockOffset).to.equal(600);
+      expect(store.getVehicle('foo')).to.not.equal(undefined);
+
+      clock.tick(181 * 1000);
+      store.handleMessage({
+        id: 'bar',
+        lat: 61.5,
+        long: 23.7,
+        timestamp: 1553604421 - 600 + 181,
+      });
+      expect(store.getVehicle('foo')).to.equal(undefined);
+      expect(store.getVehicle('bar')).to.not.equal(undefined);
+    });
+
+    it('should clear the speeds and the clock offset on reset', () => {
+      store.handleMessage({
+        id: 'foo',
+        lat: 61.5,
+        long: 23.7,
+        timestamp: 1553604421,
+      });
+      store.resetClient();
+      expect(store.speeds).to.deep.equal({});
+      expect(store.clockOffset).to.equal(undefined);
+    });
+  });
+
   describe('getVehicle', () => {
     it('should return the given vehicle', () => {
       store.handleMessage({
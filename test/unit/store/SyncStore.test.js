@@ -0,0 +1,38 @@
+import { expect } from 'chai';
+import { beforeEach, describe, it } from 'mocha';
+
+import SyncStore, { SyncStatus } from '../../../app/store/SyncStore';
+import { setSyncState } from '../../../app/store/localStorage';
+
+describe('SyncStore', () => {
+  const account = { id: 'foo', token: 'bar' };
+
+  beforeEach(() => {
+    setSyncState({});
+  });
+
+  it('should read the account from localStorage', () => {
+    setSyncState({ account, lastSync: 100 });
+    const store = new SyncStore();
+    expect(store.getAccount()).to.deep.equal(account);
+    expect(store.getLastSync()).to.equal(100);
+    expect(store.getStatus()).to.equal(SyncStatus.Idle);
+  });
+
+  it('should clear the latest sync time when the account changes', () => {
+    setSyncState({ account, lastSync: 100 });
+    const store = new SyncStore();
+    store.setAccount(undefined);
+    expect(store.getAccount()).to.equal(undefined);
+    expect(store.getLastSync()).to.equal(undefined);
+  });
+
+  it('should reset the status after a sync', () => {
+    const store = new SyncStore();
+    store.setStatus(SyncStatus.Syncing);
+    expect(store.getStatus()).to.equal(SyncStatus.Syncing);
+    store.setSynced(200);
+    expect(store.getStatus()).to.equal(SyncStatus.Idle);
+    expect(store.getLastSync()).to.equal(200);
+  });
+});
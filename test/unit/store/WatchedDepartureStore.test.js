@@ -0,0 +1,40 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import WatchedDepartureStore from '../../../app/store/WatchedDepartureStore';
+import {
+  getWatchedDepartures,
+  setWatchedDepartures,
+} from '../../../app/store/localStorage';
+
+describe('WatchedDepartureStore', () => {
+  it('should read the watches from localStorage', () => {
+    setWatchedDepartures([{ id: 'foo' }]);
+    const store = new WatchedDepartureStore();
+    expect(store.isWatched('foo')).to.equal(true);
+    expect(store.isWatched('bar')).to.equal(false);
+  });
+
+  it('should store the watched and unwatched departures', () => {
+    const store = new WatchedDepartureStore();
+    store.watchDeparture({ id: 'foo' });
+    store.watchDeparture({ id: 'bar' });
+    store.unwatchDeparture('foo');
+    expect(getWatchedDepartures()).to.deep.equal([{ id: 'bar' }]);
+  });
+
+  it('should update the watches and remove the expired ones', () => {
+    const store = new WatchedDepartureStore();
+    store.watchDeparture({ id: 'foo' });
+    store.watchDeparture({ id: 'bar' });
+    store.watchDeparture({ id: 'baz' });
+    store.updateWatches({
+      updated: [{ id: 'foo', canceled: true }, { id: 'removed' }],
+      expired: ['bar'],
+    });
+    expect(store.getWatches()).to.deep.equal([
+      { id: 'foo', canceled: true },
+      { id: 'baz' },
+    ]);
+  });
+});
@@ -0,0 +1,251 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import {
+  WheelchairBoarding,
+  getAccessibilityAlertsForStop,
+  getAccessibilityProfile,
+  getItineraryAccessibility,
+  getMaxSlope,
+  hasAccessibilityIssues,
+  isAccessibilityAlert,
+  isAccessibilityProfileActive,
+} from '../../../app/util/accessibilityUtils';
+
+const keywords = ['elevator', 'hissi'];
+
+const elevatorAlert = {
+  alertHash: 1,
+  alertHeaderText: 'Hissi on rikki',
+  alertHeaderTextTranslations: [
+    { language: 'en', text: 'The elevator is out of order' },
+  ],
+};
+const otherAlert = {
+  alertHash: 2,
+  alertHeaderText: 'Pysäkki on siirretty',
+};
+
+const from = {
+  gtfsId: 'HSL:1',
+  name: 'Rautatientori',
+  wheelchairBoarding: WheelchairBoarding.Possible,
+  alerts: [elevatorAlert, otherAlert],
+};
+const to = {
+  gtfsId: 'HSL:2',
+  name: 'Käpylä',
+  wheelchairBoarding: WheelchairBoarding.NotPossible,
+  alerts: [],
+};
+
+const walkLeg = {
+  mode: 'WALK',
+  startTime: 0,
+  transitLeg: false,
+  to: { name: 'Rautatientori' },
+  steps: [
+    {
+      elevationProfile: [
+        { distance: 0, elevation: 10 },
+        { distance: 5, elevation: 12 },
+        { distance: 20, elevation: 11 },
+        { distance: 40, elevation: 12 },
+      ],
+    },
+  ],
+};
+const busLeg = {
+  mode: 'BUS',
+  startTime: 1000,
+  transitLeg: true,
+  from: { stop: from },
+  to: { stop: to },
+  route: { shortName: '55' },
+  trip: { wheelchairAccessible: WheelchairBoarding.Possible },
+};
+const itinerary = { legs: [walkLeg, busLeg] };
+
+describe('accessibilityUtils', () => {
+  describe('getAccessibilityProfile', () => {
+    it('should read the options from strings and booleans', () => {
+      expect(
+        getAccessibilityProfile({
+          avoidStairs: 'true',
+          lowFloorOnly: true,
+          maxSlope: '8',
+        }),
+      ).to.deep.equal({
+        avoidStairs: true,
+        lowFloorOnly: true,
+        maxSlope: 8,
+        stepFree: false,
+      });
+    });
+
+    it('should enable step-free access for the old accessibilityOption', () => {
+      expect(
+        getAccessibilityProfile({ accessibilityOption: 1 }).stepFree,
+      ).to.equal(true);
+    });
+
+    it('should not be active by default', () => {
+      expect(isAccessibilityProfileActive(getAccessibilityProfile())).to.equal(
+        false,
+      );
+    });
+
+    it('should be active with a slope limit', () => {
+      expect(
+        isAccessibilityProfileActive(getAccessibilityProfile({ maxSlope: 6 })),
+      ).to.equal(true);
+    });
+  });
+
+  describe('getMaxSlope', () => {
+    it('should return the steepest slope in percent', () => {
+      // the point at 5 meters is too close to be used
+      expect(getMaxSlope(walkLeg)).to.equal(5);
+    });
+
+    it('should return 0 for transit legs', () => {
+      expect(getMaxSlope({ ...walkLeg, transitLeg: true })).to.equal(0);
+    });
+
+    it('should return 0 if the leg has no steps', () => {
+      expect(getMaxSlope({ transitLeg: false })).to.equal(0);
+    });
+  });
+
+  describe('isAccessibilityAlert', () => {
+    it('should find the keywords from the translations', () => {
+      expect(isAccessibilityAlert(elevatorAlert, ['elevator'])).to.equal(true);
+    });
+
+    it('should ignore the other alerts', () => {
+      expect(isAccessibilityAlert(otherAlert, keywords)).to.equal(false);
+    });
+  });
+
+  describe('getAccessibilityAlertsForStop', () => {
+    it('should map the elevator alerts of the stop', () => {
+      expect(getAccessibilityAlertsForStop(from, keywords, 'en')).to.deep.equal(
+        [
+          {
+            description: '',
+            hash: 1,
+            header: 'The elevator is out of order',
+            stop: 'Rautatientori',
+          },
+        ],
+      );
+    });
+
+    it('should return an empty array for a missing stop', () => {
+      expect(getAccessibilityAlertsForStop(undefined, keywords)).to.deep.equal(
+        [],
+      );
+    });
+  });
+
+  describe('getItineraryAccessibility', () => {
+    it('should collect the stops, trips and alerts', () => {
+      const result = getItineraryAccessibility(
+        itinerary,
+        getAccessibilityProfile(),
+        keywords,
+      );
+      expect(result.stops).to.deep.equal([
+        {
+          gtfsId: 'HSL:1',
+          name: 'Rautatientori',
+          wheelchairBoarding: WheelchairBoarding.Possible,
+        },
+        {
+          gtfsId: 'HSL:2',
+          name: 'Käpylä',
+          wheelchairBoarding: WheelchairBoarding.NotPossible,
+        },
+      ]);
+      expect(result.trips).to.deep.equal([
+        {
+          mode: 'BUS',
+          route: '55',
+          wheelchairAccessible: WheelchairBoarding.Possible,
+        },
+      ]);
+      expect(result.alerts).to.have.lengthOf(1);
+      expect(result.slopes).to.deep.equal([]);
+    });
+
+    it('should list each stop once', () => {
+      const result = getItineraryAccessibility(
+        { legs: [busLeg, { ...busLeg, from: { stop: to }, to: {} }] },
+        getAccessibilityProfile(),
+        keywords,
+      );
+      expect(result.stops.map(stop => stop.gtfsId)).to.deep.equal([
+        'HSL:1',
+        'HSL:2',
+      ]);
+    });
+
+    it('should mark missing information', () => {
+      const result = getItineraryAccessibility(
+        {
+          legs: [{ ...busLeg, from: { stop: { gtfsId: 'HSL:3' } }, trip: {} }],
+        },
+        getAccessibilityProfile(),
+        keywords,
+      );
+      expect(result.stops[0].wheelchairBoarding).to.equal(
+        WheelchairBoarding.NoInformation,
+      );
+      expect(result.trips[0].wheelchairAccessible).to.equal(
+        WheelchairBoarding.NoInformation,
+      );
+    });
+
+    it('should list the legs steeper than the limit', () => {
+      const result = getItineraryAccessibility(
+        itinerary,
+        getAccessibilityProfile({ maxSlope: 4 }),
+        keywords,
+      );
+      expect(result.slopes).to.deep.equal([{ leg: walkLeg, slope: 5 }]);
+    });
+  });
+
+  describe('hasAccessibilityIssues', () => {
+    const accessibility = {
+      alerts: [],
+      slopes: [],
+      stops: [{ wheelchairBoarding: WheelchairBoarding.NoInformation }],
+      trips: [{ wheelchairAccessible: WheelchairBoarding.Possible }],
+    };
+
+    it('should ignore the stops without step-free access', () => {
+      expect(
+        hasAccessibilityIssues(accessibility, getAccessibilityProfile()),
+      ).to.equal(false);
+    });
+
+    it('should find the stops that may not be accessible', () => {
+      expect(
+        hasAccessibilityIssues(
+          accessibility,
+          getAccessibilityProfile({ stepFree: true }),
+        ),
+      ).to.equal(true);
+    });
+
+    it('should find the alerts', () => {
+      expect(
+        hasAccessibilityIssues(
+          { ...accessibility, alerts: [{}] },
+          getAccessibilityProfile(),
+        ),
+      ).to.equal(true);
+    });
+  });
+});
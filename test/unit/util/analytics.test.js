@@ -0,0 +1,144 @@
+/* eslint-disable no-underscore-dangle */
+import { expect } from 'chai';
+import { afterEach, describe, it } from 'mocha';
+import sinon from 'sinon';
+
+import {
+  Analytics,
+  AnalyticsEvent,
+  createAnalytics,
+  gtmSink,
+  matomoSink,
+} from '../../../app/util/analytics';
+
+const createSink = requiresConsent => ({
+  requiresConsent,
+  trackEvent: sinon.stub(),
+  trackPageview: sinon.stub(),
+});
+
+describe('analytics', () => {
+  describe('Analytics', () => {
+    it('should send the events to every sink', () => {
+      const sinks = [createSink(false), createSink(false)];
+      const analytics = new Analytics(sinks, true);
+      analytics.trackEvent(AnalyticsEvent.ShowMoreRoutes, 'ShowMoreRoutesNow');
+      sinks.forEach(sink =>
+        expect(
+          sink.trackEvent.calledWith(
+            AnalyticsEvent.ShowMoreRoutes,
+            'ShowMoreRoutesNow',
+          ),
+        ).to.equal(true),
+      );
+    });
+
+    it('should not send anything to the sinks requiring consent before it is given', () => {
+      const tracking = createSink(true);
+      const logging = createSink(false);
+      const analytics = new Analytics([tracking, logging], false);
+
+      analytics.trackEvent(AnalyticsEvent.ItineraryPrint, 'PrintItinerary');
+      analytics.trackPageview('/');
+      expect(tracking.trackEvent.called).to.equal(false);
+      expect(tracking.trackPageview.called).to.equal(false);
+      expect(logging.trackEvent.callCount).to.equal(1);
+
+      analytics.setConsent(true);
+      analytics.trackPageview('/');
+      expect(tracking.trackPageview.callCount).to.equal(1);
+    });
+
+    it('should throw for an event that is not in the catalogue', () => {
+      const analytics = new Analytics([createSink(false)], true);
+      expect(() =>
+        analytics.trackEvent({ category: 'foo', action: 'bar' }, 'baz'),
+      ).to.throw();
+    });
+  });
+
+  describe('gtmSink', () => {
+    afterEach(() => {
+      window.dataLayer = [];
+      document.head
+        .querySelectorAll('script[src*="googletagmanager.com"]')
+        .forEach(script => script.remove());
+    });
+
+    it('should push the events to the data layer', () => {
+      window.dataLayer = [];
+      gtmSink().trackEvent(AnalyticsEvent.FrontPageNearbyTab, 'open');
+      gtmSink().trackPageview('/foo');
+      expect(window.dataLayer).to.deep.equal([
+        {
+          event: 'sendMatomoEvent',
+          category: 'Front page tabs',
+          action: 'Nearby',
+          name: 'open',
+        },
+        { event: 'Pageview', url: '/foo' },
+      ]);
+    });
+
+    it('should load the container with the first event', () => {
+      const sink = gtmSink({ id: 'GTM-TEST' });
+      expect(
+        document.head.querySelectorAll('script[src*="googletagmanager.com"]'),
+      ).to.have.lengthOf(0);
+
+      sink.trackPageview('/foo');
+      sink.trackPageview('/bar');
+      expect(
+        document.head.querySelectorAll(
+          'script[src="https://www.googletagmanager.com/gtm.js?id=GTM-TEST"]',
+        ),
+      ).to.have.lengthOf(1);
+      expect(window.dataLayer[0].event).to.equal('gtm.js');
+    });
+  });
+
+  describe('matomoSink', () => {
+    afterEach(() => {
+      delete window._paq;
+      document.head
+        .querySelectorAll('script[src="https://matomo.test/matomo.js"]')
+        .forEach(script => script.remove());
+    });
+
+    it('should load the tracker and push the events to it', () => {
+      const sink = matomoSink({ url: 'https://matomo.test/', siteId: 3 });
+      sink.trackEvent(AnalyticsEvent.WatchDeparture, 'stop');
+      sink.trackEvent(AnalyticsEvent.WatchDeparture, 'route');
+
+      expect(window._paq).to.deep.equal([
+        ['setTrackerUrl', 'https://matomo.test/matomo.php'],
+        ['setSiteId', 3],
+        ['trackEvent', 'Notifications', 'WatchDeparture', 'stop'],
+        ['trackEvent', 'Notifications', 'WatchDeparture', 'route'],
+      ]);
+      expect(
+        document.head.querySelectorAll(
+          'script[src="https://matomo.test/matomo.js"]',
+        ),
+      ).to.have.lengthOf(1);
+    });
+  });
+
+  describe('createAnalytics', () => {
+    it('should create the configured sinks', () => {
+      const analytics = createAnalytics({
+        analytics: { sinks: ['gtm', 'console', 'unknown'] },
+      });
+      expect(analytics.sinks).to.have.lengthOf(2);
+      expect(analytics.hasConsent).to.equal(true);
+    });
+
+    it('should wait for consent if it is required', () => {
+      const analytics = createAnalytics({
+        analytics: { sinks: ['noop'] },
+        requireConsent: true,
+      });
+      expect(analytics.hasConsent).to.equal(false);
+    });
+  });
+});
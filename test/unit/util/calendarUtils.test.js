@@ -0,0 +1,118 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import * as utils from '../../../app/util/calendarUtils';
+import config from '../../../app/configurations/config.default';
+import dt2831 from '../test-data/dt2831';
+
+const formatMessage = ({ id }) => id;
+
+const unfold = calendar => calendar.replace(/\r\n /g, '');
+
+describe('calendarUtils', () => {
+  describe('escapeText', () => {
+    it('should escape special characters', () => {
+      expect(utils.escapeText('a,b;c\\d\ne')).to.equal('a\\,b\\;c\\\\d\\ne');
+    });
+
+    it('should return an empty string for a missing value', () => {
+      expect(utils.escapeText(undefined)).to.equal('');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('should not fold short lines', () => {
+      expect(utils.foldLine('SUMMARY:foo')).to.equal('SUMMARY:foo');
+    });
+
+    it('should fold lines longer than 75 characters', () => {
+      const line = `DESCRIPTION:${'x'.repeat(200)}`;
+      const folded = utils.foldLine(line);
+      const parts = folded.split('\r\n');
+      expect(parts.length).to.equal(3);
+      parts.forEach(part => expect(part.length).to.be.at.most(75));
+      expect(parts[1].startsWith(' ')).to.equal(true);
+      expect(unfold(folded)).to.equal(line);
+    });
+
+    it('should fold by the length of the line in octets', () => {
+      const line = `DESCRIPTION:${'ä'.repeat(100)}€😀`;
+      const folded = utils.foldLine(line);
+      folded
+        .split('\r\n')
+        .forEach(part =>
+          expect(Buffer.byteLength(part, 'utf8')).to.be.at.most(75),
+        );
+      expect(unfold(folded)).to.equal(line);
+    });
+  });
+
+  describe('getLegLocation', () => {
+    it('should include the stop code and platform', () => {
+      const leg = {
+        from: {
+          name: 'Pasila',
+          stop: { code: '0071', platformCode: '1' },
+        },
+      };
+      expect(utils.getLegLocation(leg)).to.equal('Pasila (0071) [1]');
+    });
+
+    it('should return the place name for a leg without a stop', () => {
+      const leg = { from: { name: 'Opastinsilta 6', stop: null } };
+      expect(utils.getLegLocation(leg)).to.equal('Opastinsilta 6');
+    });
+  });
+
+  describe('createItineraryCalendar', () => {
+    it('should create a single event for the whole trip by default', () => {
+      const calendar = unfold(
+        utils.createItineraryCalendar(dt2831, config, formatMessage, {
+          now: 0,
+        }),
+      );
+      expect(calendar.startsWith('BEGIN:VCALENDAR\r\n')).to.equal(true);
+      expect(calendar.endsWith('END:VCALENDAR\r\n')).to.equal(true);
+      expect(calendar.match(/BEGIN:VEVENT/g).length).to.equal(1);
+      expect(calendar).to.contain(
+        'DTSTART;TZID=Europe/Helsinki:20190130T143754',
+      );
+      expect(calendar).to.contain('DTEND;TZID=Europe/Helsinki:20190130T145407');
+      expect(calendar).to.contain('TZID:Europe/Helsinki');
+    });
+
+    it('should use the boarding stop as the location', () => {
+      const calendar = unfold(
+        utils.createItineraryCalendar(dt2831, config, formatMessage),
+      );
+      expect(calendar).to.contain('LOCATION:Pasila (0071) [1]');
+    });
+
+    it('should set an alarm before the first boarding', () => {
+      const calendar = unfold(
+        utils.createItineraryCalendar(dt2831, config, formatMessage, {
+          alarmMinutes: 5,
+        }),
+      );
+      const boarding = dt2831.legs.find(leg => leg.transitLeg);
+      const trigger = new Date(boarding.startTime - 5 * 60 * 1000)
+        .toISOString()
+        .replace(/[-:]/g, '')
+        .replace(/\.\d+/, '');
+      expect(calendar.match(/BEGIN:VALARM/g).length).to.equal(1);
+      expect(calendar).to.contain(`TRIGGER;VALUE=DATE-TIME:${trigger}`);
+    });
+
+    it('should create an event for each transit leg', () => {
+      const calendar = utils.createItineraryCalendar(
+        dt2831,
+        config,
+        formatMessage,
+        { eventPerLeg: true },
+      );
+      const transitLegCount = dt2831.legs.filter(leg => leg.transitLeg).length;
+      expect(calendar.match(/BEGIN:VEVENT/g).length).to.equal(transitLegCount);
+      expect(calendar.match(/BEGIN:VALARM/g).length).to.equal(1);
+    });
+  });
+});
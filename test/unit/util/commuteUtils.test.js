@@ -0,0 +1,140 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import moment from 'moment';
+
+import {
+  getItineraryAlertSeverityLevel,
+  getItineraryDelay,
+  getNextCommuteTime,
+  isCommuteProfileValid,
+} from '../../../app/util/commuteUtils';
+import {
+  AlertSeverityLevelType,
+  RealtimeStateType,
+} from '../../../app/constants';
+
+// Monday
+const currentTime = moment('2019-03-04T07:00:00').unix();
+
+describe('commuteUtils', () => {
+  describe('getNextCommuteTime', () => {
+    it('should return today if the arrival time has not passed', () => {
+      expect(
+        getNextCommuteTime(
+          { weekdays: [1, 2], arriveBy: '08:15' },
+          currentTime,
+        ),
+      ).to.equal(moment('2019-03-04T08:15:00').unix());
+    });
+
+    it('should skip to the next weekday of the profile', () => {
+      expect(
+        getNextCommuteTime(
+          { weekdays: [1, 3], arriveBy: '06:30' },
+          currentTime,
+        ),
+      ).to.equal(moment('2019-03-06T06:30:00').unix());
+    });
+
+    it('should return the same weekday a week later', () => {
+      expect(
+        getNextCommuteTime({ weekdays: [1], arriveBy: '06:30' }, currentTime),
+      ).to.equal(moment('2019-03-11T06:30:00').unix());
+    });
+
+    it('should return undefined without weekdays', () => {
+      expect(
+        getNextCommuteTime({ weekdays: [], arriveBy: '08:00' }, currentTime),
+      ).to.equal(undefined);
+    });
+  });
+
+  describe('isCommuteProfileValid', () => {
+    const profile = {
+      originId: 1,
+      destinationId: 2,
+      weekdays: [1],
+      arriveBy: '08:00',
+    };
+
+    it('should accept a complete profile', () => {
+      expect(isCommuteProfileValid(profile)).to.equal(true);
+    });
+
+    it('should reject the same origin and destination', () => {
+      expect(isCommuteProfileValid({ ...profile, destinationId: 1 })).to.equal(
+        false,
+      );
+    });
+
+    it('should reject a profile without weekdays', () => {
+      expect(isCommuteProfileValid({ ...profile, weekdays: [] })).to.equal(
+        false,
+      );
+    });
+
+    it('should reject an invalid arrival time', () => {
+      expect(isCommuteProfileValid({ ...profile, arriveBy: '25:00' })).to.equal(
+        false,
+      );
+    });
+  });
+
+  describe('getItineraryDelay', () => {
+    it('should return the largest delay of the realtime transit legs', () => {
+      const itinerary = {
+        legs: [
+          { transitLeg: false, realTime: false, departureDelay: 600 },
+          { transitLeg: true, realTime: true, departureDelay: 120 },
+          { transitLeg: true, realTime: true, arrivalDelay: 180 },
+          { transitLeg: true, realTime: false, departureDelay: 900 },
+        ],
+      };
+      expect(getItineraryDelay(itinerary)).to.equal(180);
+    });
+
+    it('should not count early departures', () => {
+      const itinerary = {
+        legs: [{ transitLeg: true, realTime: true, departureDelay: -60 }],
+      };
+      expect(getItineraryDelay(itinerary)).to.equal(0);
+    });
+
+    it('should return 0 without an itinerary', () => {
+      expect(getItineraryDelay(undefined)).to.equal(0);
+    });
+  });
+
+  describe('getItineraryAlertSeverityLevel', () => {
+    it('should return the highest active severity level of the legs', () => {
+      const startTime = currentTime * 1000;
+      const itinerary = {
+        legs: [
+          { startTime },
+          {
+            startTime,
+            route: {
+              alerts: [
+                {
+                  alertSeverityLevel: AlertSeverityLevelType.Info,
+                  effectiveStartDate: currentTime - 60,
+                  effectiveEndDate: currentTime + 60,
+                },
+              ],
+            },
+          },
+          { startTime, realtimeState: RealtimeStateType.Canceled },
+        ],
+      };
+      expect(getItineraryAlertSeverityLevel(itinerary)).to.equal(
+        AlertSeverityLevelType.Warning,
+      );
+    });
+
+    it('should return undefined without alerts', () => {
+      expect(
+        getItineraryAlertSeverityLevel({ legs: [{ startTime: 0 }] }),
+      ).to.equal(undefined);
+    });
+  });
+});
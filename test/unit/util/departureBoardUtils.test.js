@@ -0,0 +1,73 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import {
+  getDepartureBoardIds,
+  getDepartureBoardRows,
+  parseIds,
+  showDepartureBoardMap,
+} from '../../../app/util/departureBoardUtils';
+
+const config = {
+  departureBoard: {
+    rows: 10,
+    maxRows: 30,
+    showMap: false,
+  },
+};
+
+describe('departureBoardUtils', () => {
+  describe('parseIds', () => {
+    it('should ignore the empty ids', () => {
+      expect(parseIds('HSL:1, ,HSL:2,')).to.deep.equal(['HSL:1', 'HSL:2']);
+      expect(parseIds(undefined)).to.deep.equal([]);
+    });
+  });
+
+  describe('getDepartureBoardIds', () => {
+    it('should combine the stop of the path with the query', () => {
+      expect(
+        getDepartureBoardIds(
+          { stopId: 'HSL:1' },
+          { stops: 'HSL:2,HSL:1', terminals: 'HSL:1000' },
+        ),
+      ).to.deep.equal({
+        stopIds: ['HSL:1', 'HSL:2'],
+        stationIds: ['HSL:1000'],
+      });
+    });
+
+    it('should use the terminal of the path', () => {
+      expect(getDepartureBoardIds({ terminalId: 'HSL:1000' })).to.deep.equal({
+        stopIds: [],
+        stationIds: ['HSL:1000'],
+      });
+    });
+  });
+
+  describe('getDepartureBoardRows', () => {
+    it('should use the configured default', () => {
+      expect(getDepartureBoardRows({}, config)).to.equal(10);
+      expect(getDepartureBoardRows({ rows: 'foo' }, config)).to.equal(10);
+      expect(getDepartureBoardRows({ rows: '0' }, config)).to.equal(10);
+    });
+
+    it('should limit the rows to the maximum', () => {
+      expect(getDepartureBoardRows({ rows: '15' }, config)).to.equal(15);
+      expect(getDepartureBoardRows({ rows: '100' }, config)).to.equal(30);
+    });
+  });
+
+  describe('showDepartureBoardMap', () => {
+    it('should let the query override the configuration', () => {
+      expect(showDepartureBoardMap({}, config)).to.equal(false);
+      expect(showDepartureBoardMap({ map: 'true' }, config)).to.equal(true);
+      expect(
+        showDepartureBoardMap(
+          { map: 'false' },
+          { departureBoard: { showMap: true } },
+        ),
+      ).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import {
+  filterStoptimes,
+  getDepartureFilterOptions,
+  getDepartureFilterQuery,
+  getDepartureFilters,
+  hasDepartureFilters,
+} from '../../../app/util/departureFilterUtils';
+
+const stoptime = (gtfsId, shortName, platformCode, headsign) => ({
+  stop: { platformCode },
+  trip: {
+    pattern: { route: { gtfsId, shortName } },
+    tripHeadsign: headsign,
+  },
+});
+
+const stoptimes = [
+  stoptime('HSL:1055', '55', '2', 'Koskela'),
+  stoptime('HSL:1004', '4', '10', 'Katajanokka'),
+  stoptime('HSL:1055', '55', '2', 'Jätkäsaari'),
+  stoptime('HSL:1004', '4', '1', 'Katajanokka'),
+];
+
+describe('departureFilterUtils', () => {
+  describe('getDepartureFilters', () => {
+    it('should read both single and repeated query parameters', () => {
+      expect(
+        getDepartureFilters({ platforms: '2', routes: ['HSL:1055', 'HSL:4'] }),
+      ).to.deep.equal({
+        headsigns: [],
+        platforms: ['2'],
+        routes: ['HSL:1055', 'HSL:4'],
+      });
+    });
+
+    it('should return empty filters without a query', () => {
+      expect(hasDepartureFilters(getDepartureFilters())).to.equal(false);
+    });
+  });
+
+  describe('getDepartureFilterQuery', () => {
+    it('should keep the other query parameters and leave out empty filters', () => {
+      expect(
+        getDepartureFilterQuery(
+          { platforms: '2', tab: 'timetable' },
+          { headsigns: [], routes: ['HSL:1055'] },
+        ),
+      ).to.deep.equal({ routes: ['HSL:1055'], tab: 'timetable' });
+    });
+  });
+
+  describe('getDepartureFilterOptions', () => {
+    it('should return the sorted unique values of the stoptimes', () => {
+      const options = getDepartureFilterOptions(stoptimes);
+      expect(options.headsigns).to.deep.equal([
+        'Jätkäsaari',
+        'Katajanokka',
+        'Koskela',
+      ]);
+      expect(options.platforms).to.deep.equal(['1', '2', '10']);
+      expect(options.routes.map(route => route.gtfsId)).to.deep.equal([
+        'HSL:1004',
+        'HSL:1055',
+      ]);
+    });
+
+    it('should prefer the headsign of the stop', () => {
+      const options = getDepartureFilterOptions([
+        { ...stoptimes[0], stopHeadsign: 'Pasila' },
+      ]);
+      expect(options.headsigns).to.deep.equal(['Pasila']);
+    });
+  });
+
+  describe('filterStoptimes', () => {
+    it('should return every stoptime without filters', () => {
+      expect(filterStoptimes(stoptimes, getDepartureFilters({}))).to.equal(
+        stoptimes,
+      );
+    });
+
+    it('should return the stoptimes that match every filter', () => {
+      expect(
+        filterStoptimes(stoptimes, {
+          headsigns: ['Katajanokka', 'Koskela'],
+          platforms: ['2', '10'],
+          routes: [],
+        }),
+      ).to.deep.equal([stoptimes[0], stoptimes[1]]);
+      expect(
+        filterStoptimes(stoptimes, {
+          headsigns: [],
+          platforms: ['2'],
+          routes: ['HSL:1004'],
+        }),
+      ).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import {
+  getEmbedDeparturesPath,
+  getEmbedHandOffPath,
+  getEmbedSearchPath,
+  getEmbedSnippet,
+} from '../../../app/util/embedUtils';
+
+describe('embedUtils', () => {
+  describe('getEmbedSearchPath', () => {
+    it('should prefill the origin', () => {
+      expect(
+        getEmbedSearchPath(
+          { address: 'Kamppi, Helsinki', lat: 60.169, lon: 24.932 },
+          'fi',
+        ),
+      ).to.equal(
+        '/embed/haku?from=Kamppi%2C%20Helsinki%3A%3A60.169%2C24.932&lang=fi',
+      );
+    });
+
+    it('should leave out the missing origin', () => {
+      expect(getEmbedSearchPath(undefined)).to.equal('/embed/haku');
+    });
+  });
+
+  describe('getEmbedDeparturesPath', () => {
+    it('should list the stops and the terminals', () => {
+      expect(getEmbedDeparturesPath(['HSL:1', 'HSL:2'], [], 5, 'en')).to.equal(
+        '/embed/lahdot?stops=HSL%3A1%2CHSL%3A2&rows=5&lang=en',
+      );
+    });
+  });
+
+  describe('getEmbedHandOffPath', () => {
+    it('should open the itinerary search', () => {
+      expect(
+        getEmbedHandOffPath(
+          { address: 'A', lat: 60.1, lon: 24.9 },
+          { address: 'B', lat: 60.2, lon: 25 },
+        ),
+      ).to.equal('/reitti/A%3A%3A60.1%2C24.9/B%3A%3A60.2%2C25');
+    });
+  });
+
+  describe('getEmbedSnippet', () => {
+    it('should escape the attributes', () => {
+      expect(
+        getEmbedSnippet('https://localhost/embed/haku?a=1&b=2', {
+          width: 300,
+          height: 200,
+          title: 'Foo "bar"',
+        }),
+      ).to.equal(
+        '<iframe src="https://localhost/embed/haku?a=1&amp;b=2" width="300" height="200" title="Foo &quot;bar&quot;" frameborder="0" style="border: 0"></iframe>',
+      );
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import {
+  formatEmissions,
+  getItineraryEmissions,
+  getLegEmissions,
+} from '../../../app/util/emissionUtils';
+
+const factors = { BUS: 73, CAR: 160, TRAM: 7 };
+const config = { emissions: { show: true, factors } };
+
+describe('emissionUtils', () => {
+  describe('getLegEmissions', () => {
+    it('should multiply the distance with the factor of the mode', () => {
+      expect(
+        getLegEmissions({ mode: 'BUS', distance: 2000 }, factors),
+      ).to.equal(146);
+    });
+
+    it('should not count emissions for walking and biking', () => {
+      expect(
+        getLegEmissions({ mode: 'WALK', distance: 500 }, factors),
+      ).to.equal(0);
+      expect(
+        getLegEmissions({ mode: 'CITYBIKE', distance: 500 }, factors),
+      ).to.equal(0);
+    });
+  });
+
+  describe('getItineraryEmissions', () => {
+    it('should return null if emissions are not shown', () => {
+      expect(getItineraryEmissions({ legs: [] }, {})).to.equal(null);
+    });
+
+    it('should compare the itinerary against the car itinerary', () => {
+      expect(
+        getItineraryEmissions(
+          {
+            legs: [
+              { mode: 'WALK', distance: 1000 },
+              { mode: 'TRAM', distance: 4000 },
+            ],
+          },
+          config,
+          {
+            legs: [
+              { mode: 'CAR', distance: 6000 },
+              { mode: 'WALK', distance: 200 },
+            ],
+          },
+        ),
+      ).to.deep.equal({ total: 28, saved: 932 });
+    });
+
+    it('should not estimate the savings without a car itinerary', () => {
+      expect(
+        getItineraryEmissions(
+          { legs: [{ mode: 'TRAM', distance: 4000 }] },
+          config,
+        ),
+      ).to.deep.equal({ total: 28, saved: undefined });
+    });
+
+    it('should not save anything when driving', () => {
+      const car = { legs: [{ mode: 'CAR', distance: 1000 }] };
+      expect(getItineraryEmissions(car, config, car).saved).to.equal(0);
+    });
+  });
+
+  describe('formatEmissions', () => {
+    it('should format grams and kilograms', () => {
+      expect(formatEmissions(812.4)).to.equal('812 g');
+      expect(formatEmissions(1530)).to.equal('1.5 kg');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import {
+  getGeoHash,
+  getGeoHashLevel,
+  getGeoHashesForBounds,
+  isInGeoHash,
+} from '../../../app/util/geoHashUtils';
+
+describe('geoHashUtils', () => {
+  describe('getGeoHash', () => {
+    it('should use the format of the realtime topics', () => {
+      expect(getGeoHash(60.2085, 24.9045)).to.deep.equal([
+        '60;24',
+        '29',
+        '00',
+        '84',
+      ]);
+    });
+
+    it('should leave the finer levels out', () => {
+      expect(getGeoHash(61.4978, 23.7609, 2)).to.deep.equal([
+        '61;23',
+        '47',
+        '+',
+        '+',
+      ]);
+    });
+  });
+
+  describe('getGeoHashLevel', () => {
+    it('should use finer cells when zoomed in', () => {
+      expect(getGeoHashLevel(16)).to.equal(4);
+      expect(getGeoHashLevel(13)).to.equal(3);
+      expect(getGeoHashLevel(10)).to.equal(2);
+      expect(getGeoHashLevel(5)).to.equal(1);
+    });
+  });
+
+  describe('getGeoHashesForBounds', () => {
+    const bounds = {
+      south: 60.165,
+      west: 24.925,
+      north: 60.175,
+      east: 24.945,
+    };
+
+    it('should cover the bounds', () => {
+      expect(getGeoHashesForBounds(bounds, 13)).to.deep.equal([
+        ['60;24', '19', '62', '+'],
+        ['60;24', '19', '63', '+'],
+        ['60;24', '19', '64', '+'],
+        ['60;24', '19', '72', '+'],
+        ['60;24', '19', '73', '+'],
+        ['60;24', '19', '74', '+'],
+      ]);
+    });
+
+    it('should use larger cells instead of too many cells', () => {
+      expect(getGeoHashesForBounds(bounds, 16, 4)).to.deep.equal([
+        ['60;24', '19', '+', '+'],
+      ]);
+    });
+
+    it('should cross the degree boundaries', () => {
+      expect(
+        getGeoHashesForBounds(
+          { south: 60.95, west: 24.95, north: 61.05, east: 25.05 },
+          10,
+        ),
+      ).to.deep.equal([
+        ['60;24', '99', '+', '+'],
+        ['60;25', '90', '+', '+'],
+        ['61;24', '09', '+', '+'],
+        ['61;25', '00', '+', '+'],
+      ]);
+    });
+  });
+
+  describe('isInGeoHash', () => {
+    it('should check the used levels', () => {
+      expect(isInGeoHash(60.17, 24.94, ['60;24', '19', '+', '+'])).to.equal(
+        true,
+      );
+      expect(isInGeoHash(60.27, 24.94, ['60;24', '19', '+', '+'])).to.equal(
+        false,
+      );
+    });
+
+    it('should not match missing coordinates', () => {
+      expect(isInGeoHash(undefined, 24.94, ['60;24', '+', '+', '+'])).to.equal(
+        false,
+      );
+    });
+  });
+});
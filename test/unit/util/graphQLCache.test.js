@@ -0,0 +1,207 @@
+import { expect } from 'chai';
+import { afterEach, describe, it } from 'mocha';
+import sinon from 'sinon';
+
+import {
+  getCacheKey,
+  getQueryId,
+  getQueryTtl,
+  getRegisteredQuery,
+  graphQLCacheMiddleware,
+  registerQuery,
+  resetGraphQLCache,
+  setGraphQLCacheStore,
+  stableStringify,
+  withGraphQLCache,
+} from '../../../app/util/graphQLCache';
+import defaultConfig from '../../../app/configurations/config.default';
+
+const config = {
+  graphQLCache: {
+    ...defaultConfig.graphQLCache,
+    enabled: true,
+    persistedQueries: true,
+  },
+};
+const url = 'https://otp/index/graphql';
+const stopQuery = 'query StopQuery($id: String!) { stop(id: $id) { name } }';
+const payload = { data: { stop: { name: 'Rautatientori' } } };
+
+describe('graphQLCache', () => {
+  afterEach(() => {
+    resetGraphQLCache();
+  });
+
+  describe('getQueryId', () => {
+    it('should ignore the whitespace', () => {
+      expect(getQueryId('query { stop { name } }')).to.equal(
+        getQueryId('query {\n  stop {\n    name\n  }\n}\n'),
+      );
+    });
+
+    it('should return a SHA-256 hash', () => {
+      expect(getQueryId(stopQuery)).to.match(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('stableStringify', () => {
+    it('should sort the object keys', () => {
+      expect(stableStringify({ b: 1, a: { d: [2, 3], c: null } })).to.equal(
+        '{"a":{"c":null,"d":[2,3]},"b":1}',
+      );
+    });
+
+    it('should leave out undefined values', () => {
+      expect(stableStringify({ a: undefined, b: 'x' })).to.equal('{"b":"x"}');
+    });
+  });
+
+  describe('getCacheKey', () => {
+    it('should not depend on the order of the variables', () => {
+      expect(getCacheKey(url, stopQuery, { a: 1, b: 2 })).to.equal(
+        getCacheKey(url, stopQuery, { b: 2, a: 1 }),
+      );
+    });
+
+    it('should depend on the url', () => {
+      expect(getCacheKey(url, stopQuery, {})).to.not.equal(
+        getCacheKey('https://other/index/graphql', stopQuery, {}),
+      );
+    });
+  });
+
+  describe('getQueryTtl', () => {
+    const { ttls, defaultTtl } = defaultConfig.graphQLCache;
+
+    it('should use a short time for the stoptimes', () => {
+      expect(
+        getQueryTtl(
+          'query { stop(id: "HSL:1") { stoptimesWithoutPatterns { scheduledDeparture } } }',
+          ttls,
+          defaultTtl,
+        ),
+      ).to.equal(10);
+    });
+
+    it('should use a long time for the stop metadata', () => {
+      expect(getQueryTtl(stopQuery, ttls, defaultTtl)).to.equal(3600);
+    });
+
+    it('should use the default for the other queries', () => {
+      expect(getQueryTtl('query { viewer { id } }', ttls, defaultTtl)).to.equal(
+        defaultTtl,
+      );
+    });
+  });
+
+  describe('registerQuery', () => {
+    it('should find the query by its id', () => {
+      const id = registerQuery(config, stopQuery);
+      expect(getRegisteredQuery(config, id)).to.equal(stopQuery);
+    });
+
+    it('should return undefined for an unknown id', () => {
+      expect(getRegisteredQuery(config, 'unknown')).to.equal(undefined);
+    });
+  });
+
+  describe('withGraphQLCache', () => {
+    it('should fetch the response only once', async () => {
+      const fetchPayload = sinon.stub().resolves(payload);
+      await withGraphQLCache(config, url, stopQuery, { id: 1 }, fetchPayload);
+      const result = await withGraphQLCache(
+        config,
+        url,
+        stopQuery,
+        { id: 1 },
+        fetchPayload,
+      );
+      expect(result).to.deep.equal(payload);
+      expect(fetchPayload.callCount).to.equal(1);
+    });
+
+    it('should share the pending request', async () => {
+      const fetchPayload = sinon.stub().resolves(payload);
+      await Promise.all([
+        withGraphQLCache(config, url, stopQuery, {}, fetchPayload),
+        withGraphQLCache(config, url, stopQuery, {}, fetchPayload),
+      ]);
+      expect(fetchPayload.callCount).to.equal(1);
+    });
+
+    it('should not cache errors', async () => {
+      const fetchPayload = sinon.stub().resolves({ errors: [{}] });
+      await withGraphQLCache(config, url, stopQuery, {}, fetchPayload);
+      await withGraphQLCache(config, url, stopQuery, {}, fetchPayload);
+      expect(fetchPayload.callCount).to.equal(2);
+    });
+
+    it('should not cache when disabled', async () => {
+      const fetchPayload = sinon.stub().resolves(payload);
+      const disabled = { graphQLCache: { ...config.graphQLCache } };
+      disabled.graphQLCache.enabled = false;
+      await withGraphQLCache(disabled, url, stopQuery, {}, fetchPayload);
+      await withGraphQLCache(disabled, url, stopQuery, {}, fetchPayload);
+      expect(fetchPayload.callCount).to.equal(2);
+    });
+
+    it('should use a custom store', async () => {
+      const store = {
+        get: sinon.stub().resolves(undefined),
+        set: sinon.stub().resolves(),
+      };
+      setGraphQLCacheStore(store);
+      await withGraphQLCache(config, url, stopQuery, {}, () =>
+        Promise.resolve(payload),
+      );
+      expect(store.set.calledWith(getCacheKey(url, stopQuery, {}))).to.equal(
+        true,
+      );
+      expect(store.set.firstCall.args[2]).to.equal(3600);
+    });
+
+    it('should fetch the response if the store fails', async () => {
+      setGraphQLCacheStore({
+        get: () => Promise.reject(new Error('unavailable')),
+        set: () => Promise.reject(new Error('unavailable')),
+      });
+      const result = await withGraphQLCache(config, url, stopQuery, {}, () =>
+        Promise.resolve(payload),
+      );
+      expect(result).to.deep.equal(payload);
+    });
+  });
+
+  describe('graphQLCacheMiddleware', () => {
+    const req = {
+      relayReqType: 'query',
+      body: JSON.stringify({ id: 'q0', query: stopQuery, variables: {} }),
+    };
+
+    it('should serve the cached payload', async () => {
+      const next = sinon.stub().resolves({ ok: true, payload });
+      const middleware = graphQLCacheMiddleware(config, url)(next);
+      await middleware(req);
+      const res = await middleware(req);
+      expect(res.payload).to.deep.equal(payload);
+      expect(next.callCount).to.equal(1);
+    });
+
+    it('should register the query', async () => {
+      const next = sinon.stub().resolves({ payload });
+      await graphQLCacheMiddleware(config, url)(next)(req);
+      expect(getRegisteredQuery(config, getQueryId(stopQuery))).to.equal(
+        stopQuery,
+      );
+    });
+
+    it('should pass on the mutations', async () => {
+      const next = sinon.stub().resolves({ payload });
+      const middleware = graphQLCacheMiddleware(config, url)(next);
+      const mutation = { ...req, relayReqType: 'mutation' };
+      await middleware(mutation);
+      await middleware(mutation);
+      expect(next.callCount).to.equal(2);
+    });
+  });
+});
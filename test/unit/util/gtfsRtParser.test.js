@@ -3,7 +3,7 @@ import { describe, it } from 'mocha';
 
 import converter from 'base64-arraybuffer';
 import bindings from '../../../app/util/gtfsrt';
-import { parseFeedMQTT } from '../../../app/util/gtfsRtParser';
+import { parseFeed, parseFeedMQTT } from '../../../app/util/gtfsRtParser';
 
 const route2 = {
   // Real arraybuffer data that was encoded into base64
@@ -87,4 +87,42 @@ describe('gtfsRtParser', () => {
       ]);
     });
   });
+
+  describe('parseFeed', () => {
+    it('should read the trip details from the feed entities', () => {
+      const result = parseFeed(
+        bindings.FeedMessage.read,
+        route2.arrayBuffer,
+        route2.agency,
+        route2.mode,
+      );
+
+      expect(result).to.deep.equal([
+        {
+          id: 'tampere:130210',
+          route: 'tampere:86921',
+          direction: 1,
+          tripStartTime: '1435',
+          operatingDay: '20190326',
+          mode: 'bus',
+          next_stop: undefined,
+          timestamp: 1553604421,
+          lat: 61.50812,
+          long: 23.66348,
+          heading: 55,
+          headsign: undefined,
+          tripId: '5645934646',
+        },
+      ]);
+    });
+
+    it('should default to bus as the mode', () => {
+      const [message] = parseFeed(
+        bindings.FeedMessage.read,
+        route32.arrayBuffer,
+        route32.agency,
+      );
+      expect(message.mode).to.equal('bus');
+    });
+  });
 });
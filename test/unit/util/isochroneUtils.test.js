@@ -0,0 +1,104 @@
+import { expect } from 'chai';
+import { afterEach, describe, it } from 'mocha';
+import fetchMock from 'fetch-mock';
+import moment from 'moment';
+
+import {
+  fetchIsochrones,
+  getCutoffColor,
+  getIsochroneUrl,
+  toIsochroneFeatures,
+} from '../../../app/util/isochroneUtils';
+
+const config = {
+  URL: { OTP: 'https://localhost/otp/' },
+  colors: { primary: '#007ac9' },
+  isochrone: {
+    cutoffs: [15, 30],
+    colors: ['#00ff00', '#ff0000'],
+  },
+};
+
+const polygon = time => ({
+  type: 'Feature',
+  geometry: {
+    type: 'MultiPolygon',
+    coordinates: [[[[24.9, 60.1], [25, 60.1], [25, 60.2], [24.9, 60.1]]]],
+  },
+  properties: { time },
+});
+
+describe('isochroneUtils', () => {
+  describe('getIsochroneUrl', () => {
+    it('should query the travel time limits with walking', () => {
+      const url = getIsochroneUrl(
+        config,
+        { lat: 60.17, lon: 24.94 },
+        ['BUS', 'TRAM'],
+        moment('2019-03-04T08:30:00'),
+      );
+      expect(url).to.equal(
+        'https://localhost/otp/isochrone?fromPlace=60.17,24.94&mode=BUS,TRAM,WALK&date=2019-03-04&time=08:30&cutoffSec=900&cutoffSec=1800',
+      );
+    });
+  });
+
+  describe('getCutoffColor', () => {
+    it('should reuse the last color', () => {
+      expect(getCutoffColor(3, config)).to.equal('#ff0000');
+    });
+
+    it('should use the primary color without configured colors', () => {
+      expect(getCutoffColor(0, { colors: { primary: '#007ac9' } })).to.equal(
+        '#007ac9',
+      );
+    });
+  });
+
+  describe('toIsochroneFeatures', () => {
+    it('should draw the farthest area first', () => {
+      const { features } = toIsochroneFeatures(
+        { features: [polygon(900), polygon(1800)] },
+        config,
+      );
+      expect(features.map(feature => feature.properties.time)).to.deep.equal([
+        1800,
+        900,
+      ]);
+      expect(features[0].style.fillColor).to.equal('#ff0000');
+      expect(features[1].style.fillColor).to.equal('#00ff00');
+    });
+
+    it('should leave out the unknown travel times', () => {
+      const { features } = toIsochroneFeatures(
+        { features: [polygon(600), polygon(900)] },
+        config,
+      );
+      expect(features).to.have.lengthOf(1);
+    });
+
+    it('should handle a missing response', () => {
+      expect(toIsochroneFeatures(undefined, config).features).to.deep.equal([]);
+    });
+  });
+
+  describe('fetchIsochrones', () => {
+    afterEach(() => {
+      fetchMock.restore();
+    });
+
+    it('should fetch the areas from OTP', async () => {
+      fetchMock.get('begin:https://localhost/otp/isochrone', {
+        type: 'FeatureCollection',
+        features: [polygon(900)],
+      });
+      const data = await fetchIsochrones(
+        config,
+        { lat: 60.17, lon: 24.94 },
+        ['BUS'],
+        moment(),
+      );
+      expect(data.features).to.have.lengthOf(1);
+    });
+  });
+});
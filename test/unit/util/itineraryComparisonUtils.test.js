@@ -0,0 +1,126 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import {
+  compareItineraries,
+  getBestIndexes,
+  getFareCents,
+  getTransferCount,
+  parseComparedIndexes,
+} from '../../../app/util/itineraryComparisonUtils';
+
+const route = {
+  gtfsId: 'HSL:1055',
+  longName: 'Kamppi - Käpylä',
+  agency: { gtfsId: 'HSL:HSL', fareUrl: 'https://hsl.fi', name: 'HSL' },
+};
+
+const bus = { mode: 'BUS', distance: 5000, transitLeg: true, route };
+const walk = distance => ({ mode: 'WALK', distance, transitLeg: false });
+const bicycle = distance => ({ mode: 'BICYCLE', distance, transitLeg: false });
+
+const config = {
+  showTicketInformation: true,
+  fareMapping: fareId => fareId.split(':')[1],
+};
+
+const fares = [
+  {
+    type: 'regular',
+    cents: 280,
+    components: [{ fareId: 'HSL:AB', cents: 280, routes: [route] }],
+  },
+];
+
+describe('itineraryComparisonUtils', () => {
+  describe('getTransferCount', () => {
+    it('should count the transfers between the transit legs', () => {
+      expect(
+        getTransferCount({ legs: [walk(100), bus, walk(50), bus, bus] }),
+      ).to.equal(2);
+    });
+
+    it('should return 0 without transit legs', () => {
+      expect(getTransferCount({ legs: [walk(100)] })).to.equal(0);
+    });
+  });
+
+  describe('getFareCents', () => {
+    it('should sum the fares', () => {
+      expect(getFareCents({ fares, legs: [bus] }, config)).to.equal(280);
+    });
+
+    it('should return null for an unknown fare', () => {
+      expect(getFareCents({ fares: [], legs: [bus] }, config)).to.equal(null);
+    });
+  });
+
+  describe('getBestIndexes', () => {
+    it('should find the lowest values', () => {
+      expect(getBestIndexes([3, 1, 2, 1], true)).to.deep.equal([1, 3]);
+    });
+
+    it('should find the highest values', () => {
+      expect(getBestIndexes([3, 1, null], false)).to.deep.equal([0]);
+    });
+
+    it('should not pick anything if the values are the same', () => {
+      expect(getBestIndexes([2, 2, null], true)).to.deep.equal([]);
+    });
+  });
+
+  describe('compareItineraries', () => {
+    const itineraries = [
+      { startTime: 0, endTime: 1200000, fares, legs: [walk(300), bus] },
+      {
+        startTime: 60000,
+        endTime: 1500000,
+        elevationGained: 20,
+        fares: [],
+        legs: [bicycle(4000)],
+      },
+    ];
+
+    it('should highlight the best values', () => {
+      const comparison = compareItineraries(itineraries, config);
+      const byId = comparison.reduce(
+        (result, criterion) => ({ ...result, [criterion.id]: criterion }),
+        {},
+      );
+      expect(byId.duration.best).to.deep.equal([0]);
+      expect(byId['walking-distance'].best).to.deep.equal([1]);
+      expect(byId['biking-distance'].values).to.deep.equal([0, 4000]);
+      expect(byId.fare.values).to.deep.equal([280, 0]);
+      expect(byId.departure.best).to.deep.equal([1]);
+      expect(byId.arrival.best).to.deep.equal([0]);
+    });
+
+    it('should leave out the criteria that do not apply', () => {
+      const ids = compareItineraries([itineraries[0], itineraries[0]], {
+        showTicketInformation: false,
+      }).map(criterion => criterion.id);
+      expect(ids).to.deep.equal([
+        'duration',
+        'walking-distance',
+        'transfers',
+        'departure',
+        'arrival',
+      ]);
+    });
+  });
+
+  describe('parseComparedIndexes', () => {
+    it('should parse the valid indexes', () => {
+      expect(parseComparedIndexes('2,0,x,7,0', 5)).to.deep.equal([2, 0]);
+    });
+
+    it('should return an empty array for an empty value', () => {
+      expect(parseComparedIndexes('', 5)).to.deep.equal([]);
+      expect(parseComparedIndexes(undefined, 5)).to.deep.equal([]);
+    });
+
+    it('should compare at most four itineraries', () => {
+      expect(parseComparedIndexes('0,1,2,3,4', 5)).to.have.lengthOf(4);
+    });
+  });
+});
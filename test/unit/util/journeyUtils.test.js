@@ -0,0 +1,143 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import polyline from 'polyline-encoded';
+
+import {
+  getCurrentLegIndex,
+  getDistanceAlongGeometry,
+  getLegGeometry,
+  getLegVehicle,
+  getRemainingStops,
+  isOffRoute,
+} from '../../../app/util/journeyUtils';
+
+// about 111 meters per 0.001 degrees of latitude
+const createLeg = (fromLat, toLat, props) => ({
+  legGeometry: {
+    points: polyline.encode([[fromLat, 24.9], [toLat, 24.9]]),
+  },
+  ...props,
+});
+
+const walkLeg = createLeg(60.17, 60.175, {
+  mode: 'WALK',
+  transitLeg: false,
+  startTime: 0,
+  endTime: 1000,
+});
+const busLeg = createLeg(60.175, 60.2, {
+  mode: 'BUS',
+  transitLeg: true,
+  startTime: 1000,
+  endTime: 5000,
+  intermediatePlaces: [
+    { arrivalTime: 2000, stop: { lat: 60.18, lon: 24.9 } },
+    { arrivalTime: 3000, stop: { lat: 60.185, lon: 24.9 } },
+    { arrivalTime: 4000, stop: { lat: 60.19, lon: 24.9 } },
+  ],
+});
+const itinerary = { legs: [walkLeg, busLeg] };
+
+describe('journeyUtils', () => {
+  describe('getLegGeometry', () => {
+    it('should decode the geometry', () => {
+      expect(getLegGeometry(walkLeg)).to.deep.equal([
+        { lat: 60.17, lon: 24.9 },
+        { lat: 60.175, lon: 24.9 },
+      ]);
+    });
+
+    it('should return an empty geometry for a leg without one', () => {
+      expect(getLegGeometry({})).to.deep.equal([]);
+    });
+  });
+
+  describe('getDistanceAlongGeometry', () => {
+    it('should measure the distance from the start', () => {
+      const geometry = getLegGeometry(busLeg);
+      expect(
+        getDistanceAlongGeometry(geometry, { lat: 60.185, lon: 24.9001 }),
+      ).to.be.closeTo(1112, 5);
+    });
+
+    it('should return undefined if the position is far away', () => {
+      const geometry = getLegGeometry(busLeg);
+      expect(
+        getDistanceAlongGeometry(geometry, { lat: 60.185, lon: 25 }),
+      ).to.equal(undefined);
+    });
+  });
+
+  describe('getCurrentLegIndex', () => {
+    it('should follow the schedule without a position', () => {
+      expect(getCurrentLegIndex(itinerary, 500)).to.equal(0);
+      expect(getCurrentLegIndex(itinerary, 1500)).to.equal(1);
+      expect(getCurrentLegIndex(itinerary, 9000)).to.equal(1);
+    });
+
+    it('should move to the next leg if the user is ahead of the schedule', () => {
+      expect(
+        getCurrentLegIndex(itinerary, 500, { lat: 60.19, lon: 24.9 }),
+      ).to.equal(1);
+    });
+
+    it('should stay on the scheduled leg at the stop between the legs', () => {
+      expect(
+        getCurrentLegIndex(itinerary, 500, { lat: 60.175, lon: 24.9 }),
+      ).to.equal(0);
+    });
+  });
+
+  describe('getRemainingStops', () => {
+    it('should count the stops from the position', () => {
+      expect(
+        getRemainingStops(busLeg, 1500, { lat: 60.182, lon: 24.9 }),
+      ).to.equal(3);
+    });
+
+    it('should count the stops from the schedule without a position', () => {
+      expect(getRemainingStops(busLeg, 3500)).to.equal(2);
+    });
+  });
+
+  describe('getLegVehicle', () => {
+    const leg = {
+      route: { gtfsId: 'HSL:1' },
+      trip: {
+        gtfsId: 'HSL:1_20190101_Ti_1_0800',
+        directionId: '1',
+        stoptimes: [{ scheduledDeparture: 8 * 60 * 60 }],
+      },
+    };
+
+    it('should find the vehicle by its trip', () => {
+      const vehicle = { tripId: '1_20190101_Ti_1_0800' };
+      expect(getLegVehicle(leg, { foo: vehicle })).to.equal(vehicle);
+    });
+
+    it('should find the vehicle by its route, direction and start time', () => {
+      const vehicle = { route: 'HSL:1', direction: 1, tripStartTime: '0800' };
+      expect(
+        getLegVehicle(leg, {
+          bar: { ...vehicle, tripStartTime: '0810' },
+          foo: vehicle,
+        }),
+      ).to.equal(vehicle);
+    });
+  });
+
+  describe('isOffRoute', () => {
+    it('should detect a user far from the walking leg', () => {
+      expect(isOffRoute(walkLeg, { lat: 60.172, lon: 24.9005 }, 50)).to.equal(
+        false,
+      );
+      expect(isOffRoute(walkLeg, { lat: 60.172, lon: 24.91 }, 50)).to.equal(
+        true,
+      );
+    });
+
+    it('should never consider a transit leg left', () => {
+      expect(isOffRoute(busLeg, { lat: 60.172, lon: 25 }, 50)).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import { RealtimeStateType } from '../../../app/constants';
+import {
+  NotificationType,
+  WATCH_EXPIRATION_TIME,
+  WatchType,
+  getDepartureWatch,
+  getDueNotification,
+  getItineraryWatch,
+  getNotification,
+  isWatchExpired,
+  updateWatch,
+} from '../../../app/util/notificationUtils';
+
+const serviceDay = 1546293600; // 2019-01-01 00:00 in Helsinki
+
+const createWatch = props => ({
+  id: 'foo',
+  type: WatchType.Itinerary,
+  tripId: 'HSL:1',
+  stopId: 'HSL:2',
+  serviceDate: '20190101',
+  departureTime: serviceDay + 3600,
+  leaveTime: serviceDay + 3000,
+  canceled: false,
+  route: '550',
+  headsign: 'Itäkeskus',
+  notified: [],
+  ...props,
+});
+
+describe('notificationUtils', () => {
+  describe('getDepartureWatch', () => {
+    it('should watch the departure from the stop', () => {
+      const watch = getDepartureWatch({
+        canceled: false,
+        headsign: 'Itäkeskus',
+        pattern: { route: { shortName: '550' } },
+        serviceDay,
+        stop: { gtfsId: 'HSL:2' },
+        stoptime: serviceDay + 3600,
+        trip: { gtfsId: 'HSL:1' },
+      });
+      expect(watch).to.deep.include({
+        type: WatchType.Departure,
+        tripId: 'HSL:1',
+        stopId: 'HSL:2',
+        serviceDate: '20190101',
+        departureTime: serviceDay + 3600,
+        leaveTime: serviceDay + 3600,
+        route: '550',
+        headsign: 'Itäkeskus',
+      });
+    });
+  });
+
+  describe('getItineraryWatch', () => {
+    it('should watch the first transit leg', () => {
+      const itinerary = {
+        startTime: (serviceDay + 3000) * 1000,
+        legs: [
+          { transitLeg: false, from: {} },
+          {
+            transitLeg: true,
+            from: { stop: { gtfsId: 'HSL:2' } },
+            route: { shortName: '550' },
+            serviceDate: '20190101',
+            startTime: (serviceDay + 3600) * 1000,
+            trip: { gtfsId: 'HSL:1', tripHeadsign: 'Itäkeskus' },
+          },
+        ],
+      };
+      const watch = getItineraryWatch(itinerary);
+      expect(watch).to.deep.include({
+        type: WatchType.Itinerary,
+        tripId: 'HSL:1',
+        stopId: 'HSL:2',
+        departureTime: serviceDay + 3600,
+        leaveTime: serviceDay + 3000,
+        canceled: false,
+      });
+    });
+
+    it('should report a canceled leg', () => {
+      const watch = getItineraryWatch({
+        startTime: 0,
+        legs: [
+          {
+            transitLeg: true,
+            from: { stop: { gtfsId: 'HSL:2' } },
+            realtimeState: RealtimeStateType.Canceled,
+            startTime: 0,
+            trip: { gtfsId: 'HSL:1' },
+          },
+        ],
+      });
+      expect(watch.canceled).to.equal(true);
+    });
+
+    it('should return undefined without transit legs', () => {
+      expect(getItineraryWatch({ legs: [{ transitLeg: false }] })).to.equal(
+        undefined,
+      );
+    });
+  });
+
+  describe('updateWatch', () => {
+    it('should re-time the watch from the realtime departure', () => {
+      const watch = updateWatch(createWatch(), [
+        { stop: { gtfsId: 'HSL:1' }, serviceDay, realtimeDeparture: 3000 },
+        { stop: { gtfsId: 'HSL:2' }, serviceDay, realtimeDeparture: 3720 },
+      ]);
+      expect(watch.departureTime).to.equal(serviceDay + 3720);
+      expect(watch.leaveTime).to.equal(serviceDay + 3120);
+    });
+
+    it('should detect a canceled departure', () => {
+      const watch = updateWatch(createWatch(), [
+        { stop: { gtfsId: 'HSL:1' }, serviceDay, realtimeDeparture: 3000 },
+        {
+          stop: { gtfsId: 'HSL:2' },
+          serviceDay,
+          realtimeDeparture: -1,
+          realtimeState: RealtimeStateType.Canceled,
+        },
+      ]);
+      expect(watch.canceled).to.equal(true);
+      expect(watch.departureTime).to.equal(serviceDay + 3600);
+    });
+
+    it('should keep the watch if the stop is not found', () => {
+      const watch = createWatch();
+      expect(updateWatch(watch, undefined)).to.equal(watch);
+    });
+  });
+
+  describe('getDueNotification', () => {
+    it('should notify before it is time to leave', () => {
+      const watch = createWatch();
+      expect(getDueNotification(watch, serviceDay + 2600, 5)).to.equal(
+        undefined,
+      );
+      expect(getDueNotification(watch, serviceDay + 2700, 5)).to.equal(
+        NotificationType.Leave,
+      );
+    });
+
+    it('should notify only once', () => {
+      const watch = createWatch({ notified: [NotificationType.Leave] });
+      expect(getDueNotification(watch, serviceDay + 2700, 5)).to.equal(
+        undefined,
+      );
+    });
+
+    it('should not notify after the departure', () => {
+      expect(getDueNotification(createWatch(), serviceDay + 3600, 5)).to.equal(
+        undefined,
+      );
+    });
+
+    it('should notify about a cancelation', () => {
+      const watch = createWatch({
+        canceled: true,
+        notified: [NotificationType.Leave],
+      });
+      expect(getDueNotification(watch, serviceDay, 5)).to.equal(
+        NotificationType.Canceled,
+      );
+    });
+  });
+
+  describe('isWatchExpired', () => {
+    it('should expire the watch a while after the departure', () => {
+      const watch = createWatch();
+      expect(isWatchExpired(watch, watch.departureTime)).to.equal(false);
+      expect(
+        isWatchExpired(watch, watch.departureTime + WATCH_EXPIRATION_TIME + 1),
+      ).to.equal(true);
+    });
+  });
+
+  describe('getNotification', () => {
+    it('should format the notification in the given language', () => {
+      const { title, options } = getNotification(
+        createWatch({ url: 'https://example.com' }),
+        NotificationType.Leave,
+        'en',
+      );
+      expect(title).to.equal('Time to leave');
+      expect(options.body).to.equal(
+        'Leave at 00:50 to catch 550 Itäkeskus departing at 01:00',
+      );
+      expect(options.tag).to.equal('foo');
+      expect(options.data.url).to.equal('https://example.com');
+    });
+
+    it('should fall back to English', () => {
+      const { title } = getNotification(
+        createWatch(),
+        NotificationType.Canceled,
+        'foo',
+      );
+      expect(title).to.equal('Departure canceled');
+    });
+  });
+});
@@ -0,0 +1,273 @@
+import { expect } from 'chai';
+import { afterEach, describe, it } from 'mocha';
+
+import {
+  fetchOfflineDates,
+  getDateRange,
+  getQueryValues,
+  getResponseKey,
+  getTimetableReferences,
+  offlineTimetableMiddleware,
+  OfflineTimetableType,
+  removeExpiredOfflineTimetables,
+  withoutRealtime,
+} from '../../../app/util/offlineTimetables';
+
+const timetable = {
+  id: 'stop:HSL:1173210',
+  type: OfflineTimetableType.Stop,
+  gtfsId: 'HSL:1173210',
+  startDate: '20190110',
+  endDate: '20190112',
+};
+
+const createStorage = (timetables = [], responses = {}) => ({
+  getTimetables: () => Promise.resolve(timetables),
+  getResponse: key => Promise.resolve(responses[key]),
+  putResponse: response => {
+    responses[response.key] = response; // eslint-disable-line no-param-reassign
+    return Promise.resolve();
+  },
+  removeTimetable: ({ id }) => {
+    timetables.splice(timetables.findIndex(t => t.id === id), 1);
+    return Promise.resolve();
+  },
+});
+
+const createRequest = variables => ({
+  relayReqType: 'query',
+  body: JSON.stringify({
+    id: 'q1',
+    query: 'query Q($id_0: ID!) {  node(id: $id_0) { id } }',
+    variables,
+  }),
+});
+
+const payload = { data: { node: { id: 'foo' } } };
+
+// makes the request through the middleware like fetchOfflineDates does
+const fetchThrough = (middleware, req) =>
+  fetchOfflineDates(
+    {
+      variables: { date: '20190110' },
+      setVariables: (variables, callback) =>
+        middleware(() => Promise.resolve({ payload }))(req).then(() =>
+          callback({ done: true }),
+        ),
+    },
+    'date',
+    ['20190111'],
+  );
+
+describe('offlineTimetables', () => {
+  describe('getDateRange', () => {
+    it('should return the dates of the range', () => {
+      expect(getDateRange('20181230', 3)).to.deep.equal([
+        '20181230',
+        '20181231',
+        '20190101',
+      ]);
+    });
+  });
+
+  describe('getTimetableReferences', () => {
+    it('should include the global id of the node', () => {
+      expect(getTimetableReferences(timetable)).to.deep.equal([
+        'HSL:1173210',
+        window.btoa('Stop:HSL:1173210'),
+      ]);
+      expect(
+        getTimetableReferences({
+          type: OfflineTimetableType.Pattern,
+          gtfsId: 'HSL:1055:0:01',
+        })[1],
+      ).to.equal(window.btoa('Pattern:HSL:1055:0:01'));
+    });
+  });
+
+  describe('getResponseKey', () => {
+    it('should ignore the whitespace and the id of the request', () => {
+      const body = JSON.parse(createRequest({ id_0: 'foo' }).body);
+      expect(
+        getResponseKey(
+          JSON.stringify({ ...body, id: 'q2', query: ` ${body.query}` }),
+        ),
+      ).to.equal(getResponseKey(createRequest({ id_0: 'foo' }).body));
+    });
+  });
+
+  describe('getQueryValues', () => {
+    it('should return the variables and the string literals', () => {
+      const body = JSON.stringify({
+        query:
+          'query Q($id_0: ID!) { stop(id: "HSL:1") { id } node(id: $id_0) { id } }',
+        variables: { id_0: 'foo', input: { ids: ['bar'] }, first: 1 },
+      });
+      expect(getQueryValues(body)).to.deep.equal(['HSL:1', 'foo', 'bar']);
+    });
+  });
+
+  describe('withoutRealtime', () => {
+    it('should replace the realtime information with the schedule', () => {
+      expect(
+        withoutRealtime({
+          data: {
+            stoptimes: [
+              {
+                realtime: true,
+                realtimeState: 'UPDATED',
+                realtimeArrival: 1060,
+                realtimeDeparture: 1120,
+                scheduledArrival: 1050,
+                scheduledDeparture: 1100,
+                arrivalDelay: 10,
+                departureDelay: 20,
+              },
+            ],
+          },
+        }),
+      ).to.deep.equal({
+        data: {
+          stoptimes: [
+            {
+              realtime: false,
+              realtimeState: 'SCHEDULED',
+              realtimeArrival: 1050,
+              realtimeDeparture: 1100,
+              scheduledArrival: 1050,
+              scheduledDeparture: 1100,
+              arrivalDelay: 0,
+              departureDelay: 0,
+            },
+          ],
+        },
+      });
+    });
+  });
+
+  describe('removeExpiredOfflineTimetables', () => {
+    it('should remove the timetables whose date range has ended', async () => {
+      const timetables = [
+        timetable,
+        { ...timetable, id: 'stop:HSL:1', endDate: '20190120' },
+      ];
+      await removeExpiredOfflineTimetables(
+        '20190115',
+        createStorage(timetables),
+      );
+      expect(timetables.map(t => t.id)).to.deep.equal(['stop:HSL:1']);
+    });
+  });
+
+  describe('fetchOfflineDates', () => {
+    it('should fetch each date and return to the original date', async () => {
+      const dates = [];
+      const relay = {
+        variables: { date: '20190110' },
+        setVariables: ({ date }, callback) => {
+          dates.push(date);
+          callback({ ready: true, done: true });
+        },
+      };
+      await fetchOfflineDates(relay, 'date', ['20190111', '20190112']);
+      expect(dates).to.deep.equal(['20190111', '20190112', '20190110']);
+    });
+  });
+
+  describe('offlineTimetableMiddleware', () => {
+    const { onLine } = navigator;
+
+    afterEach(() => {
+      navigator.onLine = onLine;
+    });
+
+    it('should store the responses of the saved timetables', async () => {
+      const responses = {};
+      const middleware = offlineTimetableMiddleware(
+        {},
+        createStorage([timetable], responses),
+      );
+      const req = createRequest({ id_0: window.btoa('Stop:HSL:1173210') });
+      await fetchThrough(middleware, req);
+      await new Promise(resolve => setTimeout(resolve));
+      const stored = responses[getResponseKey(req.body)];
+      expect(stored.timetableId).to.equal(timetable.id);
+      expect(stored.payload).to.deep.equal(payload);
+    });
+
+    it('should not store the responses of other queries', async () => {
+      const responses = {};
+      const middleware = offlineTimetableMiddleware(
+        {},
+        createStorage([timetable], responses),
+      );
+      await fetchThrough(middleware, createRequest({ id_0: 'bar' }));
+      await fetchThrough(middleware, createRequest({ id_0: 'HSL:11732101' }));
+      await new Promise(resolve => setTimeout(resolve));
+      expect(Object.keys(responses)).to.deep.equal([]);
+    });
+
+    it('should only store the responses fetched for offline use', async () => {
+      const responses = {};
+      const middleware = offlineTimetableMiddleware(
+        {},
+        createStorage([timetable], responses),
+      );
+      await middleware(() => Promise.resolve({ payload }))(
+        createRequest({ id_0: 'HSL:1173210' }),
+      );
+      await new Promise(resolve => setTimeout(resolve));
+      expect(Object.keys(responses)).to.deep.equal([]);
+    });
+
+    it('should serve the stored response when the request fails', async () => {
+      const req = createRequest({ id_0: 'foo' });
+      let savedAt;
+      const middleware = offlineTimetableMiddleware(
+        {
+          onOfflineData: time => {
+            savedAt = time;
+          },
+        },
+        createStorage([timetable], {
+          [getResponseKey(req.body)]: { payload, savedAt: 100 },
+        }),
+      );
+      const res = await middleware(() => Promise.reject(new Error('failed')))(
+        req,
+      );
+      expect(res.payload).to.deep.equal(payload);
+      expect(savedAt).to.equal(100);
+    });
+
+    it('should not make a request when the browser is offline', async () => {
+      navigator.onLine = false;
+      const req = createRequest({ id_0: 'foo' });
+      let requested = false;
+      const middleware = offlineTimetableMiddleware(
+        {},
+        createStorage([timetable], {
+          [getResponseKey(req.body)]: { payload, savedAt: 100 },
+        }),
+      );
+      const res = await middleware(() => {
+        requested = true;
+        return Promise.resolve({ payload: {} });
+      })(req);
+      expect(requested).to.equal(false);
+      expect(res.payload).to.deep.equal(payload);
+    });
+
+    it('should pass on the error without a stored response', async () => {
+      const middleware = offlineTimetableMiddleware({}, createStorage());
+      try {
+        await middleware(() => Promise.reject(new Error('failed')))(
+          createRequest({ id_0: 'foo' }),
+        );
+        expect.fail();
+      } catch (error) {
+        expect(error.message).to.equal('failed');
+      }
+    });
+  });
+});
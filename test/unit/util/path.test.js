@@ -59,4 +59,18 @@ describe('path', () => {
       expect(location.state.summaryPageSelected).to.equal(2);
     });
   });
+
+  describe('getReachabilityPath', () => {
+    it('should encode the location', () => {
+      expect(
+        utils.getReachabilityPath({
+          address: 'Aleksanterinkatu, Helsinki',
+          lat: 60.169196,
+          lon: 24.957674,
+        }),
+      ).to.equal(
+        '/saavutettavuus/Aleksanterinkatu%2C%20Helsinki%3A%3A60.169196%2C24.957674',
+      );
+    });
+  });
 });
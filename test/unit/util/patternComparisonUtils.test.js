@@ -0,0 +1,89 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import {
+  getComparedPatternCodes,
+  getPatternColor,
+  getTripHeadsigns,
+  getUniqueStops,
+  PATTERN_COLORS,
+} from '../../../app/util/patternComparisonUtils';
+
+const stop = gtfsId => ({ gtfsId, name: gtfsId });
+
+const patterns = [
+  {
+    code: 'HSL:1055:0:01',
+    directionId: 0,
+    stops: ['A', 'B', 'C', 'D'].map(stop),
+  },
+  { code: 'HSL:1055:0:02', directionId: 0, stops: ['A', 'B', 'C'].map(stop) },
+  {
+    code: 'HSL:1055:1:01',
+    directionId: 1,
+    stops: ['D', 'C', 'B', 'A'].map(stop),
+  },
+];
+
+describe('patternComparisonUtils', () => {
+  describe('getComparedPatternCodes', () => {
+    it('should compare the patterns of the same direction by default', () => {
+      expect(getComparedPatternCodes(patterns, 'HSL:1055:0:02')).to.deep.equal([
+        'HSL:1055:0:01',
+        'HSL:1055:0:02',
+      ]);
+    });
+
+    it('should compare every pattern if the direction has only one', () => {
+      expect(
+        getComparedPatternCodes(patterns, 'HSL:1055:1:01', {}),
+      ).to.have.lengthOf(3);
+    });
+
+    it('should read the compared patterns from the query', () => {
+      expect(
+        getComparedPatternCodes(patterns, 'HSL:1055:0:01', {
+          patterns: 'HSL:1055:1:01,foo,HSL:1055:0:02',
+        }),
+      ).to.deep.equal(['HSL:1055:1:01', 'HSL:1055:0:02']);
+    });
+  });
+
+  describe('getUniqueStops', () => {
+    it('should return the stops no other pattern stops at', () => {
+      expect(getUniqueStops(patterns.slice(0, 2))).to.deep.equal({
+        'HSL:1055:0:01': [stop('D')],
+        'HSL:1055:0:02': [],
+      });
+    });
+  });
+
+  describe('getTripHeadsigns', () => {
+    it('should return the distinct headsigns of the trips', () => {
+      expect(
+        getTripHeadsigns({
+          headsign: 'Pasila',
+          trips: [
+            { tripHeadsign: 'Pasila' },
+            { tripHeadsign: 'Kamppi' },
+            { tripHeadsign: 'Pasila' },
+          ],
+        }),
+      ).to.deep.equal(['Kamppi', 'Pasila']);
+    });
+
+    it('should return the headsign of the pattern without trips', () => {
+      expect(getTripHeadsigns({ headsign: 'Pasila', trips: [] })).to.deep.equal(
+        ['Pasila'],
+      );
+    });
+  });
+
+  describe('getPatternColor', () => {
+    it('should return the color by the order of the pattern', () => {
+      expect(getPatternColor(patterns, 'HSL:1055:1:01')).to.equal(
+        PATTERN_COLORS[2],
+      );
+    });
+  });
+});
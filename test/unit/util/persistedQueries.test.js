@@ -0,0 +1,59 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import sinon from 'sinon';
+
+import {
+  PERSISTED_QUERY_NOT_FOUND,
+  normalizeQuery,
+  persistedQueryMiddleware,
+} from '../../../app/util/persistedQueries';
+
+const query = 'query {\n  stop(id: "HSL:1") {\n    name\n  }\n}\n';
+const req = {
+  relayReqType: 'query',
+  url: '/graphql',
+  body: JSON.stringify({ id: 'q0', query, variables: { a: 1 } }),
+};
+const getQueryId = () => Promise.resolve('abc');
+
+describe('persistedQueries', () => {
+  describe('normalizeQuery', () => {
+    it('should collapse the whitespace', () => {
+      expect(normalizeQuery(query)).to.equal(
+        'query { stop(id: "HSL:1") { name } }',
+      );
+    });
+  });
+
+  describe('persistedQueryMiddleware', () => {
+    it('should send the id instead of the query', async () => {
+      const next = sinon.stub().resolves({ payload: { data: {} } });
+      await persistedQueryMiddleware(getQueryId)(next)(req);
+      expect(next.callCount).to.equal(1);
+      expect(JSON.parse(next.firstCall.args[0].body)).to.deep.equal({
+        id: 'q0',
+        queryId: 'abc',
+        variables: { a: 1 },
+      });
+      expect(next.firstCall.args[0].url).to.equal('/graphql');
+    });
+
+    it('should send the query if the server does not know it', async () => {
+      const next = sinon.stub();
+      next.onFirstCall().resolves({
+        payload: { errors: [{ message: PERSISTED_QUERY_NOT_FOUND }] },
+      });
+      next.onSecondCall().resolves({ payload: { data: {} } });
+      const res = await persistedQueryMiddleware(getQueryId)(next)(req);
+      expect(res.payload).to.deep.equal({ data: {} });
+      expect(JSON.parse(next.secondCall.args[0].body).query).to.equal(query);
+    });
+
+    it('should pass on the mutations', async () => {
+      const next = sinon.stub().resolves({ payload: { data: {} } });
+      const mutation = { ...req, relayReqType: 'mutation' };
+      await persistedQueryMiddleware(getQueryId)(next)(mutation);
+      expect(next.firstCall.args[0]).to.equal(mutation);
+    });
+  });
+});
@@ -188,6 +188,42 @@ describe('planParamUtil', () => {
       expect(bikeSpeed).to.equal(20);
     });
 
+    it('should not request wheelchair routing by default', () => {
+      const params = utils.preparePlanParams(defaultConfig)(...defaultProps);
+      expect(params.wheelchair).to.equal(false);
+    });
+
+    it('should request wheelchair routing for step-free access in query', () => {
+      const params = utils.preparePlanParams(defaultConfig)(
+        { from, to },
+        { location: { query: { stepFree: 'true' } } },
+      );
+      expect(params.wheelchair).to.equal(true);
+    });
+
+    it('should request wheelchair routing for the old accessibilityOption in query', () => {
+      const params = utils.preparePlanParams(defaultConfig)(
+        { from, to },
+        { location: { query: { accessibilityOption: '1' } } },
+      );
+      expect(params.wheelchair).to.equal(true);
+    });
+
+    it('should request wheelchair routing for low-floor vehicles in localStorage', () => {
+      setCustomizedSettings({ lowFloorOnly: true });
+      const params = utils.preparePlanParams(defaultConfig)(...defaultProps);
+      expect(params.wheelchair).to.equal(true);
+    });
+
+    it('should let the query override the accessibility options in localStorage', () => {
+      setCustomizedSettings({ avoidStairs: true });
+      const params = utils.preparePlanParams(defaultConfig)(
+        { from, to },
+        { location: { query: { avoidStairs: 'false' } } },
+      );
+      expect(params.wheelchair).to.equal(false);
+    });
+
     it('should replace the old ticketTypes separator "_" with ":" in query', () => {
       const params = utils.preparePlanParams(defaultConfig)(
         {
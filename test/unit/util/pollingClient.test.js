@@ -0,0 +1,154 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import {
+  createPollingClient,
+  filterMessages,
+  matchesOption,
+} from '../../../app/util/pollingClient';
+
+const message = {
+  id: 'tampere:130210',
+  route: 'tampere:8',
+  direction: 1,
+  tripStartTime: '1435',
+  tripId: '5645934646',
+};
+
+const createActionContext = () => {
+  const dispatched = [];
+  return {
+    dispatched,
+    dispatch: (name, payload) => dispatched.push({ name, payload }),
+  };
+};
+
+const waitFor = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('pollingClient', () => {
+  describe('matchesOption', () => {
+    it('should match wildcard options', () => {
+      expect(
+        matchesOption(
+          message,
+          { route: '+', mode: '+', tripId: '+' },
+          'tampere',
+        ),
+      ).to.equal(true);
+      expect(matchesOption(message, {}, 'tampere')).to.equal(true);
+    });
+
+    it('should match the route with the agency prefix', () => {
+      expect(matchesOption(message, { route: '8' }, 'tampere')).to.equal(true);
+      expect(matchesOption(message, { route: '9' }, 'tampere')).to.equal(false);
+    });
+
+    it('should match the direction and the trip', () => {
+      expect(
+        matchesOption(
+          message,
+          { direction: '1', tripId: '5645934646' },
+          'tampere',
+        ),
+      ).to.equal(true);
+      expect(matchesOption(message, { direction: '0' }, 'tampere')).to.equal(
+        false,
+      );
+      expect(matchesOption(message, { tripId: '1' }, 'tampere')).to.equal(
+        false,
+      );
+    });
+
+    it('should match the geohash of the position', () => {
+      const located = { ...message, lat: 61.4978, long: 23.7609 };
+      expect(
+        matchesOption(
+          located,
+          { geoHash: ['61;23', '47', '+', '+'] },
+          'tampere',
+        ),
+      ).to.equal(true);
+      expect(
+        matchesOption(
+          located,
+          { geoHash: ['60;24', '19', '+', '+'] },
+          'tampere',
+        ),
+      ).to.equal(false);
+    });
+  });
+
+  describe('filterMessages', () => {
+    it('should keep the messages matching any of the options', () => {
+      const other = { ...message, id: 'tampere:1', route: 'tampere:3' };
+      expect(
+        filterMessages(
+          [message, other],
+          [{ route: '8' }, { route: '5' }],
+          'tampere',
+        ),
+      ).to.deep.equal([message]);
+    });
+
+    it('should remove all messages without options', () => {
+      expect(filterMessages([message], [], 'tampere')).to.deep.equal([]);
+    });
+  });
+
+  describe('createPollingClient', () => {
+    it('should dispatch the matching messages', async () => {
+      const actionContext = createActionContext();
+      const client = createPollingClient(
+        { agency: 'tampere', options: [{ route: '8' }] },
+        actionContext,
+        () => Promise.resolve([message, { ...message, route: 'tampere:3' }]),
+      );
+      await waitFor(10);
+      client.end();
+      expect(actionContext.dispatched).to.deep.equal([
+        { name: 'RealTimeClientMessage', payload: [message] },
+      ]);
+    });
+
+    it('should pass the subscribed mode to the source', async () => {
+      const modes = [];
+      const client = createPollingClient(
+        { agency: 'tampere', options: [{ mode: 'tram' }] },
+        createActionContext(),
+        mode => {
+          modes.push(mode);
+          return Promise.resolve([]);
+        },
+      );
+      await waitFor(10);
+      client.subscribe([{ mode: '+' }]);
+      await waitFor(10);
+      client.end();
+      expect(modes).to.deep.equal(['tram', undefined]);
+    });
+
+    it('should not dispatch after the client has ended', async () => {
+      const actionContext = createActionContext();
+      const client = createPollingClient(
+        { agency: 'tampere', options: [{}] },
+        actionContext,
+        () => waitFor(5).then(() => [message]),
+      );
+      client.end();
+      await waitFor(20);
+      expect(actionContext.dispatched).to.deep.equal([]);
+    });
+
+    it('should survive a failing source', async () => {
+      const actionContext = createActionContext();
+      const client = createPollingClient(
+        { agency: 'tampere', options: [{}], pollInterval: 0.001 },
+        actionContext,
+        () => Promise.reject(new Error('failed')),
+      );
+      await waitFor(20);
+      client.end();
+      expect(actionContext.dispatched).to.deep.equal([]);
+    });
+  });
+});
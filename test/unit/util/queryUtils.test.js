@@ -153,6 +153,22 @@ describe('queryUtils', () => {
       expect(result.bikeSpeed).to.equal(5);
     });
 
+    it('should return boolean values for the accessibility options', () => {
+      const query = {
+        avoidStairs: 'false',
+        lowFloorOnly: 'true',
+        maxSlope: '8',
+        stepFree: 'true',
+      };
+      const result = utils.getQuerySettings(query);
+      expect(result).to.deep.equal({
+        avoidStairs: false,
+        lowFloorOnly: true,
+        maxSlope: 8,
+        stepFree: true,
+      });
+    });
+
     it('should completely omit missing values', () => {
       const query = {
         optimize: 'QUICK',
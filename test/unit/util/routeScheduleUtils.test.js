@@ -0,0 +1,97 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import {
+  getScheduleDates,
+  getStopSchedules,
+  toScheduleCsv,
+  toScheduleHtml,
+} from '../../../app/util/routeScheduleUtils';
+
+const stops = [
+  { id: 'A', code: '1001', name: 'Koskela' },
+  { id: 'B', code: '1002', name: 'Kumpula, "Arabia"' },
+];
+
+const trip = (...departures) => ({
+  stoptimes: departures.map((scheduledDeparture, i) => ({
+    scheduledDeparture,
+    stop: { id: stops[i].id },
+  })),
+});
+
+const headers = {
+  title: '55 ➔ Rautatientori',
+  stop: 'Stop',
+  code: 'Stop code',
+  hour: 'Hour',
+  noDepartures: 'No departures',
+  weekday: 'Mon–Fri',
+  saturday: 'Saturday',
+  sunday: 'Sunday',
+};
+
+describe('routeScheduleUtils', () => {
+  describe('getScheduleDates', () => {
+    it('should start the weekday from the given weekday', () => {
+      expect(getScheduleDates('20190306')).to.deep.equal({
+        weekday: '20190306',
+        saturday: '20190309',
+        sunday: '20190310',
+      });
+    });
+
+    it('should use the next Monday on weekends', () => {
+      expect(getScheduleDates('20190310')).to.deep.equal({
+        weekday: '20190311',
+        saturday: '20190316',
+        sunday: '20190310',
+      });
+    });
+  });
+
+  describe('getStopSchedules', () => {
+    it('should group the departures of each stop by the hour', () => {
+      const schedules = getStopSchedules(stops, {
+        weekday: [trip(5 * 3600 + 42 * 60, 6 * 3600), trip(5 * 3600 + 720)],
+        saturday: [trip(25 * 3600 + 300)],
+      });
+      expect(schedules[0].stop).to.equal(stops[0]);
+      expect(schedules[0].hours).to.deep.equal([
+        { hour: '05', weekday: ['12', '42'], saturday: [], sunday: [] },
+        { hour: '01', weekday: [], saturday: ['05'], sunday: [] },
+      ]);
+      expect(schedules[1].hours).to.deep.equal([
+        { hour: '06', weekday: ['00'], saturday: [], sunday: [] },
+      ]);
+    });
+  });
+
+  describe('toScheduleCsv', () => {
+    it('should have a row for every hour of every stop', () => {
+      const csv = toScheduleCsv(
+        getStopSchedules(stops, { weekday: [trip(3600, 7200)] }),
+        headers,
+      );
+      expect(csv).to.equal(
+        [
+          '\uFEFFStop,Stop code,Hour,Mon–Fri,Saturday,Sunday',
+          'Koskela,1001,01,00,,',
+          '"Kumpula, ""Arabia""",1002,02,00,,',
+          '',
+        ].join('\r\n'),
+      );
+    });
+  });
+
+  describe('toScheduleHtml', () => {
+    it('should escape the names of the stops', () => {
+      const html = toScheduleHtml(
+        getStopSchedules([{ id: 'C', name: '<Pasila>' }], {}),
+        headers,
+      );
+      expect(html).to.contain('<h2>&lt;Pasila&gt;</h2>');
+      expect(html).to.contain('<p>No departures</p>');
+    });
+  });
+});
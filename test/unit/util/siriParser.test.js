@@ -0,0 +1,100 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import { parseSiriVM } from '../../../app/util/siriParser';
+
+const createResponse = journey => ({
+  Siri: {
+    ServiceDelivery: {
+      ResponseTimestamp: '2019-03-26T14:47:01+02:00',
+      VehicleMonitoringDelivery: [
+        {
+          VehicleActivity: [
+            {
+              RecordedAtTime: '2019-03-26T14:47:00+02:00',
+              MonitoredVehicleJourney: journey,
+            },
+          ],
+        },
+      ],
+    },
+  },
+});
+
+const journey = {
+  LineRef: { value: '8' },
+  DirectionRef: { value: '1' },
+  FramedVehicleJourneyRef: {
+    DataFrameRef: { value: '2019-03-26' },
+    DatedVehicleJourneyRef: '5645934646',
+  },
+  VehicleMode: ['bus'],
+  DestinationName: [{ value: 'Atala', lang: 'fi' }],
+  OriginAimedDepartureTime: '2019-03-26T14:35:00+02:00',
+  VehicleLocation: { Longitude: 23.663475, Latitude: 61.508115 },
+  Bearing: 55.5,
+  VehicleRef: { value: '130210' },
+  MonitoredCall: { StopPointRef: '3615' },
+};
+
+describe('siriParser', () => {
+  describe('parseSiriVM', () => {
+    it('should parse a vehicle activity', () => {
+      const messages = parseSiriVM(createResponse(journey), 'tampere');
+      expect(messages).to.deep.equal([
+        {
+          id: 'tampere:130210',
+          route: 'tampere:8',
+          direction: 1,
+          tripStartTime: '1435',
+          operatingDay: '2019-03-26',
+          mode: 'bus',
+          next_stop: '3615',
+          timestamp: 1553604420,
+          lat: 61.50812,
+          long: 23.66348,
+          heading: 55,
+          headsign: 'Atala',
+          tripId: '5645934646',
+        },
+      ]);
+    });
+
+    it('should accept plain values', () => {
+      const [message] = parseSiriVM(
+        createResponse({
+          ...journey,
+          LineRef: '8',
+          VehicleRef: '130210',
+          VehicleMode: 'metro',
+        }),
+        'tampere',
+      );
+      expect(message.route).to.equal('tampere:8');
+      expect(message.id).to.equal('tampere:130210');
+      expect(message.mode).to.equal('subway');
+    });
+
+    it('should use the given mode when the journey has none', () => {
+      const [message] = parseSiriVM(
+        createResponse({ ...journey, VehicleMode: undefined }),
+        'tampere',
+        'tram',
+      );
+      expect(message.mode).to.equal('tram');
+    });
+
+    it('should ignore vehicles without a location', () => {
+      const messages = parseSiriVM(
+        createResponse({ ...journey, VehicleLocation: undefined }),
+        'tampere',
+      );
+      expect(messages).to.deep.equal([]);
+    });
+
+    it('should return an empty array for an invalid response', () => {
+      expect(parseSiriVM({}, 'tampere')).to.deep.equal([]);
+      expect(parseSiriVM(null, 'tampere')).to.deep.equal([]);
+    });
+  });
+});
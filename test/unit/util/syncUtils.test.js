@@ -0,0 +1,197 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import {
+  TOMBSTONE_PERIOD,
+  getSyncCode,
+  mergeCollection,
+  parseSyncCode,
+  recordChange,
+} from '../../../app/util/syncUtils';
+
+describe('syncUtils', () => {
+  describe('recordChange', () => {
+    it('should record the added and changed items', () => {
+      const state = recordChange(
+        {},
+        'favouriteStops',
+        [{ id: 1, gtfsId: 'HSL:1', name: 'A' }],
+        [
+          { id: 1, gtfsId: 'HSL:1', name: 'B' },
+          { id: 2, gtfsId: 'HSL:2', name: 'C' },
+        ],
+        100,
+      );
+      expect(state.dirty).to.equal(true);
+      expect(state.collections.favouriteStops).to.deep.equal({
+        modified: 100,
+        items: { 'HSL:1': 100, 'HSL:2': 100 },
+        deleted: {},
+      });
+    });
+
+    it('should ignore a change of the local id', () => {
+      const state = recordChange(
+        {},
+        'favouriteStops',
+        [{ id: 1, gtfsId: 'HSL:1' }],
+        [{ id: 2, gtfsId: 'HSL:1' }],
+        100,
+      );
+      expect(state.collections.favouriteStops.items).to.deep.equal({});
+    });
+
+    it('should record the deleted items', () => {
+      const state = recordChange(
+        {
+          collections: {
+            favouriteRoutes: {
+              modified: 50,
+              items: { 'HSL:1': 50 },
+              deleted: {},
+            },
+          },
+        },
+        'favouriteRoutes',
+        ['HSL:1'],
+        [],
+        100,
+      );
+      expect(state.collections.favouriteRoutes).to.deep.equal({
+        modified: 100,
+        items: {},
+        deleted: { 'HSL:1': 100 },
+      });
+    });
+  });
+
+  describe('mergeCollection', () => {
+    it('should use the latest version of the settings', () => {
+      const local = { value: { walkSpeed: 1 }, state: { modified: 100 } };
+      const remote = { value: { walkSpeed: 2 }, state: { modified: 200 } };
+      expect(
+        mergeCollection('customizedSettings', local, remote).value,
+      ).to.deep.equal({
+        walkSpeed: 2,
+      });
+      expect(
+        mergeCollection('customizedSettings', remote, local).value,
+      ).to.deep.equal({
+        walkSpeed: 2,
+      });
+    });
+
+    it('should keep the local value without a remote value', () => {
+      const local = { value: ['HSL:1'], state: undefined };
+      expect(
+        mergeCollection('favouriteRoutes', local, undefined).value,
+      ).to.deep.equal(['HSL:1']);
+    });
+
+    it('should combine the items of both devices', () => {
+      const merged = mergeCollection(
+        'favouriteRoutes',
+        { value: ['HSL:1'], state: undefined },
+        { value: ['HSL:2'], state: undefined },
+        1000,
+      );
+      expect(merged.value).to.deep.equal(['HSL:1', 'HSL:2']);
+    });
+
+    it('should use the latest version of each item', () => {
+      const merged = mergeCollection(
+        'favouriteStops',
+        {
+          value: [
+            { id: 1, gtfsId: 'HSL:1', name: 'local' },
+            { id: 2, gtfsId: 'HSL:2', name: 'local' },
+          ],
+          state: { items: { 'HSL:1': 300, 'HSL:2': 100 } },
+        },
+        {
+          value: [
+            { id: 5, gtfsId: 'HSL:1', name: 'remote' },
+            { id: 6, gtfsId: 'HSL:2', name: 'remote' },
+            { id: 7, gtfsId: 'HSL:3', name: 'remote' },
+          ],
+          state: { items: { 'HSL:1': 200, 'HSL:2': 200, 'HSL:3': 200 } },
+        },
+        1000,
+      );
+      expect(merged.value).to.deep.equal([
+        { id: 1, gtfsId: 'HSL:1', name: 'local' },
+        { id: 2, gtfsId: 'HSL:2', name: 'remote' },
+        { id: 3, gtfsId: 'HSL:3', name: 'remote' },
+      ]);
+      expect(merged.state.items).to.deep.equal({
+        'HSL:1': 300,
+        'HSL:2': 200,
+        'HSL:3': 200,
+      });
+    });
+
+    it('should remove the items deleted after their latest change', () => {
+      const merged = mergeCollection(
+        'favouriteRoutes',
+        {
+          value: ['HSL:1', 'HSL:2'],
+          state: { items: { 'HSL:1': 100, 'HSL:2': 300 } },
+        },
+        {
+          value: [],
+          state: { deleted: { 'HSL:1': 200, 'HSL:2': 200 } },
+        },
+        1000,
+      );
+      expect(merged.value).to.deep.equal(['HSL:2']);
+      expect(merged.state.deleted).to.deep.equal({ 'HSL:1': 200 });
+    });
+
+    it('should forget the old deletions', () => {
+      const merged = mergeCollection(
+        'favouriteRoutes',
+        { value: [], state: { deleted: { 'HSL:1': 100 } } },
+        { value: [], state: {} },
+        100 + TOMBSTONE_PERIOD,
+      );
+      expect(merged.state.deleted).to.deep.equal({});
+    });
+
+    it('should ignore the searches of a different storage version', () => {
+      const local = {
+        value: { version: 3, items: [] },
+        state: {},
+      };
+      const remote = {
+        value: {
+          version: 2,
+          items: [{ type: 'endpoint', item: { properties: { label: 'A' } } }],
+        },
+        state: {},
+      };
+      expect(
+        mergeCollection('saved-searches', local, remote).value,
+      ).to.deep.equal({ version: 3, items: [] });
+    });
+  });
+
+  describe('parseSyncCode', () => {
+    it('should parse a sync code', () => {
+      expect(parseSyncCode(' foo:bar ')).to.deep.equal({
+        id: 'foo',
+        token: 'bar',
+      });
+    });
+
+    it('should return undefined for an invalid code', () => {
+      expect(parseSyncCode('foo')).to.equal(undefined);
+      expect(parseSyncCode('foo:bar:baz')).to.equal(undefined);
+      expect(parseSyncCode(undefined)).to.equal(undefined);
+    });
+
+    it('should parse the code created by getSyncCode', () => {
+      const account = { id: 'foo', token: 'bar' };
+      expect(parseSyncCode(getSyncCode(account))).to.deep.equal(account);
+    });
+  });
+});
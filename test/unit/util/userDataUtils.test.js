@@ -0,0 +1,145 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import {
+  getCustomizedSettings,
+  getFavouriteLocationsStorage,
+  getFavouriteRoutesStorage,
+  getOldSearchesStorage,
+  setCustomizedSettings,
+  setFavouriteRoutesStorage,
+} from '../../../app/store/localStorage';
+import { STORE_VERSION } from '../../../app/store/OldSearchesStore';
+import {
+  USER_DATA_FORMAT,
+  USER_DATA_VERSION,
+  exportUserData,
+  parseUserData,
+  writeUserData,
+} from '../../../app/util/userDataUtils';
+
+const createDocument = data => ({
+  format: USER_DATA_FORMAT,
+  version: USER_DATA_VERSION,
+  created: '2019-01-01T00:00:00.000Z',
+  data,
+});
+
+describe('userDataUtils', () => {
+  describe('exportUserData', () => {
+    it('should include the format, the version and the time of the export', () => {
+      const now = new Date('2019-01-01T12:00:00.000Z');
+      const document = exportUserData(now);
+      expect(document.format).to.equal(USER_DATA_FORMAT);
+      expect(document.version).to.equal(USER_DATA_VERSION);
+      expect(document.created).to.equal('2019-01-01T12:00:00.000Z');
+    });
+
+    it('should include the stored user data', () => {
+      setFavouriteRoutesStorage(['HSL:1001']);
+      setCustomizedSettings({ walkSpeed: 1.5 });
+      const { data } = exportUserData();
+      expect(data.favouriteRoutes).to.deep.equal(['HSL:1001']);
+      expect(data.customizedSettings.walkSpeed).to.equal(1.5);
+    });
+  });
+
+  describe('parseUserData', () => {
+    it('should throw if the document has the wrong format', () => {
+      expect(() => parseUserData({ foo: 'bar' })).to.throw();
+      expect(() => parseUserData('foo')).to.throw();
+      expect(() => parseUserData(null)).to.throw();
+    });
+
+    it('should throw if the version is not supported', () => {
+      expect(() =>
+        parseUserData({
+          ...createDocument({}),
+          version: USER_DATA_VERSION + 1,
+        }),
+      ).to.throw();
+    });
+
+    it('should throw if an item is invalid', () => {
+      expect(() =>
+        parseUserData(createDocument({ favouriteRoutes: 'HSL:1001' })),
+      ).to.throw('favouriteRoutes');
+    });
+
+    it('should ignore unknown items', () => {
+      const data = parseUserData(
+        createDocument({ favouriteRoutes: ['HSL:1001'], foo: 'bar' }),
+      );
+      expect(data).to.deep.equal({ favouriteRoutes: ['HSL:1001'] });
+    });
+
+    it('should migrate old favourite locations', () => {
+      const data = parseUserData(
+        createDocument({
+          favouriteLocations: [
+            {
+              locationName: 'Home',
+              address: 'Opastinsilta 6, Helsinki',
+              lat: 60.199,
+              lon: 24.941,
+            },
+          ],
+        }),
+      );
+      expect(data.favouriteLocations[0]).to.include({
+        id: 1,
+        locationName: 'Home',
+        version: 1,
+      });
+    });
+
+    it('should discard search history of another version', () => {
+      const data = parseUserData(
+        createDocument({
+          oldSearches: { version: STORE_VERSION - 1, items: [{ count: 1 }] },
+        }),
+      );
+      expect(data.oldSearches).to.deep.equal({
+        version: STORE_VERSION,
+        items: [],
+      });
+    });
+  });
+
+  describe('writeUserData', () => {
+    it('should replace the stored user data', () => {
+      setFavouriteRoutesStorage(['HSL:1001']);
+      setCustomizedSettings({ walkSpeed: 1.5, minTransferTime: 180 });
+      const keys = writeUserData(
+        createDocument({
+          customizedSettings: { walkSpeed: 2 },
+          favouriteRoutes: ['HSL:2550'],
+        }),
+      );
+      expect(keys).to.deep.equal(['customizedSettings', 'favouriteRoutes']);
+      expect(getFavouriteRoutesStorage()).to.deep.equal(['HSL:2550']);
+      expect(getCustomizedSettings()).to.deep.equal({ walkSpeed: 2 });
+    });
+
+    it('should leave the missing items untouched', () => {
+      setFavouriteRoutesStorage(['HSL:1001']);
+      writeUserData(createDocument({ favouriteLocations: [] }));
+      expect(getFavouriteRoutesStorage()).to.deep.equal(['HSL:1001']);
+      expect(getFavouriteLocationsStorage()).to.deep.equal([]);
+      expect(getOldSearchesStorage().items).to.deep.equal([]);
+    });
+
+    it('should not write anything if the document is invalid', () => {
+      setFavouriteRoutesStorage(['HSL:1001']);
+      expect(() =>
+        writeUserData(
+          createDocument({
+            favouriteRoutes: ['HSL:2550'],
+            favouriteStops: 'foo',
+          }),
+        ),
+      ).to.throw();
+      expect(getFavouriteRoutesStorage()).to.deep.equal(['HSL:1001']);
+    });
+  });
+});
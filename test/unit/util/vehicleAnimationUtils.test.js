@@ -0,0 +1,127 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import {
+  getAnimatedPosition,
+  getClockOffset,
+  getSpeed,
+  getVehicleAge,
+  moveAlongGeometry,
+  moveAlongHeading,
+} from '../../../app/util/vehicleAnimationUtils';
+
+const geometry = [
+  { lat: 60.17, lon: 24.94 },
+  { lat: 60.171, lon: 24.94 },
+  { lat: 60.171, lon: 24.942 },
+];
+
+describe('vehicleAnimationUtils', () => {
+  describe('getVehicleAge', () => {
+    it('should return the age in seconds', () => {
+      expect(getVehicleAge({ timestamp: 100 }, 0, 130000)).to.equal(30);
+    });
+
+    it('should take the clock offset into account', () => {
+      expect(getVehicleAge({ timestamp: 100 }, 20, 130000)).to.equal(10);
+    });
+
+    it('should return 0 for a message without a timestamp', () => {
+      expect(getVehicleAge({}, 0, 130000)).to.equal(0);
+    });
+  });
+
+  describe('getClockOffset', () => {
+    it('should use the freshest message', () => {
+      expect(
+        getClockOffset([{ timestamp: 100 }, { timestamp: 110 }, {}], 130000),
+      ).to.equal(20);
+    });
+
+    it('should return undefined without timestamps', () => {
+      expect(getClockOffset([{}], 130000)).to.equal(undefined);
+    });
+  });
+
+  describe('getSpeed', () => {
+    it('should calculate the speed from two positions', () => {
+      const speed = getSpeed(
+        { lat: 60.17, long: 24.94, timestamp: 100 },
+        { lat: 60.171, long: 24.94, timestamp: 110 },
+      );
+      expect(speed).to.be.closeTo(11.1, 0.1);
+    });
+
+    it('should ignore an unrealistic speed', () => {
+      expect(
+        getSpeed(
+          { lat: 60.17, long: 24.94, timestamp: 100 },
+          { lat: 60.27, long: 24.94, timestamp: 110 },
+        ),
+      ).to.equal(undefined);
+    });
+
+    it('should return undefined for the same timestamp', () => {
+      expect(
+        getSpeed(
+          { lat: 60.17, long: 24.94, timestamp: 100 },
+          { lat: 60.171, long: 24.94, timestamp: 100 },
+        ),
+      ).to.equal(undefined);
+    });
+  });
+
+  describe('moveAlongHeading', () => {
+    it('should move north', () => {
+      const position = moveAlongHeading({ lat: 60.17, lon: 24.94 }, 0, 111.2);
+      expect(position.lat).to.be.closeTo(60.171, 0.00001);
+      expect(position.lon).to.be.closeTo(24.94, 0.00001);
+    });
+  });
+
+  describe('moveAlongGeometry', () => {
+    it('should follow the geometry past a corner', () => {
+      const position = moveAlongGeometry(
+        geometry,
+        { lat: 60.1705, lon: 24.94 },
+        55.6 + 55.4,
+      );
+      expect(position.lat).to.be.closeTo(60.171, 0.00001);
+      expect(position.lon).to.be.closeTo(24.941, 0.00005);
+      expect(position.heading).to.be.closeTo(90, 0.1);
+    });
+
+    it('should stop at the end of the geometry', () => {
+      const position = moveAlongGeometry(
+        geometry,
+        { lat: 60.1705, lon: 24.94 },
+        10000,
+      );
+      expect(position.lat).to.equal(60.171);
+      expect(position.lon).to.equal(24.942);
+    });
+
+    it('should return undefined for a position far from the geometry', () => {
+      expect(
+        moveAlongGeometry(geometry, { lat: 60.18, lon: 24.94 }, 100),
+      ).to.equal(undefined);
+    });
+  });
+
+  describe('getAnimatedPosition', () => {
+    const message = { lat: 60.17, long: 24.94, heading: 0 };
+
+    it('should not move a vehicle without a speed', () => {
+      expect(getAnimatedPosition(message, undefined, 10)).to.deep.equal({
+        lat: 60.17,
+        lon: 24.94,
+        heading: 0,
+      });
+    });
+
+    it('should move along the heading without a geometry', () => {
+      const position = getAnimatedPosition(message, 11.12, 10);
+      expect(position.lat).to.be.closeTo(60.171, 0.00001);
+    });
+  });
+});
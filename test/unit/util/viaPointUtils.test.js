@@ -0,0 +1,215 @@
+import { expect } from 'chai';
+import { afterEach, describe, it } from 'mocha';
+import fetchMock from 'fetch-mock';
+
+import {
+  buildTravelTimeQuery,
+  findFastestOrder,
+  getOrderDuration,
+  getPermutations,
+  getPointPairs,
+  optimizeViaPointOrder,
+  toDurations,
+} from '../../../app/util/viaPointUtils';
+
+const config = {
+  URL: { OTP: 'https://localhost/otp/' },
+};
+
+const point = (address, lat, lon) => ({ address, lat, lon });
+
+const origin = point('Origin', 60.1, 24.9);
+const destination = point('Destination', 60.2, 25.0);
+
+// the points lie on a line: origin (0), via 1 at 3, via 2 at 1, via 3 at 2
+// and the destination at 4
+const positions = [0, 3, 1, 2, 4];
+const lineDurations = positions.map(from =>
+  positions.map(to => Math.abs(to - from) * 600),
+);
+
+const toData = (durations, count) =>
+  getPointPairs(count).reduce(
+    (data, [from, to]) => ({
+      ...data,
+      [`travel${from}_${to}`]: {
+        itineraries: Number.isFinite(durations[from][to])
+          ? [{ duration: durations[from][to] }]
+          : [],
+      },
+    }),
+    {},
+  );
+
+describe('viaPointUtils', () => {
+  describe('getPermutations', () => {
+    it('should return every order of the items', () => {
+      expect(getPermutations([1, 2, 3])).to.deep.equal([
+        [1, 2, 3],
+        [1, 3, 2],
+        [2, 1, 3],
+        [2, 3, 1],
+        [3, 1, 2],
+        [3, 2, 1],
+      ]);
+    });
+
+    it('should return a single empty order for no items', () => {
+      expect(getPermutations([])).to.deep.equal([[]]);
+    });
+  });
+
+  describe('getOrderDuration', () => {
+    it('should sum the travel times from the origin to the destination', () => {
+      expect(getOrderDuration([1, 2, 3], lineDurations)).to.equal(
+        (3 + 2 + 1 + 2) * 600,
+      );
+    });
+  });
+
+  describe('getPointPairs', () => {
+    it('should not depart from the destination nor arrive at the origin', () => {
+      expect(getPointPairs(2)).to.deep.equal([
+        [0, 1],
+        [0, 2],
+        [1, 2],
+        [1, 3],
+        [2, 1],
+        [2, 3],
+      ]);
+    });
+  });
+
+  describe('findFastestOrder', () => {
+    it('should find the fastest order by evaluating every order', () => {
+      expect(findFastestOrder(3, lineDurations)).to.deep.equal([2, 3, 1]);
+    });
+
+    it('should find the fastest order of many via points with a heuristic', () => {
+      const line = [0, 5, 2, 6, 1, 4, 3, 7];
+      const durations = line.map(from =>
+        line.map(to => Math.abs(to - from) * 60),
+      );
+      expect(findFastestOrder(6, durations)).to.deep.equal([4, 2, 6, 5, 1, 3]);
+    });
+  });
+
+  describe('buildTravelTimeQuery', () => {
+    it('should query a plan between each pair of points', () => {
+      const { query, variables } = buildTravelTimeQuery(
+        [origin, point('Via', 60.15, 24.95), destination],
+        { date: '2019-03-04', time: '08:30:00', modes: 'BUS,WALK' },
+      );
+      expect(query).to.contain('travel0_1: plan(fromPlace: $place0');
+      expect(query).to.contain('travel1_2: plan(fromPlace: $place1');
+      expect(query).to.not.contain('travel0_2');
+      expect(query).to.contain('$date: String');
+      expect(query).to.contain('time: $time');
+      expect(variables).to.deep.equal({
+        modes: 'BUS,WALK',
+        date: '2019-03-04',
+        time: '08:30:00',
+        place0: 'Origin::60.1,24.9',
+        place1: 'Via::60.15,24.95',
+        place2: 'Destination::60.2,25',
+      });
+    });
+
+    it('should pass on the arrive by search', () => {
+      const { query, variables } = buildTravelTimeQuery(
+        [origin, point('Via', 60.15, 24.95), destination],
+        { arriveBy: true, time: '08:30:00' },
+      );
+      expect(query).to.contain('$arriveBy: Boolean');
+      expect(query).to.contain('arriveBy: $arriveBy');
+      expect(variables.arriveBy).to.equal(true);
+    });
+
+    it('should leave out the parameters that have not been set', () => {
+      const { query, variables } = buildTravelTimeQuery([origin, destination], {
+        wheelchair: null,
+        from: 'Origin::60.1,24.9',
+      });
+      expect(query).to.not.contain('wheelchair');
+      expect(variables).to.deep.equal({
+        place0: 'Origin::60.1,24.9',
+        place1: 'Destination::60.2,25',
+      });
+    });
+  });
+
+  describe('toDurations', () => {
+    it('should give the pairs without an itinerary an infinite travel time', () => {
+      const durations = toDurations(
+        {
+          travel0_1: { itineraries: [{ duration: 100 }] },
+          travel1_2: { itineraries: [] },
+        },
+        1,
+      );
+      expect(durations[0][1]).to.equal(100);
+      expect(durations[1][2]).to.equal(Infinity);
+    });
+  });
+
+  describe('optimizeViaPointOrder', () => {
+    const viaPoints = [
+      point('Via 1', 60.13, 24.93),
+      point('Via 2', 60.11, 24.91),
+      point('Via 3', 60.12, 24.92),
+    ];
+
+    afterEach(() => {
+      fetchMock.restore();
+    });
+
+    it('should reorder the via points and return the time saved', async () => {
+      fetchMock.post('https://localhost/otp/index/graphql', {
+        data: toData(lineDurations, 3),
+      });
+      const result = await optimizeViaPointOrder(
+        config,
+        origin,
+        viaPoints,
+        destination,
+        {},
+      );
+      expect(result.viaPoints).to.deep.equal([
+        viaPoints[1],
+        viaPoints[2],
+        viaPoints[0],
+      ]);
+      expect(result.timeSaved).to.equal(4 * 600);
+    });
+
+    it('should keep the order if it is already the fastest', async () => {
+      const sorted = [0, 1, 2, 3, 4];
+      fetchMock.post('https://localhost/otp/index/graphql', {
+        data: toData(
+          sorted.map(from => sorted.map(to => Math.abs(to - from) * 600)),
+          3,
+        ),
+      });
+      const result = await optimizeViaPointOrder(
+        config,
+        origin,
+        viaPoints,
+        destination,
+        {},
+      );
+      expect(result.viaPoints).to.equal(viaPoints);
+      expect(result.timeSaved).to.equal(0);
+    });
+
+    it('should fail if the via points cannot be reached', async () => {
+      fetchMock.post('https://localhost/otp/index/graphql', { data: {} });
+      let error;
+      try {
+        await optimizeViaPointOrder(config, origin, viaPoints, destination, {});
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an('error');
+    });
+  });
+});
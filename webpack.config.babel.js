@@ -117,7 +117,7 @@ const productionPlugins = [
     autoUpdate: 1000 * 60 * 5,
     safeToUseOptionalCaches: true,
     ServiceWorker: {
-      entry: './app/util/font-sw.js',
+      entry: './app/util/sw.js',
       events: true,
     },
     version: '[hash]',